@@ -6,24 +6,16 @@
 //   - Personality type (explorer, builder, architect)
 //   - Current world knowledge (from memory)
 //   - Current position and state
-//   - Time (tick count)
+//   - Time (tick count, and the world's time of day — agents
+//     head back to a shelter they built, or wait, at night)
 //
 // All building is physics-aware: structures must be grounded,
 // blocks can only be placed in air, and agents verify the
 // surface before planning.
 
-const TILES = {
-  AIR: 0,
-  DIRT: 1,
-  STONE: 2,
-  GRASS: 3,
-  WATER: 4,
-  SAND: 5,
-  WOOD: 6,
-  LEAVES: 7,
-};
-
-const SOLID_TILES = [TILES.DIRT, TILES.STONE, TILES.GRASS, TILES.SAND, TILES.WOOD, TILES.LEAVES];
+const Tiles = require('../../Shared/Utils/tiles');
+
+const TILES = Tiles.TILES;
 const CHUNK_SIZE = 32;
 
 class DecisionEngine {
@@ -41,6 +33,10 @@ class DecisionEngine {
     this.lastBuildTick = 0;
     this.lastChatTick = 0;
     this.structuresBuilt = 0;
+
+    // Where to spend the night (inside the last shelter built)
+    this.shelter = null;
+    this.sheltering = false;
   }
 
   decide(state) {
@@ -56,6 +52,12 @@ class DecisionEngine {
       return this.executeBuildStep(state);
     }
 
+    // Night: no new projects until morning
+    if (state.isNight) {
+      return this.decideNight(state);
+    }
+    this.sheltering = false;
+
     // Phase 3: Personality-driven
     switch (this.personality) {
       case 'architect':
@@ -131,6 +133,25 @@ class DecisionEngine {
     return this.decideExplore(state);
   }
 
+  // ─────────────────────────────────────────────
+  // Night — head for shelter and wait for morning
+  // ─────────────────────────────────────────────
+
+  decideNight(state) {
+    if (!this.sheltering) {
+      this.sheltering = true;
+      return {
+        type: 'chat',
+        message: this.shelter ? 'Night is falling — back to my shelter.' : 'Night is falling — resting here until dawn.',
+      };
+    }
+
+    if (this.shelter && Math.abs(this.shelter.x - state.x) > 1) {
+      return { type: 'move', x: this.shelter.x, y: this.shelter.y };
+    }
+    return null;
+  }
+
   // ─────────────────────────────────────────────
   // Exploration — walk along the surface horizontally
   // ─────────────────────────────────────────────
@@ -142,18 +163,11 @@ class DecisionEngine {
       this.exploreDirection = this.randomHorizontalDirection();
     }
 
-    // Move horizontally, let the server handle Y (agents don't have gravity
-    // but we try to stay near the surface)
+    // Move horizontally; the agent plans the walk (and any jumps)
+    // with the shared physics, and the server owns Y
     const targetX = state.x + this.exploreDirection.dx * 2;
 
-    // Try to walk along the surface
-    const surfaceY = this.memory.findSurfaceAt(Math.round(targetX));
-    let targetY = state.y;
-    if (surfaceY !== null) {
-      targetY = surfaceY - 1; // One tile above ground
-    }
-
-    return { type: 'move', x: targetX, y: targetY };
+    return { type: 'move', x: targetX, y: state.y };
   }
 
   // ─────────────────────────────────────────────
@@ -170,7 +184,7 @@ class DecisionEngine {
     const groundTile = this.memory.getTileAt(baseX, surfaceY);
     const aboveTile = this.memory.getTileAt(baseX, surfaceY - 1);
 
-    if (!SOLID_TILES.includes(groundTile)) return false;
+    if (!Tiles.isSolid(groundTile)) return false;
     if (aboveTile !== null && aboveTile !== TILES.AIR) return false;
 
     // Find a flat area for building
@@ -200,15 +214,16 @@ class DecisionEngine {
       const left = this.memory.getTileAt(block.x - 1, block.y);
       const right = this.memory.getTileAt(block.x + 1, block.y);
 
-      const hasSupport = (below !== null && SOLID_TILES.includes(below)) ||
-                         (left !== null && SOLID_TILES.includes(left)) ||
-                         (right !== null && SOLID_TILES.includes(right));
+      const hasSupport = Tiles.isSolid(below) || Tiles.isSolid(left) || Tiles.isSolid(right);
 
       return hasSupport;
     });
 
     if (this.buildQueue.length > 0) {
       this.structuresBuilt++;
+      if (this.buildingProject === 'shelter') {
+        this.shelter = { x: flat.x + 2, y: flat.y - 1 };
+      }
       return true;
     }
     return false;
@@ -13,19 +13,10 @@
 //   - Know what tiles are at specific positions
 //   - Track explored vs unexplored areas
 
-const CHUNK_SIZE = 32;
+const { decodeChunk } = require('../../Shared/Utils/chunkCodec');
+const Tiles = require('../../Shared/Utils/tiles');
 
-// Tile types
-const TILES = {
-  AIR: 0,
-  DIRT: 1,
-  STONE: 2,
-  GRASS: 3,
-  WATER: 4,
-  SAND: 5,
-  WOOD: 6,
-  LEAVES: 7,
-};
+const CHUNK_SIZE = 32;
 
 class MemoryCore {
   constructor(agentName) {
@@ -54,10 +45,12 @@ class MemoryCore {
   /**
    * Process and remember a chunk of terrain data.
    * Extracts surface heights and stores tile knowledge.
+   * Accepts both plain and RLE-encoded wire chunks.
    *
-   * @param {object} chunk - { x, y, tiles[][] }
+   * @param {object} chunk - { x, y, tiles[][] } or an encoded chunk
    */
   rememberChunk(chunk) {
+    chunk = decodeChunk(chunk);
     if (!chunk || !chunk.tiles) return;
 
     const key = `${chunk.x},${chunk.y}`;
@@ -78,9 +71,9 @@ class MemoryCore {
         this.knownTiles.set(tileKey, tile);
         this.totalTilesKnown++;
 
-        // Update surface map — surface is the first non-AIR tile
+        // Update surface map — surface is the first solid tile
         // scanning from top to bottom
-        if (tile !== TILES.AIR && tile !== TILES.WATER) {
+        if (Tiles.isSolid(tile)) {
           const currentSurface = this.surfaceMap.get(worldX);
           if (currentSurface === undefined || worldY < currentSurface) {
             this.surfaceMap.set(worldX, worldY);
@@ -104,19 +97,19 @@ class MemoryCore {
     this.knownTiles.set(key, tile);
 
     // Update surface map if this affects it
-    if (tile !== TILES.AIR && tile !== TILES.WATER) {
+    if (Tiles.isSolid(tile)) {
       const currentSurface = this.surfaceMap.get(worldX);
       if (currentSurface === undefined || worldY < currentSurface) {
         this.surfaceMap.set(worldX, worldY);
       }
-    } else if (tile === TILES.AIR) {
+    } else {
       // If we removed a surface block, the surface might be lower now
       const currentSurface = this.surfaceMap.get(worldX);
       if (currentSurface === worldY) {
         // Find the new surface below
         for (let y = worldY + 1; y < worldY + 20; y++) {
           const belowTile = this.knownTiles.get(`${worldX},${y}`);
-          if (belowTile !== undefined && belowTile !== TILES.AIR && belowTile !== TILES.WATER) {
+          if (belowTile !== undefined && Tiles.isSolid(belowTile)) {
             this.surfaceMap.set(worldX, y);
             return;
           }
@@ -154,7 +147,7 @@ class MemoryCore {
   }
 
   /**
-   * Check if a position is solid (not air or water).
+   * Check if a position is solid (per the tile registry).
    *
    * @param {number} worldX
    * @param {number} worldY
@@ -163,7 +156,7 @@ class MemoryCore {
   isSolid(worldX, worldY) {
     const tile = this.getTileAt(worldX, worldY);
     if (tile === null) return null;
-    return tile !== TILES.AIR && tile !== TILES.WATER;
+    return Tiles.isSolid(tile);
   }
 
   /**
@@ -6,13 +6,32 @@
 // backend as players. They explore the world, analyze terrain,
 // build structures, and chat — making the world feel alive.
 
+const path = require('path');
 const WebSocket = require('ws');
+const protobuf = require('protobufjs');
 const { DecisionEngine } = require('./Decision_Engine/index');
 const { MemoryCore } = require('./Memory_Core/index');
+const { ENCODINGS, decodeChunk } = require('../Shared/Utils/chunkCodec');
+const { SUBPROTOCOL, createProtoCodec } = require('../Shared/Utils/protoCodec');
+const Physics = require('../Shared/Utils/physics');
+const DayCycle = require('../Shared/Utils/dayCycle');
+const Tiles = require('../Shared/Utils/tiles');
 
 const BACKEND_URL = process.env.BACKEND_URL || 'ws://localhost:8080';
 const AGENT_TICK_RATE = parseInt(process.env.AGENT_TICK_RATE, 10) || 500;
 
+// Physics steps one decision tick covers. Moves are planned with
+// the shared physics and sent as that many sequenced inputs, so
+// the server simulates exactly the walk (and jumps) we planned.
+// Capped at the server's PLAYER.MAX_INPUT_BATCH.
+const STEPS_PER_TICK = Math.min(10, Math.max(1, Math.round(AGENT_TICK_RATE / Physics.TICK_RATE)));
+
+// Wire protocol: 'json' (default) or 'proto' for binary protobuf frames
+const AGENT_PROTOCOL = process.env.AGENT_PROTOCOL === 'proto' ? 'proto' : 'json';
+const protoCodec = AGENT_PROTOCOL === 'proto'
+  ? createProtoCodec(protobuf.loadSync(path.join(__dirname, '../Shared/Proto/world.proto')))
+  : null;
+
 const AGENT_PROFILES = [
   {
     name: 'Claude',
@@ -79,22 +98,41 @@ class Agent {
     this.decisions = new DecisionEngine(profile.personality, this.memory);
     this.knownChunks = new Map();
     this.tickCount = 0;
+    // Physics body, kept in step with the server's positionCorrection
+    this.body = null;
+    this.gravity = Physics.GRAVITY;
+    this.inputSeq = 0;
+    this.isSolid = Physics.solidity((x, y) => this.memory.getTileAt(x, y));
+    this.isWater = Physics.wetness((x, y) => this.memory.getTileAt(x, y));
+    // World clock from welcome/timeSync, run locally in between
+    this.clock = null;
+    // Zone cluster mode can move us to another server node
+    this.url = BACKEND_URL;
+    this.handoffToken = null;
   }
 
   connect() {
-    console.log(`🤖 [${this.name}] Connecting to ${BACKEND_URL}...`);
-    this.ws = new WebSocket(BACKEND_URL);
+    console.log(`🤖 [${this.name}] Connecting to ${this.url}...`);
+    this.ws = protoCodec
+      ? new WebSocket(this.url, SUBPROTOCOL)
+      : new WebSocket(this.url);
 
     this.ws.on('open', () => {
       console.log(`✅ [${this.name}] Connected`);
       this.connected = true;
+      if (this.handoffToken) {
+        // Arriving from another zone node — keep our position
+        this.send({ type: 'portalArrive', token: this.handoffToken, chunkEncoding: ENCODINGS.RLE });
+        this.handoffToken = null;
+        return;
+      }
       // Identify as AI immediately — server expects auth before welcome
-      this.send({ type: 'identify', isAI: true, name: this.name });
+      this.send({ type: 'identify', isAI: true, name: this.name, chunkEncoding: ENCODINGS.RLE });
     });
 
-    this.ws.on('message', (raw) => {
+    this.ws.on('message', (raw, isBinary) => {
       try {
-        const msg = JSON.parse(raw);
+        const msg = isBinary ? protoCodec.decode(raw) : JSON.parse(raw);
         this.handleMessage(msg);
       } catch (e) {
         console.error(`❌ [${this.name}] Bad message:`, e.message);
@@ -102,9 +140,13 @@ class Agent {
     });
 
     this.ws.on('close', () => {
-      console.log(`🔌 [${this.name}] Disconnected. Reconnecting in 5s...`);
       this.connected = false;
       this.stopTicking();
+      if (this.handoffToken) {
+        this.connect();
+        return;
+      }
+      console.log(`🔌 [${this.name}] Disconnected. Reconnecting in 5s...`);
       setTimeout(() => this.connect(), 5000);
     });
 
@@ -124,10 +166,19 @@ class Agent {
         this.x = msg.x;
         this.y = msg.y;
         this.zone = msg.zone;
+        this.body = { ...Physics.createBody(msg.x, msg.y), onGround: true };
+        this.gravity = (msg.worldConfig && msg.worldConfig.gravity) || Physics.GRAVITY;
+        this.inputSeq = 0;
+        // The server's tile registry wins over our copy of tiles.js
+        if (msg.tiles && msg.tiles.length > 0) Tiles.load(msg.tiles);
+        if (msg.worldConfig && msg.worldConfig.dayLength) {
+          this.syncClock(msg.time, msg.worldConfig.dayLength);
+        }
 
         console.log(`🎉 [${this.name}] Spawned at (${this.x}, ${this.y}) in ${this.zone}`);
         if (msg.chunks) {
-          for (const [key, chunk] of Object.entries(msg.chunks)) {
+          for (const [key, encoded] of Object.entries(msg.chunks)) {
+            const chunk = decodeChunk(encoded);
             this.knownChunks.set(key, chunk);
             this.memory.rememberChunk(chunk);
           }
@@ -140,9 +191,10 @@ class Agent {
 
       case 'chunkData':
         if (msg.chunk) {
-          const key = `${msg.chunk.x},${msg.chunk.y}`;
-          this.knownChunks.set(key, msg.chunk);
-          this.memory.rememberChunk(msg.chunk);
+          const chunk = decodeChunk(msg.chunk);
+          const key = `${chunk.x},${chunk.y}`;
+          this.knownChunks.set(key, chunk);
+          this.memory.rememberChunk(chunk);
         }
         break;
 
@@ -160,8 +212,33 @@ class Agent {
         console.log(`💬 [${this.name}] Heard: ${msg.message}`);
         break;
 
+      case 'positionCorrection':
+        // Inputs go out a whole tick at a time and are applied on
+        // arrival, so there's nothing left to replay — adopt it
+        this.body = { x: msg.x, y: msg.y, velocityY: msg.velocityY || 0, onGround: msg.onGround };
+        this.x = msg.x;
+        this.y = msg.y;
+        break;
+
+      case 'playerStatus':
+        if (msg.death) console.log(`💀 [${this.name}] ${msg.death}, back at spawn`);
+        break;
+
+      case 'timeSync':
+        this.syncClock(msg.time, msg.dayLength);
+        break;
+
       case 'blockUpdate':
-        this.memory.rememberBlockChange(msg.x, msg.y, msg.tile);
+        for (const change of msg.changes && msg.changes.length > 0 ? msg.changes : [msg]) {
+          this.memory.rememberBlockChange(change.x, change.y, change.tile);
+        }
+        break;
+
+      case 'zoneHandoff':
+        console.log(`🧩 [${this.name}] Handed off to node ${msg.node} (${msg.zone})`);
+        this.url = msg.targetUrl;
+        this.handoffToken = msg.token;
+        this.ws.close();
         break;
 
       case 'error':
@@ -170,6 +247,16 @@ class Agent {
     }
   }
 
+  syncClock(time, dayLength) {
+    this.clock = { time, dayLength, at: Date.now() };
+  }
+
+  // Time of day now, or null before the server has told us
+  timeOfDay() {
+    if (!this.clock) return null;
+    return DayCycle.advance(this.clock.time, Date.now() - this.clock.at, this.clock.dayLength);
+  }
+
   startTicking() {
     if (this.tickTimer) return;
     this.tickTimer = setInterval(() => this.tick(), AGENT_TICK_RATE);
@@ -187,19 +274,22 @@ class Agent {
     if (!this.connected || !this.id) return;
     this.tickCount++;
 
+    const timeOfDay = this.timeOfDay();
     const action = this.decisions.decide({
       x: this.x,
       y: this.y,
       zone: this.zone,
       tickCount: this.tickCount,
       knownChunks: this.knownChunks,
+      timeOfDay,
+      isNight: timeOfDay !== null && DayCycle.isNight(timeOfDay),
     });
 
     if (!action) return;
 
     switch (action.type) {
       case 'move':
-        this.moveTo(action.x, action.y);
+        this.moveTo(action.x);
         break;
       case 'placeBlock':
         this.placeBlock(action.x, action.y, action.tile);
@@ -216,12 +306,18 @@ class Agent {
     }
   }
 
-  moveTo(x, y) {
-    const dx = Math.max(-5, Math.min(5, x - this.x));
-    const dy = Math.max(-5, Math.min(5, y - this.y));
-    this.x += dx;
-    this.y += dy;
-    this.send({ type: 'move', x: this.x, y: this.y });
+  // Walk toward x for one tick's worth of physics steps, jumping
+  // over anything in the way. Y is up to physics, not us.
+  moveTo(x) {
+    if (!this.body) return;
+    const plan = Physics.planWalk(this.body, x, this.isSolid, STEPS_PER_TICK, this.gravity, this.isWater);
+    if (plan.inputs.length === 0) return;
+
+    const inputs = plan.inputs.map((input) => ({ seq: ++this.inputSeq, ...input }));
+    this.send({ type: 'move', inputs });
+    this.body = plan.body;
+    this.x = plan.body.x;
+    this.y = plan.body.y;
   }
 
   placeBlock(x, y, tile) {
@@ -238,7 +334,7 @@ class Agent {
 
   send(data) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(data));
+      this.ws.send(protoCodec ? protoCodec.encode(data) : JSON.stringify(data));
     }
   }
 }
@@ -249,6 +345,7 @@ console.log('══════════════════════
 console.log(`   Backend: ${BACKEND_URL}`);
 console.log(`   Agents: ${AGENT_PROFILES.length}`);
 console.log(`   Tick rate: ${AGENT_TICK_RATE}ms`);
+console.log(`   Protocol: ${AGENT_PROTOCOL}`);
 console.log('');
 
 AGENT_PROFILES.forEach((profile, index) => {
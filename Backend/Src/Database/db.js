@@ -2,11 +2,13 @@
 //
 // AETHARIA — SQLite Database
 // ================================
-// Persistent storage for player accounts, inventory, and credits.
+// Persistent storage for player accounts, inventory, credits,
+// health, and block modifications made to each world.
 // Uses better-sqlite3 for synchronous, fast access.
 
 const Database = require('better-sqlite3');
 const path = require('path');
+const { PLAYER } = require('../Utils/constants');
 
 const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', '..', 'data', 'aetharia.db');
 
@@ -34,11 +36,37 @@ db.exec(`
     zone TEXT DEFAULT 'zone_central',
     inventory TEXT DEFAULT '[]',
     credits INTEGER DEFAULT 100,
+    health REAL DEFAULT ${PLAYER.MAX_HEALTH},
     created_at TEXT DEFAULT (datetime('now')),
     last_login TEXT DEFAULT (datetime('now'))
   );
+
+  CREATE TABLE IF NOT EXISTS block_modifications (
+    world_id TEXT NOT NULL,
+    x INTEGER NOT NULL,
+    y INTEGER NOT NULL,
+    tile INTEGER NOT NULL,
+    updated_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (world_id, x, y)
+  );
+
+  CREATE TABLE IF NOT EXISTS admin_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    world_id TEXT NOT NULL,
+    player TEXT NOT NULL,
+    event TEXT NOT NULL,
+    detail TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
 `);
 
+// Columns added since the table was first created — older
+// databases gain them on startup
+const playerColumns = db.prepare('PRAGMA table_info(players)').all().map((column) => column.name);
+if (!playerColumns.includes('health')) {
+  db.exec(`ALTER TABLE players ADD COLUMN health REAL DEFAULT ${PLAYER.MAX_HEALTH}`);
+}
+
 // ─────────────────────────────────────────────
 // Prepared Statements
 // ─────────────────────────────────────────────
@@ -54,13 +82,28 @@ const stmts = {
   `),
 
   saveState: db.prepare(`
-    UPDATE players SET x = ?, y = ?, zone = ?, inventory = ?, credits = ?, last_login = datetime('now')
+    UPDATE players SET x = ?, y = ?, zone = ?, inventory = ?, credits = ?, health = ?, last_login = datetime('now')
     WHERE username = ?
   `),
 
   updateColor: db.prepare(`
     UPDATE players SET color = ? WHERE username = ?
   `),
+
+  saveBlock: db.prepare(`
+    INSERT INTO block_modifications (world_id, x, y, tile)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT (world_id, x, y) DO UPDATE SET tile = excluded.tile, updated_at = datetime('now')
+  `),
+
+  getWorldBlocks: db.prepare(`
+    SELECT x, y, tile FROM block_modifications WHERE world_id = ?
+  `),
+
+  logAdminEvent: db.prepare(`
+    INSERT INTO admin_log (world_id, player, event, detail)
+    VALUES (?, ?, ?, ?)
+  `),
 };
 
 // ─────────────────────────────────────────────
@@ -83,19 +126,42 @@ function getPlayer(username) {
   return stmts.getPlayer.get(username) || null;
 }
 
-function savePlayerState(username, x, y, zone, inventory, credits) {
+function savePlayerState(username, x, y, zone, inventory, credits, health = PLAYER.MAX_HEALTH) {
   const inventoryJson = typeof inventory === 'string' ? inventory : JSON.stringify(inventory);
-  stmts.saveState.run(x, y, zone, inventoryJson, credits, username);
+  stmts.saveState.run(x, y, zone, inventoryJson, credits, health, username);
 }
 
 function updateColor(username, color) {
   stmts.updateColor.run(color, username);
 }
 
+function saveBlockModification(worldId, x, y, tile) {
+  stmts.saveBlock.run(worldId, x, y, tile);
+}
+
+// Many edits in one transaction (tile simulation ticks)
+const saveBlockModifications = db.transaction((worldId, changes) => {
+  for (const { x, y, tile } of changes) {
+    stmts.saveBlock.run(worldId, x, y, tile);
+  }
+});
+
+function getBlockModifications(worldId) {
+  return stmts.getWorldBlocks.all(worldId);
+}
+
+function logAdminEvent(worldId, player, event, detail) {
+  stmts.logAdminEvent.run(worldId, player, event, detail);
+}
+
 module.exports = {
   db,
   createPlayer,
   getPlayer,
   savePlayerState,
   updateColor,
+  saveBlockModification,
+  saveBlockModifications,
+  getBlockModifications,
+  logAdminEvent,
 };
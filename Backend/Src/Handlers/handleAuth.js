@@ -7,11 +7,20 @@
 
 const bcrypt = require('bcryptjs');
 const db = require('../Database/db');
+const { send } = require('../Network/protocol');
 const log = require('../Utils/logger');
+const Tiles = require('../Utils/tiles');
 
 const SALT_ROUNDS = 10;
 const USERNAME_REGEX = /^[a-zA-Z0-9_]{3,16}$/;
 
+// What new players start with: [item name, quantity]
+const STARTER_ITEMS = [['stone', 20], ['wood', 10], ['torch', 10]];
+
+function starterInventory() {
+  return STARTER_ITEMS.map(([name, quantity]) => ({ name, tile: Tiles.getByName(name).id, quantity }));
+}
+
 function handleRegister(data, ws) {
   const { username, password, color } = data;
 
@@ -49,10 +58,7 @@ function handleRegister(data, ws) {
     x: 0,
     y: 0,
     zone: 'zone_central',
-    inventory: [
-      { name: 'stone', tile: 2, quantity: 20 },
-      { name: 'wood', tile: 6, quantity: 10 },
-    ],
+    inventory: starterInventory(),
     credits: 100,
   };
 }
@@ -94,13 +100,12 @@ function handleLogin(data, ws) {
     zone: player.zone,
     inventory,
     credits: player.credits,
+    health: player.health,
   };
 }
 
 function sendAuthError(ws, message) {
-  if (ws.readyState === 1) {
-    ws.send(JSON.stringify({ type: 'authError', message }));
-  }
+  send(ws, { type: 'authError', message });
 }
 
 module.exports = { handleRegister, handleLogin };
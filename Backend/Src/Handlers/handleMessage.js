@@ -4,32 +4,31 @@
 // ================================
 // Routes incoming WebSocket messages to the appropriate handler.
 // Server-side gravity means the move handler only accepts
-// horizontal input + jump. The server physics loop controls Y.
+// horizontal input + jump. Y comes from Player/physics.js.
 
 const { PLAYER, MSG, SERVER, WORLD } = require('../Utils/constants');
 const { generateChunk } = require('../World/terrainGen');
-const { checkZoneTransfer, getZonePlayers } = require('../World/zoneManager');
+const { checkZoneTransfer, getZonePlayers, getZoneForPosition } = require('../World/zoneManager');
 const { placeBlock, removeBlock, getModifiedChunk, getTile } = require('../World/worldState');
+const { activateAt } = require('../World/tileSim');
+const { encodeChunk } = require('../Utils/chunkCodec');
+const Tiles = require('../Utils/tiles');
+const { send } = require('../Network/protocol');
+const { ownsZone, forwardBlockEdit, replicateBlockUpdate } = require('../Network/zoneCluster');
+const { stepInput, sweepPlayer, tryJump } = require('../Player/physics');
+const { takeInputStep, isValidStepDx, allowedMoveDistance, spendMoveDistance, flag } = require('../Player/antiCheat');
 const log = require('../Utils/logger');
 
-const SOLID_TILES = [
-  WORLD.TILES.DIRT, WORLD.TILES.STONE, WORLD.TILES.GRASS,
-  WORLD.TILES.SAND, WORLD.TILES.WOOD, WORLD.TILES.LEAVES,
-];
-
-const BLOCK_NAMES = {
-  [WORLD.TILES.DIRT]: 'dirt',
-  [WORLD.TILES.STONE]: 'stone',
-  [WORLD.TILES.GRASS]: 'grass',
-  [WORLD.TILES.SAND]: 'sand',
-  [WORLD.TILES.WOOD]: 'wood',
-  [WORLD.TILES.LEAVES]: 'leaves',
-};
+function tileName(tileType) {
+  const def = Tiles.get(tileType);
+  return def ? def.name : 'UNKNOWN';
+}
 
-// Inventory helpers
+// Inventory helpers (items are named after their tile)
 function addToInventory(player, tileType) {
-  const name = BLOCK_NAMES[tileType];
-  if (!name) return;
+  const def = Tiles.get(tileType);
+  if (!def) return;
+  const name = def.name;
   if (!Array.isArray(player.inventory)) player.inventory = [];
   const existing = player.inventory.find(i => i.tile === tileType);
   if (existing) {
@@ -51,11 +50,20 @@ function removeFromInventory(player, tileType) {
 }
 
 function sendInventoryUpdate(ws, player) {
-  if (ws.readyState === 1) {
-    ws.send(JSON.stringify({
-      type: MSG.INVENTORY_UPDATE,
-      inventory: player.inventory || [],
-    }));
+  send(ws, {
+    type: MSG.INVENTORY_UPDATE,
+    inventory: player.inventory || [],
+  });
+}
+
+// Give a player the drop of a tile they mined (AI agents don't
+// carry inventory)
+function awardDrop(player, ws, tile) {
+  const def = Tiles.get(tile);
+  const drop = def && def.drop ? Tiles.getByName(def.drop) : null;
+  if (!player.isAI && drop) {
+    addToInventory(player, drop.id);
+    sendInventoryUpdate(ws, player);
   }
 }
 
@@ -113,70 +121,109 @@ module.exports = function handleMessage(data, playerId, players, ws, wss, contex
 // ─────────────────────────────────────────────
 // MOVE Handler
 // ─────────────────────────────────────────────
-// Client sends: { type: 'move', x: number, y: number, jump: boolean }
+// Client sends either:
 //
-// Server-side gravity model:
-//   - Client sends desired X position and optional jump flag
-//   - Server validates horizontal movement delta
-//   - Server applies horizontal collision check
-//   - Jump flag sets velocityY (physics loop handles the rest)
-//   - Y position is IGNORED from client — server controls it
-//   - Position broadcast happens in the physics loop, not here
+//   { type: 'move', x: number, y: number, jump: boolean }
+//     Plain position (old clients, scripts):
+//       - X may move at most PLAYER.MAX_SPEED × time since the
+//         last move, swept against walls at the player's own Y
+//       - Jump flag sets velocityY (physics loop handles the rest)
+//       - Y position is IGNORED from client — server controls it
+//
+//   { type: 'move', inputs: [{ seq, dx, jump }, ...] }
+//     Predicting clients and AI agents (see Shared/Utils/physics.js).
+//     Each input is one physics step: validated dx, then the shared
+//     step. Inputs already applied (seq <= lastInputSeq) are skipped,
+//     since the client resends everything not yet acknowledged. The
+//     physics loop acks with a positionCorrection carrying lastInputSeq.
+//
+//   Violations are scored by Player/antiCheat.js: enough of them
+//   get the client corrected, logged to admin_log, then kicked.
 
 function handleMove(data, player, playerId, ws, context) {
-  const { x, y, jump } = data;
+  // Already being handed off to another zone node — ignore stragglers
+  if (player.handingOff) return;
 
-  if (typeof x !== 'number') {
-    sendError(ws, 'Move requires numeric x');
+  const moved = Array.isArray(data.inputs) && data.inputs.length > 0
+    ? applyInputs(data.inputs, player, ws, context)
+    : applyPosition(data, player, ws, context);
+  if (!moved) return;
+
+  // Zone transfer check. Zones only scope chat and server
+  // ownership now — who sees whom is area-of-interest below.
+  const oldZone = player.zone;
+  const newZone = checkZoneTransfer(playerId, oldZone, player.x, player.y);
+  if (newZone) player.zone = newZone;
+
+  // Zone cluster mode: another node owns this zone, so the
+  // connection migrates there (see Network/zoneCluster.js)
+  if (!ownsZone(player.zone)) {
+    context.handoffPlayer(playerId, player);
     return;
   }
 
-  if (!isFinite(x)) {
-    sendError(ws, 'Move coordinates must be finite');
-    return;
+  if (newZone) {
+    send(ws, {
+      type: MSG.ZONE_CHANGED,
+      zone: newZone,
+    });
+
+    log(`🔀 ${playerId}: ${oldZone} → ${newZone}`);
   }
 
-  // Anti-cheat: check horizontal delta
-  const dx = Math.abs(x - player.x);
-  if (dx > 50) {
-    sendError(ws, 'Movement too large');
-    return;
+  // NOTE: Position broadcast is handled by the physics loop in main.js
+  // We still broadcast X changes immediately for responsiveness
+  context.refreshInterest(playerId);
+  context.broadcastToArea(player.x, player.y, {
+    type: MSG.PLAYER_MOVED,
+    id: playerId,
+    x: player.x,
+    y: player.y,
+  }, playerId);
+}
+
+// Apply an anti-cheat verdict (see Player/antiCheat.js).
+// Returns false if the player was kicked.
+function enforce(verdict, player, ws, context) {
+  if (verdict === 'kick') {
+    sendError(ws, 'Disconnected: too many invalid moves');
+    ws.close();
+    return false;
   }
+  if (verdict === 'correct') context.sendPositionCorrection(ws, player);
+  return true;
+}
 
-  // Horizontal collision check
-  // The server owns Y via the physics loop. For horizontal movement we only
-  // block if the destination column is solid at the player's SURFACE level —
-  // i.e. the lowest air tile above ground at that X. This prevents the
-  // server's Y (which may be below the visual terrain at the destination)
-  // from causing false collision blocks as terrain height changes.
-  const newTileX = Math.floor(x + (x > player.x ? 0.9 : 0));
-
-  // Find the surface Y at the destination X by scanning upward from y=10
-  // until we find two consecutive air tiles (head + body space).
-  let destSurfaceY = Math.floor(player.y);
-  for (let scanY = 10; scanY > -30; scanY--) {
-    const t = getTile(newTileX, scanY);
-    const tAbove = getTile(newTileX, scanY - 1);
-    if (SOLID_TILES.includes(t) && !SOLID_TILES.includes(tAbove)) {
-      destSurfaceY = scanY - 1; // air tile just above ground
-      break;
-    }
+function applyPosition(data, player, ws, context) {
+  const { x, y, jump } = data;
+  if (typeof x !== 'number') {
+    sendError(ws, 'Move requires numeric x');
+    return false;
   }
 
-  const headTile = getTile(newTileX, destSurfaceY);
-  const feetTile = getTile(newTileX, destSurfaceY + 1);
+  if (!isFinite(x)) {
+    sendError(ws, 'Move coordinates must be finite');
+    return false;
+  }
 
-  if (SOLID_TILES.includes(headTile) && SOLID_TILES.includes(feetTile)) {
-    // Destination column is a solid wall — block movement
-  } else {
-    player.x = x;
+  // Anti-cheat: no further than the movement budget allows (shared
+  // with sequenced inputs), then swept through the world at the
+  // player's own Y
+  let verdict = 'ok';
+  let dx = x - player.x;
+  const allowed = allowedMoveDistance(player, Date.now());
+  if (Math.abs(dx) > allowed) {
+    verdict = flag(player, 'SPEED', `moved ${Math.abs(dx).toFixed(2)} of ${allowed.toFixed(2)} tiles`);
+    dx = Math.sign(dx) * allowed;
   }
+  const fromX = player.x;
+  if (sweepPlayer(player, dx)) {
+    verdict = flag(player, 'WALL', `blocked at x=${player.x.toFixed(2)}`);
+  }
+  spendMoveDistance(player, Math.abs(player.x - fromX));
 
   // Handle jump request
-  if (jump && player.onGround) {
-    player.velocityY = -280; // JUMP_VELOCITY — matches frontend
-    player.onGround = false;
-  }
+  if (jump) tryJump(player);
 
   // Also accept Y from client for backward compatibility,
   // but the physics loop will override it next tick.
@@ -189,41 +236,44 @@ function handleMove(data, player, playerId, ws, context) {
     }
   }
 
-  // Zone transfer check
-  const oldZone = player.zone;
-  const newZone = checkZoneTransfer(playerId, oldZone, player.x, player.y);
-
-  if (newZone) {
-    player.zone = newZone;
-
-    context.broadcastToZone(oldZone, {
-      type: MSG.PLAYER_LEFT,
-      id: playerId,
-    });
+  return enforce(verdict, player, ws, context);
+}
 
-    context.broadcastToZone(newZone, {
-      type: MSG.PLAYER_JOINED,
-      id: playerId,
-      x: player.x,
-      y: player.y,
-    }, playerId);
+function applyInputs(inputs, player, ws, context) {
+  const now = Date.now();
+  player.lastInputAt = now;
+
+  // Suspicion only grows within one message, so the
+  // last verdict is the one that counts
+  let verdict = 'ok';
+  let applied = 0;
+  for (const input of inputs) {
+    if (applied >= PLAYER.MAX_INPUT_BATCH) break;
+    if (!input || !Number.isInteger(input.seq) || input.seq <= player.lastInputSeq) continue;
+
+    // More steps than time has passed: leave the rest
+    // unacked, the client resends them
+    if (!takeInputStep(player, now)) {
+      verdict = flag(player, 'INPUT_FLOOD', `seq ${input.seq}`);
+      break;
+    }
 
-    ws.send(JSON.stringify({
-      type: 'zoneChanged',
-      zone: newZone,
-    }));
+    // A rejected dx still consumes the step, so the client's
+    // replay from our correction drops it instead of resending
+    let dx = input.dx === undefined ? 0 : input.dx;
+    if (!isValidStepDx(dx)) {
+      const reason = typeof dx === 'number' && isFinite(dx) ? 'SPEED' : 'BAD_INPUT';
+      verdict = flag(player, reason, `dx ${dx}`);
+      dx = 0;
+    }
+    stepInput(player, { dx, jump: input.jump });
+    player.missedTicks--;
 
-    log(`🔀 ${playerId}: ${oldZone} → ${newZone}`);
+    player.lastInputSeq = input.seq;
+    applied++;
   }
 
-  // NOTE: Position broadcast is handled by the physics loop in main.js
-  // We still broadcast X changes immediately for responsiveness
-  context.broadcastToZone(player.zone, {
-    type: MSG.PLAYER_MOVED,
-    id: playerId,
-    x: player.x,
-    y: player.y,
-  }, playerId);
+  return enforce(verdict, player, ws, context) && applied > 0;
 }
 
 // ─────────────────────────────────────────────
@@ -283,12 +333,12 @@ function handleRequestChunk(data, player, playerId, ws) {
     return;
   }
 
-  const chunk = getModifiedChunk(chunkX, chunkY);
+  const chunk = encodeChunk(getModifiedChunk(chunkX, chunkY), ws.chunkEncoding);
 
-  ws.send(JSON.stringify({
+  send(ws, {
     type: MSG.CHUNK_DATA,
     chunk,
-  }));
+  });
 }
 
 // ─────────────────────────────────────────────
@@ -303,8 +353,8 @@ function handlePlaceBlock(data, player, playerId, ws, context) {
     return;
   }
 
-  if (!Number.isInteger(tile) || tile < 0 || tile > 8) {
-    sendError(ws, 'placeBlock requires valid tile type (0-7)');
+  if (!Tiles.isPlaceable(tile)) {
+    sendError(ws, 'placeBlock requires a placeable tile type');
     return;
   }
 
@@ -325,6 +375,27 @@ function handlePlaceBlock(data, player, playerId, ws, context) {
     }
   }
 
+  // Zone cluster mode: the owning node applies the edit and
+  // replicates the blockUpdate back to us. A refused edit is
+  // refunded; one with no answer isn't, as it may have gone through.
+  if (!ownsZone(getZoneForPosition(x, y))) {
+    const forwarded = forwardBlockEdit({ x, y, tile, placedBy: playerId }, (result) => {
+      if (!result || result.ok) return;
+      if (!player.isAI) {
+        addToInventory(player, tile);
+        sendInventoryUpdate(ws, player);
+      }
+      sendError(ws, 'Failed to place block');
+    });
+    if (!forwarded) {
+      if (!player.isAI) addToInventory(player, tile);
+      sendError(ws, 'That area is unavailable right now');
+      return;
+    }
+    if (!player.isAI) sendInventoryUpdate(ws, player);
+    return;
+  }
+
   const success = placeBlock(x, y, tile);
   if (!success) {
     // Refund the block if placement failed
@@ -333,18 +404,21 @@ function handlePlaceBlock(data, player, playerId, ws, context) {
     return;
   }
 
-  const tileName = BLOCK_NAMES[tile] || 'UNKNOWN';
-  log(`🧱 ${playerId} placed ${tileName} at (${x}, ${y})`);
+  activateAt(x, y);
+
+  log(`🧱 ${playerId} placed ${tileName(tile)} at (${x}, ${y})`);
 
   if (!player.isAI) sendInventoryUpdate(ws, player);
 
-  context.broadcastToZone(player.zone, {
+  const update = {
     type: MSG.BLOCK_UPDATE,
     x,
     y,
     tile,
     placedBy: playerId,
-  });
+  };
+  context.broadcastToArea(x, y, update);
+  replicateBlockUpdate(update);
 }
 
 // ─────────────────────────────────────────────
@@ -374,28 +448,41 @@ function handleRemoveBlock(data, player, playerId, ws, context) {
     return;
   }
 
-  const success = removeBlock(x, y);
-  if (!success) {
-    sendError(ws, 'Failed to remove block');
+  // Zone cluster mode: edits in another node's zone go to that
+  // node, and come back as a replicated blockUpdate. The drop waits
+  // for the owner to confirm it removed the block (and which one),
+  // so nothing is mined twice.
+  if (!ownsZone(getZoneForPosition(x, y))) {
+    const forwarded = forwardBlockEdit({ x, y, tile: WORLD.TILES.AIR, placedBy: playerId }, (result) => {
+      if (!result || !result.ok) {
+        sendError(ws, 'Failed to remove block');
+        return;
+      }
+      log(`⛏️ ${playerId} removed ${tileName(result.replaced)} at (${x}, ${y})`);
+      awardDrop(player, ws, result.replaced);
+    });
+    if (!forwarded) sendError(ws, 'That area is unavailable right now');
     return;
   }
 
-  const tileName = BLOCK_NAMES[currentTile] || 'UNKNOWN';
-  log(`⛏️ ${playerId} removed ${tileName} at (${x}, ${y})`);
-
-  // Award block to player inventory (not AI agents)
-  if (!player.isAI && BLOCK_NAMES[currentTile]) {
-    addToInventory(player, currentTile);
-    sendInventoryUpdate(ws, player);
+  if (!removeBlock(x, y)) {
+    sendError(ws, 'Failed to remove block');
+    return;
   }
 
-  context.broadcastToZone(player.zone, {
+  log(`⛏️ ${playerId} removed ${tileName(currentTile)} at (${x}, ${y})`);
+  awardDrop(player, ws, currentTile);
+  activateAt(x, y);
+
+  const update = {
     type: MSG.BLOCK_UPDATE,
     x,
     y,
     tile: WORLD.TILES.AIR,
     placedBy: playerId,
-  });
+  };
+  context.broadcastToArea(x, y, update);
+  replicateBlockUpdate(update);
 }
 
 // ─────────────────────────────────────────────
@@ -412,13 +499,13 @@ function handleInteract(data, player, playerId, ws, context) {
 
   log(`🤝 ${playerId} interacted: ${action} on ${target}`);
 
-  ws.send(JSON.stringify({
-    type: 'interactResult',
+  send(ws, {
+    type: MSG.INTERACT_RESULT,
     target,
     action,
     result: 'not_implemented',
     message: 'Interactions coming soon!',
-  }));
+  });
 }
 
 // ─────────────────────────────────────────────
@@ -439,8 +526,8 @@ function handleSetProfile(data, player, playerId, ws, context) {
 
   log(`🎨 ${playerId} set profile: name="${player.name}", color="${player.color}"`);
 
-  context.broadcastToZone(player.zone, {
-    type: 'profileUpdate',
+  context.broadcastToArea(player.x, player.y, {
+    type: MSG.PROFILE_UPDATE,
     id: playerId,
     name: player.name,
     color: player.color,
@@ -452,10 +539,8 @@ function handleSetProfile(data, player, playerId, ws, context) {
 // ─────────────────────────────────────────────
 
 function sendError(ws, message) {
-  if (ws.readyState === 1) {
-    ws.send(JSON.stringify({
-      type: MSG.ERROR,
-      message,
-    }));
-  }
+  send(ws, {
+    type: MSG.ERROR,
+    message,
+  });
 }
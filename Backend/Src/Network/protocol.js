@@ -0,0 +1,109 @@
+// Backend/Src/Network/protocol.js
+//
+// AETHARIA — Wire Protocol
+// ================================
+// Every message the server sends or receives goes through here,
+// so handlers keep working with plain JSON-style objects no
+// matter which transport a client picked:
+//
+//   - JSON (default): text frames, JSON.stringify/JSON.parse
+//   - Protobuf (opt-in): binary Envelope frames from
+//     Shared/Proto/world.proto, selected by the client offering
+//     the "aetharia.proto.v1" WebSocket subprotocol
+//
+// The ws library accepts the first subprotocol a client offers,
+// so ws.protocol tells us which transport a connection speaks
+// from the very first frame.
+
+const path = require('path');
+const fs = require('fs');
+const protobuf = require('protobufjs');
+
+// Same dual-layout resolution as Utils/constants.js
+const dockerShared = path.resolve(__dirname, '../../Shared');
+const localShared = path.resolve(__dirname, '../../../Shared');
+const SHARED_DIR = fs.existsSync(dockerShared) ? dockerShared : localShared;
+
+const { SUBPROTOCOL, createProtoCodec } = require(path.join(SHARED_DIR, 'Utils', 'protoCodec'));
+
+const protoRoot = protobuf.loadSync(path.join(SHARED_DIR, 'Proto', 'world.proto'));
+const codec = createProtoCodec(protoRoot);
+
+const OPEN = 1;
+
+/**
+ * Whether a connection negotiated the binary protobuf transport.
+ *
+ * @param {WebSocket} ws
+ * @returns {boolean}
+ */
+function isBinary(ws) {
+  return ws.protocol === SUBPROTOCOL;
+}
+
+/**
+ * Encode a message for a specific connection.
+ *
+ * @param {WebSocket} ws
+ * @param {object} message - { type, ...fields }
+ * @returns {string|Uint8Array}
+ */
+function encodeFor(ws, message) {
+  return isBinary(ws) ? codec.encode(message) : JSON.stringify(message);
+}
+
+/**
+ * Send a message to one connection in whichever format it speaks.
+ * Silently drops the message if the socket isn't open.
+ *
+ * @param {WebSocket} ws
+ * @param {object} message - { type, ...fields }
+ */
+function send(ws, message) {
+  if (!ws || ws.readyState !== OPEN) return;
+  ws.send(encodeFor(ws, message));
+}
+
+/**
+ * Prepare a message for broadcast. Each format is encoded at
+ * most once, however many recipients share it.
+ *
+ * @param {object} message - { type, ...fields }
+ * @returns {object} { for(ws) → string|Uint8Array }
+ */
+function preparePacket(message) {
+  let json = null;
+  let binary = null;
+  return {
+    for(ws) {
+      if (isBinary(ws)) {
+        if (!binary) binary = codec.encode(message);
+        return binary;
+      }
+      if (!json) json = JSON.stringify(message);
+      return json;
+    },
+  };
+}
+
+/**
+ * Parse an incoming frame into a message object.
+ * Throws on malformed input — callers already wrap this in try/catch.
+ *
+ * @param {Buffer} raw - Frame payload from ws 'message' event
+ * @param {boolean} binaryFrame - ws 'message' isBinary flag
+ * @returns {object} { type, ...fields }
+ */
+function parse(raw, binaryFrame) {
+  if (binaryFrame) return codec.decode(raw);
+  return JSON.parse(raw);
+}
+
+module.exports = {
+  SUBPROTOCOL,
+  isBinary,
+  encodeFor,
+  send,
+  preparePacket,
+  parse,
+};
@@ -0,0 +1,283 @@
+// Backend/Src/Network/worldSync.js
+//
+// AETHARIA — World Sync (GameSync)
+// ================================
+// Backend-to-backend streaming channel. Each world backend
+// (origin, caverns, skylands, ...) is otherwise an island; this
+// lets a world subscribe to its peers' player presence and zone
+// summaries, so any node can answer "how many players are online
+// across all worlds" and "who's online where".
+//
+// Implements the GameSync service from Shared/Proto/world.proto
+// over WebSocket instead of gRPC, on the same port as the game:
+//
+//   subscriber                          publisher
+//   ──────────                          ─────────
+//   connect ws://peer:8080/sync  ───►   (aetharia.proto.v1)
+//   syncSubscribe { worldId, token } ►  verify sync token
+//                                 ◄───  worldUpdate (immediately)
+//                                 ◄───  worldUpdate (every SYNC_INTERVAL)
+//
+// Subscriptions are one-way, so a pair of worlds that want to
+// see each other each subscribe to the other. Peers come from
+// SYNC_PEERS ({"worldId":"ws://host:port/sync"}) or, by default,
+// from the world's portal targets.
+//
+// Subscribe tokens are signed with SYNC_SECRET, which only the
+// backends know, and carry their own audience so no other token
+// (portal and handoff tokens go to clients) opens a subscription.
+// Without SYNC_SECRET world sync is off.
+
+const WebSocket = require('ws');
+const jwt = require('jsonwebtoken');
+const { MSG } = require('../Utils/constants');
+const { SUBPROTOCOL, send, parse } = require('./protocol');
+const log = require('../Utils/logger');
+
+const SYNC_PATH = '/sync';
+const SYNC_INTERVAL = parseInt(process.env.AETHARIA_SYNC_INTERVAL, 10) || 2000;
+const RECONNECT_DELAY = 5000;
+const SYNC_AUDIENCE = 'aetharia-world-sync';
+
+// ─────────────────────────────────────────────
+// State
+// ─────────────────────────────────────────────
+
+// This world: { worldId, worldName, secret, getSnapshot }
+let local = null;
+
+// Inbound peer sockets we publish our WorldUpdate to
+const subscribers = new Set();
+
+// Peer world id (as listed in SYNC_PEERS) → latest WorldUpdate
+// received from that peer, plus { connected, receivedAt }
+const remoteWorlds = new Map();
+
+const syncServer = new WebSocket.Server({ noServer: true });
+
+// ─────────────────────────────────────────────
+// Publisher (peers subscribe to us)
+// ─────────────────────────────────────────────
+
+function buildUpdate() {
+  const snapshot = local.getSnapshot();
+  return {
+    type: MSG.WORLD_UPDATE,
+    worldId: local.worldId,
+    worldName: local.worldName,
+    players: snapshot.players,
+    zones: snapshot.zones,
+    timestamp: Date.now(),
+  };
+}
+
+function publish() {
+  if (subscribers.size === 0) return;
+  const update = buildUpdate();
+  for (const ws of subscribers) {
+    send(ws, update);
+  }
+}
+
+syncServer.on('connection', (ws) => {
+  ws.on('message', (raw, isBinary) => {
+    try {
+      const data = parse(raw, isBinary);
+      if (data.type !== MSG.SYNC_SUBSCRIBE) return;
+      if (!local.secret) throw new Error('world sync is off (no SYNC_SECRET)');
+
+      const payload = jwt.verify(data.token, local.secret, { audience: SYNC_AUDIENCE });
+      if (payload.worldId !== data.worldId) throw new Error(`token is for world '${payload.worldId}', not '${data.worldId}'`);
+      subscribers.add(ws);
+      log(`🔗 World '${data.worldId}' subscribed to ${local.worldId} (${subscribers.size} subscriber(s))`);
+      send(ws, buildUpdate());
+    } catch (e) {
+      log(`❌ Sync subscribe rejected: ${e.message}`);
+      ws.close();
+    }
+  });
+
+  ws.on('close', () => {
+    subscribers.delete(ws);
+  });
+
+  ws.on('error', (err) => {
+    log(`⚠️ Sync socket error: ${err.message}`);
+  });
+});
+
+// ─────────────────────────────────────────────
+// Subscriber (we subscribe to peers)
+// ─────────────────────────────────────────────
+
+function subscribeToPeer(peerId, url) {
+  const ws = new WebSocket(url, SUBPROTOCOL);
+
+  ws.on('open', () => {
+    const token = jwt.sign({ worldId: local.worldId }, local.secret, { audience: SYNC_AUDIENCE, expiresIn: '60s' });
+    send(ws, { type: MSG.SYNC_SUBSCRIBE, worldId: local.worldId, token });
+    log(`🔗 Subscribed to world '${peerId}' at ${url}`);
+  });
+
+  ws.on('message', (raw, isBinary) => {
+    try {
+      const data = parse(raw, isBinary);
+      if (data.type !== MSG.WORLD_UPDATE) return;
+      remoteWorlds.set(peerId, { ...data, connected: true, receivedAt: Date.now() });
+    } catch (e) {
+      log(`❌ Bad sync message from ${peerId}: ${e.message}`);
+    }
+  });
+
+  ws.on('close', () => {
+    const remote = remoteWorlds.get(peerId);
+    if (remote) remote.connected = false;
+    setTimeout(() => subscribeToPeer(peerId, url), RECONNECT_DELAY);
+  });
+
+  // 'close' always follows, which schedules the retry. Peers being
+  // down is normal during rolling restarts, so keep this quiet.
+  ws.on('error', (err) => {
+    log.debug(`Sync connection to ${peerId} failed: ${err.message}`);
+  });
+}
+
+/**
+ * Work out which peers to subscribe to: SYNC_PEERS if set,
+ * otherwise the worlds this world's portals lead to.
+ *
+ * @param {object} worldConfig
+ * @returns {object} Map of worldId → sync URL
+ */
+function resolvePeers(worldConfig) {
+  if (process.env.SYNC_PEERS) {
+    try {
+      return JSON.parse(process.env.SYNC_PEERS);
+    } catch (e) {
+      log(`❌ Invalid SYNC_PEERS, world sync disabled: ${e.message}`);
+      return {};
+    }
+  }
+
+  const peers = {};
+  for (const portal of worldConfig.portals || []) {
+    if (portal.targetWorld && portal.targetUrl) {
+      peers[portal.targetWorld] = portal.targetUrl.replace(/\/$/, '') + SYNC_PATH;
+    }
+  }
+  return peers;
+}
+
+// ─────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────
+
+/**
+ * Start publishing this world's presence and subscribe to peers.
+ *
+ * @param {object} worldConfig - Loaded world config
+ * @param {object} options
+ * @param {string} options.secret - SYNC_SECRET, shared by the backends only
+ * @param {Function} options.getSnapshot - () → { players[], zones{} }
+ */
+function startWorldSync(worldConfig, { secret, getSnapshot }) {
+  local = {
+    worldId: worldConfig.id || 'origin',
+    worldName: worldConfig.name || 'Origin',
+    secret,
+    getSnapshot,
+  };
+
+  if (!secret) {
+    log('⚠️ World sync off: set SYNC_SECRET on every world to see peers');
+    return;
+  }
+
+  const peers = resolvePeers(worldConfig);
+  for (const [peerId, url] of Object.entries(peers)) {
+    if (peerId === local.worldId) continue;
+    subscribeToPeer(peerId, url);
+  }
+
+  setInterval(publish, SYNC_INTERVAL);
+  log(`🔗 World sync started (${Object.keys(peers).length} peer(s), ${SYNC_INTERVAL}ms interval)`);
+}
+
+/**
+ * Whether an HTTP upgrade request is for the sync channel.
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {boolean}
+ */
+function isSyncRequest(req) {
+  return new URL(req.url, 'http://localhost').pathname === SYNC_PATH;
+}
+
+/**
+ * Hand an HTTP upgrade over to the sync WebSocket server.
+ */
+function handleSyncUpgrade(req, socket, head) {
+  syncServer.handleUpgrade(req, socket, head, (ws) => {
+    syncServer.emit('connection', ws, req);
+  });
+}
+
+/**
+ * Player counts and zone summaries for this world and every
+ * peer we've heard from.
+ *
+ * @returns {object} Map of worldId → { name, players, zones, connected }
+ */
+function getNetworkSummary() {
+  const summary = {};
+  if (local) {
+    const snapshot = local.getSnapshot();
+    summary[local.worldId] = {
+      name: local.worldName,
+      players: snapshot.players.length,
+      zones: snapshot.zones,
+      connected: true,
+    };
+  }
+  for (const [worldId, remote] of remoteWorlds) {
+    summary[worldId] = {
+      name: remote.worldName,
+      players: remote.players.length,
+      zones: remote.zones,
+      connected: remote.connected,
+    };
+  }
+  return summary;
+}
+
+/**
+ * Everyone online across all known worlds.
+ *
+ * @returns {Array} [{ worldId, worldName, players: [{ id, name, zone }] }]
+ */
+function getOnlinePlayers() {
+  const worlds = [];
+  const listPlayers = (players) => players.map((p) => ({ id: p.id, name: p.name, zone: p.zone }));
+
+  if (local) {
+    worlds.push({
+      worldId: local.worldId,
+      worldName: local.worldName,
+      players: listPlayers(local.getSnapshot().players),
+    });
+  }
+  for (const [worldId, remote] of remoteWorlds) {
+    if (!remote.connected) continue;
+    worlds.push({ worldId, worldName: remote.worldName, players: listPlayers(remote.players) });
+  }
+  return worlds;
+}
+
+module.exports = {
+  SYNC_PATH,
+  startWorldSync,
+  isSyncRequest,
+  handleSyncUpgrade,
+  getNetworkSummary,
+  getOnlinePlayers,
+};
@@ -0,0 +1,453 @@
+// Backend/Src/Network/zoneCluster.js
+//
+// AETHARIA — Zone Cluster
+// ================================
+// Splits one world's zones across several backend processes.
+// Every node loads the same world config and zone layout, but is
+// only authoritative for the zones assigned to it:
+//
+//   ZONE_NODE_ID=a
+//   ZONE_NODES={"a":{"url":"ws://host-a:8080","zones":["zone_central","zone_north"]},
+//               "b":{"url":"ws://host-b:8080","zones":["zone_east","zone_west","zone_south"]}}
+//
+// Zones nobody lists (including grid zones created on demand)
+// belong to whichever node owns the default zone, or else the
+// first node listed.
+//
+// Two things cross node boundaries:
+//
+//   - Players: when checkZoneTransfer moves a player into a zone
+//     another node owns, main.js hands the connection off — the
+//     client gets a zoneHandoff { targetUrl, token } and reconnects
+//     there with portalArrive, keeping its position and inventory.
+//
+//   - Block edits: an edit to a tile in a remote zone is forwarded
+//     to the owner (zoneBlockEdit), which applies and persists it,
+//     then replicates the resulting blockUpdate to every node. The
+//     owner answers the forwarding node with zoneBlockEditResult,
+//     and only then does the player get what they mined.
+//
+// Nodes link up over ws://<node>/zones, one outbound link per peer.
+// Each link opens with a zoneHello token signed with CLUSTER_SECRET,
+// which only the nodes know (never PORTAL_SECRET — clients see tokens
+// signed with that). Handoff tokens are signed with PORTAL_SECRET,
+// since clients carry them, but only admit a player into this world,
+// from a node of the cluster, into a zone the receiving node owns.
+// Without ZONE_NODES the cluster is off and this node owns every zone.
+
+const WebSocket = require('ws');
+const jwt = require('jsonwebtoken');
+const { WORLD, MSG } = require('../Utils/constants');
+const { SUBPROTOCOL, send, parse } = require('./protocol');
+const { getZoneForPosition, getRootZone, isKnownZone, getDefaultZone, getZoneIds } = require('../World/zoneManager');
+const { getTile, placeBlock, applyRemoteBlock } = require('../World/worldState');
+const { activateAt } = require('../World/tileSim');
+const log = require('../Utils/logger');
+
+// Audience of node link tokens, so no other token signed with the
+// same secret opens a link
+const LINK_AUDIENCE = 'aetharia-zone-link';
+
+// Audience of handoff tokens, so a portal token can't pass for one
+const HANDOFF_AUDIENCE = 'aetharia-zone-handoff';
+
+const CLUSTER_PATH = '/zones';
+const RECONNECT_DELAY = 2000;
+
+// How long a forwarded edit waits for the owner's answer
+const EDIT_RESULT_TIMEOUT = 5000;
+
+// ─────────────────────────────────────────────
+// State
+// ─────────────────────────────────────────────
+
+// { nodeId, nodes, owners, fallback, worldId, secret, broadcastToArea } once started
+let cluster = null;
+
+// nodeId → outbound WebSocket we send edits/replication over
+const peerLinks = new Map();
+
+// editId → { ws, onResult, timer } for edits forwarded to their
+// owner and not answered yet
+const pendingEdits = new Map();
+let nextEditId = 1;
+
+const clusterServer = new WebSocket.Server({ noServer: true });
+
+// ─────────────────────────────────────────────
+// Configuration
+// ─────────────────────────────────────────────
+
+/**
+ * Parse ZONE_NODE_ID / ZONE_NODES into a zone → node ownership map.
+ * Exits on a broken config: two nodes both believing they own a
+ * zone is worse than not starting.
+ *
+ * Needs the world's zone layout applied (configureZones) first.
+ *
+ * @returns {object|null} { nodeId, nodes, owners, fallback } or null when off
+ */
+function loadClusterConfig() {
+  const nodeId = process.env.ZONE_NODE_ID;
+  const raw = process.env.ZONE_NODES;
+  if (!nodeId || !raw) return null;
+
+  let nodes;
+  try {
+    nodes = JSON.parse(raw);
+  } catch (e) {
+    log(`❌ Invalid ZONE_NODES: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (!nodes[nodeId]) {
+    log(`❌ ZONE_NODE_ID '${nodeId}' is not listed in ZONE_NODES`);
+    process.exit(1);
+  }
+
+  const owners = {};
+  for (const [id, node] of Object.entries(nodes)) {
+    for (const zoneId of node.zones || []) {
+      if (!isKnownZone(zoneId)) {
+        log(`⚠️ ZONE_NODES: node '${id}' lists unknown zone '${zoneId}'`);
+      }
+      if (owners[zoneId]) {
+        log(`❌ ZONE_NODES: zone '${zoneId}' assigned to both '${owners[zoneId]}' and '${id}'`);
+        process.exit(1);
+      }
+      owners[zoneId] = id;
+    }
+  }
+
+  const fallback = owners[getDefaultZone()] || Object.keys(nodes)[0];
+
+  return { nodeId, nodes, owners, fallback };
+}
+
+// ─────────────────────────────────────────────
+// Inbound (peers send to us)
+// ─────────────────────────────────────────────
+
+/**
+ * We own the zone: apply, persist, tell the forwarding node how it
+ * went, show it to local players watching that chunk and replicate
+ * to every node (including the one that forwarded it).
+ */
+function handleForwardedEdit(data, ws) {
+  const { x, y, tile, placedBy, editId } = data;
+  const zoneId = getZoneForPosition(x, y);
+  const replaced = getTile(x, y);
+  const answer = (ok) => send(ws, { type: MSG.ZONE_BLOCK_EDIT_RESULT, editId, ok, replaced });
+
+  if (!ownsZone(zoneId)) {
+    log(`⚠️ Forwarded edit at (${x}, ${y}) for zone ${zoneId} we don't own`);
+    answer(false);
+    return;
+  }
+  // Someone else mined it first: there's nothing left to drop
+  if ((tile === WORLD.TILES.AIR && replaced === WORLD.TILES.AIR) || !placeBlock(x, y, tile)) {
+    answer(false);
+    return;
+  }
+  answer(true);
+  activateAt(x, y);
+
+  const update = { type: MSG.BLOCK_UPDATE, x, y, tile, placedBy };
+  cluster.broadcastToArea(x, y, update);
+  replicateBlockUpdate(update);
+}
+
+/**
+ * Another node applied an edit (or a batch of simulated ones) in
+ * one of its zones: mirror it in memory and show it to any of our
+ * players looking across the border at that chunk.
+ */
+function handleReplicatedUpdate(data) {
+  const changes = data.changes && data.changes.length > 0 ? data.changes : [data];
+  let changed = false;
+  for (const change of changes) {
+    if (applyRemoteBlock(change.x, change.y, change.tile)) changed = true;
+  }
+  if (changed) cluster.broadcastToArea(data.x, data.y, data);
+}
+
+/**
+ * Check a zoneHello: the token must be a node link token for the
+ * node it claims to come from, and that node one of our peers.
+ *
+ * @returns {string} the peer's node id
+ * @throws if the hello doesn't check out
+ */
+function verifyHello(data) {
+  const payload = jwt.verify(data.token, cluster.secret, { audience: LINK_AUDIENCE });
+  if (payload.nodeId !== data.nodeId) throw new Error(`token is for node '${payload.nodeId}', not '${data.nodeId}'`);
+  if (!cluster.nodes[data.nodeId] || data.nodeId === cluster.nodeId) throw new Error(`unknown node '${data.nodeId}'`);
+  return data.nodeId;
+}
+
+clusterServer.on('connection', (ws) => {
+  let peerId = null;
+
+  ws.on('message', (raw, isBinary) => {
+    try {
+      const data = parse(raw, isBinary);
+
+      if (data.type === MSG.ZONE_HELLO) {
+        peerId = verifyHello(data);
+        log(`🧩 Zone node '${peerId}' linked to '${cluster.nodeId}'`);
+        return;
+      }
+
+      if (!peerId) {
+        ws.close();
+        return;
+      }
+
+      if (data.type === MSG.ZONE_BLOCK_EDIT) handleForwardedEdit(data, ws);
+      else if (data.type === MSG.BLOCK_UPDATE) handleReplicatedUpdate(data);
+    } catch (e) {
+      log(`❌ Zone link message rejected: ${e.message}`);
+      ws.close();
+    }
+  });
+
+  ws.on('error', (err) => {
+    log(`⚠️ Zone link error: ${err.message}`);
+  });
+});
+
+// ─────────────────────────────────────────────
+// Outbound (we send to peers)
+// ─────────────────────────────────────────────
+
+function linkToPeer(peerId, url) {
+  const ws = new WebSocket(url.replace(/\/$/, '') + CLUSTER_PATH, SUBPROTOCOL);
+
+  ws.on('open', () => {
+    const token = jwt.sign({ nodeId: cluster.nodeId }, cluster.secret, { audience: LINK_AUDIENCE, expiresIn: '60s' });
+    send(ws, { type: MSG.ZONE_HELLO, nodeId: cluster.nodeId, token });
+    peerLinks.set(peerId, ws);
+    log(`🧩 Linked to zone node '${peerId}' at ${url}`);
+  });
+
+  ws.on('message', (raw, isBinary) => {
+    try {
+      const data = parse(raw, isBinary);
+      if (data.type === MSG.ZONE_BLOCK_EDIT_RESULT) settleEdit(data.editId, { ok: !!data.ok, replaced: data.replaced || 0 });
+    } catch (e) {
+      log(`❌ Bad zone link message from ${peerId}: ${e.message}`);
+    }
+  });
+
+  ws.on('close', () => {
+    if (peerLinks.get(peerId) === ws) peerLinks.delete(peerId);
+    for (const [editId, pending] of pendingEdits) {
+      if (pending.ws === ws) settleEdit(editId, null);
+    }
+    setTimeout(() => linkToPeer(peerId, url), RECONNECT_DELAY);
+  });
+
+  // 'close' follows and schedules the retry
+  ws.on('error', (err) => {
+    log.debug(`Zone link to ${peerId} failed: ${err.message}`);
+  });
+}
+
+// Hand a forwarded edit's answer (or null for none) to whoever
+// forwarded it
+function settleEdit(editId, result) {
+  const pending = pendingEdits.get(editId);
+  if (!pending) return;
+  pendingEdits.delete(editId);
+  clearTimeout(pending.timer);
+  pending.onResult(result);
+}
+
+// ─────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────
+
+/**
+ * Start zone cluster mode if ZONE_NODES is configured.
+ *
+ * @param {object} options
+ * @param {string} options.worldId - World these nodes split between them
+ * @param {string} options.secret - CLUSTER_SECRET, shared by the nodes only
+ * @param {Function} options.broadcastToArea - (tileX, tileY, message) from main.js
+ * @returns {boolean} true if cluster mode is on
+ */
+function startZoneCluster({ worldId, secret, broadcastToArea }) {
+  const config = loadClusterConfig();
+  if (!config) return false;
+  if (!secret) {
+    log('❌ ZONE_NODES needs CLUSTER_SECRET to authenticate node links');
+    process.exit(1);
+  }
+
+  cluster = { ...config, worldId, secret, broadcastToArea };
+
+  for (const [peerId, node] of Object.entries(cluster.nodes)) {
+    if (peerId === cluster.nodeId) continue;
+    linkToPeer(peerId, node.url);
+  }
+
+  const unlisted = cluster.fallback === cluster.nodeId ? ' + unlisted zones' : '';
+  log(`🧩 Zone cluster: node '${cluster.nodeId}' owns ${getOwnedZones().join(', ') || 'no listed zones'}${unlisted}`);
+  return true;
+}
+
+/**
+ * Whether this node is authoritative for a zone. Sub-zones from
+ * a load split belong to the owner of the zone they came from.
+ * Always true when cluster mode is off.
+ *
+ * @param {string} zoneId
+ * @returns {boolean}
+ */
+function ownsZone(zoneId) {
+  if (!cluster) return true;
+  return (cluster.owners[getRootZone(zoneId)] || cluster.fallback) === cluster.nodeId;
+}
+
+/**
+ * Zones explicitly assigned to this node in ZONE_NODES.
+ *
+ * @returns {string[]}
+ */
+function getOwnedZones() {
+  if (!cluster) return getZoneIds();
+  return Object.keys(cluster.owners).filter((zoneId) => cluster.owners[zoneId] === cluster.nodeId);
+}
+
+/**
+ * The node that owns a zone, with the URL clients should connect to.
+ *
+ * @param {string} zoneId
+ * @returns {object|null} { id, clientUrl } or null when cluster mode is off
+ */
+function getZoneOwner(zoneId) {
+  if (!cluster) return null;
+  const id = cluster.owners[getRootZone(zoneId)] || cluster.fallback;
+  const node = cluster.nodes[id];
+  return { id, clientUrl: node.clientUrl || node.url };
+}
+
+/**
+ * Sign the token a player reconnects to the owner of their new
+ * zone with (portalArrive).
+ *
+ * @param {object} state - Player state: username, name, x, y, inventory, …
+ * @param {string} secret - PORTAL_SECRET
+ * @returns {string} Token valid for 60 seconds
+ */
+function signHandoff(state, secret) {
+  return jwt.sign({ ...state, handoff: true, fromNode: cluster.nodeId, worldId: cluster.worldId },
+    secret, { audience: HANDOFF_AUDIENCE, expiresIn: '60s' });
+}
+
+/**
+ * Check a handoff token from portalArrive: signed as a handoff, by
+ * another node of this world's cluster, for a position in a zone
+ * we own. Throws with the reason otherwise.
+ *
+ * @param {string} token
+ * @param {string} secret - PORTAL_SECRET
+ * @returns {object} The player state it carries
+ */
+function verifyHandoff(token, secret) {
+  if (!cluster) throw new Error('not part of a zone cluster');
+  const payload = jwt.verify(token, secret, { audience: HANDOFF_AUDIENCE });
+  if (payload.worldId !== cluster.worldId) throw new Error(`handoff from world '${payload.worldId}'`);
+  if (!cluster.nodes[payload.fromNode] || payload.fromNode === cluster.nodeId) {
+    throw new Error(`unknown node '${payload.fromNode}'`);
+  }
+  if (!Number.isFinite(payload.x) || !Number.isFinite(payload.y) || !ownsZone(getZoneForPosition(payload.x, payload.y))) {
+    throw new Error(`(${payload.x}, ${payload.y}) isn't in a zone node '${cluster.nodeId}' owns`);
+  }
+  return payload;
+}
+
+/**
+ * Forward a block edit to the node that owns its zone. onResult
+ * gets the owner's answer, { ok, replaced } (the tile the edit
+ * replaced), or null if none came — the link dropped or the owner
+ * took longer than EDIT_RESULT_TIMEOUT, so the edit may or may not
+ * have been applied.
+ *
+ * @param {object} edit - { x, y, tile, placedBy }
+ * @param {Function} [onResult] - (result) once the owner answers
+ * @returns {boolean} false if the owner is unreachable
+ */
+function forwardBlockEdit(edit, onResult = () => {}) {
+  const owner = getZoneOwner(getZoneForPosition(edit.x, edit.y));
+  const ws = owner && peerLinks.get(owner.id);
+  if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+
+  const editId = nextEditId++;
+  const timer = setTimeout(() => settleEdit(editId, null), EDIT_RESULT_TIMEOUT);
+  pendingEdits.set(editId, { ws, onResult, timer });
+  send(ws, { type: MSG.ZONE_BLOCK_EDIT, ...edit, editId });
+  return true;
+}
+
+/**
+ * Send an authoritative blockUpdate to every other node.
+ * No-op when cluster mode is off.
+ *
+ * @param {object} update - blockUpdate message
+ */
+function replicateBlockUpdate(update) {
+  for (const ws of peerLinks.values()) {
+    send(ws, update);
+  }
+}
+
+/**
+ * Cluster status for /stats.
+ *
+ * @returns {object|null}
+ */
+function getClusterSummary() {
+  if (!cluster) return null;
+  return {
+    node: cluster.nodeId,
+    zones: getOwnedZones(),
+    ownsUnlisted: cluster.fallback === cluster.nodeId,
+    peers: Object.keys(cluster.nodes)
+      .filter((id) => id !== cluster.nodeId)
+      .map((id) => ({ id, linked: peerLinks.has(id) })),
+  };
+}
+
+/**
+ * Whether an HTTP upgrade request is for a zone node link.
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {boolean}
+ */
+function isClusterRequest(req) {
+  return new URL(req.url, 'http://localhost').pathname === CLUSTER_PATH;
+}
+
+/**
+ * Hand an HTTP upgrade over to the zone link WebSocket server.
+ */
+function handleClusterUpgrade(req, socket, head) {
+  clusterServer.handleUpgrade(req, socket, head, (ws) => {
+    clusterServer.emit('connection', ws, req);
+  });
+}
+
+module.exports = {
+  startZoneCluster,
+  ownsZone,
+  getOwnedZones,
+  getZoneOwner,
+  signHandoff,
+  verifyHandoff,
+  forwardBlockEdit,
+  replicateBlockUpdate,
+  getClusterSummary,
+  isClusterRequest,
+  handleClusterUpgrade,
+};
@@ -0,0 +1,146 @@
+// Backend/Src/Player/antiCheat.js
+//
+// AETHARIA — Movement Anti-Cheat
+// ================================
+// Checks client movement against the clock and keeps a suspicion
+// score per player (thresholds in ANTI_CHEAT, constants.js):
+//
+//   - Movement is paid for from one budget per player, counted in
+//     physics steps and refilled in real time (up to a burst
+//     allowance for lag), whichever way the client moves:
+//   - Sequenced inputs are one physics step each. Extra inputs wait
+//     — they stay unacked and the client resends them — and count
+//     as an input flood.
+//   - Each input's dx is capped at PLAYER.MAX_SPEED for one step.
+//   - Plain position moves ({ x }) pay for the distance they cover,
+//     a step per MAX_STEP_DX tiles. They may overdraw the budget by
+//     MOVE_TOLERANCE, which later time pays back.
+//
+// Violations are corrected either way; the score decides whether
+// the client is snapped back, logged for an admin, or kicked.
+
+const { PLAYER, ANTI_CHEAT } = require('../Utils/constants');
+const { TICK_RATE } = require('../Utils/physics');
+const db = require('../Database/db');
+const log = require('../Utils/logger');
+
+// Furthest a single input step may move
+const MAX_STEP_DX = PLAYER.MAX_SPEED * TICK_RATE / 1000;
+
+let worldId = 'origin';
+
+/**
+ * @param {object} worldConfig - Loaded world config (uses .id for admin_log)
+ */
+function configureAntiCheat(worldConfig) {
+  worldId = worldConfig.id || 'origin';
+}
+
+// Refill the player's movement budget for the time since it was
+// last used. A fresh client starts with a full burst.
+function refillMoveBudget(player, now) {
+  if (player.moveBudgetAt === 0) {
+    player.moveBudget = ANTI_CHEAT.INPUT_BURST;
+  } else {
+    player.moveBudget = Math.min(
+      ANTI_CHEAT.INPUT_BURST,
+      player.moveBudget + Math.max(now - player.moveBudgetAt, 0) / TICK_RATE
+    );
+  }
+  player.moveBudgetAt = now;
+}
+
+/**
+ * Take one step from the player's movement budget.
+ *
+ * @param {object} player
+ * @param {number} now
+ * @returns {boolean} false if the client is ahead of the clock
+ */
+function takeInputStep(player, now) {
+  refillMoveBudget(player, now);
+  if (player.moveBudget < 1) return false;
+  player.moveBudget--;
+  return true;
+}
+
+/**
+ * @param {number} dx - Requested horizontal step
+ * @returns {boolean} true if dx is a number one step can cover
+ */
+function isValidStepDx(dx) {
+  return typeof dx === 'number' && isFinite(dx) && Math.abs(dx) <= MAX_STEP_DX;
+}
+
+/**
+ * How far a plain position move may go right now: what's left of
+ * the movement budget, plus however much of MOVE_TOLERANCE hasn't
+ * already been overdrawn.
+ *
+ * @param {object} player
+ * @param {number} now
+ * @returns {number} Maximum |dx| in tiles
+ */
+function allowedMoveDistance(player, now) {
+  refillMoveBudget(player, now);
+  return Math.max(0, player.moveBudget * MAX_STEP_DX + ANTI_CHEAT.MOVE_TOLERANCE);
+}
+
+/**
+ * Pay for a plain position move from the movement budget.
+ *
+ * @param {object} player
+ * @param {number} distance - |dx| actually moved, in tiles
+ */
+function spendMoveDistance(player, distance) {
+  player.moveBudget -= distance / MAX_STEP_DX;
+}
+
+/**
+ * Record a violation and decide what to do about it.
+ *
+ * @param {object} player
+ * @param {string} reason - Key of ANTI_CHEAT.POINTS
+ * @param {string} [detail] - Free text for the admin log
+ * @returns {string} 'ok' | 'correct' | 'kick'
+ */
+function flag(player, reason, detail = '') {
+  const now = Date.now();
+  const decay = (now - (player.suspicionAt || now)) / 1000 * ANTI_CHEAT.DECAY_PER_SECOND;
+  player.suspicion = Math.max(0, (player.suspicion || 0) - decay) + ANTI_CHEAT.POINTS[reason];
+  player.suspicionAt = now;
+
+  // One admin_log entry per episode: re-armed once the score
+  // has decayed back under half the threshold
+  if (player.suspicion < ANTI_CHEAT.LOG_AT / 2) player.suspicionLogged = false;
+  if (player.suspicion >= ANTI_CHEAT.LOG_AT && !player.suspicionLogged) {
+    player.suspicionLogged = true;
+    logSuspicion(player, reason, detail);
+  }
+
+  if (player.suspicion >= ANTI_CHEAT.KICK_AT) {
+    logSuspicion(player, 'kick', detail);
+    return 'kick';
+  }
+  return player.suspicion >= ANTI_CHEAT.CORRECT_AT ? 'correct' : 'ok';
+}
+
+function logSuspicion(player, event, detail) {
+  const who = player.username || player.name;
+  const score = player.suspicion.toFixed(1);
+  log(`🚨 Anti-cheat: ${who} ${event} (suspicion ${score}) ${detail}`);
+  try {
+    db.logAdminEvent(worldId, who, event, `${detail} [suspicion ${score}]`.trim());
+  } catch (e) {
+    log(`❌ admin_log write failed: ${e.message}`);
+  }
+}
+
+module.exports = {
+  configureAntiCheat,
+  takeInputStep,
+  isValidStepDx,
+  allowedMoveDistance,
+  spendMoveDistance,
+  flag,
+};
@@ -0,0 +1,58 @@
+// Backend/Src/Player/health.js
+//
+// AETHARIA — Player Health
+// ================================
+// Server-only, like breath. The physics binding notes how fast a
+// player hit the ground (player.landingSpeed); once per physics
+// tick stepHealth turns that into fall damage, or regenerates a
+// little health if nothing hurt. Thresholds in PLAYER
+// (constants.js). At zero health the caller respawns the player.
+
+const { PLAYER } = require('../Utils/constants');
+const { TICK_RATE } = require('../Utils/physics');
+
+/**
+ * @param {number} speed - Landing speed (tiles/s)
+ * @returns {number} Health lost
+ */
+function fallDamage(speed) {
+  if (speed <= PLAYER.SAFE_FALL_SPEED) return 0;
+  return Math.round((speed - PLAYER.SAFE_FALL_SPEED) * PLAYER.FALL_DAMAGE);
+}
+
+/**
+ * Apply the landing since the last tick, or regenerate.
+ *
+ * @param {object} player - Mutated: health, landingSpeed
+ * @returns {string|null} Cause of death ('fell') if health ran out
+ */
+function stepHealth(player) {
+  const damage = fallDamage(player.landingSpeed);
+  player.landingSpeed = 0;
+
+  if (damage > 0) {
+    player.health = Math.max(0, player.health - damage);
+    return player.health === 0 ? 'fell' : null;
+  }
+
+  player.health = Math.min(PLAYER.MAX_HEALTH, player.health + PLAYER.HEALTH_REGEN * TICK_RATE / 1000);
+  return null;
+}
+
+/**
+ * Health a player starts a session with: what was saved, if it's
+ * a usable value, otherwise full.
+ *
+ * @param {number} [saved]
+ * @returns {number}
+ */
+function initialHealth(saved) {
+  if (typeof saved !== 'number' || !isFinite(saved) || saved <= 0) return PLAYER.MAX_HEALTH;
+  return Math.min(saved, PLAYER.MAX_HEALTH);
+}
+
+module.exports = {
+  fallDamage,
+  stepHealth,
+  initialHealth,
+};
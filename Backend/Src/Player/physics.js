@@ -0,0 +1,187 @@
+// Backend/Src/Player/physics.js
+//
+// AETHARIA — Player Physics (server binding)
+// ================================
+// Binds the shared step function (Shared/Utils/physics.js) to the
+// authoritative world tiles and this world's gravity. The physics
+// loop runs one step per tick for idle players, and every
+// sequenced client input (see handleMove) advances the player by
+// exactly one step — the same step the frontend predicts with.
+// Clients sending inputs still live on server time: ticks they
+// don't send inputs for are stepped without them (stepServerTick).
+// Breath is server-only: it isn't predicted, just reported.
+// Landings are noted here (player.landingSpeed) for fall damage,
+// which Player/health.js applies once per physics tick.
+
+const Physics = require('../Utils/physics');
+const { getTile } = require('../World/worldState');
+const { PLAYER, SERVER, MSG } = require('../Utils/constants');
+
+const isSolid = Physics.solidity(getTile);
+const isWater = Physics.wetness(getTile);
+
+// Per-world override from worldConfig.gravity
+let gravity = Physics.GRAVITY;
+
+// Ticks of server time a predicting client may be behind on
+// inputs (lag, batching) before the physics loop steps it anyway
+const INPUT_LAG_TICKS = Math.round(SERVER.INPUT_IDLE_TIMEOUT / Physics.TICK_RATE);
+
+/**
+ * Apply a world's physics settings.
+ *
+ * @param {object} worldConfig - Loaded world config (uses .gravity)
+ */
+function configurePhysics(worldConfig) {
+  gravity = worldConfig.gravity || Physics.GRAVITY;
+}
+
+/**
+ * @returns {number} Gravity in effect for this world (tiles/s²)
+ */
+function getGravity() {
+  return gravity;
+}
+
+// One shared step, remembering how hard the player hit the ground
+// if it landed. step() zeroes velocityY on landing, so the impact
+// speed is this step's velocity after gravity. Water breaks falls.
+function advance(player, input) {
+  const airborne = !player.onGround;
+  const swimming = Physics.inWater(player, isWater);
+  const impact = Math.min(player.velocityY + gravity * Physics.TICK_RATE / 1000, Physics.MAX_FALL_SPEED);
+
+  Physics.step(player, input, isSolid, gravity, isWater);
+
+  if (airborne && player.onGround && !swimming) {
+    player.landingSpeed = Math.max(player.landingSpeed || 0, impact);
+  }
+}
+
+/**
+ * Advance a player one step with no horizontal input — gravity,
+ * landing, bonks, unsticking. Mutates y, velocityY, onGround
+ * (and landingSpeed on a landing).
+ *
+ * @param {object} player
+ */
+function stepVertical(player) {
+  advance(player, {});
+}
+
+/**
+ * Advance a player one step for a client input. The caller has
+ * already validated input.dx (see Player/antiCheat.js).
+ *
+ * @param {object} player
+ * @param {object} input - { dx, jump }
+ */
+function stepInput(player, input) {
+  advance(player, { dx: input.dx, jump: input.jump });
+}
+
+/**
+ * One physics loop tick for a player. Idle players (no sequenced
+ * input for INPUT_IDLE_TIMEOUT) are stepped every tick. Clients
+ * sending inputs owe one per tick of server time; they're stepped
+ * here, with no input, only for ticks they've fallen more than
+ * INPUT_LAG_TICKS behind on — so sending inputs slowly doesn't
+ * slow their fall, and a client keeping up is stepped by its
+ * inputs alone.
+ *
+ * @param {object} player - Mutated: missedTicks, and the body if stepped
+ * @param {number} now
+ * @returns {boolean} true if the player was stepped
+ */
+function stepServerTick(player, now) {
+  if (now - player.lastInputAt >= SERVER.INPUT_IDLE_TIMEOUT) {
+    player.missedTicks = 0;
+  } else if (++player.missedTicks <= INPUT_LAG_TICKS) {
+    return false;
+  } else {
+    player.missedTicks--;
+  }
+  stepVertical(player);
+  return true;
+}
+
+/**
+ * The positionCorrection a predicting client reconciles against:
+ * the player's state after the latest input applied (ack).
+ *
+ * @param {object} player
+ * @returns {object} positionCorrection message
+ */
+function positionCorrection(player) {
+  return {
+    type: MSG.POSITION_CORRECTION,
+    x: player.x,
+    y: player.y,
+    velocityY: player.velocityY,
+    onGround: player.onGround,
+    ack: player.lastInputSeq,
+  };
+}
+
+/**
+ * Drain or refill a player's breath for one tick.
+ *
+ * @param {object} player - Mutated: breath
+ * @returns {boolean} true if the player ran out of air this tick
+ */
+function stepBreath(player) {
+  const seconds = Physics.TICK_RATE / 1000;
+  if (Physics.isSubmerged(player, isWater)) {
+    player.breath = Math.max(0, player.breath - seconds);
+    return player.breath === 0;
+  }
+  player.breath = Math.min(PLAYER.MAX_BREATH, player.breath + seconds * PLAYER.BREATH_RECOVERY);
+  return false;
+}
+
+/**
+ * Move a player horizontally through the world, stopping at the
+ * first wall in the way (plain position moves).
+ *
+ * @param {object} player
+ * @param {number} dx
+ * @returns {boolean} true if a wall stopped it short
+ */
+function sweepPlayer(player, dx) {
+  const targetX = player.x + dx;
+  player.x = Physics.sweepX(player, dx, isSolid);
+  return player.x !== targetX;
+}
+
+/**
+ * Start a jump if the player is standing on something, or swim
+ * up if in water (plain position moves; the physics loop does
+ * the rest).
+ *
+ * @param {object} player
+ */
+function tryJump(player) {
+  if (Physics.inWater(player, isWater)) {
+    player.velocityY = Physics.SWIM_VELOCITY;
+    player.onGround = false;
+  } else if (player.onGround) {
+    player.velocityY = Physics.JUMP_VELOCITY;
+    player.onGround = false;
+  }
+}
+
+module.exports = {
+  TICK_RATE: Physics.TICK_RATE,
+  JUMP_VELOCITY: Physics.JUMP_VELOCITY,
+  isSolid,
+  isWater,
+  configurePhysics,
+  getGravity,
+  stepVertical,
+  stepInput,
+  stepServerTick,
+  positionCorrection,
+  stepBreath,
+  sweepPlayer,
+  tryJump,
+};
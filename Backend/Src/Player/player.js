@@ -1,5 +1,6 @@
 // Backend/Src/Player/player.js
 const { PLAYER } = require('../Utils/constants');
+const { initialHealth } = require('./health');
 
 function createPlayer(id, options = {}) {
   return {
@@ -16,6 +17,23 @@ function createPlayer(id, options = {}) {
     // Physics
     velocityY: 0,
     onGround: false,
+    landingSpeed: 0, // fall damage pending (Player/health.js)
+    // Status
+    health: initialHealth(options.health),
+    breath: PLAYER.MAX_BREATH,
+    sentHealth: null, // last values sent in playerStatus
+    sentBreath: PLAYER.MAX_BREATH,
+    // Client prediction: last sequenced input applied / acknowledged
+    lastInputSeq: 0,
+    lastAckedSeq: 0,
+    lastInputAt: 0,
+    missedTicks: 0, // physics ticks not yet covered by an input
+    // Anti-cheat (Player/antiCheat.js)
+    moveBudget: 0,
+    moveBudgetAt: 0,
+    suspicion: 0,
+    suspicionAt: 0,
+    suspicionLogged: false,
     // Timestamps
     connectedAt: Date.now(),
     lastMessageAt: Date.now(),
@@ -0,0 +1,18 @@
+// Backend/Src/Utils/chunkCodec.js
+//
+// Re-exports the shared chunk wire codec from the Shared/ directory.
+// Same dual-layout resolution as constants.js:
+//   Local dev:  Backend/Src/Utils/ → ../../../Shared/Utils/chunkCodec
+//   Docker:     /app/Src/Utils/    → /app/Shared/Utils/chunkCodec
+
+const path = require('path');
+const fs = require('fs');
+
+const dockerPath = path.resolve(__dirname, '../../Shared/Utils/chunkCodec');
+const localPath = path.resolve(__dirname, '../../../Shared/Utils/chunkCodec');
+
+if (fs.existsSync(dockerPath + '.js')) {
+  module.exports = require(dockerPath);
+} else {
+  module.exports = require(localPath);
+}
@@ -0,0 +1,18 @@
+// Backend/Src/Utils/dayCycle.js
+//
+// Re-exports the shared day/night cycle helpers from the Shared/ directory.
+// Same dual-layout resolution as constants.js:
+//   Local dev:  Backend/Src/Utils/ → ../../../Shared/Utils/dayCycle
+//   Docker:     /app/Src/Utils/    → /app/Shared/Utils/dayCycle
+
+const path = require('path');
+const fs = require('fs');
+
+const dockerPath = path.resolve(__dirname, '../../Shared/Utils/dayCycle');
+const localPath = path.resolve(__dirname, '../../../Shared/Utils/dayCycle');
+
+if (fs.existsSync(dockerPath + '.js')) {
+  module.exports = require(dockerPath);
+} else {
+  module.exports = require(localPath);
+}
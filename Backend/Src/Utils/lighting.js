@@ -0,0 +1,18 @@
+// Backend/Src/Utils/lighting.js
+//
+// Re-exports the shared tile lighting from the Shared/ directory.
+// Same dual-layout resolution as constants.js:
+//   Local dev:  Backend/Src/Utils/ → ../../../Shared/Utils/lighting
+//   Docker:     /app/Src/Utils/    → /app/Shared/Utils/lighting
+
+const path = require('path');
+const fs = require('fs');
+
+const dockerPath = path.resolve(__dirname, '../../Shared/Utils/lighting');
+const localPath = path.resolve(__dirname, '../../../Shared/Utils/lighting');
+
+if (fs.existsSync(dockerPath + '.js')) {
+  module.exports = require(dockerPath);
+} else {
+  module.exports = require(localPath);
+}
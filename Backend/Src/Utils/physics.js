@@ -0,0 +1,18 @@
+// Backend/Src/Utils/physics.js
+//
+// Re-exports the shared player physics from the Shared/ directory.
+// Same dual-layout resolution as constants.js:
+//   Local dev:  Backend/Src/Utils/ → ../../../Shared/Utils/physics
+//   Docker:     /app/Src/Utils/    → /app/Shared/Utils/physics
+
+const path = require('path');
+const fs = require('fs');
+
+const dockerPath = path.resolve(__dirname, '../../Shared/Utils/physics');
+const localPath = path.resolve(__dirname, '../../../Shared/Utils/physics');
+
+if (fs.existsSync(dockerPath + '.js')) {
+  module.exports = require(dockerPath);
+} else {
+  module.exports = require(localPath);
+}
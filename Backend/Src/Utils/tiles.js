@@ -0,0 +1,18 @@
+// Backend/Src/Utils/tiles.js
+//
+// Re-exports the shared tile registry from the Shared/ directory.
+// Same dual-layout resolution as constants.js:
+//   Local dev:  Backend/Src/Utils/ → ../../../Shared/Utils/tiles
+//   Docker:     /app/Src/Utils/    → /app/Shared/Utils/tiles
+
+const path = require('path');
+const fs = require('fs');
+
+const dockerPath = path.resolve(__dirname, '../../Shared/Utils/tiles');
+const localPath = path.resolve(__dirname, '../../../Shared/Utils/tiles');
+
+if (fs.existsSync(dockerPath + '.js')) {
+  module.exports = require(dockerPath);
+} else {
+  module.exports = require(localPath);
+}
@@ -0,0 +1,18 @@
+// Backend/Src/Utils/worldConfig.js
+//
+// Re-exports the shared world config loader from the Shared/ directory.
+// Same dual-layout resolution as constants.js:
+//   Local dev:  Backend/Src/Utils/ → ../../../Shared/worldConfig
+//   Docker:     /app/Src/Utils/    → /app/Shared/worldConfig
+
+const path = require('path');
+const fs = require('fs');
+
+const dockerPath = path.resolve(__dirname, '../../Shared/worldConfig');
+const localPath = path.resolve(__dirname, '../../../Shared/worldConfig');
+
+if (fs.existsSync(dockerPath + '.js')) {
+  module.exports = require(dockerPath);
+} else {
+  module.exports = require(localPath);
+}
@@ -0,0 +1,120 @@
+// Backend/Src/World/chunkCache.js
+//
+// AETHARIA — Generated Chunk Cache
+// ================================
+// LRU cache of base terrain chunks straight out of terrainGen.js.
+// The physics loop, move validation and block handlers all call
+// getTile() many times per tick, and without this every one of
+// those lookups regenerated a whole 32x32 chunk.
+//
+// Base terrain is deterministic for a given seed, so cached chunks
+// never go stale. Modifications are layered on top by worldState.js
+// and are NOT stored here.
+//
+// Cached chunks are shared — callers must treat them as read-only
+// and copy the tiles before overlaying anything.
+
+const { WORLD } = require('../Utils/constants');
+const { generateChunk } = require('./terrainGen');
+const log = require('../Utils/logger');
+
+// ─────────────────────────────────────────────
+// LRU Store
+// ─────────────────────────────────────────────
+// Map iteration order is insertion order, so re-inserting an
+// entry on every hit keeps the least recently used chunk first.
+
+const cache = new Map();
+let maxSize = WORLD.CHUNK_CACHE_SIZE;
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  evictions: 0,
+};
+
+/**
+ * Get the generated (unmodified) terrain for a chunk, from the
+ * cache if possible.
+ *
+ * @param {number} chunkX - Chunk X coordinate
+ * @param {number} chunkY - Chunk Y coordinate
+ * @returns {object} Read-only chunk data: { x, y, tiles[][] }
+ */
+function getBaseChunk(chunkX, chunkY) {
+  const key = `${chunkX},${chunkY}`;
+  const cached = cache.get(key);
+
+  if (cached) {
+    stats.hits++;
+    cache.delete(key);
+    cache.set(key, cached);
+    return cached;
+  }
+
+  stats.misses++;
+  const chunk = generateChunk(chunkX, chunkY);
+
+  if (maxSize > 0) {
+    cache.set(key, chunk);
+    while (cache.size > maxSize) {
+      cache.delete(cache.keys().next().value);
+      stats.evictions++;
+    }
+  }
+
+  return chunk;
+}
+
+/**
+ * Set the maximum number of chunks to keep. Shrinking the cache
+ * evicts the least recently used chunks immediately. A size of
+ * 0 disables caching.
+ *
+ * @param {number} size - Maximum cached chunks
+ */
+function setCacheSize(size) {
+  if (!Number.isInteger(size) || size < 0) {
+    log.warn(`⚠️ Ignoring invalid chunk cache size: ${size}`);
+    return;
+  }
+
+  maxSize = size;
+  while (cache.size > maxSize) {
+    cache.delete(cache.keys().next().value);
+    stats.evictions++;
+  }
+
+  log(`🗃️ Chunk cache size set to ${maxSize} chunks`);
+}
+
+/**
+ * Drop every cached chunk (e.g. after the world seed changes).
+ */
+function clearCache() {
+  cache.clear();
+}
+
+/**
+ * Get cache counters for monitoring.
+ *
+ * @returns {object} { size, maxSize, hits, misses, evictions, hitRate }
+ */
+function getCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    size: cache.size,
+    maxSize,
+    hits: stats.hits,
+    misses: stats.misses,
+    evictions: stats.evictions,
+    hitRate: lookups > 0 ? stats.hits / lookups : 0,
+  };
+}
+
+module.exports = {
+  getBaseChunk,
+  setCacheSize,
+  clearCache,
+  getCacheStats,
+};
@@ -0,0 +1,187 @@
+// Backend/Src/World/interestManager.js
+//
+// AETHARIA — Interest Manager
+// ================================
+// Area-of-interest tracking. Each player subscribes to the square
+// window of chunks around the chunk they stand in (the same window
+// the frontend keeps loaded), and movement/block events go to the
+// subscribers of the chunk they happen in — regardless of zone, so
+// players either side of a zone border still see each other.
+//
+// Edits outside the window never reach a player, so a chunk coming
+// back into it is reported (newChunks) for main.js to resend.
+//
+// Like the zone manager this is pure spatial bookkeeping; main.js
+// turns the visibility changes it reports into messages.
+
+const { SERVER, WORLD } = require('../Utils/constants');
+
+const RADIUS = SERVER.INTEREST_RADIUS;
+
+// ─────────────────────────────────────────────
+// Registries
+// ─────────────────────────────────────────────
+
+const playerChunk = new Map();      // playerId → chunk key they stand in
+const chunkOccupants = new Map();   // chunk key → Set<playerId> standing there
+const playerWindow = new Map();     // playerId → Set<chunk key> subscribed to
+const chunkSubscribers = new Map(); // chunk key → Set<playerId> watching it
+
+function chunkKeyAt(tileX, tileY) {
+  const chunkX = Math.floor(tileX / WORLD.CHUNK_SIZE);
+  const chunkY = Math.floor(tileY / WORLD.CHUNK_SIZE);
+  return `${chunkX},${chunkY}`;
+}
+
+function windowAround(chunkKey) {
+  const [chunkX, chunkY] = chunkKey.split(',').map(Number);
+  const keys = new Set();
+  for (let dx = -RADIUS; dx <= RADIUS; dx++) {
+    for (let dy = -RADIUS; dy <= RADIUS; dy++) {
+      keys.add(`${chunkX + dx},${chunkY + dy}`);
+    }
+  }
+  return keys;
+}
+
+function addTo(map, key, playerId) {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(playerId);
+}
+
+function removeFrom(map, key, playerId) {
+  const set = map.get(key);
+  if (!set) return;
+  set.delete(playerId);
+  if (set.size === 0) map.delete(key);
+}
+
+// Everyone (but the player) standing anywhere in a set of chunks
+function occupantsOf(chunkKeys, excludePlayerId) {
+  const result = new Set();
+  for (const key of chunkKeys) {
+    for (const pid of chunkOccupants.get(key) || []) {
+      if (pid !== excludePlayerId) result.add(pid);
+    }
+  }
+  return result;
+}
+
+function subscribersOf(chunkKey, excludePlayerId) {
+  const result = new Set(chunkSubscribers.get(chunkKey) || []);
+  result.delete(excludePlayerId);
+  return result;
+}
+
+function difference(a, b) {
+  return [...a].filter((item) => !b.has(item));
+}
+
+// ─────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────
+
+/**
+ * Update a player's position in the interest registry. Cheap when
+ * they stay in the same chunk; otherwise moves their subscription
+ * window and reports who gained or lost sight of whom.
+ * A player not yet registered is added (everything is "new").
+ *
+ * @param {string} playerId
+ * @param {number} tileX - Position in tile coords
+ * @param {number} tileY - Position in tile coords
+ * @returns {object|null} null if unchanged, else {
+ *   newWatchers,     // players who can now see this player
+ *   lostWatchers,    // players who can no longer see this player
+ *   newlyVisible,    // players this player can now see
+ *   noLongerVisible, // players this player can no longer see
+ *   newChunks,       // [{ chunkX, chunkY }] now in the window
+ * }
+ */
+function updateInterest(playerId, tileX, tileY) {
+  const newKey = chunkKeyAt(tileX, tileY);
+  const oldKey = playerChunk.get(playerId);
+  if (oldKey === newKey) return null;
+
+  const oldWindow = playerWindow.get(playerId) || new Set();
+  const newWindow = windowAround(newKey);
+  const watchersBefore = oldKey ? subscribersOf(oldKey, playerId) : new Set();
+  const visibleBefore = occupantsOf(oldWindow, playerId);
+
+  // Move the player's position
+  if (oldKey) removeFrom(chunkOccupants, oldKey, playerId);
+  addTo(chunkOccupants, newKey, playerId);
+  playerChunk.set(playerId, newKey);
+
+  // Move the player's subscriptions
+  for (const key of oldWindow) {
+    if (!newWindow.has(key)) removeFrom(chunkSubscribers, key, playerId);
+  }
+  const newChunks = [];
+  for (const key of newWindow) {
+    if (oldWindow.has(key)) continue;
+    addTo(chunkSubscribers, key, playerId);
+    const [chunkX, chunkY] = key.split(',').map(Number);
+    newChunks.push({ chunkX, chunkY });
+  }
+  playerWindow.set(playerId, newWindow);
+
+  const watchersAfter = subscribersOf(newKey, playerId);
+  const visibleAfter = occupantsOf(newWindow, playerId);
+
+  return {
+    newWatchers: difference(watchersAfter, watchersBefore),
+    lostWatchers: difference(watchersBefore, watchersAfter),
+    newlyVisible: difference(visibleAfter, visibleBefore),
+    noLongerVisible: difference(visibleBefore, visibleAfter),
+    newChunks,
+  };
+}
+
+/**
+ * Drop a player from the registry (disconnect).
+ *
+ * @param {string} playerId
+ * @returns {string[]} Players who could see them until now
+ */
+function removeFromInterest(playerId) {
+  const key = playerChunk.get(playerId);
+  if (!key) return [];
+
+  const watchers = [...subscribersOf(key, playerId)];
+  removeFrom(chunkOccupants, key, playerId);
+  for (const windowKey of playerWindow.get(playerId) || []) {
+    removeFrom(chunkSubscribers, windowKey, playerId);
+  }
+  playerChunk.delete(playerId);
+  playerWindow.delete(playerId);
+  return watchers;
+}
+
+/**
+ * Players subscribed to the chunk containing a tile position.
+ *
+ * @param {number} tileX - Tile X coordinate
+ * @param {number} tileY - Tile Y coordinate
+ * @returns {string[]} Player IDs
+ */
+function getSubscribersAt(tileX, tileY) {
+  return [...(chunkSubscribers.get(chunkKeyAt(tileX, tileY)) || [])];
+}
+
+/**
+ * Players standing within a player's subscription window.
+ *
+ * @param {string} playerId
+ * @returns {string[]} Player IDs (excluding the player)
+ */
+function getVisiblePlayers(playerId) {
+  return [...occupantsOf(playerWindow.get(playerId) || [], playerId)];
+}
+
+module.exports = {
+  updateInterest,
+  removeFromInterest,
+  getSubscribersAt,
+  getVisiblePlayers,
+};
@@ -0,0 +1,139 @@
+// Backend/Src/World/noise.js
+//
+// AETHARIA — Seeded Gradient Noise
+// ================================
+// Perlin gradient noise in 1D and 2D for terrain generation.
+// Values change smoothly with position and stay within -1 … 1; the same seed always gives the same noise, on every
+// node of the cluster.
+//
+// Each generator shuffles its own permutation table with the
+// seeded mulberry32 PRNG (also used for per-chunk rolls in
+// terrainGen.js), so different seeds give unrelated noise.
+// Sample at world tile coords divided by a scale: features come
+// out about `scale` tiles across.
+
+// ─────────────────────────────────────────────
+// Seeded Pseudo-Random Number Generator
+// ─────────────────────────────────────────────
+// Simple but fast mulberry32 PRNG. Given the same seed,
+// it always produces the same sequence of numbers.
+// This replaces Math.random() everywhere in terrain gen.
+
+function mulberry32(seed) {
+  return function () {
+    let t = (seed += 0x6d2b79f5);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ─────────────────────────────────────────────
+// Gradient Noise
+// ─────────────────────────────────────────────
+
+// 2D gradients: the four axes and four diagonals
+const GRADIENTS_2D = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [Math.SQRT1_2, Math.SQRT1_2], [-Math.SQRT1_2, Math.SQRT1_2],
+  [Math.SQRT1_2, -Math.SQRT1_2], [-Math.SQRT1_2, -Math.SQRT1_2],
+];
+
+// Largest value each dimension reaches, to scale results to ±1
+const RANGE_1D = 0.5;
+const RANGE_2D = Math.SQRT1_2;
+
+// Smoothstep with zero first and second derivatives at 0 and 1,
+// so there are no creases at lattice lines
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+/**
+ * Create a noise generator for a seed.
+ *
+ * @param {number} seed - Any 32-bit integer
+ * @returns {object} { noise1D(x), noise2D(x, y), fbm1D(x, octaves), fbm2D(x, y, octaves) }
+ *
+ * @example
+ *   const noise = createNoise(WORLD.SEED);
+ *   const hill = noise.fbm1D(worldX / 64, 3);   // -1 … 1
+ */
+function createNoise(seed) {
+  // 0-255 shuffled, doubled so perm[a + b] never needs wrapping
+  const rng = mulberry32(seed);
+  const table = Array.from({ length: 256 }, (_, i) => i);
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [table[i], table[j]] = [table[j], table[i]];
+  }
+  const perm = new Uint8Array(512);
+  for (let i = 0; i < 512; i++) perm[i] = table[i & 255];
+
+  // 0-255 for a lattice point. The high bits go in too, so the
+  // noise repeats only every 65536 cells rather than every 256.
+  function hash(i, j) {
+    return perm[perm[perm[i & 255] + (j & 255)] + (((i ^ j) >> 8) & 255)];
+  }
+
+  // Lattice gradient for 1D: a slope from -1 to 1
+  function slope(i) {
+    return hash(i, 0) / 127.5 - 1;
+  }
+
+  function noise1D(x) {
+    const cell = Math.floor(x);
+    const t = x - cell;
+    const a = slope(cell) * t;
+    const b = slope(cell + 1) * (t - 1);
+    return lerp(a, b, fade(t)) / RANGE_1D;
+  }
+
+  function noise2D(x, y) {
+    const cellX = Math.floor(x);
+    const cellY = Math.floor(y);
+    const tx = x - cellX;
+    const ty = y - cellY;
+
+    const dot = (ci, cj, dx, dy) => {
+      const [gx, gy] = GRADIENTS_2D[hash(ci, cj) & 7];
+      return gx * dx + gy * dy;
+    };
+
+    const u = fade(tx);
+    const top = lerp(dot(cellX, cellY, tx, ty), dot(cellX + 1, cellY, tx - 1, ty), u);
+    const bottom = lerp(dot(cellX, cellY + 1, tx, ty - 1), dot(cellX + 1, cellY + 1, tx - 1, ty - 1), u);
+    return lerp(top, bottom, fade(ty)) / RANGE_2D;
+  }
+
+  // Fractal noise: octaves at double the frequency and half the
+  // weight each, for detail on top of the broad shapes
+  function fbm(sample, octaves) {
+    let total = 0;
+    let weight = 1;
+    let weights = 0;
+    for (let o = 0; o < octaves; o++) {
+      total += sample(1 << o) * weight;
+      weights += weight;
+      weight /= 2;
+    }
+    return total / weights;
+  }
+
+  // Octaves are shifted apart so their lattices don't line up
+  return {
+    noise1D,
+    noise2D,
+    fbm1D: (x, octaves) => fbm((f) => noise1D(x * f + f * 17.3), octaves),
+    fbm2D: (x, y, octaves) => fbm((f) => noise2D(x * f + f * 17.3, y * f - f * 9.1), octaves),
+  };
+}
+
+module.exports = {
+  mulberry32,
+  createNoise,
+};
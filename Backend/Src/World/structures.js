@@ -0,0 +1,200 @@
+// Backend/Src/World/structures.js
+//
+// AETHARIA — Structure Templates
+// ================================
+// Prefab structures terrain generation places in the world
+// (terrainGen.js), loaded from JSON data files: one template per
+// file in worlds/structures/, named after the file. World creators
+// add a structure by dropping a file in there.
+//
+// A template is a picture of tiles, one string per row, top row
+// first. Each character maps to a tile name through "legend"; a
+// space leaves the terrain as it is.
+//
+//   {
+//     "type": "surface",
+//     "chance": 0.2,
+//     "biomes": ["forest", "desert"],
+//     "legend": { "#": "stone", ".": "air", "t": "torch" },
+//     "ground": 3,
+//     "rows": [
+//       "#  . #",
+//       "#..t.#",
+//       "#....#",
+//       "######"
+//     ]
+//   }
+//
+//   type      "surface" (stands on the ground), "underground"
+//             (buried in the rock) or "village" (a row of surface
+//             templates, see below)
+//   chance    Chance of one per region of the world, 0 … 1
+//             (default 0: only placed as part of a village)
+//   biomes    Biomes it may appear in (default: all)
+//   ground    Surface structures: the row level with the ground
+//             surface (default: the last row); rows below it are
+//             sunk into the ground
+//   minDepth  Underground structures: tiles from the surface down
+//   maxDepth  to the top row (maxDepth optional)
+//
+// Villages have no rows of their own:
+//
+//   { "type": "village", "chance": 0.1, "parts": ["hut", "well", "hut"], "spacing": 3 }
+//
+// Each part is placed on the ground where it lands, "spacing" tiles
+// after the one before.
+
+const fs = require('fs');
+const path = require('path');
+const Tiles = require('../Utils/tiles');
+
+const TYPES = ['surface', 'underground', 'village'];
+
+// Largest template either way, and widest village. terrainGen.js
+// gives each structure a region of its own big enough for these.
+const MAX_SIZE = 32;
+const MAX_VILLAGE_WIDTH = 112;
+
+// ─────────────────────────────────────────────
+// Template Parsing
+// ─────────────────────────────────────────────
+
+/**
+ * Check one template and turn its rows into tile cells. Throws
+ * with the template's name on anything malformed.
+ *
+ * @param {string} name - Template name (its file name)
+ * @param {object} raw - Parsed JSON
+ * @returns {object} { name, type, chance, biomes, width, height,
+ *   ground, minDepth, maxDepth, cells: [{ dx, dy, tile }] }, or for
+ *   villages { name, type, chance, biomes, parts, spacing }
+ */
+function parseTemplate(name, raw) {
+  const fail = (msg) => { throw new Error(`structure "${name}": ${msg}`); };
+
+  if (!raw || typeof raw !== 'object') fail('must be an object');
+  if (!TYPES.includes(raw.type)) fail(`"type" must be one of ${TYPES.join(', ')}`);
+
+  const chance = raw.chance === undefined ? 0 : raw.chance;
+  if (typeof chance !== 'number' || !(chance >= 0 && chance <= 1)) fail('"chance" must be a number from 0 to 1');
+  if (raw.biomes !== undefined && (!Array.isArray(raw.biomes) || !raw.biomes.every((b) => typeof b === 'string'))) {
+    fail('"biomes" must be an array of biome names');
+  }
+  const common = { name, type: raw.type, chance, biomes: raw.biomes || null };
+
+  if (raw.type === 'village') {
+    if (!Array.isArray(raw.parts) || raw.parts.length === 0 || !raw.parts.every((p) => typeof p === 'string')) {
+      fail('"parts" must be a non-empty array of template names');
+    }
+    const spacing = raw.spacing === undefined ? 2 : raw.spacing;
+    if (!Number.isInteger(spacing) || spacing < 0) fail('"spacing" must be a non-negative integer');
+    return { ...common, parts: raw.parts, spacing };
+  }
+
+  if (!Array.isArray(raw.rows) || raw.rows.length === 0 || !raw.rows.every((r) => typeof r === 'string')) {
+    fail('"rows" must be a non-empty array of strings');
+  }
+  const height = raw.rows.length;
+  const width = Math.max(...raw.rows.map((r) => r.length));
+  if (width > MAX_SIZE || height > MAX_SIZE) fail(`can be at most ${MAX_SIZE}x${MAX_SIZE} tiles`);
+
+  const legend = raw.legend || {};
+  const cells = [];
+  raw.rows.forEach((row, dy) => {
+    [...row].forEach((char, dx) => {
+      if (char === ' ') return;
+      if (!(char in legend)) fail(`"${char}" in row ${dy} is not in "legend"`);
+      const def = Tiles.getByName(legend[char]);
+      if (!def) fail(`legend "${char}": unknown tile "${legend[char]}"`);
+      cells.push({ dx, dy, tile: def.id });
+    });
+  });
+
+  const ground = raw.ground === undefined ? height - 1 : raw.ground;
+  if (!Number.isInteger(ground) || ground < 0 || ground >= height) fail('"ground" must be a row of the template');
+
+  const minDepth = raw.minDepth === undefined ? 0 : raw.minDepth;
+  if (!Number.isInteger(minDepth) || minDepth < 0) fail('"minDepth" must be a non-negative integer');
+  if (raw.maxDepth !== undefined && (!Number.isInteger(raw.maxDepth) || raw.maxDepth < minDepth)) {
+    fail('"maxDepth" must be an integer no less than "minDepth"');
+  }
+
+  return {
+    ...common,
+    width,
+    height,
+    ground,
+    minDepth,
+    maxDepth: raw.maxDepth === undefined ? Infinity : raw.maxDepth,
+    cells,
+  };
+}
+
+// Villages may only be made of surface templates, and must fit
+function checkVillage(village, templates) {
+  let width = village.spacing * (village.parts.length - 1);
+  for (const part of village.parts) {
+    const template = templates.get(part);
+    if (!template || template.type !== 'surface') {
+      throw new Error(`structure "${village.name}": part "${part}" is not a surface template`);
+    }
+    width += template.width;
+  }
+  if (width > MAX_VILLAGE_WIDTH) {
+    throw new Error(`structure "${village.name}": can be at most ${MAX_VILLAGE_WIDTH} tiles wide`);
+  }
+}
+
+// ─────────────────────────────────────────────
+// Loading
+// ─────────────────────────────────────────────
+
+/**
+ * Where a world's templates live: STRUCTURES_DIR, or structures/
+ * next to its config file (worlds/structures/ without one).
+ *
+ * @returns {string}
+ */
+function structuresDir() {
+  if (process.env.STRUCTURES_DIR) return process.env.STRUCTURES_DIR;
+  const configDir = process.env.WORLD_CONFIG
+    ? path.dirname(process.env.WORLD_CONFIG)
+    : path.join(__dirname, '../../../worlds');
+  return path.join(configDir, 'structures');
+}
+
+/**
+ * Load every *.json template in a directory. A missing directory
+ * just means no structures.
+ *
+ * @param {string} dir
+ * @returns {Map<string, object>} Parsed templates by name
+ */
+function loadTemplates(dir) {
+  const templates = new Map();
+  if (!fs.existsSync(dir)) return templates;
+
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith('.json')).sort()) {
+    const name = path.basename(file, '.json');
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (err) {
+      throw new Error(`structure "${name}": ${err.message}`);
+    }
+    templates.set(name, parseTemplate(name, raw));
+  }
+
+  for (const template of templates.values()) {
+    if (template.type === 'village') checkVillage(template, templates);
+  }
+  return templates;
+}
+
+module.exports = {
+  MAX_SIZE,
+  MAX_VILLAGE_WIDTH,
+  parseTemplate,
+  structuresDir,
+  loadTemplates,
+};
@@ -9,34 +9,28 @@
 //
 // Terrain style: Terraria-inspired 2D side-view world.
 //   - Sky at the top (AIR)
-//   - Surface layer with GRASS on top of DIRT
+//   - Biomes along X (forest, desert, tundra, swamp, mountains),
+//     each with its own surface and soil tiles, hills and trees
 //   - STONE deeper underground
 //   - Trees on the surface (WOOD trunks, LEAVES canopy)
-//   - WATER in low-lying areas
-//   - SAND near water edges
+//   - WATER in low-lying areas (frozen over in the tundra)
+//   - Beaches where the land meets the water
+//   - Caves (winding tunnels and open caverns), and ore veins
+//     (COAL, IRON, GOLD, CRYSTAL) in the stone, each ore in its
+//     own depth band
+//   - Structures from templates: ruins, dungeons and villages
 //
-// The generator uses a simple seeded PRNG (not Math.random())
-// so results are reproducible. For the MVP, we use a basic
-// noise function. This can be upgraded to Perlin/Simplex later
-// without changing the chunk format.
+// That's the overworld; worlds can pick another generator instead
+// (floating islands, a cave world, superflat layers or an empty
+// void — see Generators).
+//
+// The generator uses seeded gradient noise and a seeded PRNG
+// (noise.js, not Math.random()) so results are reproducible.
 
 const { WORLD } = require('../Utils/constants');
-
-// ─────────────────────────────────────────────
-// Seeded Pseudo-Random Number Generator
-// ─────────────────────────────────────────────
-// Simple but fast mulberry32 PRNG. Given the same seed,
-// it always produces the same sequence of numbers.
-// This replaces Math.random() everywhere in terrain gen.
-
-function mulberry32(seed) {
-  return function () {
-    let t = (seed += 0x6d2b79f5);
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
+const Tiles = require('../Utils/tiles');
+const { mulberry32, createNoise } = require('./noise');
+const { MAX_SIZE } = require('./structures');
 
 // ─────────────────────────────────────────────
 // Seed Hashing
@@ -57,52 +51,502 @@ function chunkSeed(chunkX, chunkY) {
 }
 
 // ─────────────────────────────────────────────
-// Simple 1D Noise (for surface height)
+// Noise
 // ─────────────────────────────────────────────
-// Generates a smooth height value for a given world X position.
-// Uses multiple octaves of noise for natural-looking terrain.
-// Returns a value roughly between 0 and 1.
+// Gradient noise (noise.js) for everything that should change
+// smoothly across the world: hills, biome borders and caves. Each
+// use has its own generator, seeded from the world seed and a
+// salt. They're built on first use and rebuilt if WORLD.SEED
+// changes (main.js sets it from the world config after this
+// module has loaded).
+
+const HILL_SCALE = 48;   // Tiles per hill, roughly
+
+const noises = new Map();
+let noiseSeed = null;
+
+function noiseFor(salt) {
+  if (noiseSeed !== WORLD.SEED) {
+    noises.clear();
+    noiseSeed = WORLD.SEED;
+  }
+  if (!noises.has(salt)) noises.set(salt, createNoise(WORLD.SEED ^ salt));
+  return noises.get(salt);
+}
 
-function surfaceNoise(worldX, rng) {
-  // Use the worldX to create a pseudo-noise value
-  // We sample at different frequencies and combine them
-  const freq1 = Math.sin(worldX * 0.05) * 0.5 + 0.5;
-  const freq2 = Math.sin(worldX * 0.13 + 42) * 0.25 + 0.25;
-  const freq3 = Math.sin(worldX * 0.31 + 97) * 0.125 + 0.125;
+// Surface height for a world X position, from 0 to 1
+function surfaceNoise(worldX) {
+  const hills = noiseFor(HILL_SALT).fbm1D(worldX / HILL_SCALE, 3);
+  return Math.min(1, Math.max(0, 0.5 + hills * 0.8));
+}
+
+// ─────────────────────────────────────────────
+// Biomes
+// ─────────────────────────────────────────────
+// The world is split along X into regions about BIOME_WIDTH tiles
+// wide, each picked from the world's biome weights by a seeded
+// roll. Region borders are pushed around by low-frequency noise
+// so biomes don't come in a regular grid.
+//
+// A biome sets:
+//   surface    Top tile (snowLine: snow above that worldY instead)
+//   soil       The SOIL_DEPTH tiles under it, stone below
+//   beach      Surface and soil tile next to the water
+//   height     Average surface level (worldY, + is lower)
+//   amplitude  How far hills rise and fall from it
+//   trees      Chance a column grows a tree
+//   frozen     Lakes get a sheet of ice on top
+//
+// Height and amplitude are averaged over BIOME_BLEND tiles either
+// side, so the land eases from one biome into the next instead of
+// stepping.
+//
+// Worlds weight (or leave out) biomes with "biomes" in
+// worlds/*.json (validated in Shared/worldConfig.js):
+//
+//   "biomes": { "mountains": 3, "tundra": 1 }
+//
+// Without it every biome is equally likely.
+
+const T = WORLD.TILES;
+
+const BIOMES = {
+  forest: { surface: T.GRASS, soil: T.DIRT, beach: T.SAND, height: 0, amplitude: 8, trees: 0.15 },
+  desert: { surface: T.SAND, soil: T.SAND, beach: T.SAND, height: 0, amplitude: 4, trees: 0 },
+  tundra: { surface: T.SNOW, soil: T.DIRT, beach: T.SAND, height: -2, amplitude: 6, trees: 0.05, frozen: true },
+  swamp: { surface: T.GRASS, soil: T.MUD, beach: T.MUD, height: 0, amplitude: 3, trees: 0.12 },
+  mountains: { surface: T.STONE, soil: T.STONE, beach: T.STONE, height: -16, amplitude: 24, trees: 0.03, snowLine: -26 },
+};
+
+const BIOME_WIDTH = 256;
+const BIOME_BLEND = 24;
+const SOIL_DEPTH = 4;
+const SEA_LEVEL = -2;
+
+// Salts for the biome rolls (so they don't follow the tree rolls,
+// which also hash row 0) and for each noise generator
+const BIOME_SALT = 0x62696f6d;
+const WARP_SALT = 0x77617270;
+const HILL_SALT = 0x68696c6c;
+const TUNNEL_SALT = 0x74756e6e;
+const CAVERN_SALT = 0x63617665;
+const SURFACE_STRUCTURE_SALT = 0x7275696e;
+const UNDERGROUND_STRUCTURE_SALT = 0x64756e67;
+
+// [[name, cumulative weight]], and the total
+let biomeTable = null;
+let biomeTotal = 0;
+
+/**
+ * Use a world's biome weights ("biomes"), or all biomes equally.
+ * Throws on biome names that don't exist.
+ *
+ * @param {object} worldConfig
+ */
+function configureBiomes(worldConfig) {
+  const weights = worldConfig.biomes || Object.fromEntries(Object.keys(BIOMES).map((name) => [name, 1]));
+  // Built aside, so a bad table leaves the current one in place
+  const table = [];
+  let total = 0;
+  for (const [name, weight] of Object.entries(weights)) {
+    if (!BIOMES[name]) throw new Error(`Unknown biome "${name}"`);
+    if (weight <= 0) continue;
+    total += weight;
+    table.push([name, total]);
+  }
+  biomeTable = table;
+  biomeTotal = total;
+}
+
+/**
+ * @param {number} worldX
+ * @returns {string} Name of the biome at that column
+ */
+function biomeAt(worldX) {
+  // Warp stays under a tile per tile, so regions don't fold back
+  const warp = noiseFor(WARP_SALT).noise1D(worldX / BIOME_WIDTH) * BIOME_WIDTH / 4;
+  const region = Math.floor((worldX + warp) / BIOME_WIDTH);
+  const roll = mulberry32(chunkSeed(region, 0) ^ BIOME_SALT)() * biomeTotal;
+  return biomeTable.find(([, upTo]) => roll < upTo)[0];
+}
+
+/**
+ * Biome and surface level of a column. The surface is a function
+ * of worldX only, so it's the same in every chunk of the column.
+ *
+ * @param {number} worldX
+ * @returns {object} { biome, surfaceY }
+ */
+function terrainAt(worldX) {
+  // Every other column either side: a biome border moving past
+  // shifts the average a little at a time, not in steps
+  let height = 0;
+  let amplitude = 0;
+  const samples = BIOME_BLEND + 1;
+  for (let dx = -BIOME_BLEND; dx <= BIOME_BLEND; dx += 2) {
+    const nearby = BIOMES[biomeAt(worldX + dx)];
+    height += nearby.height / samples;
+    amplitude += nearby.amplitude / samples;
+  }
+  // Noise (0-1) mapped to height ± amplitude
+  const surfaceY = Math.floor(height - amplitude + surfaceNoise(worldX) * amplitude * 2);
+  return { biome: BIOMES[biomeAt(worldX)], surfaceY };
+}
 
-  return (freq1 + freq2 + freq3) / 3;
+function surfaceHeight(worldX) {
+  return terrainAt(worldX).surfaceY;
 }
 
+configureBiomes({});
+
 // ─────────────────────────────────────────────
-// Chunk Generator
+// Ore Veins
 // ─────────────────────────────────────────────
-// Generates a single chunk of terrain at the given chunk
-// coordinates. Returns a 2D array of tile IDs.
+// Ores grow in veins: a short seeded random walk that starts at
+// a random spot in a chunk. Each ore has a depth band (tiles below
+// the surface, as the generator counts it) its veins start in, an average number of veins per
+// chunk and a vein length. Only stone turns into ore, so veins
+// stop at caves and dirt.
 //
-// The chunk is CHUNK_SIZE x CHUNK_SIZE tiles.
-// Index as: tiles[y][x] where y=0 is the top of the chunk.
+// A vein can wander over a chunk border, so each chunk replays its
+// neighbours' veins too and keeps the tiles that land inside it.
+// Vein length is capped at CHUNK_SIZE, so neighbours are enough,
+// and a vein comes out the same whichever chunk is generated first.
 //
-// World coordinate conversion:
-//   worldTileX = chunkX * CHUNK_SIZE + localX
-//   worldTileY = chunkY * CHUNK_SIZE + localY
+// Worlds set their own table with "ores" in worlds/*.json
+// (validated in Shared/worldConfig.js); without one they get
+// DEFAULT_ORES.
+
+const DEFAULT_ORES = [
+  { tile: 'coal', minDepth: 6, maxDepth: 80, veins: 3, size: 8 },
+  { tile: 'iron', minDepth: 16, maxDepth: 160, veins: 2, size: 6 },
+  { tile: 'gold', minDepth: 30, veins: 1, size: 5 },
+  { tile: 'crystal', minDepth: 50, veins: 0.5, size: 4 },
+];
+
+// One tile per step, in a random direction
+const VEIN_STEPS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+let oreTable = resolveOres(DEFAULT_ORES);
+
+// Tile names → ids, and no maxDepth → no limit
+function resolveOres(ores) {
+  return ores.map((ore) => ({
+    ...ore,
+    id: Tiles.getByName(ore.tile).id,
+    maxDepth: ore.maxDepth === undefined ? Infinity : ore.maxDepth,
+  }));
+}
 
 /**
- * Generate a terrain chunk at the specified chunk coordinates.
+ * Use a world's ore table ("ores"), or the default one.
  *
- * @param {number} chunkX - Chunk X coordinate (not tile coordinate)
- * @param {number} chunkY - Chunk Y coordinate (not tile coordinate)
- * @returns {object} Chunk data: { x, y, tiles[][] }
+ * @param {object} worldConfig
+ */
+function configureOres(worldConfig) {
+  oreTable = resolveOres(worldConfig.ores || DEFAULT_ORES);
+}
+
+/**
+ * Every ore tile of the veins that start in one chunk. Tiles may
+ * fall outside the chunk.
  *
- * @example
- *   const chunk = generateChunk(0, 0);
- *   // chunk.tiles[y][x] gives the tile type at that position
- *   // chunk.x and chunk.y echo back the chunk coordinates
+ * @param {number} chunkX
+ * @param {number} chunkY
+ * @returns {object[]} [{ x, y, tile }] in world tile coords
  */
-function generateChunk(chunkX, chunkY) {
-  const seed = chunkSeed(chunkX, chunkY);
-  const rng = mulberry32(seed);
+function chunkVeins(chunkX, chunkY) {
+  const size = WORLD.CHUNK_SIZE;
+  const cells = [];
+
+  oreTable.forEach((ore, index) => {
+    // Separate stream per ore, so editing one ore's entry
+    // leaves the others where they were
+    const rng = mulberry32((chunkSeed(chunkX, chunkY) + Math.imul(index + 1, 0x9e3779b1)) | 0);
+    const count = Math.floor(ore.veins) + (rng() < ore.veins % 1 ? 1 : 0);
+
+    for (let v = 0; v < count; v++) {
+      let x = chunkX * size + Math.floor(rng() * size);
+      let y = chunkY * size + Math.floor(rng() * size);
+      const depth = generator.depthAt(x, y);
+      if (depth < ore.minDepth || depth > ore.maxDepth) continue;
+
+      for (let i = 0; i < ore.size; i++) {
+        cells.push({ x, y, tile: ore.id });
+        const [dx, dy] = VEIN_STEPS[Math.floor(rng() * VEIN_STEPS.length)];
+        x += dx;
+        y += dy;
+      }
+    }
+  });
+
+  return cells;
+}
+
+// ─────────────────────────────────────────────
+// Trees
+// ─────────────────────────────────────────────
+// Each column rolls for a tree against its biome's "trees" chance.
+// A column grows one if it rolled in and neither neighbour did,
+// which keeps trunks apart. Trees stand above the waterline only.
+
+/**
+ * @param {number} worldX
+ * @returns {object|null} { surfaceY, trunkTop } or null for no tree
+ */
+function treeAt(worldX) {
+  const { biome, surfaceY } = terrainAt(worldX);
+  if (surfaceY >= SEA_LEVEL - 1) return null;
+
+  const roll = (x) => mulberry32(chunkSeed(x, 0));
+  const rolledIn = (x) => roll(x)() > 1 - BIOMES[biomeAt(x)].trees;
+  if (!rolledIn(worldX) || rolledIn(worldX - 1) || rolledIn(worldX + 1)) return null;
+
+  const treeRng = roll(worldX);
+  treeRng();
+  const trunkHeight = 3 + Math.floor(treeRng() * 2); // 3-4 tall
+  return { surfaceY, trunkTop: surfaceY - trunkHeight };
+}
+
+// Tree tile at a height in column i of `trees` (null: none), or AIR.
+// The canopy is 3 wide and 2 tall, its lower row level with the
+// top of the trunk.
+function treeTile(trees, i, worldY) {
+  const own = trees[i];
+  for (const tree of [own, trees[i - 1], trees[i + 1]]) {
+    if (tree && worldY >= tree.trunkTop - 1 && worldY <= tree.trunkTop) return T.LEAVES;
+  }
+  if (own && worldY > own.trunkTop && worldY < own.surfaceY) return T.WOOD;
+  return T.AIR;
+}
+
+// ─────────────────────────────────────────────
+// Caves
+// ─────────────────────────────────────────────
+// Carved out of the stone with 2D noise. A cave is a function of
+// world coords alone, so it carries on over chunk borders like
+// the land does:
+//   - Tunnels follow the zero line of one noise field, which
+//     winds through the rock as long connected passages, a little
+//     wider the deeper they run
+//   - Caverns are the high spots of a second, broader field,
+//     opening up more with depth
+// Nothing is carved within CAVE_DEPTH tiles of the surface, so
+// caves don't break through the soil or drain lakes.
+
+const CAVE_DEPTH = 8;
+const CAVERN_DEPTH = 24;
+const TUNNEL_SCALE = 48;
+const CAVERN_SCALE = 40;
+
+// `openness` (0 … 1) widens tunnels and caverns beyond the usual
+function isCave(worldX, worldY, depth, openness = 0) {
+  if (depth <= CAVE_DEPTH) return false;
+  // 0 just under CAVE_DEPTH, 1 from 200 tiles further down
+  const deep = Math.min((depth - CAVE_DEPTH) / 200, 1);
+
+  const tunnel = noiseFor(TUNNEL_SALT).fbm2D(worldX / TUNNEL_SCALE, worldY / TUNNEL_SCALE, 2);
+  if (Math.abs(tunnel) < 0.04 + deep * 0.02 + openness * 0.2) return true;
+
+  if (depth <= CAVERN_DEPTH) return false;
+  // Squashed vertically: caverns are wider than they are tall
+  const cavern = noiseFor(CAVERN_SALT).fbm2D(worldX / CAVERN_SCALE, worldY / (CAVERN_SCALE * 0.6), 2);
+  return cavern > 0.55 - deep * 0.1 - openness;
+}
+
+// ─────────────────────────────────────────────
+// Structures
+// ─────────────────────────────────────────────
+// Prefab ruins, dungeons and villages from the templates in
+// worlds/structures/ (loaded by structures.js), drawn over
+// everything else.
+//
+// Along X the world is cut into STRUCTURE_REGION-wide regions,
+// each with one seeded roll for a surface structure or village
+// that fits inside it. Below, it's cut into STRUCTURE_REGION-square
+// cells, each with one roll for an underground structure. Rolls
+// and positions come from the seed and the surface height alone,
+// so every chunk a structure overlaps works out the same placement
+// and draws its own part — structures carry on across chunk
+// borders without any chunk looking at another.
+//
+// A structure only goes where it fits: in its biomes, on ground
+// that rises or falls no more than MAX_GROUND_STEP under it, out
+// of the water, and (underground) within its depth band. A region
+// or cell tries PLACEMENT_TRIES seeded spots before giving up.
+//
+// Worlds change template chances with "structures" in
+// worlds/*.json (validated in Shared/worldConfig.js); 0 turns one
+// off:
+//
+//   "structures": { "village": 0.3, "ruin": 0 }
+
+const STRUCTURE_REGION = 128;   // Fits MAX_VILLAGE_WIDTH; a multiple of CHUNK_SIZE
+const MAX_GROUND_STEP = 4;
+const PLACEMENT_TRIES = 4;
+
+// Rows surface structures can reach: the highest and lowest
+// ground any biome has, plus a template either way
+const SURFACE_BAND = {
+  top: Math.min(...Object.values(BIOMES).map((b) => b.height - b.amplitude)) - MAX_SIZE,
+  bottom: Math.max(...Object.values(BIOMES).map((b) => b.height + b.amplitude)) + MAX_SIZE,
+};
+
+let structureTemplates = new Map();
+// [[template, chance]] for each kind of roll
+let surfaceRolls = [];
+let undergroundRolls = [];
+
+/**
+ * Use a world's structure templates, with the template chances
+ * overridden by its "structures". Throws on structure or biome
+ * names that don't exist.
+ *
+ * @param {object} worldConfig
+ * @param {Map<string, object>} templates - From structures.loadTemplates()
+ */
+function configureStructures(worldConfig, templates) {
+  const chances = worldConfig.structures || {};
+  for (const name of Object.keys(chances)) {
+    if (!templates.has(name)) throw new Error(`Unknown structure "${name}"`);
+  }
+  for (const template of templates.values()) {
+    for (const biome of template.biomes || []) {
+      if (!BIOMES[biome]) throw new Error(`structure "${template.name}": unknown biome "${biome}"`);
+    }
+  }
+
+  const rolls = [...templates.values()]
+    .map((template) => [template, chances[template.name] !== undefined ? chances[template.name] : template.chance])
+    .filter(([, chance]) => chance > 0);
+  structureTemplates = templates;
+  surfaceRolls = rolls.filter(([template]) => template.type !== 'underground');
+  undergroundRolls = rolls.filter(([template]) => template.type === 'underground');
+}
+
+// The template a roll (0-1) lands on, taking the chances in turn
+function pickStructure(rolls, roll) {
+  for (const [template, chance] of rolls) {
+    if (roll < chance) return template;
+    roll -= chance;
+  }
+  return null;
+}
+
+function allowedIn(template, worldX) {
+  return !template.biomes || template.biomes.includes(biomeAt(worldX));
+}
+
+// Lowest ground surface under `width` columns from x, or null if
+// it's too uneven or under water (below SEA_LEVEL) there
+function groundUnder(x, width) {
+  let highest = Infinity;
+  let lowest = -Infinity;
+  for (let i = 0; i < width; i++) {
+    const surfaceY = surfaceHeight(x + i);
+    highest = Math.min(highest, surfaceY);
+    lowest = Math.max(lowest, surfaceY);
+  }
+  if (lowest - highest > MAX_GROUND_STEP || lowest > SEA_LEVEL) return null;
+  return lowest;
+}
+
+// Surface structure (or village parts) of one region:
+// [{ template, x, y }], x/y the template's top-left tile
+function regionStructures(region) {
+  const rng = mulberry32(chunkSeed(region, 0) ^ SURFACE_STRUCTURE_SALT);
+  const picked = pickStructure(surfaceRolls, rng());
+  if (!picked) return [];
+
+  const parts = picked.type === 'village' ? picked.parts.map((name) => structureTemplates.get(name)) : [picked];
+  const spacing = picked.type === 'village' ? picked.spacing : 0;
+  const width = parts.reduce((sum, part) => sum + part.width, spacing * (parts.length - 1));
+
+  for (let attempt = 0; attempt < PLACEMENT_TRIES; attempt++) {
+    let x = region * STRUCTURE_REGION + Math.floor(rng() * (STRUCTURE_REGION - width + 1));
+    if (!allowedIn(picked, x + Math.floor(width / 2))) continue;
+
+    // Each part stands on the ground under it. A village leaves
+    // out parts with nowhere to stand, as long as half of it does.
+    const placed = [];
+    for (const part of parts) {
+      const ground = groundUnder(x, part.width);
+      if (ground !== null) placed.push({ template: part, x, y: ground - part.ground });
+      x += part.width + spacing;
+    }
+    const needed = picked.type === 'village' ? Math.ceil(parts.length / 2) : parts.length;
+    if (placed.length >= needed) return placed;
+  }
+  return [];
+}
+
+// Underground structure of one cell: [{ template, x, y }]
+function cellStructures(cellX, cellY) {
+  const rng = mulberry32(chunkSeed(cellX, cellY) ^ UNDERGROUND_STRUCTURE_SALT);
+  const template = pickStructure(undergroundRolls, rng());
+  if (!template) return [];
+
+  for (let attempt = 0; attempt < PLACEMENT_TRIES; attempt++) {
+    const x = cellX * STRUCTURE_REGION + Math.floor(rng() * (STRUCTURE_REGION - template.width + 1));
+    const y = cellY * STRUCTURE_REGION + Math.floor(rng() * (STRUCTURE_REGION - template.height + 1));
+    if (!allowedIn(template, x + Math.floor(template.width / 2))) continue;
+
+    let fits = true;
+    for (let i = 0; i < template.width && fits; i++) {
+      const depth = generator.depthAt(x + i, y);
+      fits = depth >= template.minDepth && depth <= template.maxDepth;
+    }
+    if (fits) return [{ template, x, y }];
+  }
+  return [];
+}
+
+/**
+ * Structures overlapping a chunk. Each sits inside one region
+ * (or cell), and chunks never straddle two, so that's the only
+ * place to look.
+ *
+ * @param {number} chunkX
+ * @param {number} chunkY
+ * @returns {object[]} [{ template, x, y }], x/y in world tiles
+ */
+function structuresIn(chunkX, chunkY) {
+  const size = WORLD.CHUNK_SIZE;
+  const left = chunkX * size;
+  const top = chunkY * size;
+  const region = Math.floor(left / STRUCTURE_REGION);
+
+  const found = [];
+  if (generator.structures.includes('underground')) {
+    found.push(...cellStructures(region, Math.floor(top / STRUCTURE_REGION)));
+  }
+  if (generator.structures.includes('surface') && top + size > SURFACE_BAND.top && top <= SURFACE_BAND.bottom) {
+    found.push(...regionStructures(region));
+  }
+
+  return found.filter(({ template, x, y }) =>
+    x < left + size && x + template.width > left && y < top + size && y + template.height > top);
+}
+
+// ─────────────────────────────────────────────
+// Overworld
+// ─────────────────────────────────────────────
+// The "overworld" generator, and the default: biomes, hills,
+// lakes and trees on the surface, caves in the stone below.
+
+// Tiles[y][x] of one chunk, before ores and structures
+function overworldTerrain(chunkX, chunkY) {
   const size = WORLD.CHUNK_SIZE;
-  const T = WORLD.TILES;
+  const startX = chunkX * size;
+
+  // Terrain and trees per column, with one extra column each side
+  // for beaches and canopies: column localX is at index localX + 1
+  const columns = [];
+  const trees = [];
+  for (let worldX = startX - 1; worldX <= startX + size; worldX++) {
+    columns.push(terrainAt(worldX));
+    trees.push(treeAt(worldX));
+  }
 
   const tiles = [];
 
@@ -111,152 +555,415 @@ function generateChunk(chunkX, chunkY) {
     const worldY = chunkY * size + localY;
 
     for (let localX = 0; localX < size; localX++) {
-      const worldX = chunkX * size + localX;
-
-      // ── Calculate surface height ──
-      // Surface height is a function of worldX only (consistent
-      // across vertical chunks at the same X).
-      // We map noise (0-1) to a world Y range.
-      // Surface sits around worldY = 0 with variation of ±8 tiles.
-      const noiseVal = surfaceNoise(worldX, rng);
-      const surfaceY = Math.floor(-8 + noiseVal * 16);
+      const { biome, surfaceY } = columns[localX + 1];
 
       // ── Determine tile type based on depth ──
       const depth = worldY - surfaceY;
-
-      let tile;
-      if (depth < 0) {
-        // Above surface = air
-        tile = T.AIR;
-      } else if (depth === 0) {
-        // Exactly at surface = grass
-        tile = T.GRASS;
-      } else if (depth <= 4) {
-        // Just below surface = dirt
-        tile = T.DIRT;
-      } else {
-        // Deep underground = stone
-        tile = T.STONE;
-      }
+      let tile = groundTile(biome, surfaceY, depth);
 
       // ── Water in low areas ──
-      // If we're above the surface but below sea level (worldY > -2),
-      // fill with water. Creates lakes in valleys.
-      const seaLevel = -2;
-      if (tile === T.AIR && worldY > seaLevel) {
-        tile = T.WATER;
+      // Above the surface but below sea level: lakes in the valleys
+      if (tile === T.AIR && worldY > SEA_LEVEL) {
+        tile = biome.frozen && worldY === SEA_LEVEL + 1 ? T.ICE : T.WATER;
       }
 
-      // ── Sand near water ──
-      // If this is a grass/dirt tile adjacent to where water would be,
-      // replace with sand for a beach effect.
-      if ((tile === T.GRASS || tile === T.DIRT) && depth <= 1) {
-        const neighborSurface = Math.floor(-8 + surfaceNoise(worldX + 1, rng) * 16);
-        if (neighborSurface > seaLevel || surfaceY > seaLevel) {
-          // Near a low point, make it sandy
-          if (Math.abs(surfaceY - seaLevel) <= 2) {
-            tile = T.SAND;
-          }
+      // ── Beaches ──
+      // The top of the land next to low water turns to beach
+      if (depth >= 0 && depth <= 1) {
+        const neighborSurface = columns[localX + 2].surfaceY;
+        if ((neighborSurface > SEA_LEVEL || surfaceY > SEA_LEVEL) && Math.abs(surfaceY - SEA_LEVEL) <= 2) {
+          tile = biome.beach;
         }
       }
 
       // ── Trees ──
-      // Place trees on grass tiles with seeded randomness.
-      // Trees only grow on grass — not on sand, water, or air.
-      // Check surface type before placing.
-      if (tile === T.AIR && depth < 0 && depth >= -6) {
-        // Only place tree if the surface at this X is grass
-        const surfaceTileDepth = 0;
-        const seaLevel = -2;
-        const isGrassSurface = surfaceY <= seaLevel && Math.abs(surfaceY - seaLevel) > 2;
-
-        // Simpler check: surface must be above sea level with margin
-        const surfaceAboveWater = surfaceY < seaLevel - 1;
-
-        if (surfaceAboveWater) {
-          const treeSeed = mulberry32(chunkSeed(worldX, 0));
-          const treeChance = treeSeed();
-
-          // Space trees out — also check neighbors don't have trees
-          const neighborSeed1 = mulberry32(chunkSeed(worldX - 1, 0))();
-          const neighborSeed2 = mulberry32(chunkSeed(worldX + 1, 0))();
-          const neighborsHaveTree = neighborSeed1 > 0.85 || neighborSeed2 > 0.85;
-
-          if (treeChance > 0.88 && !neighborsHaveTree) {
-            const trunkHeight = 3 + Math.floor(treeSeed() * 2); // 3-4 tall
-            const trunkTop = surfaceY - trunkHeight;
-            const trunkBottom = surfaceY - 1;
-
-            if (worldY >= trunkTop && worldY <= trunkBottom) {
-              tile = T.WOOD;
-            }
-
-            // Leaves: 3-wide canopy, 2 tiles tall
-            const leavesTop = trunkTop - 1;
-            const leavesBottom = trunkTop;
-            if (worldY >= leavesTop && worldY <= leavesBottom) {
-              // Center column and neighbors get leaves
-              tile = T.LEAVES;
-            }
-            // Side leaves (check if we're 1 tile left or right of a tree trunk)
-            const leftTreeSeed = mulberry32(chunkSeed(worldX - 1, 0))();
-            const rightTreeSeed = mulberry32(chunkSeed(worldX + 1, 0))();
-            // Check if adjacent X has a tree and we're at canopy height
-            if (worldY === leavesTop || worldY === leavesBottom) {
-              const checkX = worldX;
-              for (let tx = -1; tx <= 1; tx++) {
-                const adjSeed = mulberry32(chunkSeed(worldX + tx, 0));
-                const adjChance = adjSeed();
-                const adjNeighbor1 = mulberry32(chunkSeed(worldX + tx - 1, 0))();
-                const adjNeighbor2 = mulberry32(chunkSeed(worldX + tx + 1, 0))();
-                const adjNoNeighborTree = !(adjNeighbor1 > 0.88) && !(adjNeighbor2 > 0.88);
-                if (tx !== 0 && adjChance > 0.88 && adjNoNeighborTree) {
-                  const adjSurface = Math.floor(-8 + surfaceNoise(worldX + tx, rng) * 16);
-                  const adjAboveWater = adjSurface < seaLevel - 1;
-                  if (adjAboveWater) {
-                    const adjTrunkHeight = 3 + Math.floor(adjSeed() * 2);
-                    const adjTrunkTop = adjSurface - adjTrunkHeight;
-                    const adjLeavesTop = adjTrunkTop - 1;
-                    const adjLeavesBottom = adjTrunkTop;
-                    if (worldY >= adjLeavesTop && worldY <= adjLeavesBottom) {
-                      tile = T.LEAVES;
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
+      if (tile === T.AIR) {
+        tile = treeTile(trees, localX + 1, worldY);
       }
 
-      // ── Underground variety ──
-      // Deeper = rarer materials and bigger caves
-      if (depth > 8 && tile === T.STONE) {
-        const caveRoll = rng();
-        const oreRoll = rng();
+      // ── Caves ──
+      if (tile === T.STONE && isCave(startX + localX, worldY, depth)) {
+        tile = T.AIR;
+      }
 
-        // Cave frequency increases with depth (8% base, up to 15% deep)
-        const caveChance = 0.08 + Math.min(depth / 500, 0.07);
-        if (caveRoll < caveChance) {
-          tile = T.AIR;
-        }
+      row.push(tile);
+    }
 
-        // Ore deposits (diamond/ice = cyan blocks) deep underground
-        if (tile === T.STONE && depth > 20 && oreRoll < 0.03) {
-          tile = T.WATER; // Using water tile as "crystal/ore" visually (cyan)
-        }
+    tiles.push(row);
+  }
 
-        // Sand pockets (gold veins) at medium depth
-        if (tile === T.STONE && depth > 12 && depth < 40 && oreRoll > 0.95) {
-          tile = T.SAND; // Gold-colored deposits
-        }
-      }
+  return tiles;
+}
 
-      row.push(tile);
+// Tile `depth` rows below a biome's surface (negative: above it)
+function groundTile(biome, surfaceY, depth) {
+  if (depth < 0) {
+    // Above surface = air
+    return T.AIR;
+  } else if (depth === 0) {
+    // Exactly at surface = the biome's top tile
+    return biome.snowLine !== undefined && surfaceY < biome.snowLine ? T.SNOW : biome.surface;
+  } else if (depth <= SOIL_DEPTH) {
+    // Just below surface = the biome's soil
+    return biome.soil;
+  }
+  // Deep underground = stone
+  return T.STONE;
+}
+
+// ─────────────────────────────────────────────
+// Floating Islands
+// ─────────────────────────────────────────────
+// The "islands" generator: landmasses floating over an endless
+// void. Land is wherever a noise field rises past ISLAND_THRESHOLD;
+// the field is squashed so islands come out wider than they are
+// tall, and pulled down towards the top and bottom of the
+// ISLAND_TOP … ISLAND_BOTTOM band, outside which there's nothing
+// but air. Each island's top takes the surface and soil of the
+// biome it's in.
+//
+// A bump in the field under the spawn point makes sure there's
+// always an island to start on.
+
+const ISLAND_TOP = -96;
+const ISLAND_BOTTOM = 32;
+const ISLAND_SCALE = 64;
+const ISLAND_THRESHOLD = 0.12;
+const SPAWN_ISLAND = { width: 24, height: 8 };
+const ISLAND_SALT = 0x69736c65;
+
+function isIsland(worldX, worldY) {
+  if (worldY < ISLAND_TOP || worldY > ISLAND_BOTTOM) return false;
+  // -1 at the top of the band, 1 at the bottom
+  const band = (2 * worldY - ISLAND_TOP - ISLAND_BOTTOM) / (ISLAND_BOTTOM - ISLAND_TOP);
+  let land = noiseFor(ISLAND_SALT).fbm2D(worldX / ISLAND_SCALE, worldY / (ISLAND_SCALE * 0.4), 3) - band * band * 0.5;
+
+  // The spawn island, its top a few tiles under the spawn point
+  const dx = (worldX - spawn.x) / SPAWN_ISLAND.width;
+  const dy = (worldY - spawn.y - SPAWN_ISLAND.height) / SPAWN_ISLAND.height;
+  land += Math.max(0, 1 - dx * dx - dy * dy);
+
+  return land > ISLAND_THRESHOLD;
+}
+
+function islandTerrain(chunkX, chunkY) {
+  const size = WORLD.CHUNK_SIZE;
+  const top = chunkY * size;
+  const tiles = Array.from({ length: size }, () => new Array(size).fill(T.AIR));
+  if (top + size <= ISLAND_TOP || top > ISLAND_BOTTOM) return tiles;
+
+  for (let localX = 0; localX < size; localX++) {
+    const worldX = chunkX * size + localX;
+    const biome = BIOMES[biomeAt(worldX)];
+
+    // Walk down from SOIL_DEPTH + 1 rows above the chunk, counting
+    // rows of land since the last air, to find each tile's depth
+    let depth = -1;
+    for (let worldY = top - SOIL_DEPTH - 1; worldY < top + size; worldY++) {
+      depth = isIsland(worldX, worldY) ? depth + 1 : -1;
+      if (worldY >= top) tiles[worldY - top][localX] = groundTile(biome, worldY - depth, depth);
+    }
+  }
+  return tiles;
+}
+
+// ─────────────────────────────────────────────
+// Cave World
+// ─────────────────────────────────────────────
+// The "caves" generator: the land is raised CAVES_CRUST tiles over
+// where the overworld's would be, leaving the spawn and everything
+// around it deep in the rock, and the caves are opened up by
+// CAVES_OPENNESS. Light comes from torches, crystal and whatever
+// players bring.
+//
+// Players start in a hall carved around the spawn point, with a
+// torch either side.
+
+const CAVES_CRUST = 96;
+const CAVES_OPENNESS = 0.15;
+const SPAWN_HALL = { width: 20, height: 8, torch: 12 };
+
+function cavesTerrain(chunkX, chunkY) {
+  const size = WORLD.CHUNK_SIZE;
+  const startX = chunkX * size;
+  const columns = [];
+  for (let worldX = startX; worldX < startX + size; worldX++) columns.push(terrainAt(worldX));
+
+  const tiles = [];
+
+  for (let localY = 0; localY < size; localY++) {
+    const row = [];
+    const worldY = chunkY * size + localY;
+
+    for (let localX = 0; localX < size; localX++) {
+      const worldX = startX + localX;
+      const { biome, surfaceY } = columns[localX];
+      const depth = worldY - (surfaceY - CAVES_CRUST);
+
+      let tile = groundTile(biome, surfaceY - CAVES_CRUST, depth);
+      if (tile === T.STONE && isCave(worldX, worldY, depth, CAVES_OPENNESS)) tile = T.AIR;
+
+      row.push(hallTile(worldX, worldY, tile));
     }
 
     tiles.push(row);
   }
+  return tiles;
+}
+
+// The spawn hall's tile at a position, or `tile` outside it: a
+// dome of air over two rows of stone floor
+function hallTile(worldX, worldY, tile) {
+  const dx = Math.abs(worldX - spawn.x);
+  if (dx > SPAWN_HALL.width) return tile;
+
+  const roof = spawn.y - Math.round(SPAWN_HALL.height * Math.sqrt(1 - (dx / (SPAWN_HALL.width + 1)) ** 2));
+  if (worldY > roof && worldY <= spawn.y) {
+    return dx === SPAWN_HALL.torch && worldY === spawn.y ? T.TORCH : T.AIR;
+  }
+  if (worldY > spawn.y && worldY <= spawn.y + 2) return T.STONE;
+  return tile;
+}
+
+// ─────────────────────────────────────────────
+// Flat World
+// ─────────────────────────────────────────────
+// The "flat" generator (superflat): the same stack of layers in
+// every column, the top one starting at FLAT_SURFACE. No caves,
+// ores or structures, so every flat world with the same layers is
+// the same world, whatever its seed — for building showcases,
+// agents and tests.
+//
+// Worlds set their own stack with "layers" in worlds/*.json
+// (validated in Shared/worldConfig.js), top first. The last layer
+// may leave out "thickness" to carry on down forever; if it has
+// one, there's only void underneath:
+//
+//   "layers": [
+//     { "tile": "grass", "thickness": 1 },
+//     { "tile": "dirt", "thickness": 3 },
+//     { "tile": "stone", "thickness": 20 }
+//   ]
+
+const FLAT_SURFACE = 0;
+
+const DEFAULT_LAYERS = [
+  { tile: 'grass', thickness: 1 },
+  { tile: 'dirt', thickness: 3 },
+  { tile: 'stone' },
+];
+
+// [{ id, bottom }], bottom the worldY of the layer's last row
+// (Infinity: no last row)
+let flatLayers = resolveLayers(DEFAULT_LAYERS);
+
+function resolveLayers(layers) {
+  let bottom = FLAT_SURFACE - 1;
+  return layers.map((layer) => {
+    bottom += layer.thickness === undefined ? Infinity : layer.thickness;
+    return { id: Tiles.getByName(layer.tile).id, bottom };
+  });
+}
+
+function flatTile(worldY) {
+  if (worldY < FLAT_SURFACE) return T.AIR;
+  const layer = flatLayers.find(({ bottom }) => worldY <= bottom);
+  return layer ? layer.id : T.AIR;
+}
+
+function flatTerrain(chunkX, chunkY) {
+  const size = WORLD.CHUNK_SIZE;
+  const tiles = [];
+  for (let localY = 0; localY < size; localY++) {
+    tiles.push(new Array(size).fill(flatTile(chunkY * size + localY)));
+  }
+  return tiles;
+}
+
+// ─────────────────────────────────────────────
+// Void World
+// ─────────────────────────────────────────────
+// The "void" generator: nothing at all, but for a stone platform
+// under the spawn point to stand on. Everything else in the world
+// is built by hand.
+
+const SPAWN_PLATFORM = 3;   // Tiles either side of the spawn
+
+function voidTerrain(chunkX, chunkY) {
+  const size = WORLD.CHUNK_SIZE;
+  const tiles = [];
+  for (let localY = 0; localY < size; localY++) {
+    const row = [];
+    for (let localX = 0; localX < size; localX++) {
+      const onPlatform = chunkY * size + localY === spawn.y + 1 &&
+        Math.abs(chunkX * size + localX - spawn.x) <= SPAWN_PLATFORM;
+      row.push(onPlatform ? T.STONE : T.AIR);
+    }
+    tiles.push(row);
+  }
+  return tiles;
+}
+
+// ─────────────────────────────────────────────
+// Generators
+// ─────────────────────────────────────────────
+// Worlds pick how their terrain is shaped with "generator" in
+// worlds/*.json (validated in Shared/worldConfig.js); without one
+// they get the overworld:
+//
+//   "generator": "islands"
+//
+// ("overworld", "islands", "caves", "flat" or "void")
+//
+// Each generator sets:
+//   terrain      (chunkX, chunkY) → tiles[y][x], before ores and
+//                structures
+//   depthAt      (worldX, worldY) → tiles below the ground, for
+//                ore bands and underground structures (no depthAt:
+//                no ores)
+//   structures   Kinds of structure template it places
+//   scanTop      () → a row above any ground at the spawn, where
+//                main.js starts looking for somewhere to stand
+//   voidBelow    () → row under which there's no more ground,
+//                ever, or null if the rock goes on forever
+//
+// Falling players get a couple of chunks past the last ground
+// before they're given up on (VOID_FALL).
+
+const VOID_FALL = 2 * WORLD.CHUNK_SIZE;
+
+const GENERATORS = {
+  overworld: {
+    terrain: overworldTerrain,
+    depthAt: (worldX, worldY) => worldY - surfaceHeight(worldX),
+    structures: ['surface', 'underground'],
+    // Above the highest mountain tops (and their trees)
+    scanTop: () => -64,
+    voidBelow: () => null,
+  },
+  islands: {
+    terrain: islandTerrain,
+    depthAt: (worldX, worldY) => worldY - ISLAND_TOP,
+    structures: [],
+    scanTop: () => ISLAND_TOP,
+    voidBelow: () => ISLAND_BOTTOM + VOID_FALL,
+  },
+  caves: {
+    terrain: cavesTerrain,
+    depthAt: (worldX, worldY) => worldY - surfaceHeight(worldX) + CAVES_CRUST,
+    structures: ['underground'],
+    // Inside the spawn hall, under any caves above it
+    scanTop: () => spawn.y - SPAWN_HALL.height,
+    voidBelow: () => null,
+  },
+  flat: {
+    terrain: flatTerrain,
+    structures: [],
+    scanTop: () => FLAT_SURFACE - 1,
+    voidBelow: () => {
+      const bottom = flatLayers[flatLayers.length - 1].bottom;
+      return bottom === Infinity ? null : bottom + VOID_FALL;
+    },
+  },
+  void: {
+    terrain: voidTerrain,
+    structures: [],
+    scanTop: () => spawn.y,
+    voidBelow: () => spawn.y + 1 + VOID_FALL,
+  },
+};
+
+let generator = GENERATORS.overworld;
+let spawn = { x: 0, y: 0 };
+
+/**
+ * Use a world's terrain generator ("generator"), or the overworld.
+ * Throws on generator names that don't exist.
+ *
+ * @param {object} worldConfig - Also read: spawnX, spawnY, and
+ *   "layers" for flat worlds
+ */
+function configureGenerator(worldConfig) {
+  const name = worldConfig.generator || 'overworld';
+  if (!GENERATORS[name]) throw new Error(`Unknown generator "${name}"`);
+  generator = GENERATORS[name];
+  spawn = { x: worldConfig.spawnX || 0, y: worldConfig.spawnY || 0 };
+  flatLayers = resolveLayers(worldConfig.layers || DEFAULT_LAYERS);
+}
+
+/**
+ * @returns {number} A row above the ground at the spawn point, to
+ *   search down from for a place to stand
+ */
+function spawnScanTop() {
+  return generator.scanTop();
+}
+
+/**
+ * @returns {number|null} Row past which a falling player has
+ *   nothing generated left to land on (blocks players placed down
+ *   there aside), or null if the ground goes on forever
+ */
+function voidBelow() {
+  return generator.voidBelow();
+}
+
+// ─────────────────────────────────────────────
+// Chunk Generator
+// ─────────────────────────────────────────────
+// Generates a single chunk of terrain at the given chunk
+// coordinates with the world's generator, then adds ore veins
+// and structures. Returns a 2D array of tile IDs.
+//
+// The chunk is CHUNK_SIZE x CHUNK_SIZE tiles.
+// Index as: tiles[y][x] where y=0 is the top of the chunk.
+//
+// World coordinate conversion:
+//   worldTileX = chunkX * CHUNK_SIZE + localX
+//   worldTileY = chunkY * CHUNK_SIZE + localY
+
+/**
+ * Generate a terrain chunk at the specified chunk coordinates.
+ *
+ * @param {number} chunkX - Chunk X coordinate (not tile coordinate)
+ * @param {number} chunkY - Chunk Y coordinate (not tile coordinate)
+ * @returns {object} Chunk data: { x, y, tiles[][] }
+ *
+ * @example
+ *   const chunk = generateChunk(0, 0);
+ *   // chunk.tiles[y][x] gives the tile type at that position
+ *   // chunk.x and chunk.y echo back the chunk coordinates
+ */
+function generateChunk(chunkX, chunkY) {
+  const size = WORLD.CHUNK_SIZE;
+  const startX = chunkX * size;
+  const tiles = generator.terrain(chunkX, chunkY);
+
+  // ── Ore veins ──
+  // This chunk's veins and its neighbours' (see chunkVeins)
+  if (generator.depthAt) {
+    for (let ny = chunkY - 1; ny <= chunkY + 1; ny++) {
+      for (let nx = chunkX - 1; nx <= chunkX + 1; nx++) {
+        for (const cell of chunkVeins(nx, ny)) {
+          const localX = cell.x - startX;
+          const localY = cell.y - chunkY * size;
+          if (localX < 0 || localX >= size || localY < 0 || localY >= size) continue;
+          if (tiles[localY][localX] === T.STONE) tiles[localY][localX] = cell.tile;
+        }
+      }
+    }
+  }
+
+  // ── Structures ──
+  // This chunk's part of any structure overlapping it
+  for (const { template, x, y } of structuresIn(chunkX, chunkY)) {
+    for (const cell of template.cells) {
+      const localX = x + cell.dx - startX;
+      const localY = y + cell.dy - chunkY * size;
+      if (localX < 0 || localX >= size || localY < 0 || localY >= size) continue;
+      tiles[localY][localX] = cell.tile;
+    }
+  }
 
   return {
     x: chunkX,
@@ -266,5 +973,17 @@ function generateChunk(chunkX, chunkY) {
 }
 
 module.exports = {
+  BIOMES,
+  DEFAULT_ORES,
+  DEFAULT_LAYERS,
+  configureBiomes,
+  configureOres,
+  configureStructures,
+  configureGenerator,
+  spawnScanTop,
+  voidBelow,
+  biomeAt,
+  surfaceHeight,
+  structuresIn,
   generateChunk,
 };
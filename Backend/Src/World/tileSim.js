@@ -0,0 +1,284 @@
+// Backend/Src/World/tileSim.js
+//
+// AETHARIA — Tile Simulation
+// ================================
+// A small cellular automaton that lets water flow and sand fall
+// after the world is edited. Generated terrain is at rest, so the
+// simulation only runs on "active" chunks — ones touched by a
+// recent edit (or by the simulation itself) — and drops them once
+// they've been quiet for SIMULATION.IDLE_TICKS.
+//
+// Rules, applied bottom-up once per tick:
+//   - Water falls into air below it. Resting on something, it
+//     flows sideways toward the nearest drop within FLOW_REACH
+//     tiles, or, with water on top of it pushing down, into any
+//     air beside it. A wall of water slumps into a puddle; a flat
+//     lake stays put. Heading for the nearest drop (not the first
+//     one the sweep happens to look at) keeps a tile with drops on
+//     both sides from swinging between them forever.
+//   - Falling tiles (sand; "falls" in the tile registry) drop into
+//     air or sink through water, swapping places with it.
+//
+// Water stands for any liquid tile; each liquid only counts its
+// own kind as pressing down on it.
+//
+// Water is moved, never created, so every change settles. The
+// results go through worldState (persisted like any other edit)
+// and out to players as one batched blockUpdate per chunk.
+//
+// Limits (SIMULATION in constants.js): at most MAX_ACTIVE_CHUNKS
+// chunks and MAX_CHANGES_PER_TICK tile writes per tick. Work over
+// the cap carries over to the next tick; chunks woken while the
+// simulation is full queue up (at most MAX_WAITING_CHUNKS, oldest
+// dropped first) and start as others settle.
+
+const { WORLD, SIMULATION, MSG } = require('../Utils/constants');
+const Tiles = require('../Utils/tiles');
+const { getTile, placeBlocks } = require('./worldState');
+const log = require('../Utils/logger');
+
+const { AIR } = WORLD.TILES;
+
+// How far surface water looks sideways for somewhere lower to go
+const FLOW_REACH = 8;
+
+// ─────────────────────────────────────────────
+// State
+// ─────────────────────────────────────────────
+
+// "chunkX,chunkY" → quiet ticks so far
+const activeChunks = new Map();
+
+// Chunks woken while activeChunks was full, oldest first
+const waitingChunks = new Set();
+
+// { broadcastToArea, replicate, owns } once started
+let context = null;
+
+let tickCount = 0;
+
+// ─────────────────────────────────────────────
+// Activation
+// ─────────────────────────────────────────────
+
+function chunkKeyAt(x, y) {
+  return `${Math.floor(x / WORLD.CHUNK_SIZE)},${Math.floor(y / WORLD.CHUNK_SIZE)}`;
+}
+
+function activateChunk(key) {
+  if (activeChunks.has(key)) {
+    activeChunks.set(key, 0);
+    return;
+  }
+  if (activeChunks.size >= SIMULATION.MAX_ACTIVE_CHUNKS) {
+    if (waitingChunks.has(key)) return;
+    if (waitingChunks.size >= SIMULATION.MAX_WAITING_CHUNKS) {
+      const oldest = waitingChunks.values().next().value;
+      waitingChunks.delete(oldest);
+      log.debug(`🌊 Simulation queue full, dropping chunk ${oldest}`);
+    }
+    log.debug(`🌊 Simulation full, chunk ${key} waits`);
+    waitingChunks.add(key);
+    return;
+  }
+  activeChunks.set(key, 0);
+}
+
+// Move waiting chunks into the simulation as room frees up
+function admitWaiting() {
+  for (const key of waitingChunks) {
+    if (activeChunks.size >= SIMULATION.MAX_ACTIVE_CHUNKS) break;
+    waitingChunks.delete(key);
+    activeChunks.set(key, 0);
+  }
+}
+
+/**
+ * Wake the simulation around a changed tile. Its neighbours may
+ * sit in the next chunk over, so those chunks are woken too.
+ *
+ * @param {number} x - Tile X coordinate
+ * @param {number} y - Tile Y coordinate
+ */
+function activateAt(x, y) {
+  for (const [dx, dy] of [[0, 0], [-1, 0], [1, 0], [0, -1], [0, 1]]) {
+    activateChunk(chunkKeyAt(x + dx, y + dy));
+  }
+}
+
+// ─────────────────────────────────────────────
+// Simulation Step
+// ─────────────────────────────────────────────
+
+/**
+ * Advance every active chunk by one tick and publish the results.
+ *
+ * @returns {Array} Changes applied [{ x, y, tile }]
+ */
+function stepSimulation() {
+  admitWaiting();
+  if (activeChunks.size === 0) return [];
+  tickCount++;
+
+  // Writes this tick, read back through so later cells see them
+  const pending = new Map();
+  const read = (x, y) => {
+    const change = pending.get(`${x},${y}`);
+    return change ? change.tile : getTile(x, y);
+  };
+  const write = (x, y, tile) => pending.set(`${x},${y}`, { x, y, tile });
+
+  // Cells something moved into this tick — they don't move again
+  const moved = new Set();
+  const move = (fromX, fromY, toX, toY) => {
+    const tile = read(fromX, fromY);
+    write(fromX, fromY, read(toX, toY));
+    write(toX, toY, tile);
+    moved.add(`${toX},${toY}`);
+    moved.add(`${fromX},${fromY}`);
+  };
+
+  // Alternate sweep direction so water doesn't drift one way
+  const dir = tickCount % 2 === 0 ? 1 : -1;
+  const size = WORLD.CHUNK_SIZE;
+
+  for (const key of [...activeChunks.keys()]) {
+    if (pending.size >= SIMULATION.MAX_CHANGES_PER_TICK) break;
+
+    const [chunkX, chunkY] = key.split(',').map(Number);
+    const startX = chunkX * size;
+    const startY = chunkY * size;
+    if (context && !context.owns(startX, startY)) {
+      // Another zone node simulates this chunk
+      activeChunks.delete(key);
+      continue;
+    }
+
+    const before = pending.size;
+    for (let ly = size - 1; ly >= 0 && pending.size < SIMULATION.MAX_CHANGES_PER_TICK; ly--) {
+      for (let i = 0; i < size; i++) {
+        const x = startX + (dir > 0 ? i : size - 1 - i);
+        const y = startY + ly;
+        if (moved.has(`${x},${y}`)) continue;
+        stepCell(x, y, read, move, dir);
+      }
+    }
+
+    activeChunks.set(key, pending.size > before ? 0 : activeChunks.get(key) + 1);
+    if (activeChunks.get(key) >= SIMULATION.IDLE_TICKS) activeChunks.delete(key);
+  }
+
+  // A move can end where it started (swapped back); only real
+  // changes get persisted and sent
+  const changes = [...pending.values()].filter(({ x, y, tile }) => tile !== getTile(x, y));
+  const applied = placeBlocks(changes);
+  admitWaiting();
+  for (const change of applied) activateAt(change.x, change.y);
+  publish(applied);
+  return applied;
+}
+
+function stepCell(x, y, read, move, dir) {
+  const tile = read(x, y);
+
+  if (Tiles.isLiquid(tile)) {
+    if (read(x, y + 1) === AIR) {
+      move(x, y, x, y + 1);
+      return;
+    }
+    const open = [dir, -dir].filter((side) => read(x + side, y) === AIR);
+    if (open.length === 0) return;
+
+    // Ties go the sweep's way; it only alternates when neither
+    // side has a drop, and then only pressed water moves
+    let side = null;
+    let nearest = Infinity;
+    for (const s of open) {
+      const distance = dropDistance(x, y, s, read);
+      if (distance < nearest) {
+        side = s;
+        nearest = distance;
+      }
+    }
+    if (side === null && read(x, y - 1) === tile) side = open[0];
+    if (side !== null) move(x, y, x + side, y);
+    return;
+  }
+
+  const def = Tiles.get(tile);
+  if (def && def.falls) {
+    const below = read(x, y + 1);
+    if (below === AIR || Tiles.isLiquid(below)) move(x, y, x, y + 1);
+  }
+}
+
+// How far along this row is there air to fall into, before
+// something blocks the way? Infinity if not within FLOW_REACH.
+function dropDistance(x, y, side, read) {
+  for (let d = 1; d <= FLOW_REACH; d++) {
+    if (read(x + side * d, y) !== AIR) return Infinity;
+    if (read(x + side * d, y + 1) === AIR) return d;
+  }
+  return Infinity;
+}
+
+/**
+ * One blockUpdate per chunk. x/y/tile repeat the first change so
+ * the message also reads as a plain single-tile update.
+ */
+function publish(changes) {
+  if (!context || changes.length === 0) return;
+
+  const byChunk = new Map();
+  for (const change of changes) {
+    const key = chunkKeyAt(change.x, change.y);
+    if (!byChunk.has(key)) byChunk.set(key, []);
+    byChunk.get(key).push(change);
+  }
+
+  for (const batch of byChunk.values()) {
+    const update = {
+      type: MSG.BLOCK_UPDATE,
+      x: batch[0].x,
+      y: batch[0].y,
+      tile: batch[0].tile,
+      changes: batch,
+    };
+    context.broadcastToArea(update.x, update.y, update);
+    context.replicate(update);
+  }
+}
+
+// ─────────────────────────────────────────────
+// Lifecycle
+// ─────────────────────────────────────────────
+
+/**
+ * Start ticking the simulation.
+ *
+ * @param {object} options
+ * @param {Function} options.broadcastToArea - (x, y, message)
+ * @param {Function} options.replicate - Send a blockUpdate to other zone nodes
+ * @param {Function} options.owns - (x, y) → whether this node simulates that tile
+ */
+function startSimulation({ broadcastToArea, replicate, owns }) {
+  context = { broadcastToArea, replicate, owns };
+  setInterval(stepSimulation, SIMULATION.TICK_RATE);
+  log(`🌊 Tile simulation started (${SIMULATION.TICK_RATE}ms, ≤${SIMULATION.MAX_ACTIVE_CHUNKS} chunks)`);
+}
+
+/**
+ * Simulation status for /stats.
+ *
+ * @returns {object}
+ */
+function getSimulationStats() {
+  return { activeChunks: activeChunks.size, waitingChunks: waitingChunks.size, ticks: tickCount };
+}
+
+module.exports = {
+  activateAt,
+  stepSimulation,
+  startSimulation,
+  getSimulationStats,
+};
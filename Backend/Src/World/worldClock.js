@@ -0,0 +1,34 @@
+// Backend/Src/World/worldClock.js
+//
+// AETHARIA — World Clock
+// ================================
+// Time of day for this world (see Shared/Utils/dayCycle.js). It's
+// derived from the wall clock, so every zone node of a world — and
+// a restarted one — tells the same time. Day length comes from
+// worlds/*.json ("dayLength", seconds).
+
+const DayCycle = require('../Utils/dayCycle');
+
+let dayLength = DayCycle.DEFAULT_DAY_LENGTH;
+
+/**
+ * Apply a world's day length.
+ *
+ * @param {object} worldConfig - Loaded world config (uses .dayLength)
+ */
+function configureClock(worldConfig) {
+  dayLength = worldConfig.dayLength || DayCycle.DEFAULT_DAY_LENGTH;
+}
+
+/**
+ * @param {number} [now=Date.now()]
+ * @returns {object} { time, dayLength } — time of day in [0, 1)
+ */
+function getWorldTime(now = Date.now()) {
+  return { time: DayCycle.timeOfDay(now, dayLength), dayLength };
+}
+
+module.exports = {
+  configureClock,
+  getWorldTime,
+};
@@ -8,30 +8,109 @@
 // blocks removed, structures built).
 //
 // Architecture:
-//   - Base terrain comes from terrainGen.js (deterministic, never changes)
+//   - Base terrain comes from terrainGen.js (deterministic, never changes),
+//     served through the LRU cache in chunkCache.js
 //   - Modifications are stored here as overrides
 //   - When a client requests a chunk, the server merges the
 //     base terrain with any modifications
-//   - Modifications persist in memory (future: save to disk/Redis)
+//   - Modifications are held in memory for fast lookups and
+//     written through to SQLite (block_modifications table,
+//     keyed by world id) so builds survive restarts
 //
 // This is what allows the world to evolve — AI agents build
 // structures, players mine blocks, and those changes persist
 // for everyone.
 
 const { WORLD } = require('../Utils/constants');
-const { generateChunk } = require('./terrainGen');
+const Tiles = require('../Utils/tiles');
+const { getBaseChunk } = require('./chunkCache');
+const db = require('../Database/db');
 const log = require('../Utils/logger');
 
 // ─────────────────────────────────────────────
 // Modification Store
 // ─────────────────────────────────────────────
-// Key: "worldX,worldY" (tile coordinates)
-// Value: tile type integer (from WORLD.TILES)
+// Indexed by chunk so chunk merges and delta queries only
+// touch that chunk's own edits, no matter how many edits the
+// rest of the world has accumulated.
+//
+// Outer key: "chunkX,chunkY" (chunk coordinates)
+// Inner key: localY * CHUNK_SIZE + localX (index within the chunk)
+// Value:     tile type integer (from WORLD.TILES)
 //
 // Only modified tiles are stored. Unmodified tiles are
 // served from the terrain generator.
 
-const modifications = new Map();
+const chunkModifications = new Map();
+let modificationCount = 0;
+
+// World the store is persisting for. Set by loadModifications()
+// on boot — until then, modifications are memory-only.
+let persistWorldId = null;
+
+/**
+ * Split a world tile position into its chunk key and the
+ * tile's index within that chunk.
+ *
+ * @param {number} worldX - Tile X coordinate
+ * @param {number} worldY - Tile Y coordinate
+ * @returns {object} { chunkX, chunkY, localX, localY, chunkKey, index }
+ */
+function locate(worldX, worldY) {
+  const size = WORLD.CHUNK_SIZE;
+  const chunkX = Math.floor(worldX / size);
+  const chunkY = Math.floor(worldY / size);
+  const localX = worldX - chunkX * size;
+  const localY = worldY - chunkY * size;
+  return {
+    chunkX, chunkY, localX, localY,
+    chunkKey: `${chunkX},${chunkY}`,
+    index: localY * size + localX,
+  };
+}
+
+/**
+ * Write a single modification into the chunk index.
+ *
+ * @param {number} worldX - Tile X coordinate
+ * @param {number} worldY - Tile Y coordinate
+ * @param {number} tileType - Tile type from WORLD.TILES
+ * @returns {boolean} false if the tile already had this value
+ */
+function setModification(worldX, worldY, tileType) {
+  const { chunkKey, index } = locate(worldX, worldY);
+
+  let chunkMods = chunkModifications.get(chunkKey);
+  if (!chunkMods) {
+    chunkMods = new Map();
+    chunkModifications.set(chunkKey, chunkMods);
+  }
+
+  if (chunkMods.get(index) === tileType) return false;
+  if (!chunkMods.has(index)) modificationCount++;
+  chunkMods.set(index, tileType);
+  return true;
+}
+
+/**
+ * Load persisted modifications for a world into the store and
+ * start writing new modifications through to the database.
+ * Call once on boot, before anything places blocks.
+ *
+ * @param {string} worldId - World ID from worldConfig
+ * @returns {number} Number of modifications loaded
+ */
+function loadModifications(worldId) {
+  persistWorldId = worldId;
+
+  const rows = db.getBlockModifications(worldId);
+  for (const row of rows) {
+    setModification(row.x, row.y, row.tile);
+  }
+
+  log(`🧱 Loaded ${rows.length} block modification(s) for world '${worldId}'`);
+  return rows.length;
+}
 
 /**
  * Place a block at a world tile position.
@@ -44,13 +123,42 @@ const modifications = new Map();
  */
 function placeBlock(worldX, worldY, tileType) {
   if (!Number.isInteger(worldX) || !Number.isInteger(worldY)) return false;
-  if (!Number.isInteger(tileType) || tileType < 0 || tileType > 8) return false;
+  if (!Tiles.isValid(tileType)) return false;
+
+  if (!setModification(worldX, worldY, tileType)) return true;
+
+  if (persistWorldId) {
+    try {
+      db.saveBlockModification(persistWorldId, worldX, worldY, tileType);
+    } catch (e) {
+      log(`❌ Failed to persist block at (${worldX}, ${worldY}): ${e.message}`);
+    }
+  }
 
-  const key = `${worldX},${worldY}`;
-  modifications.set(key, tileType);
   return true;
 }
 
+/**
+ * Place many blocks at once, persisted in a single transaction
+ * (tile simulation results).
+ *
+ * @param {Array} changes - [{ x, y, tile }] with valid integers
+ * @returns {Array} The changes that actually changed a tile
+ */
+function placeBlocks(changes) {
+  const applied = changes.filter(({ x, y, tile }) => setModification(x, y, tile));
+
+  if (persistWorldId && applied.length > 0) {
+    try {
+      db.saveBlockModifications(persistWorldId, applied);
+    } catch (e) {
+      log(`❌ Failed to persist ${applied.length} simulated block(s): ${e.message}`);
+    }
+  }
+
+  return applied;
+}
+
 /**
  * Remove a block at a world tile position (set it to AIR).
  *
@@ -62,52 +170,67 @@ function removeBlock(worldX, worldY) {
   return placeBlock(worldX, worldY, WORLD.TILES.AIR);
 }
 
+/**
+ * Apply a block change made authoritatively by another node
+ * (zone cluster mode). Updates memory only — the owning node
+ * already persisted it.
+ *
+ * @param {number} worldX - Tile X coordinate
+ * @param {number} worldY - Tile Y coordinate
+ * @param {number} tileType - Tile type from WORLD.TILES
+ * @returns {boolean} true if the tile changed
+ */
+function applyRemoteBlock(worldX, worldY, tileType) {
+  if (!Number.isInteger(worldX) || !Number.isInteger(worldY)) return false;
+  if (!Tiles.isValid(tileType)) return false;
+  return setModification(worldX, worldY, tileType);
+}
+
 /**
  * Get the tile at a world position, accounting for modifications.
  * If the tile has been modified, returns the modification.
- * Otherwise, generates the base terrain tile.
+ * Otherwise, reads the base terrain tile from the chunk cache.
  *
  * @param {number} worldX - Tile X coordinate
  * @param {number} worldY - Tile Y coordinate
  * @returns {number} Tile type
  */
 function getTile(worldX, worldY) {
-  const key = `${worldX},${worldY}`;
-  if (modifications.has(key)) {
-    return modifications.get(key);
+  const { chunkX, chunkY, localX, localY, chunkKey, index } = locate(worldX, worldY);
+  const chunkMods = chunkModifications.get(chunkKey);
+  if (chunkMods && chunkMods.has(index)) {
+    return chunkMods.get(index);
   }
 
   // Fall back to generated terrain
-  const chunkX = Math.floor(worldX / WORLD.CHUNK_SIZE);
-  const chunkY = Math.floor(worldY / WORLD.CHUNK_SIZE);
-  const localX = ((worldX % WORLD.CHUNK_SIZE) + WORLD.CHUNK_SIZE) % WORLD.CHUNK_SIZE;
-  const localY = ((worldY % WORLD.CHUNK_SIZE) + WORLD.CHUNK_SIZE) % WORLD.CHUNK_SIZE;
-
-  const chunk = generateChunk(chunkX, chunkY);
+  const chunk = getBaseChunk(chunkX, chunkY);
   return chunk.tiles[localY][localX];
 }
 
 /**
  * Get a chunk with modifications applied.
- * Generates the base chunk, then overlays any modifications.
+ * Copies the (cached) base chunk, then overlays any modifications.
  *
  * @param {number} chunkX - Chunk X coordinate
  * @param {number} chunkY - Chunk Y coordinate
  * @returns {object} Chunk data with modifications applied
  */
 function getModifiedChunk(chunkX, chunkY) {
-  const chunk = generateChunk(chunkX, chunkY);
+  // Copy the cached base so overlays never leak back into the cache
+  const base = getBaseChunk(chunkX, chunkY);
+  const chunk = {
+    x: base.x,
+    y: base.y,
+    tiles: base.tiles.map((row) => row.slice()),
+  };
 
-  // Apply any modifications within this chunk's bounds
-  const startX = chunkX * WORLD.CHUNK_SIZE;
-  const startY = chunkY * WORLD.CHUNK_SIZE;
-
-  for (let ly = 0; ly < WORLD.CHUNK_SIZE; ly++) {
-    for (let lx = 0; lx < WORLD.CHUNK_SIZE; lx++) {
-      const key = `${startX + lx},${startY + ly}`;
-      if (modifications.has(key)) {
-        chunk.tiles[ly][lx] = modifications.get(key);
-      }
+  // Apply only this chunk's own modifications
+  const chunkMods = chunkModifications.get(`${chunkX},${chunkY}`);
+  if (chunkMods) {
+    for (const [index, tile] of chunkMods) {
+      const ly = Math.floor(index / WORLD.CHUNK_SIZE);
+      const lx = index % WORLD.CHUNK_SIZE;
+      chunk.tiles[ly][lx] = tile;
     }
   }
 
@@ -123,17 +246,19 @@ function getModifiedChunk(chunkX, chunkY) {
  * @returns {Array} Array of { x, y, tile } modifications
  */
 function getChunkModifications(chunkX, chunkY) {
+  const chunkMods = chunkModifications.get(`${chunkX},${chunkY}`);
+  if (!chunkMods) return [];
+
   const startX = chunkX * WORLD.CHUNK_SIZE;
   const startY = chunkY * WORLD.CHUNK_SIZE;
-  const endX = startX + WORLD.CHUNK_SIZE;
-  const endY = startY + WORLD.CHUNK_SIZE;
   const mods = [];
 
-  for (const [key, tile] of modifications) {
-    const [x, y] = key.split(',').map(Number);
-    if (x >= startX && x < endX && y >= startY && y < endY) {
-      mods.push({ x, y, tile });
-    }
+  for (const [index, tile] of chunkMods) {
+    mods.push({
+      x: startX + (index % WORLD.CHUNK_SIZE),
+      y: startY + Math.floor(index / WORLD.CHUNK_SIZE),
+      tile,
+    });
   }
 
   return mods;
@@ -144,12 +269,15 @@ function getChunkModifications(chunkX, chunkY) {
  * @returns {number}
  */
 function getModificationCount() {
-  return modifications.size;
+  return modificationCount;
 }
 
 module.exports = {
+  loadModifications,
   placeBlock,
+  placeBlocks,
   removeBlock,
+  applyRemoteBlock,
   getTile,
   getModifiedChunk,
   getChunkModifications,
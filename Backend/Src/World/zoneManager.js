@@ -13,25 +13,110 @@
 //   - Detect when a player crosses a zone boundary
 //   - Provide zone-scoped player lists for broadcasting
 //
-// Zone boundaries are defined in chunk coordinates in constants.js.
+// Zone layouts come from the world config ("zones" in
+// worlds/*.json, validated by loadWorldConfig) — either fixed
+// rectangles in chunk coords, or a grid rule that tiles an
+// unbounded world and creates zones on demand. Worlds that don't
+// declare one use ZONES from constants.js.
+//
+// Under load, rebalanceZones() splits a zone holding more than
+// maxPlayers in half along its longer axis ("zone_central" →
+// "zone_central:0" + "zone_central:1", recursively), and merges
+// the halves back once they're quiet again.
+//
 // The zone manager doesn't know about networking or WebSockets —
 // it's pure spatial logic. The main server uses it to decide
 // where to route messages.
 
-const { ZONES, WORLD } = require('../Utils/constants');
+const { ZONES, WORLD, SERVER } = require('../Utils/constants');
 const log = require('../Utils/logger');
 
+// ─────────────────────────────────────────────
+// Zone Layout
+// ─────────────────────────────────────────────
+// Fixed: { definitions, defaultZone } — every zone known up front
+// Grid:  { grid: { width, height } } — zone_<gx>_<gy>, created on demand
+
+let layout = {
+  definitions: ZONES.DEFINITIONS,
+  defaultZone: ZONES.DEFAULT,
+  grid: null,
+};
+
+const GRID_ZONE_PATTERN = /^zone_-?\d+_-?\d+$/;
+
+// Load thresholds: split above maxPlayers, merge halves whose
+// combined count drops below mergeBelow (the gap stops a zone
+// flapping between split and merged)
+let load = {
+  maxPlayers: SERVER.MAX_PLAYERS_PER_ZONE,
+  mergeBelow: Math.floor(SERVER.MAX_PLAYERS_PER_ZONE / 2),
+};
+
+// ─────────────────────────────────────────────
+// Zone Splits
+// ─────────────────────────────────────────────
+// zoneId → { axis: 'x'|'y', mid, children: [lowId, highId] }
+// A split zone has no players of its own; positions descend to
+// the child on their side of mid (in chunk coords).
+
+const SPLIT_SEPARATOR = ':';
+const splits = new Map();
+const splitBounds = new Map(); // child zoneId → bounds in chunk coords
+
 // ─────────────────────────────────────────────
 // Zone Player Registry
 // ─────────────────────────────────────────────
 // Maps zone IDs to Sets of player IDs.
 // Using Sets for O(1) add/remove/has operations.
 
-const zonePlayers = {};
+let zonePlayers = {};
+
+function resetRegistry() {
+  zonePlayers = {};
+  splits.clear();
+  splitBounds.clear();
+  for (const zoneId of Object.keys(layout.definitions)) {
+    zonePlayers[zoneId] = new Set();
+  }
+}
+
+resetRegistry();
+
+/**
+ * Apply a world's zone layout and load thresholds. Call once at
+ * startup, before any player is assigned. Leaves the constants.js
+ * layout in place when the world doesn't declare one.
+ *
+ * @param {object} [zonesConfig] - worldConfig.zones (already validated)
+ */
+function configureZones(zonesConfig) {
+  if (!zonesConfig) return;
+
+  const maxPlayers = zonesConfig.maxPlayers || SERVER.MAX_PLAYERS_PER_ZONE;
+  load = {
+    maxPlayers,
+    mergeBelow: zonesConfig.mergeBelow !== undefined ? zonesConfig.mergeBelow : Math.floor(maxPlayers / 2),
+  };
+  log(`🧭 Zone load: split above ${load.maxPlayers} players, merge below ${load.mergeBelow}`);
+
+  if (zonesConfig.grid) {
+    layout = {
+      definitions: {},
+      defaultZone: null,
+      grid: { width: zonesConfig.grid.width, height: zonesConfig.grid.height },
+    };
+    log(`🧭 Zones: ${layout.grid.width}x${layout.grid.height} chunk grid (unbounded)`);
+  } else if (zonesConfig.definitions) {
+    layout = {
+      definitions: zonesConfig.definitions,
+      defaultZone: zonesConfig.default || Object.keys(zonesConfig.definitions)[0],
+      grid: null,
+    };
+    log(`🧭 Zones: ${Object.keys(layout.definitions).length} defined, default ${layout.defaultZone}`);
+  }
 
-// Initialize all defined zones with empty player sets
-for (const zoneId of Object.keys(ZONES.DEFINITIONS)) {
-  zonePlayers[zoneId] = new Set();
+  resetRegistry();
 }
 
 // ─────────────────────────────────────────────
@@ -39,22 +124,41 @@ for (const zoneId of Object.keys(ZONES.DEFINITIONS)) {
 // ─────────────────────────────────────────────
 // Given a tile position, determine which zone it belongs to.
 // Converts tile coords to chunk coords, then checks against
-// zone boundary definitions.
+// zone boundary definitions (or the grid rule).
 
 /**
  * Determine which zone a position belongs to.
  *
  * @param {number} tileX - X position in tile coordinates
  * @param {number} tileY - Y position in tile coordinates
- * @returns {string} Zone ID (e.g., 'zone_central')
+ * @returns {string} Zone ID (e.g., 'zone_central' or 'zone_-1_0')
  */
 function getZoneForPosition(tileX, tileY) {
   // Convert tile position to chunk position
   const chunkX = Math.floor(tileX / WORLD.CHUNK_SIZE);
   const chunkY = Math.floor(tileY / WORLD.CHUNK_SIZE);
 
+  let zoneId = getBaseZone(chunkX, chunkY);
+
+  // Descend into sub-zones if this zone has been split
+  while (splits.has(zoneId)) {
+    const { axis, mid, children } = splits.get(zoneId);
+    const coord = axis === 'x' ? chunkX : chunkY;
+    zoneId = coord < mid ? children[0] : children[1];
+  }
+
+  return zoneId;
+}
+
+function getBaseZone(chunkX, chunkY) {
+  if (layout.grid) {
+    const gridX = Math.floor(chunkX / layout.grid.width);
+    const gridY = Math.floor(chunkY / layout.grid.height);
+    return `zone_${gridX}_${gridY}`;
+  }
+
   // Check each zone's boundaries
-  for (const [zoneId, bounds] of Object.entries(ZONES.DEFINITIONS)) {
+  for (const [zoneId, bounds] of Object.entries(layout.definitions)) {
     if (
       chunkX >= bounds.minX &&
       chunkX <= bounds.maxX &&
@@ -66,7 +170,40 @@ function getZoneForPosition(tileX, tileY) {
   }
 
   // If position doesn't fall in any defined zone, use default
-  return ZONES.DEFAULT;
+  return layout.defaultZone;
+}
+
+/**
+ * The configured zone a (possibly split) zone came from, e.g.
+ * 'zone_central:1:0' → 'zone_central'. Ownership in cluster mode
+ * follows the root zone.
+ *
+ * @param {string} zoneId
+ * @returns {string}
+ */
+function getRootZone(zoneId) {
+  return zoneId.split(SPLIT_SEPARATOR)[0];
+}
+
+/**
+ * Whether a zone ID can exist under the current layout.
+ *
+ * @param {string} zoneId
+ * @returns {boolean}
+ */
+function isKnownZone(zoneId) {
+  if (layout.grid) return GRID_ZONE_PATTERN.test(zoneId);
+  return Boolean(layout.definitions[zoneId]);
+}
+
+/**
+ * The zone for positions outside every definition.
+ * Null for grid layouts, where every position has a zone.
+ *
+ * @returns {string|null}
+ */
+function getDefaultZone() {
+  return layout.defaultZone;
 }
 
 // ─────────────────────────────────────────────
@@ -111,6 +248,12 @@ function removePlayerFromZone(playerId, zoneId) {
   if (zonePlayers[zoneId]) {
     zonePlayers[zoneId].delete(playerId);
     log(`🚪 Player ${playerId} removed from ${zoneId} (${zonePlayers[zoneId].size} remaining)`);
+
+    // Grid zones are created on demand, so drop them once empty
+    // rather than accumulating one per area ever visited
+    if (layout.grid && zonePlayers[zoneId].size === 0) {
+      delete zonePlayers[zoneId];
+    }
   }
 }
 
@@ -149,6 +292,114 @@ function checkZoneTransfer(playerId, currentZone, newX, newY) {
   return null;
 }
 
+// ─────────────────────────────────────────────
+// Load Balancing (Split / Merge)
+// ─────────────────────────────────────────────
+
+function getZoneBounds(zoneId) {
+  if (splitBounds.has(zoneId)) return splitBounds.get(zoneId);
+  if (layout.grid) {
+    const [gridX, gridY] = zoneId.slice('zone_'.length).split('_').map(Number);
+    return {
+      minX: gridX * layout.grid.width,
+      maxX: (gridX + 1) * layout.grid.width - 1,
+      minY: gridY * layout.grid.height,
+      maxY: (gridY + 1) * layout.grid.height - 1,
+    };
+  }
+  return layout.definitions[zoneId] || null;
+}
+
+/**
+ * Halve a zone along its longer axis. Returns null for a zone
+ * that is already a single chunk (or has no known bounds).
+ */
+function planSplit(zoneId) {
+  const bounds = getZoneBounds(zoneId);
+  if (!bounds) return null;
+
+  const width = bounds.maxX - bounds.minX + 1;
+  const height = bounds.maxY - bounds.minY + 1;
+  const children = [`${zoneId}${SPLIT_SEPARATOR}0`, `${zoneId}${SPLIT_SEPARATOR}1`];
+
+  if (width >= height && width >= 2) {
+    const mid = bounds.minX + Math.floor(width / 2);
+    return {
+      split: { axis: 'x', mid, children },
+      bounds: [{ ...bounds, maxX: mid - 1 }, { ...bounds, minX: mid }],
+    };
+  }
+  if (height >= 2) {
+    const mid = bounds.minY + Math.floor(height / 2);
+    return {
+      split: { axis: 'y', mid, children },
+      bounds: [{ ...bounds, maxY: mid - 1 }, { ...bounds, minY: mid }],
+    };
+  }
+  return null;
+}
+
+/**
+ * Split overloaded zones and merge quiet ones back. Call
+ * periodically; main.js tells each moved player via zoneChanged.
+ *
+ * @param {Function} positionOf - playerId → { x, y } in tile coords
+ * @returns {Array} Moves: [{ playerId, from, to }]
+ */
+function rebalanceZones(positionOf) {
+  const moves = [];
+
+  // Split: anything over the threshold that can still be halved
+  for (const [zoneId, players] of Object.entries(zonePlayers)) {
+    if (players.size <= load.maxPlayers) continue;
+
+    const plan = planSplit(zoneId);
+    if (!plan) continue;
+
+    splits.set(zoneId, plan.split);
+    plan.split.children.forEach((childId, i) => {
+      splitBounds.set(childId, plan.bounds[i]);
+      zonePlayers[childId] = new Set();
+    });
+    delete zonePlayers[zoneId];
+
+    for (const playerId of players) {
+      const pos = positionOf(playerId);
+      const to = pos ? getZoneForPosition(pos.x, pos.y) : plan.split.children[0];
+      if (!zonePlayers[to]) zonePlayers[to] = new Set();
+      zonePlayers[to].add(playerId);
+      moves.push({ playerId, from: zoneId, to });
+    }
+
+    log(`🪓 Zone ${zoneId} split (${players.size} > ${load.maxPlayers} players) → ${plan.split.children.join(' + ')}`);
+  }
+
+  // Merge: sibling halves (not themselves split) that went quiet
+  for (const [zoneId, { children }] of splits) {
+    if (children.some((childId) => splits.has(childId))) continue;
+
+    const total = children.reduce((sum, childId) => sum + getZonePlayerCount(childId), 0);
+    if (total >= load.mergeBelow) continue;
+
+    const merged = new Set();
+    for (const childId of children) {
+      for (const playerId of zonePlayers[childId] || []) {
+        merged.add(playerId);
+        moves.push({ playerId, from: childId, to: zoneId });
+      }
+      delete zonePlayers[childId];
+      splitBounds.delete(childId);
+    }
+    splits.delete(zoneId);
+    // Empty grid zones aren't kept around (see removePlayerFromZone)
+    if (merged.size > 0 || !layout.grid) zonePlayers[zoneId] = merged;
+
+    log(`🧵 Zones ${children.join(' + ')} merged back into ${zoneId} (${total} < ${load.mergeBelow} players)`);
+  }
+
+  return moves;
+}
+
 // ─────────────────────────────────────────────
 // Zone Queries
 // ─────────────────────────────────────────────
@@ -175,6 +426,16 @@ function getZonePlayerCount(zoneId) {
   return zonePlayers[zoneId].size;
 }
 
+/**
+ * IDs of all zones currently in the registry: every defined zone,
+ * or the occupied grid zones.
+ *
+ * @returns {string[]}
+ */
+function getZoneIds() {
+  return Object.keys(zonePlayers);
+}
+
 /**
  * Get a summary of all zones and their player counts.
  * Useful for debugging and load balancing.
@@ -190,10 +451,16 @@ function getZoneSummary() {
 }
 
 module.exports = {
+  configureZones,
   assignPlayerToZone,
   removePlayerFromZone,
   checkZoneTransfer,
   getZoneForPosition,
+  getRootZone,
+  rebalanceZones,
+  isKnownZone,
+  getDefaultZone,
+  getZoneIds,
   getZonePlayers,
   getZonePlayerCount,
   getZoneSummary,
@@ -4,7 +4,8 @@
 // ================================
 // Core WebSocket server with:
 //   - Authentication (register/login with persistent accounts)
-//   - Server-side gravity
+//   - Server-side gravity, swimming, breath and fall damage
+//   - World clock (day/night), synced to clients
 //   - Auto-save player state every 60 seconds
 
 const express = require('express');
@@ -15,13 +16,26 @@ const { v4: uuidv4 } = require('uuid');
 const handleMessage = require('./Handlers/handleMessage');
 const { handleRegister, handleLogin } = require('./Handlers/handleAuth');
 const { createPlayer } = require('./Player/player');
-const { assignPlayerToZone, removePlayerFromZone, getZonePlayers } = require('./World/zoneManager');
-const { generateChunk } = require('./World/terrainGen');
-const { getModifiedChunk, getTile, placeBlock } = require('./World/worldState');
+const { TICK_RATE, JUMP_VELOCITY, isSolid, configurePhysics, stepServerTick, positionCorrection, stepBreath, getGravity } = require('./Player/physics');
+const { configureAntiCheat } = require('./Player/antiCheat');
+const { stepHealth } = require('./Player/health');
+const { configureZones, assignPlayerToZone, removePlayerFromZone, getZonePlayers, getZoneSummary, rebalanceZones, checkZoneTransfer, getZoneForPosition } = require('./World/zoneManager');
+const { updateInterest, removeFromInterest, getSubscribersAt } = require('./World/interestManager');
+const { generateChunk, configureOres, configureBiomes, configureStructures, configureGenerator, spawnScanTop, voidBelow } = require('./World/terrainGen');
+const { structuresDir, loadTemplates } = require('./World/structures');
+const { getModifiedChunk, getTile, placeBlock, loadModifications, getModificationCount } = require('./World/worldState');
+const { setCacheSize, getCacheStats } = require('./World/chunkCache');
+const { startSimulation, getSimulationStats } = require('./World/tileSim');
+const { configureClock, getWorldTime } = require('./World/worldClock');
 const db = require('./Database/db');
 const log = require('./Utils/logger');
-const { WORLD, SERVER, MSG } = require('./Utils/constants');
-const { loadWorldConfig } = require('../Shared/worldConfig');
+const { WORLD, PLAYER, SERVER, MSG } = require('./Utils/constants');
+const { ENCODINGS, encodeChunk } = require('./Utils/chunkCodec');
+const Tiles = require('./Utils/tiles');
+const { send, parse, preparePacket, isBinary } = require('./Network/protocol');
+const { startWorldSync, isSyncRequest, handleSyncUpgrade, getNetworkSummary, getOnlinePlayers } = require('./Network/worldSync');
+const { startZoneCluster, getZoneOwner, ownsZone, signHandoff, verifyHandoff, replicateBlockUpdate, getClusterSummary, isClusterRequest, handleClusterUpgrade } = require('./Network/zoneCluster');
+const { loadWorldConfig } = require('./Utils/worldConfig');
 const jwt = require('jsonwebtoken');
 
 // ─────────────────────────────────────────────
@@ -33,24 +47,31 @@ const PORTAL_SECRET = process.env.PORTAL_SECRET || 'aetharia-portal-s3cret';
 // Override world seed from config
 if (worldConfig.seed) WORLD.SEED = worldConfig.seed;
 
-// ─────────────────────────────────────────────
-// Physics Constants
-// ─────────────────────────────────────────────
+// Per-world chunk cache size (defaults to WORLD.CHUNK_CACHE_SIZE)
+if (worldConfig.chunkCacheSize !== undefined) setCacheSize(worldConfig.chunkCacheSize);
 
-const PHYSICS_TICK_RATE = 50;
-const GRAVITY = 30;
-const MAX_FALL_SPEED = 25;
-const JUMP_VELOCITY = -14;
+// Per-world terrain generator, ore veins and biome weights
+// (defaults in terrainGen.js)
+configureGenerator(worldConfig);
+configureOres(worldConfig);
+configureBiomes(worldConfig);
 
-const SOLID_TILES = [
-  WORLD.TILES.DIRT, WORLD.TILES.STONE, WORLD.TILES.GRASS,
-  WORLD.TILES.SAND, WORLD.TILES.WOOD, WORLD.TILES.LEAVES,
-];
+// Structure templates from worlds/structures/, with this world's chances
+const structureTemplates = loadTemplates(structuresDir());
+configureStructures(worldConfig, structureTemplates);
+log.info(`🏛️ Loaded ${structureTemplates.size} structure template(s) from ${structuresDir()}`);
 
-function isSolid(tileX, tileY) {
-  const tile = getTile(Math.floor(tileX), Math.floor(tileY));
-  return SOLID_TILES.includes(tile);
-}
+// Per-world gravity for Player/physics.js, world id for anti-cheat logs,
+// day length for the world clock
+configurePhysics(worldConfig);
+configureAntiCheat(worldConfig);
+configureClock(worldConfig);
+
+// Per-world zone layout (defaults to ZONES in constants.js)
+configureZones(worldConfig.zones);
+
+// Restore blocks placed/removed in previous runs of this world
+loadModifications(worldConfig.id || 'origin');
 
 // ─────────────────────────────────────────────
 // Server Setup
@@ -59,21 +80,76 @@ function isSolid(tileX, tileY) {
 const PORT = process.env.PORT || 8080;
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ noServer: true });
+
+// Game clients and peer backends share the port: /sync upgrades
+// go to world sync (Network/worldSync.js), /zones to zone cluster
+// links (Network/zoneCluster.js).
+server.on('upgrade', (req, socket, head) => {
+  if (isSyncRequest(req)) return handleSyncUpgrade(req, socket, head);
+  if (isClusterRequest(req)) return handleClusterUpgrade(req, socket, head);
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    wss.emit('connection', ws, req);
+  });
+});
 
 const players = {};
 const wsToPlayerId = new Map();
 const playerIdToWs = new Map();
 
+// ─────────────────────────────────────────────
+// Monitoring
+// ─────────────────────────────────────────────
+// Lightweight JSON stats for dashboards and health probes.
+
+app.get('/stats', (req, res) => {
+  res.json({
+    world: worldConfig.id || 'origin',
+    players: Object.keys(players).length,
+    zones: getZoneSummary(),
+    modifications: getModificationCount(),
+    chunkCache: getCacheStats(),
+    network: getNetworkSummary(),
+    cluster: getClusterSummary(),
+    simulation: getSimulationStats(),
+  });
+});
+
+// Who's online across this world and every synced peer world.
+app.get('/online', (req, res) => {
+  const worlds = getOnlinePlayers();
+  res.json({
+    total: worlds.reduce((sum, w) => sum + w.players.length, 0),
+    worlds,
+  });
+});
+
+/**
+ * Presence snapshot streamed to peer worlds by world sync.
+ */
+function getPresenceSnapshot() {
+  return {
+    players: Object.values(players).map((p) => ({
+      id: p.id,
+      name: p.name,
+      x: p.x,
+      y: p.y,
+      zone: p.zone,
+    })),
+    zones: getZoneSummary(),
+  };
+}
+
 // ─────────────────────────────────────────────
 // Find spawn surface
 // ─────────────────────────────────────────────
 
+// Scans down from above the ground (where depends on the world's
+// terrain generator)
 function findSpawnSurface(spawnX) {
-  for (let y = -20; y < 50; y++) {
-    const tile = getTile(spawnX, y);
-    const tileBelow = getTile(spawnX, y + 1);
-    if (!SOLID_TILES.includes(tile) && SOLID_TILES.includes(tileBelow)) {
+  const top = spawnScanTop();
+  for (let y = top; y < top + 128; y++) {
+    if (!isSolid(spawnX, y) && isSolid(spawnX, y + 1)) {
       return y;
     }
   }
@@ -88,16 +164,17 @@ function sendWelcome(ws, player, playerId) {
   const spawnChunkX = Math.floor(player.x / WORLD.CHUNK_SIZE);
   const spawnChunkY = Math.floor(player.y / WORLD.CHUNK_SIZE);
 
+  const { time, dayLength } = getWorldTime();
   const initialChunks = {};
   for (let dx = -1; dx <= 1; dx++) {
     for (let dy = -1; dy <= 1; dy++) {
       const cx = spawnChunkX + dx;
       const cy = spawnChunkY + dy;
-      initialChunks[`${cx},${cy}`] = getModifiedChunk(cx, cy);
+      initialChunks[`${cx},${cy}`] = encodeChunk(getModifiedChunk(cx, cy), ws.chunkEncoding);
     }
   }
 
-  ws.send(JSON.stringify({
+  send(ws, {
     type: 'welcome',
     id: playerId,
     name: player.name,
@@ -113,38 +190,63 @@ function sendWelcome(ws, player, playerId) {
       tileSize: WORLD.TILE_SIZE,
       worldName: worldConfig.name || 'Origin',
       worldId: worldConfig.id || 'origin',
+      chunkEncoding: ws.chunkEncoding,
+      gravity: getGravity(),
+      dayLength,
+      generator: worldConfig.generator || 'overworld',
     },
-  }));
+    time,
+    tiles: Tiles.list(),
+  });
+  sendPlayerStatus(ws, player);
 }
 
-function broadcastJoin(playerId, player) {
-  broadcastToZone(player.zone, {
-    type: 'playerJoined',
-    id: playerId,
-    name: player.name,
-    color: player.color,
-    x: player.x,
-    y: player.y,
-  }, playerId);
+function playerInfo(playerId) {
+  const p = players[playerId];
+  return { id: playerId, name: p.name, color: p.color, x: p.x, y: p.y };
 }
 
-function sendExistingPlayers(ws, playerId, zoneId) {
-  const zonePlayers = getZonePlayers(zoneId);
-  const existingPlayers = zonePlayers
-    .filter((pid) => pid !== playerId && players[pid])
-    .map((pid) => ({
-      id: pid,
-      name: players[pid].name,
-      color: players[pid].color,
-      x: players[pid].x,
-      y: players[pid].y,
-    }));
-
-  if (existingPlayers.length > 0) {
-    ws.send(JSON.stringify({
-      type: 'existingPlayers',
-      players: existingPlayers,
-    }));
+/**
+ * Bring a player's area of interest up to date after they spawn or
+ * move, send them the chunks that came into view, and tell
+ * everyone whose view changed. Joining players are
+ * announced with playerJoined; players merely walking into view
+ * arrive via existingPlayers so clients don't print "joined".
+ *
+ * @param {string} playerId
+ * @param {boolean} [joining=false] - Player just connected
+ */
+function refreshInterest(playerId, joining = false) {
+  const player = players[playerId];
+  if (!player) return;
+
+  const change = updateInterest(playerId, player.x, player.y);
+  if (!change) return;
+
+  const info = playerInfo(playerId);
+  const appear = joining
+    ? { type: MSG.PLAYER_JOINED, ...info }
+    : { type: MSG.EXISTING_PLAYERS, players: [info] };
+  sendToPlayers(change.newWatchers, appear);
+  sendToPlayers(change.lostWatchers, { type: MSG.PLAYERS_OUT_OF_VIEW, ids: [playerId] });
+
+  const ws = playerIdToWs.get(playerId);
+
+  // Chunks back in view are sent fresh: edits made while they were
+  // out of it never reached this player. Joining players got their
+  // window in welcome.
+  if (!joining) {
+    for (const { chunkX, chunkY } of change.newChunks) {
+      send(ws, { type: MSG.CHUNK_DATA, chunk: encodeChunk(getModifiedChunk(chunkX, chunkY), ws.chunkEncoding) });
+    }
+  }
+
+  const visible = change.newlyVisible.filter((pid) => players[pid]).map(playerInfo);
+  if (visible.length > 0) {
+    send(ws, { type: MSG.EXISTING_PLAYERS, players: visible });
+  }
+  if (change.noLongerVisible.length > 0) {
+    send(ws, { type: MSG.PLAYERS_OUT_OF_VIEW, ids: change.noLongerVisible });
   }
 }
 
@@ -161,7 +263,7 @@ function startAutoSave() {
       try {
         db.savePlayerState(
           player.username, player.x, player.y,
-          player.zone, player.inventory, player.credits
+          player.zone, player.inventory, player.credits, player.health
         );
         saved++;
       } catch (e) {
@@ -174,6 +276,41 @@ function startAutoSave() {
   log(`💾 Auto-save started (60s interval)`);
 }
 
+// ─────────────────────────────────────────────
+// Time Sync
+// ─────────────────────────────────────────────
+// Clients run the day/night clock themselves from welcome; this
+// just keeps them from drifting (and catches day length changes).
+
+function startTimeSync() {
+  setInterval(() => {
+    sendToPlayers(Object.keys(players), { type: MSG.TIME_SYNC, ...getWorldTime() });
+  }, SERVER.TIME_SYNC_INTERVAL);
+
+  const { time, dayLength } = getWorldTime();
+  log(`🌗 Time sync started (${SERVER.TIME_SYNC_INTERVAL}ms, ${dayLength}s days, now ${time.toFixed(2)})`);
+}
+
+// ─────────────────────────────────────────────
+// Zone Rebalancing
+// ─────────────────────────────────────────────
+// Splits overloaded zones and merges quiet ones (see
+// zoneManager.rebalanceZones), then tells every moved player.
+
+function startZoneRebalancer() {
+  setInterval(() => {
+    const moves = rebalanceZones((playerId) => players[playerId]);
+    for (const { playerId, to } of moves) {
+      const player = players[playerId];
+      if (!player) continue;
+      player.zone = to;
+      send(playerIdToWs.get(playerId), { type: MSG.ZONE_CHANGED, zone: to });
+    }
+  }, SERVER.ZONE_REBALANCE_INTERVAL);
+
+  log(`🪓 Zone rebalancer started (${SERVER.ZONE_REBALANCE_INTERVAL}ms interval)`);
+}
+
 // ─────────────────────────────────────────────
 // Connection Handler
 // ─────────────────────────────────────────────
@@ -184,15 +321,21 @@ wss.on('connection', (ws) => {
   let authenticated = false;
 
   // Send auth prompt — client must register or login before playing
-  ws.send(JSON.stringify({ type: 'authRequired' }));
+  send(ws, { type: 'authRequired' });
 
-  ws.on('message', (msg) => {
+  ws.on('message', (msg, binaryFrame) => {
     try {
-      const data = JSON.parse(msg);
+      const data = parse(msg, binaryFrame);
 
       // ── Pre-auth: handle register/login/identify ──
       if (!authenticated) {
 
+        // Chunk encoding is negotiated with the first auth message.
+        // Clients that don't ask get plain JSON tiles. The protobuf
+        // transport only carries RLE chunks, so it always gets those.
+        ws.chunkEncoding = (data.chunkEncoding === ENCODINGS.RLE || isBinary(ws))
+          ? ENCODINGS.RLE : ENCODINGS.JSON;
+
         // AI agents bypass auth
         if (data.type === 'identify' && data.isAI === true) {
           player = createPlayer(playerId, {
@@ -215,8 +358,7 @@ wss.on('connection', (ws) => {
           log(`🤖 AI agent connected: ${data.name || playerId} → ${zoneId}`);
 
           sendWelcome(ws, player, playerId);
-          broadcastJoin(playerId, player);
-          sendExistingPlayers(ws, playerId, zoneId);
+          refreshInterest(playerId, true);
           return;
         }
 
@@ -247,8 +389,7 @@ wss.on('connection', (ws) => {
           authenticated = true;
 
           sendWelcome(ws, player, playerId);
-          broadcastJoin(playerId, player);
-          sendExistingPlayers(ws, playerId, zoneId);
+          refreshInterest(playerId, true);
           return;
         }
 
@@ -269,6 +410,7 @@ wss.on('connection', (ws) => {
             color: result.color,
             inventory: result.inventory,
             credits: result.credits,
+            health: result.health,
             authenticated: true,
           });
           player.name = result.username;
@@ -283,19 +425,36 @@ wss.on('connection', (ws) => {
           authenticated = true;
 
           sendWelcome(ws, player, playerId);
-          broadcastJoin(playerId, player);
-          sendExistingPlayers(ws, playerId, zoneId);
+          refreshInterest(playerId, true);
           return;
         }
 
         // Portal arrival — player coming from another world
         if (data.type === 'portalArrive') {
           try {
+            // Zone handoff from another node of this world
+            const claims = jwt.decode(data.token);
+            if (claims && claims.handoff) {
+              const decoded = verifyHandoff(data.token, PORTAL_SECRET);
+              player = createHandoffPlayer(playerId, decoded);
+              players[playerId] = player;
+              wsToPlayerId.set(ws, playerId);
+              playerIdToWs.set(playerId, ws);
+              const zoneId = assignPlayerToZone(playerId, player.x, player.y);
+              player.zone = zoneId;
+              authenticated = true;
+              log(`🧩 Zone handoff: ${player.name} from node '${decoded.fromNode}' → ${zoneId}`);
+              sendWelcome(ws, player, playerId);
+              refreshInterest(playerId, true);
+              return;
+            }
+
             const decoded = jwt.verify(data.token, PORTAL_SECRET);
+
             // Load latest state from DB (might have been saved by source world)
             const dbPlayer = db.getPlayer(decoded.username);
             if (!dbPlayer) {
-              ws.send(JSON.stringify({ type: 'authError', message: 'Account not found' }));
+              send(ws, { type: 'authError', message: 'Account not found' });
               return;
             }
 
@@ -307,6 +466,7 @@ wss.on('connection', (ws) => {
               color: decoded.color || dbPlayer.color,
               inventory: decoded.inventory || JSON.parse(dbPlayer.inventory || '[]'),
               credits: decoded.credits || dbPlayer.credits,
+              health: decoded.health || dbPlayer.health,
               authenticated: true,
             });
             player.name = decoded.username;
@@ -319,18 +479,17 @@ wss.on('connection', (ws) => {
             authenticated = true;
             log(`🌀 Portal arrival: ${decoded.username} from ${decoded.fromWorld} → ${worldConfig.name}`);
             sendWelcome(ws, player, playerId);
-            broadcastJoin(playerId, player);
-            sendExistingPlayers(ws, playerId, zoneId);
+            refreshInterest(playerId, true);
           } catch (e) {
             log(`❌ Portal token invalid: ${e.message}`);
-            ws.send(JSON.stringify({ type: 'authRequired' })); // fall back to login screen
-            ws.send(JSON.stringify({ type: 'authError', message: 'Portal transfer failed — please log in' }));
+            send(ws, { type: 'authRequired' }); // fall back to login screen
+            send(ws, { type: 'authError', message: 'Portal transfer failed — please log in' });
           }
           return;
         }
 
         // Unknown pre-auth message
-        ws.send(JSON.stringify({ type: 'authError', message: 'Please log in or register first' }));
+        send(ws, { type: 'authError', message: 'Please log in or register first' });
         return;
       }
 
@@ -343,6 +502,10 @@ wss.on('connection', (ws) => {
       // ── Post-auth: normal game messages ──
       handleMessage(data, playerId, players, ws, wss, {
         broadcastToZone,
+        broadcastToArea,
+        refreshInterest,
+        handoffPlayer,
+        sendPositionCorrection,
         playerIdToWs,
         wsToPlayerId,
       });
@@ -360,7 +523,7 @@ wss.on('connection', (ws) => {
         try {
           db.savePlayerState(
             player.username, player.x, player.y,
-            player.zone, player.inventory, player.credits
+            player.zone, player.inventory, player.credits, player.health
           );
           log(`💾 Saved state for ${player.username}`);
         } catch (e) {
@@ -372,13 +535,14 @@ wss.on('connection', (ws) => {
 
       if (zoneId) {
         removePlayerFromZone(playerId, zoneId);
-        broadcastToZone(zoneId, {
-          type: 'playerLeft',
-          id: playerId,
-          name: player.name,
-          color: player.color,
-        });
       }
+
+      sendToPlayers(removeFromInterest(playerId), {
+        type: 'playerLeft',
+        id: playerId,
+        name: player.name,
+        color: player.color,
+      });
     }
 
     wsToPlayerId.delete(ws);
@@ -396,79 +560,43 @@ wss.on('connection', (ws) => {
 // ─────────────────────────────────────────────
 
 function startPhysicsLoop() {
-  const dt = PHYSICS_TICK_RATE / 1000;
-
   setInterval(() => {
+    const now = Date.now();
+
     for (const playerId of Object.keys(players)) {
       const player = players[playerId];
       if (!player) continue;
-
-      const prevY = player.y;
-
-      player.velocityY += (worldConfig.gravity || GRAVITY) * dt;
-      if (player.velocityY > MAX_FALL_SPEED) {
-        player.velocityY = MAX_FALL_SPEED;
+      const ws = playerIdToWs.get(playerId);
+
+      // Health and breath run on server time for everyone,
+      // predicting or not. Landings since the last tick (here or
+      // in handleMove) turn into fall damage now.
+      const death = stepBreath(player) ? 'drowned' : fellIntoVoid(player) ? 'void' : stepHealth(player);
+      if (death) {
+        respawnPlayer(playerId, player, death);
+        continue;
       }
-
-      const deltaY = player.velocityY * dt;
-      let newY = player.y + deltaY;
-
-      const tileX = player.x;
-      const leftEdge = tileX + 0.1;
-      const rightEdge = tileX + 0.9;
-
-      if (player.velocityY > 0) {
-        const feetCheckY = newY + 1.0;
-        if (isSolid(leftEdge, feetCheckY) || isSolid(rightEdge, feetCheckY)) {
-          const landY = Math.floor(feetCheckY) - 1;
-          newY = landY;
-          player.velocityY = 0;
-          player.onGround = true;
-        } else {
-          player.onGround = false;
-        }
-      } else if (player.velocityY < 0) {
-        const headCheckY = newY;
-        if (isSolid(leftEdge, headCheckY) || isSolid(rightEdge, headCheckY)) {
-          const bonkY = Math.floor(headCheckY) + 1;
-          newY = bonkY;
-          player.velocityY = 0;
-        }
+      if (Math.ceil(player.breath) !== Math.ceil(player.sentBreath) ||
+          Math.ceil(player.health) !== Math.ceil(player.sentHealth)) {
+        sendPlayerStatus(ws, player);
       }
 
-      if (player.onGround && player.velocityY === 0) {
-        const belowFeetY = newY + 1.0;
-        if (!isSolid(leftEdge, belowFeetY) && !isSolid(rightEdge, belowFeetY)) {
-          player.onGround = false;
-        }
-      }
+      // Clients sending sequenced inputs are stepped once per input
+      // in handleMove, and here only for ticks they've fallen behind
+      // on (stepServerTick). Either way they get the state after
+      // their latest input, which they reconcile their prediction
+      // against.
+      const prevY = player.y;
+      const fell = stepServerTick(player, now) && Math.abs(player.y - prevY) > 0.01;
 
-      if (isSolid(tileX + 0.5, newY + 0.5)) {
-        for (let checkY = newY; checkY > newY - 10; checkY--) {
-          if (!isSolid(tileX + 0.5, checkY + 0.5)) {
-            newY = checkY;
-            player.velocityY = 0;
-            player.onGround = false;
-            break;
-          }
-        }
+      if (fell || player.lastInputSeq !== player.lastAckedSeq) {
+        player.lastAckedSeq = player.lastInputSeq;
+        sendPositionCorrection(ws, player);
       }
 
-      player.y = newY;
-
-      if (Math.abs(player.y - prevY) > 0.01) {
-        const ws = playerIdToWs.get(playerId);
-
-        if (ws && ws.readyState === WebSocket.OPEN) {
-          ws.send(JSON.stringify({
-            type: 'positionCorrection',
-            x: player.x,
-            y: player.y,
-            onGround: player.onGround,
-          }));
-        }
-
-        broadcastToZone(player.zone, {
+      if (fell) {
+        refreshInterest(playerId);
+        broadcastToArea(player.x, player.y, {
           type: MSG.PLAYER_MOVED,
           id: playerId,
           x: player.x,
@@ -476,29 +604,120 @@ function startPhysicsLoop() {
         }, playerId);
       }
     }
-  }, PHYSICS_TICK_RATE);
+  }, TICK_RATE);
+
+  log(`⚡ Physics loop started (${TICK_RATE}ms / ${1000/TICK_RATE} ticks/sec)`);
+}
+
+/**
+ * Authoritative state plus the last input it includes (ack), so
+ * the client can drop acknowledged inputs and replay the rest.
+ */
+function sendPositionCorrection(ws, player) {
+  send(ws, positionCorrection(player));
+}
+
+/**
+ * Health and breath for the HUD, and the cause if the player
+ * just died.
+ */
+function sendPlayerStatus(ws, player, death = '') {
+  player.sentHealth = player.health;
+  player.sentBreath = player.breath;
+  send(ws, {
+    type: MSG.PLAYER_STATUS,
+    breath: player.breath,
+    maxBreath: PLAYER.MAX_BREATH,
+    death,
+    health: player.health,
+    maxHealth: PLAYER.MAX_HEALTH,
+  });
+}
 
-  log(`⚡ Physics loop started (${PHYSICS_TICK_RATE}ms / ${1000/PHYSICS_TICK_RATE} ticks/sec)`);
+// Falling past the last of the land (islands and void worlds, flat
+// ones with a bottom layer): there's nothing left to land on. Only
+// while airborne — anyone standing down there built something to
+// stand on.
+function fellIntoVoid(player) {
+  const floor = voidBelow();
+  return floor !== null && !player.onGround && player.y > floor;
+}
+
+/**
+ * Tell the zone a player died, then put them back on the ground
+ * at the world spawn with full health and breath. May move them
+ * to another zone (or node).
+ */
+function respawnPlayer(playerId, player, cause) {
+  const ws = playerIdToWs.get(playerId);
+  const oldZone = player.zone;
+  broadcastToZone(oldZone, {
+    type: MSG.PLAYER_DIED,
+    id: playerId,
+    name: player.name,
+    cause,
+  }, playerId);
+
+  player.x = worldConfig.spawnX || 0;
+  player.y = findSpawnSurface(Math.round(player.x));
+  player.velocityY = 0;
+  player.onGround = true;
+  player.landingSpeed = 0;
+  player.health = PLAYER.MAX_HEALTH;
+  player.breath = PLAYER.MAX_BREATH;
+  log(`💀 ${player.name} ${cause} — respawning at ${player.x}, ${player.y}`);
+  sendPlayerStatus(ws, player, cause);
+
+  const newZone = checkZoneTransfer(playerId, oldZone, player.x, player.y);
+  if (newZone) player.zone = newZone;
+  if (!ownsZone(player.zone)) {
+    handoffPlayer(playerId, player);
+    return;
+  }
+  if (newZone) send(ws, { type: MSG.ZONE_CHANGED, zone: newZone });
+
+  player.lastAckedSeq = player.lastInputSeq;
+  sendPositionCorrection(ws, player);
+  refreshInterest(playerId);
+  broadcastToArea(player.x, player.y, {
+    type: MSG.PLAYER_MOVED,
+    id: playerId,
+    x: player.x,
+    y: player.y,
+  }, playerId);
 }
 
 // ─────────────────────────────────────────────
-// Zone-Scoped Broadcasting
+// Broadcasting
 // ─────────────────────────────────────────────
+// Zone-scoped for chat; area-of-interest (World/interestManager.js)
+// for anything that happens at a position — movement, blocks.
 
-function broadcastToZone(zoneId, message, excludePlayerId = null) {
-  const zonePlayers = getZonePlayers(zoneId);
-  const msgString = JSON.stringify(message);
+function sendToPlayers(playerIds, message, excludePlayerId = null) {
+  const packet = preparePacket(message);
 
-  for (const pid of zonePlayers) {
+  for (const pid of playerIds) {
     if (pid === excludePlayerId) continue;
 
     const targetWs = playerIdToWs.get(pid);
     if (targetWs && targetWs.readyState === WebSocket.OPEN) {
-      targetWs.send(msgString);
+      targetWs.send(packet.for(targetWs));
     }
   }
 }
 
+function broadcastToZone(zoneId, message, excludePlayerId = null) {
+  sendToPlayers(getZonePlayers(zoneId), message, excludePlayerId);
+}
+
+/**
+ * Send a message to every player subscribed to the chunk that
+ * contains a tile position, whatever zone they're in.
+ */
+function broadcastToArea(tileX, tileY, message, excludePlayerId = null) {
+  sendToPlayers(getSubscribersAt(tileX, tileY), message, excludePlayerId);
+}
+
 // ─────────────────────────────────────────────
 // Heartbeat System
 // ─────────────────────────────────────────────
@@ -532,16 +751,33 @@ server.listen(PORT, () => {
   log(`🌍 AETHARIA server running on port ${PORT}`);
   log(`   World: ${worldConfig.name} (${worldConfig.id})`);
   log(`   Seed: ${WORLD.SEED}`);
-  log(`   Gravity: ${worldConfig.gravity || GRAVITY}`);
+  log(`   Gravity: ${getGravity()}`);
   log(`   Chunk size: ${WORLD.CHUNK_SIZE} tiles`);
-  log(`   Physics: ${PHYSICS_TICK_RATE}ms tick, gravity=${worldConfig.gravity || GRAVITY}, jump=${JUMP_VELOCITY}`);
+  log(`   Chunk cache: ${getCacheStats().maxSize} chunks`);
+  log(`   Physics: ${TICK_RATE}ms tick, gravity=${getGravity()}, jump=${JUMP_VELOCITY}`);
   log(`   Database: ${process.env.DATABASE_PATH || 'data/aetharia.db'}`);
   log(`   Heartbeat interval: ${SERVER.HEARTBEAT_INTERVAL}ms`);
   log(`   Portals: ${(worldConfig.portals || []).length}`);
   startHeartbeat();
   startPhysicsLoop();
   startAutoSave();
+  startTimeSync();
+  startZoneRebalancer();
   placePortals();
+  startZoneCluster({
+    worldId: worldConfig.id || 'origin',
+    secret: process.env.CLUSTER_SECRET,
+    broadcastToArea,
+  });
+  startSimulation({
+    broadcastToArea,
+    replicate: replicateBlockUpdate,
+    owns: (x, y) => ownsZone(getZoneForPosition(x, y)),
+  });
+  startWorldSync(worldConfig, {
+    secret: process.env.SYNC_SECRET,
+    getSnapshot: getPresenceSnapshot,
+  });
 });
 
 // ─────────────────────────────────────────────
@@ -626,7 +862,7 @@ function checkPortalCollision(playerId, player) {
   try {
     db.savePlayerState(
       player.username, player.x, player.y,
-      player.zone, player.inventory, player.credits
+      player.zone, player.inventory, player.credits, player.health
     );
   } catch (e) {
     log(`❌ Portal save failed: ${e.message}`);
@@ -637,6 +873,7 @@ function checkPortalCollision(playerId, player) {
     username: player.username,
     inventory: player.inventory,
     credits: player.credits,
+    health: player.health,
     color: player.color,
     fromWorld: worldConfig.id,
   }, PORTAL_SECRET, { expiresIn: '60s' });
@@ -659,13 +896,77 @@ function checkPortalCollision(playerId, player) {
   // Send portal transfer to client
   const ws = playerIdToWs.get(playerId);
   if (ws && ws.readyState === WebSocket.OPEN) {
-    ws.send(JSON.stringify({
+    send(ws, {
       type: MSG.PORTAL_TRANSFER,
       targetUrl: clientTargetUrl,
       token: token,
       worldName: matchedPortal.targetName,
       worldId: matchedPortal.targetWorld,
-    }));
+    });
     log(`🌀 ${player.username} entering portal → ${matchedPortal.targetName}`);
   }
 }
+
+// ─────────────────────────────────────────────
+// Zone Handoff (zone cluster mode)
+// ─────────────────────────────────────────────
+// When a player walks into a zone another node owns, the client
+// reconnects there with portalArrive and a short-lived token that
+// carries its position and state. See Network/zoneCluster.js.
+
+function handoffPlayer(playerId, player) {
+  if (player.handingOff) return;
+  const owner = getZoneOwner(player.zone);
+  if (!owner) return;
+
+  player.handingOff = true;
+
+  if (player.authenticated && player.username) {
+    try {
+      db.savePlayerState(
+        player.username, player.x, player.y,
+        player.zone, player.inventory, player.credits, player.health
+      );
+    } catch (e) {
+      log(`❌ Handoff save failed: ${e.message}`);
+    }
+  }
+
+  const token = signHandoff({
+    username: player.username,
+    name: player.name,
+    isAI: player.isAI,
+    color: player.color,
+    inventory: player.inventory,
+    credits: player.credits,
+    health: player.health,
+    x: player.x,
+    y: player.y,
+  }, PORTAL_SECRET);
+
+  send(playerIdToWs.get(playerId), {
+    type: MSG.ZONE_HANDOFF,
+    targetUrl: owner.clientUrl,
+    token,
+    zone: player.zone,
+    node: owner.id,
+  });
+  log(`🧩 Handing ${player.name} off to node '${owner.id}' (${player.zone})`);
+}
+
+function createHandoffPlayer(playerId, decoded) {
+  const player = createPlayer(playerId, {
+    username: decoded.username,
+    name: decoded.name,
+    isAI: decoded.isAI,
+    x: decoded.x,
+    y: decoded.y,
+    color: decoded.color,
+    inventory: decoded.inventory,
+    credits: decoded.credits,
+    health: decoded.health,
+    authenticated: true,
+  });
+  player.onGround = false; // Let physics settle
+  return player;
+}
@@ -0,0 +1,106 @@
+// Backend/bench-modifications.js
+// Benchmark: flat "x,y" modification map vs the chunk-indexed store
+//
+// Usage: node bench-modifications.js [edits] [iterations]
+
+process.env.DATABASE_PATH = process.env.DATABASE_PATH || ':memory:';
+
+const { WORLD } = require('./Src/Utils/constants');
+const { generateChunk } = require('./Src/World/terrainGen');
+const worldState = require('./Src/World/worldState');
+const { setCacheSize } = require('./Src/World/chunkCache');
+
+const EDITS = parseInt(process.argv[2], 10) || 50000;
+const ITERATIONS = parseInt(process.argv[3], 10) || 200;
+const SPREAD_CHUNKS = 64; // edits land in a 64x64 chunk area
+
+// Both stores generate their base chunks on every call, so the
+// comparison measures the modification index, not the chunk cache
+setCacheSize(0);
+
+// ─────────────────────────────────────────────
+// Before: the original flat store
+// ─────────────────────────────────────────────
+
+const flat = new Map();
+
+function flatModifiedChunk(chunkX, chunkY) {
+  const chunk = generateChunk(chunkX, chunkY);
+  const startX = chunkX * WORLD.CHUNK_SIZE;
+  const startY = chunkY * WORLD.CHUNK_SIZE;
+  for (let ly = 0; ly < WORLD.CHUNK_SIZE; ly++) {
+    for (let lx = 0; lx < WORLD.CHUNK_SIZE; lx++) {
+      const key = `${startX + lx},${startY + ly}`;
+      if (flat.has(key)) chunk.tiles[ly][lx] = flat.get(key);
+    }
+  }
+  return chunk;
+}
+
+function flatChunkModifications(chunkX, chunkY) {
+  const startX = chunkX * WORLD.CHUNK_SIZE;
+  const startY = chunkY * WORLD.CHUNK_SIZE;
+  const endX = startX + WORLD.CHUNK_SIZE;
+  const endY = startY + WORLD.CHUNK_SIZE;
+  const mods = [];
+  for (const [key, tile] of flat) {
+    const [x, y] = key.split(',').map(Number);
+    if (x >= startX && x < endX && y >= startY && y < endY) mods.push({ x, y, tile });
+  }
+  return mods;
+}
+
+// ─────────────────────────────────────────────
+// Harness
+// ─────────────────────────────────────────────
+
+function time(label, fn) {
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < ITERATIONS; i++) fn(i);
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`  ${label.padEnd(32)} ${(ms / ITERATIONS).toFixed(3)} ms/op`);
+  return ms;
+}
+
+// Deterministic edit positions so runs are comparable
+let seed = 1;
+function rand() {
+  seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+  return seed / 0x7fffffff;
+}
+
+console.log('\n⏱️  AETHARIA Modification Store Benchmark\n');
+console.log('═══════════════════════════════════════\n');
+console.log(`  Edits: ${EDITS} across ${SPREAD_CHUNKS}x${SPREAD_CHUNKS} chunks, ${ITERATIONS} iterations\n`);
+
+const span = SPREAD_CHUNKS * WORLD.CHUNK_SIZE;
+for (let i = 0; i < EDITS; i++) {
+  const x = Math.floor(rand() * span) - span / 2;
+  const y = Math.floor(rand() * span) - span / 2;
+  const tile = 1 + Math.floor(rand() * 7);
+  flat.set(`${x},${y}`, tile);
+  worldState.placeBlock(x, y, tile);
+}
+
+const chunkAt = (i) => [(i % SPREAD_CHUNKS) - SPREAD_CHUNKS / 2, (Math.floor(i / SPREAD_CHUNKS) % SPREAD_CHUNKS) - SPREAD_CHUNKS / 2];
+
+// Sanity check: both stores must agree before we compare speed
+for (let i = 0; i < 16; i++) {
+  const [cx, cy] = chunkAt(i * 37);
+  if (JSON.stringify(flatModifiedChunk(cx, cy).tiles) !== JSON.stringify(worldState.getModifiedChunk(cx, cy).tiles)) {
+    console.error(`💥 Stores disagree on chunk (${cx}, ${cy})`);
+    process.exit(1);
+  }
+}
+
+console.log('🗺️  getModifiedChunk');
+const mergeBefore = time('before (flat map)', (i) => flatModifiedChunk(...chunkAt(i)));
+const mergeAfter = time('after (chunk-indexed)', (i) => worldState.getModifiedChunk(...chunkAt(i)));
+console.log(`  speedup: ${(mergeBefore / mergeAfter).toFixed(1)}x\n`);
+
+console.log('🧱 getChunkModifications');
+const deltaBefore = time('before (flat map)', (i) => flatChunkModifications(...chunkAt(i)));
+const deltaAfter = time('after (chunk-indexed)', (i) => worldState.getChunkModifications(...chunkAt(i)));
+console.log(`  speedup: ${(deltaBefore / deltaAfter).toFixed(1)}x\n`);
+
+console.log('═══════════════════════════════════════\n');
@@ -0,0 +1,125 @@
+// Backend/test-chunk-cache.js
+// Tests for the generated chunk cache (World/chunkCache.js):
+// hits and misses, least recently used eviction, resizing, and
+// modifications staying out of the cached chunks.
+//
+//   node test-chunk-cache.js
+
+process.env.DATABASE_PATH = ':memory:';
+
+const { WORLD } = require('./Src/Utils/constants');
+const { generateChunk } = require('./Src/World/terrainGen');
+const { getBaseChunk, setCacheSize, clearCache, getCacheStats } = require('./Src/World/chunkCache');
+const { getModifiedChunk, placeBlock } = require('./Src/World/worldState');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+// Counter changes while running fn
+function countersDuring(fn) {
+  const before = getCacheStats();
+  fn();
+  const after = getCacheStats();
+  return {
+    hits: after.hits - before.hits,
+    misses: after.misses - before.misses,
+    evictions: after.evictions - before.evictions,
+  };
+}
+
+// Whether chunk cx,0 is cached. Looking counts as using it, and
+// a miss caches it, so check last
+function isCached(cx) {
+  const { hits } = countersDuring(() => getBaseChunk(cx, 0));
+  return hits === 1;
+}
+
+// ─────────────────────────────────────────────
+// Tests
+// ─────────────────────────────────────────────
+
+function runTests() {
+  console.log('\n🧪 AETHARIA Chunk Cache Tests\n');
+  console.log('═══════════════════════════════════════\n');
+
+  // ── TEST 1: Hits and misses ──
+  console.log('🎯 Test 1: Hits and misses');
+  setCacheSize(4);
+  clearCache();
+  let first;
+  let counted = countersDuring(() => { first = getBaseChunk(0, 0); });
+  assert(counted.misses === 1 && counted.hits === 0, 'First lookup is a miss');
+  assert(JSON.stringify(first.tiles) === JSON.stringify(generateChunk(0, 0).tiles), '… and generates the chunk');
+
+  let again;
+  counted = countersDuring(() => { again = getBaseChunk(0, 0); });
+  assert(counted.hits === 1 && counted.misses === 0, 'Second lookup is a hit');
+  assert(again === first, '… served from the cache, not regenerated');
+
+  counted = countersDuring(() => { getBaseChunk(1, 0); getBaseChunk(0, 0); getBaseChunk(1, 0); });
+  assert(counted.hits === 2 && counted.misses === 1, 'Counted per lookup');
+  const stats = getCacheStats();
+  assert(stats.size === 2 && stats.maxSize === 4, `Size and limit reported (${stats.size} of ${stats.maxSize})`);
+  assert(Math.abs(stats.hitRate - stats.hits / (stats.hits + stats.misses)) < 1e-9, 'Hit rate is hits over lookups');
+  console.log('');
+
+  // ── TEST 2: Eviction ──
+  console.log('🗑️ Test 2: Least recently used goes first');
+  clearCache();
+  [0, 1, 2, 3].forEach((cx) => getBaseChunk(cx, 0));
+  getBaseChunk(0, 0);
+  counted = countersDuring(() => getBaseChunk(4, 0));
+  assert(counted.evictions === 1 && getCacheStats().size === 4, 'Going over the limit evicts one chunk');
+  assert(isCached(0), 'A recently used chunk is kept');
+  assert(!isCached(1), 'The least recently used one is gone');
+  console.log('');
+
+  // ── TEST 3: Resizing ──
+  console.log('📏 Test 3: Resizing');
+  clearCache();
+  [0, 1, 2, 3].forEach((cx) => getBaseChunk(cx, 0));
+  counted = countersDuring(() => setCacheSize(2));
+  assert(counted.evictions === 2 && getCacheStats().size === 2, 'Shrinking evicts down to the new size');
+  assert(isCached(3) && isCached(2), '… keeping the most recent chunks');
+
+  setCacheSize(2.5);
+  setCacheSize(-1);
+  assert(getCacheStats().maxSize === 2, 'Invalid sizes ignored');
+
+  setCacheSize(0);
+  counted = countersDuring(() => { getBaseChunk(5, 0); getBaseChunk(5, 0); });
+  assert(counted.misses === 2 && getCacheStats().size === 0, 'Size 0 turns caching off');
+  console.log('');
+
+  // ── TEST 4: Modifications ──
+  console.log('🧱 Test 4: Modifications stay out of the cache');
+  setCacheSize(WORLD.CHUNK_CACHE_SIZE);
+  const base = getBaseChunk(0, 0);
+  const original = base.tiles[5][5];
+  const other = original === WORLD.TILES.STONE ? WORLD.TILES.WOOD : WORLD.TILES.STONE;
+  placeBlock(5, 5, other);
+  assert(getModifiedChunk(0, 0).tiles[5][5] === other, 'Served chunks include the edit');
+  assert(getBaseChunk(0, 0).tiles[5][5] === original, 'The cached base chunk doesn\'t');
+  console.log('');
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,119 @@
+// Backend/test-chunk-codec.js
+// Tests for the RLE chunk wire codec (Shared/Utils/chunkCodec.js):
+// chunks come back tile for tile after encoding, whether they're
+// generated terrain, a single tile throughout, or no runs at all.
+//
+//   node test-chunk-codec.js
+
+const { WORLD } = require('./Src/Utils/constants');
+const { generateChunk, configureGenerator } = require('./Src/World/terrainGen');
+const { ENCODINGS, rleEncode, rleDecode, encodeChunk, decodeChunk } = require('./Src/Utils/chunkCodec');
+
+const T = WORLD.TILES;
+const SIZE = WORLD.CHUNK_SIZE;
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+// A chunk with tileAt(lx, ly) at each tile
+function makeChunk(x, y, tileAt) {
+  const tiles = [];
+  for (let ly = 0; ly < SIZE; ly++) {
+    tiles.push([]);
+    for (let lx = 0; lx < SIZE; lx++) tiles[ly].push(tileAt(lx, ly));
+  }
+  return { x, y, tiles };
+}
+
+function sameChunk(a, b) {
+  return a.x === b.x && a.y === b.y && JSON.stringify(a.tiles) === JSON.stringify(b.tiles);
+}
+
+function roundTrips(chunk) {
+  return sameChunk(decodeChunk(JSON.parse(JSON.stringify(encodeChunk(chunk)))), chunk);
+}
+
+// ─────────────────────────────────────────────
+// Tests
+// ─────────────────────────────────────────────
+
+function runTests() {
+  console.log('\n🧪 AETHARIA Chunk Codec Tests\n');
+  console.log('═══════════════════════════════════════\n');
+
+  // ── TEST 1: Generated terrain ──
+  console.log('🏔️ Test 1: Generated chunks round-trip');
+  configureGenerator({});
+  const coords = [[0, 0], [0, -1], [-3, 2], [7, 1], [-12, -2]];
+  assert(coords.every(([cx, cy]) => roundTrips(generateChunk(cx, cy))), `Overworld chunks (${coords.length}) come back tile for tile`);
+  configureGenerator({ generator: 'caves' });
+  assert(coords.every(([cx, cy]) => roundTrips(generateChunk(cx, cy))), 'Cave chunks too');
+  configureGenerator({});
+
+  const surface = generateChunk(0, 0);
+  const encoded = encodeChunk(surface);
+  assert(encoded.encoding === ENCODINGS.RLE && encoded.size === SIZE && typeof encoded.data === 'string',
+    'Encoded as { encoding: \'rle\', size, data }');
+  assert(encoded.x === surface.x && encoded.y === surface.y, '… keeping the chunk position');
+  const jsonBytes = JSON.stringify(surface).length;
+  const rleBytes = JSON.stringify(encoded).length;
+  assert(rleBytes * 3 < jsonBytes, `Much smaller than JSON tiles (${rleBytes} vs ${jsonBytes} bytes)`);
+  console.log('');
+
+  // ── TEST 2: Uniform chunks ──
+  console.log('🟫 Test 2: All one tile');
+  const stone = makeChunk(4, 9, () => T.STONE);
+  assert(roundTrips(stone), 'An all-stone chunk round-trips');
+  assert(rleEncode(stone.tiles.flat()).length === 10, '… as five runs (4 × 255 + 4)');
+  assert(roundTrips(makeChunk(-1, -5, () => T.AIR)), 'An all-air chunk round-trips');
+  assert(roundTrips(makeChunk(0, 0, () => 255)), 'The highest tile id survives');
+  console.log('');
+
+  // ── TEST 3: No runs ──
+  console.log('🏁 Test 3: Worst case');
+  const striped = makeChunk(2, 3, (lx) => (lx % 2 ? T.STONE : T.DIRT));
+  assert(roundTrips(striped), 'Alternating tiles round-trip');
+  assert(rleEncode(striped.tiles.flat()).length === SIZE * SIZE * 2, '… a pair of bytes per tile');
+  const rows = makeChunk(0, 1, (lx, ly) => ly % 4);
+  assert(roundTrips(rows), 'Runs that span rows round-trip');
+  console.log('');
+
+  // ── TEST 4: Run boundaries ──
+  console.log('📏 Test 4: Run lengths');
+  const lengths = [1, 254, 255, 256, 510, 511];
+  assert(lengths.every((n) => {
+    const tiles = new Array(n).fill(T.SAND);
+    return Array.from(rleDecode(rleEncode(tiles), n)).every((tile) => tile === T.SAND);
+  }), `Runs of ${lengths.join(', ')} tiles`);
+  assert(Array.from(rleEncode([1, 1, 2])).join() === '2,1,1,2', 'Pairs are [runLength, tile]');
+  assert(Array.from(rleDecode(Uint8Array.from([200, 3]), 10)).every((tile) => tile === 3), 'Decoding stops at the expected length');
+  console.log('');
+
+  // ── TEST 5: Plain JSON ──
+  console.log('📄 Test 5: Plain chunks pass through');
+  assert(encodeChunk(surface, ENCODINGS.JSON) === surface, 'JSON encoding leaves the chunk alone');
+  assert(encodeChunk(surface, 'gzip') === surface, 'So does an unknown one');
+  assert(decodeChunk(surface) === surface, 'Decoding a plain chunk returns it');
+  console.log('');
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
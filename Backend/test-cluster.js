@@ -0,0 +1,286 @@
+// Backend/test-cluster.js
+// Tests for zone cluster node links (Network/zoneCluster.js): who
+// may open a link, what a linked node may do, edits forwarded
+// across a zone border (mined blocks only drop once the owning
+// node confirms them), and which handoff tokens admit a player.
+//
+// Runs this process as node 'a' of a two-node cluster; node 'b' is
+// a bare WebSocket server standing in for the other backend.
+//
+//   node test-cluster.js
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const http = require('http');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aetharia-cluster-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'test.db');
+
+const WebSocket = require('ws');
+const jwt = require('jsonwebtoken');
+const { WORLD, MSG } = require('./Src/Utils/constants');
+const { SUBPROTOCOL, send, parse } = require('./Src/Network/protocol');
+const { configureGenerator } = require('./Src/World/terrainGen');
+const { getTile } = require('./Src/World/worldState');
+const { getZoneForPosition, getZoneIds } = require('./Src/World/zoneManager');
+const { startZoneCluster, isClusterRequest, handleClusterUpgrade, signHandoff, verifyHandoff } = require('./Src/Network/zoneCluster');
+const handleMessage = require('./Src/Handlers/handleMessage');
+const { createPlayer } = require('./Src/Player/player');
+const Tiles = require('./Src/Utils/tiles');
+
+const { AIR, STONE, GRASS } = WORLD.TILES;
+const CLUSTER_SECRET = 'test-cluster-secret';
+const PORTAL_SECRET = 'test-portal-secret';
+const LINK_AUDIENCE = 'aetharia-zone-link';
+const HANDOFF_AUDIENCE = 'aetharia-zone-handoff';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function linkToken(nodeId, secret = CLUSTER_SECRET, options = { audience: LINK_AUDIENCE }) {
+  return jwt.sign({ nodeId }, secret, { ...options, expiresIn: '60s' });
+}
+
+// A handoff token as node b would sign it, with `claims` changed
+function handoffToken(claims, secret = PORTAL_SECRET, options = { audience: HANDOFF_AUDIENCE, expiresIn: '60s' }) {
+  const state = { handoff: true, fromNode: 'b', worldId: 'origin', username: 'walker', x: 0, y: -20 };
+  return jwt.sign({ ...state, ...claims }, secret, options);
+}
+
+function admits(token) {
+  try {
+    return verifyHandoff(token, PORTAL_SECRET) !== null;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Open a link to node 'a', send `messages` and report whether it
+// was still open a moment later, and what came back
+function tryLink(port, messages) {
+  return new Promise((resolve) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/zones`, SUBPROTOCOL);
+    const replies = [];
+    let closed = false;
+    ws.on('open', () => messages.forEach((message) => send(ws, message)));
+    ws.on('message', (raw, isBinary) => replies.push(parse(raw, isBinary)));
+    ws.on('close', () => { closed = true; });
+    ws.on('error', () => { closed = true; });
+    setTimeout(() => {
+      ws.close();
+      resolve({ open: !closed, replies });
+    }, 300);
+  });
+}
+
+// A player on node 'a', with a stand-in socket that keeps what
+// it's sent
+function localPlayer(id, x, y) {
+  const player = createPlayer(id, { x, y });
+  const ws = {
+    readyState: 1,
+    sent: [],
+    send(raw) { this.sent.push(JSON.parse(raw)); },
+    close() {},
+  };
+  const context = { broadcastToArea() {}, refreshInterest() {}, handoffPlayer() {}, sendPositionCorrection() {} };
+  const act = (data) => {
+    player.lastMessageAt = 0;
+    handleMessage(data, id, { [id]: player }, ws, null, context);
+  };
+  return { player, ws, act };
+}
+
+function quantityOf(player, tile) {
+  const item = player.inventory.find((i) => i.tile === tile);
+  return item ? item.quantity : 0;
+}
+
+// ─────────────────────────────────────────────
+// Tests
+// ─────────────────────────────────────────────
+
+async function runTests() {
+  console.log('\n🧪 AETHARIA Zone Cluster Tests\n');
+  console.log('═══════════════════════════════════════\n');
+
+  configureGenerator({ generator: 'flat' });
+
+  // Node 'b': records what node 'a' sends it, and answers over
+  // the same link
+  const fromA = [];
+  let linkFromA = null;
+  const serverB = http.createServer();
+  const linksB = new WebSocket.Server({ server: serverB, path: '/zones' });
+  linksB.on('connection', (ws) => {
+    linkFromA = ws;
+    ws.on('message', (raw, isBinary) => fromA.push(parse(raw, isBinary)));
+  });
+  const portB = await listen(serverB);
+
+  // Node 'a': this process
+  const serverA = http.createServer();
+  serverA.on('upgrade', (req, socket, head) => {
+    if (isClusterRequest(req)) handleClusterUpgrade(req, socket, head);
+    else socket.destroy();
+  });
+  const portA = await listen(serverA);
+
+  const ownZone = getZoneForPosition(0, -20);
+  process.env.ZONE_NODE_ID = 'a';
+  process.env.ZONE_NODES = JSON.stringify({
+    a: { url: `ws://127.0.0.1:${portA}`, zones: [ownZone] },
+    b: { url: `ws://127.0.0.1:${portB}`, zones: getZoneIds().filter((zoneId) => zoneId !== ownZone) },
+  });
+  startZoneCluster({ worldId: 'origin', secret: CLUSTER_SECRET, broadcastToArea: () => {} });
+  await wait(300);
+
+  // ── TEST 1: Outbound hello ──
+  console.log('🤝 Test 1: Linking to a peer');
+  const hello = fromA.find((message) => message.type === MSG.ZONE_HELLO);
+  let payload = null;
+  try {
+    payload = jwt.verify(hello.token, CLUSTER_SECRET, { audience: LINK_AUDIENCE });
+  } catch (e) {
+    payload = null;
+  }
+  assert(hello && hello.nodeId === 'a', 'Node a says hello to node b');
+  assert(payload && payload.nodeId === 'a', 'Its token is a node link token for node a');
+  console.log('');
+
+  // ── TEST 2: Who may link ──
+  console.log('🔐 Test 2: Who may link');
+  const edit = { type: MSG.ZONE_BLOCK_EDIT, x: 0, y: -20, tile: STONE, placedBy: 'mallory', editId: 1 };
+  const helloB = { type: MSG.ZONE_HELLO, nodeId: 'b', token: linkToken('b') };
+  assert(!(await tryLink(portA, [edit])).open, 'No edits before a hello');
+  assert(!(await tryLink(portA, [{ ...helloB, token: linkToken('b', PORTAL_SECRET) }, edit])).open,
+    'Tokens signed with another secret rejected');
+  assert(!(await tryLink(portA, [{ ...helloB, token: linkToken('b', CLUSTER_SECRET, {}) }, edit])).open,
+    'Tokens that aren\'t node link tokens rejected');
+  assert(!(await tryLink(portA, [{ ...helloB, token: linkToken('c') }, edit])).open,
+    'A token for one node doesn\'t link another');
+  assert(!(await tryLink(portA, [{ type: MSG.ZONE_HELLO, nodeId: 'c', token: linkToken('c') }, edit])).open,
+    'Nodes outside ZONE_NODES rejected');
+  assert(getTile(0, -20) === AIR, '… and none of their edits applied');
+
+  const linked = await tryLink(portA, [helloB, edit]);
+  assert(linked.open, 'Node b links with its own token');
+  assert(getTile(0, -20) === STONE, '… and its forwarded edits apply');
+  console.log('');
+
+  // ── TEST 3: Owning a forwarded edit ──
+  console.log('📬 Test 3: Answering forwarded edits');
+  const answer = linked.replies.find((m) => m.type === MSG.ZONE_BLOCK_EDIT_RESULT);
+  assert(answer && answer.editId === 1 && answer.ok && answer.replaced === AIR, 'The owner confirms an edit it applied');
+  const mine = { type: MSG.ZONE_BLOCK_EDIT, x: 0, y: -20, tile: AIR, placedBy: 'b-player' };
+  const twice = await tryLink(portA, [helloB, { ...mine, editId: 2 }, { ...mine, editId: 3 }]);
+  const results = twice.replies.filter((m) => m.type === MSG.ZONE_BLOCK_EDIT_RESULT);
+  assert(results.length === 2 && results[0].editId === 2 && results[0].ok && results[0].replaced === STONE, '… with the tile it replaced');
+  assert(results[1].editId === 3 && !results[1].ok, 'Mining a block someone already mined is refused');
+  console.log('');
+
+  // ── TEST 4: Forwarding an edit ──
+  console.log('⛏️ Test 4: Mining across the border');
+  let borderX = 0;
+  while (getZoneForPosition(borderX, 0) === ownZone) borderX++;
+  const { player, ws, act } = localPlayer('miner', borderX - 2, -1);
+  const answerNext = (result) => new Promise((resolve) => {
+    const seen = fromA.length;
+    const poll = setInterval(() => {
+      const forwarded = fromA.slice(seen).find((m) => m.type === MSG.ZONE_BLOCK_EDIT);
+      if (!forwarded) return;
+      clearInterval(poll);
+      if (result) send(linkFromA, { type: MSG.ZONE_BLOCK_EDIT_RESULT, editId: forwarded.editId, ...result });
+      resolve(forwarded);
+    }, 10);
+  });
+  const dirt = Tiles.getByName(Tiles.get(GRASS).drop).id;
+
+  let forwarded = answerNext(null);
+  act({ type: MSG.REMOVE_BLOCK, x: borderX, y: 0 });
+  assert((await forwarded).tile === AIR && (await forwarded).x === borderX, 'An edit in node b\'s zone goes to node b');
+  assert(quantityOf(player, dirt) === 0, 'No drop before node b answers');
+
+  forwarded = answerNext({ ok: false, replaced: AIR });
+  act({ type: MSG.REMOVE_BLOCK, x: borderX, y: 0 });
+  await forwarded;
+  await wait(100);
+  assert(quantityOf(player, dirt) === 0 && ws.sent.some((m) => m.type === MSG.ERROR), 'No drop when node b refuses');
+
+  forwarded = answerNext({ ok: true, replaced: GRASS });
+  act({ type: MSG.REMOVE_BLOCK, x: borderX, y: 0 });
+  await forwarded;
+  await wait(100);
+  assert(quantityOf(player, dirt) === 1, 'One drop, for the tile node b says was mined');
+
+  const stone = localPlayer('builder', borderX - 2, -1);
+  stone.player.inventory = [{ name: 'stone', tile: STONE, quantity: 1 }];
+  forwarded = answerNext({ ok: false, replaced: STONE });
+  stone.act({ type: MSG.PLACE_BLOCK, x: borderX, y: -3, tile: STONE });
+  await forwarded;
+  await wait(100);
+  assert(quantityOf(stone.player, STONE) === 1, 'A refused placement is refunded');
+
+  forwarded = answerNext(null);
+  act({ type: MSG.REMOVE_BLOCK, x: borderX, y: 0 });
+  await forwarded;
+  linkFromA.close();
+  await wait(100);
+  assert(quantityOf(player, dirt) === 1, 'No drop if the link drops before an answer');
+  console.log('');
+
+  // ── TEST 5: Handoff tokens ──
+  console.log('🎫 Test 5: Who a handoff admits');
+  let signed = null;
+  try {
+    signed = jwt.verify(signHandoff({ username: 'walker', x: borderX, y: 0 }, PORTAL_SECRET), PORTAL_SECRET, { audience: HANDOFF_AUDIENCE });
+  } catch (e) {
+    signed = null;
+  }
+  assert(signed && signed.handoff && signed.fromNode === 'a' && signed.worldId === 'origin' && signed.x === borderX,
+    'Node a signs handoffs as node a of this world, with the player\'s state');
+  assert(admits(handoffToken({})), 'A handoff from node b into a zone we own is admitted');
+  assert(!admits(handoffToken({}, CLUSTER_SECRET)), 'Tokens signed with another secret refused');
+  assert(!admits(handoffToken({}, PORTAL_SECRET, { expiresIn: '60s' })), 'Portal tokens can\'t pass for handoffs');
+  assert(!admits(handoffToken({}, PORTAL_SECRET, { audience: HANDOFF_AUDIENCE, expiresIn: -1 })), 'Expired handoffs refused');
+  assert(!admits(handoffToken({ worldId: 'caverns' })), 'Handoffs from another world refused');
+  assert(!admits(handoffToken({ fromNode: 'c' })) && !admits(handoffToken({ fromNode: 'a' })),
+    'Handoffs from nodes outside the cluster, or ourselves, refused');
+  assert(!admits(handoffToken({ x: borderX, y: 0 })), 'Handoffs into a zone node b owns refused');
+  assert(!admits(handoffToken({ x: 'anywhere' })), 'Handoffs without a position refused');
+  console.log('');
+
+  serverA.close();
+  serverB.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,101 @@
+// Backend/test-daycycle.js
+// Tests for the day/night cycle: the shared helpers
+// (Shared/Utils/dayCycle.js), the server's world clock
+// (World/worldClock.js) and the wire format clients sync from.
+//
+//   node test-daycycle.js
+
+const DayCycle = require('./Src/Utils/dayCycle');
+const { configureClock, getWorldTime } = require('./Src/World/worldClock');
+const { validateDayLength } = require('../Shared/worldConfig');
+const { SUBPROTOCOL, encodeFor, parse } = require('./Src/Network/protocol');
+const { MSG } = require('./Src/Utils/constants');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (e) {
+    return true;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Tests
+// ─────────────────────────────────────────────
+
+function runTests() {
+  console.log('\n🧪 AETHARIA Day/Night Cycle Tests\n');
+  console.log('═══════════════════════════════════════\n');
+
+  // ── TEST 1: Shared helpers ──
+  console.log('🌗 Test 1: Day and night');
+  assert(DayCycle.isNight(0) && DayCycle.daylight(0) === 0, 'Midnight is dark');
+  assert(!DayCycle.isNight(0.5) && DayCycle.daylight(0.5) === 1, 'Noon is bright');
+  assert(DayCycle.darkness(0.5) === 0 && DayCycle.darkness(0) === DayCycle.MAX_DARKNESS, 'Darkness follows daylight');
+  assert(DayCycle.skyColor(0.5) === '#87ceeb', 'The noon sky is the old fixed sky color');
+  assert(DayCycle.skyColor(0.25) !== DayCycle.skyColor(0.5) && DayCycle.skyColor(0.25) !== DayCycle.skyColor(0),
+    'Dawn has its own color');
+
+  let previous = DayCycle.daylight(0);
+  let rising = true;
+  for (let t = 0.01; t <= 0.5; t += 0.01) {
+    const light = DayCycle.daylight(t);
+    if (light < previous) rising = false;
+    previous = light;
+  }
+  assert(rising, 'Daylight only rises from midnight to noon');
+  assert(Math.abs(DayCycle.advance(0.9, 60000, 600) - 0) < 1e-9, 'advance() wraps past midnight');
+  console.log('');
+
+  // ── TEST 2: World clock ──
+  console.log('🕰️ Test 2: World clock');
+  configureClock({ dayLength: 600 });
+  const now = Date.now();
+  const a = getWorldTime(now);
+  const b = getWorldTime(now);
+  assert(a.time === b.time && a.dayLength === 600, 'Two nodes of a world tell the same time');
+  assert(Math.abs(getWorldTime(now + 150000).time - DayCycle.advance(a.time, 150000, 600)) < 1e-9,
+    'Server time and a client advancing locally agree');
+  assert(Math.abs(getWorldTime(now + 600000).time - a.time) < 1e-9, 'A day later it is the same time again');
+
+  configureClock({});
+  assert(getWorldTime().dayLength === DayCycle.DEFAULT_DAY_LENGTH, 'Worlds without dayLength get the default');
+
+  assert(!throws(() => validateDayLength(undefined)) && !throws(() => validateDayLength(900)), 'Valid dayLength accepted');
+  assert(throws(() => validateDayLength(0)) && throws(() => validateDayLength('long')), 'Bad dayLength rejected');
+  console.log('');
+
+  // ── TEST 3: Wire format ──
+  console.log('📡 Test 3: Time on the wire');
+  const proto = { protocol: SUBPROTOCOL };
+  const sync = parse(encodeFor(proto, { type: MSG.TIME_SYNC, time: 0.75, dayLength: 900 }), true);
+  assert(sync.type === MSG.TIME_SYNC && sync.time === 0.75 && sync.dayLength === 900, 'timeSync round-trips over protobuf');
+
+  const welcome = parse(encodeFor(proto, {
+    type: 'welcome', id: 'p1', x: 0, y: 0, time: 0.3,
+    worldConfig: { chunkSize: 32, worldName: 'Origin', dayLength: 1200 },
+  }), true);
+  assert(welcome.time === 0.3 && welcome.worldConfig.dayLength === 1200, 'welcome carries the time and day length');
+  console.log('');
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
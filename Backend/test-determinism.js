@@ -0,0 +1,161 @@
+// Backend/test-determinism.js
+// Determinism tests for world generation: the gradient noise
+// (World/noise.js) and whole chunks (World/terrainGen.js) must
+// come out identical for the same seed — run after run, in fresh
+// node processes, whatever order chunks are generated in — since
+// every node of the cluster generates terrain on its own.
+//
+// Fresh runs are this file started again as a child process with
+// --hash, which prints a hash of a block of chunks for the seed
+// in AETHARIA_WORLD_SEED (and the generator, ore, biome and
+// structure tables of a world file, if given). Chunks include the structures from
+// worlds/structures/.
+//
+//   node test-determinism.js
+
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const { createNoise } = require('./Src/World/noise');
+const { generateChunk, configureOres, configureBiomes, configureStructures, configureGenerator } = require('./Src/World/terrainGen');
+const { loadTemplates } = require('./Src/World/structures');
+const { WORLD } = require('./Src/Utils/constants');
+
+// Chunks hashed: around spawn, from mountain tops down to the caves
+// (with a ruin and two dungeons in it, for seed 12345)
+const REGION = { minX: -6, maxX: 9, minY: -2, maxY: 3 };
+
+const TEMPLATES = loadTemplates(path.join(__dirname, '../worlds/structures'));
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+function loadWorld(file) {
+  const config = file ? require(path.join(__dirname, '../worlds', file)) : {};
+  configureGenerator(config);
+  configureOres(config);
+  configureBiomes(config);
+  configureStructures(config, TEMPLATES);
+}
+
+// Hash of every chunk in REGION, generated in the given order
+function hashRegion(order = 'forward') {
+  const coords = [];
+  for (let cy = REGION.minY; cy <= REGION.maxY; cy++) {
+    for (let cx = REGION.minX; cx <= REGION.maxX; cx++) coords.push([cx, cy]);
+  }
+  const chunks = new Map();
+  for (const [cx, cy] of order === 'reverse' ? [...coords].reverse() : coords) {
+    chunks.set(`${cx},${cy}`, generateChunk(cx, cy).tiles);
+  }
+
+  const hash = crypto.createHash('sha256');
+  for (const [cx, cy] of coords) hash.update(JSON.stringify(chunks.get(`${cx},${cy}`)));
+  return hash.digest('hex');
+}
+
+// The same hash from a brand new node process
+function hashInFreshProcess(seed, worldFile = '') {
+  const output = execFileSync(process.execPath, [__filename, '--hash', worldFile], {
+    env: { ...process.env, AETHARIA_WORLD_SEED: String(seed) },
+    encoding: 'utf8',
+    timeout: 60000,
+  });
+  return output.trim();
+}
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Tests
+// ─────────────────────────────────────────────
+
+function runTests() {
+  console.log('\n🧪 AETHARIA World Generation Determinism Tests\n');
+  console.log('═══════════════════════════════════════\n');
+
+  // ── TEST 1: Noise ──
+  console.log('〰️ Test 1: Gradient noise');
+  const a = createNoise(42);
+  const b = createNoise(42);
+  const other = createNoise(43);
+  const points = [];
+  for (let i = 0; i < 2000; i++) points.push([i * 0.731 - 700, i * 0.377 - 300]);
+
+  assert(points.every(([x, y]) => a.noise2D(x, y) === b.noise2D(x, y) && a.noise1D(x) === b.noise1D(x)),
+    'Same seed, same noise');
+  assert(points.filter(([x, y]) => a.noise2D(x, y) !== other.noise2D(x, y)).length > 1900,
+    'Different seeds, different noise');
+
+  const samples = points.flatMap(([x, y]) => [a.noise1D(x), a.noise2D(x, y), a.fbm1D(x, 3), a.fbm2D(x, y, 2)]);
+  assert(samples.every((v) => v >= -1 && v <= 1), 'Noise stays within -1 … 1');
+  assert(Math.max(...samples) > 0.5 && Math.min(...samples) < -0.5, 'Noise uses most of its range');
+
+  let jump = 0;
+  for (const [x, y] of points) {
+    jump = Math.max(jump, Math.abs(a.noise2D(x + 0.01, y) - a.noise2D(x, y)), Math.abs(a.noise1D(x + 0.01) - a.noise1D(x)));
+  }
+  assert(jump < 0.05, 'Noise is smooth');
+  assert(points.some(([x]) => a.noise1D(x) !== a.noise1D(x + 256)), 'Noise doesn\'t repeat every 256 cells');
+  console.log('');
+
+  // ── TEST 2: Chunks in this process ──
+  console.log('🧱 Test 2: Chunks, run after run');
+  loadWorld();
+  const defaultSeed = WORLD.SEED;
+  const first = hashRegion();
+  assert(hashRegion() === first, 'Generating the same chunks again gives the same tiles');
+  assert(hashRegion('reverse') === first, 'Generation order doesn\'t matter');
+
+  WORLD.SEED = 777;
+  const reseeded = hashRegion();
+  assert(reseeded !== first, 'Another seed gives another world');
+  WORLD.SEED = defaultSeed;
+  assert(hashRegion() === first, 'Switching back gives the first world again');
+  console.log('');
+
+  // ── TEST 3: Fresh processes ──
+  console.log('🖥️ Test 3: Chunks from fresh node processes');
+  assert(hashInFreshProcess(defaultSeed) === first, 'A fresh process generates the same chunks');
+  const fresh777 = hashInFreshProcess(777);
+  assert(fresh777 === hashInFreshProcess(777), 'Two fresh processes with the same seed agree');
+  assert(fresh777 === reseeded, 'Setting WORLD.SEED at runtime (as main.js does) matches starting with it');
+
+  loadWorld('caverns.json');
+  const caverns = hashRegion();
+  loadWorld();
+  assert(caverns !== first, 'Caverns\' generator and tables change the world');
+  assert(hashInFreshProcess(defaultSeed, 'caverns.json') === caverns, 'Per-world tables generate the same way everywhere');
+
+  loadWorld('skylands.json');
+  const skylands = hashRegion();
+  loadWorld();
+  assert(hashRegion('reverse') === first, 'Switching generators back gives the first world again');
+  assert(hashInFreshProcess(defaultSeed, 'skylands.json') === skylands, 'Floating islands generate the same way everywhere');
+  console.log('');
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+if (process.argv[2] === '--hash') {
+  loadWorld(process.argv[3]);
+  console.log(hashRegion());
+} else {
+  runTests();
+}
@@ -0,0 +1,224 @@
+// Backend/test-generators.js
+// Tests for the terrain generators worlds pick with "generator"
+// (World/terrainGen.js): floating islands over the void, the cave
+// world, superflat worlds built from "layers", the empty void, and
+// where each puts the spawn. The overworld has its own suites
+// (test-terrain.js, test-structures.js).
+//
+//   node test-generators.js
+
+const path = require('path');
+const fs = require('fs');
+
+const {
+  generateChunk, configureGenerator, configureStructures, structuresIn, spawnScanTop, voidBelow, biomeAt, BIOMES,
+} = require('./Src/World/terrainGen');
+const { loadTemplates } = require('./Src/World/structures');
+const { validateGenerator, validateLayers } = require('../Shared/worldConfig');
+const Tiles = require('./Src/Utils/tiles');
+const { WORLD } = require('./Src/Utils/constants');
+
+const T = WORLD.TILES;
+const SIZE = WORLD.CHUNK_SIZE;
+const ORES = [T.COAL, T.IRON, T.GOLD, T.CRYSTAL];
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (e) {
+    return true;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+function readWorld(file) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, '../worlds', file), 'utf8'));
+}
+
+// Tiles of chunks minX … maxX, minY … maxY as columns:
+// Map of worldX → { top, tiles[] } with tiles top to bottom
+function sampleColumns(minX, maxX, minY, maxY) {
+  const columns = new Map();
+  for (let cx = minX; cx <= maxX; cx++) {
+    for (let lx = 0; lx < SIZE; lx++) columns.set(cx * SIZE + lx, { top: minY * SIZE, tiles: [] });
+    for (let cy = minY; cy <= maxY; cy++) {
+      generateChunk(cx, cy).tiles.forEach((row) => row.forEach((tile, lx) => {
+        columns.get(cx * SIZE + lx).tiles.push(tile);
+      }));
+    }
+  }
+  return columns;
+}
+
+function allTiles(columns) {
+  return [...columns.values()].flatMap((column) => column.tiles);
+}
+
+function tileAt(x, y) {
+  const chunk = generateChunk(Math.floor(x / SIZE), Math.floor(y / SIZE));
+  return chunk.tiles[y - chunk.y * SIZE][x - chunk.x * SIZE];
+}
+
+// What main.js findSpawnSurface does: the first air tile over
+// solid ground, scanning down from spawnScanTop()
+function spawnSurface(x) {
+  const top = spawnScanTop();
+  for (let y = top; y < top + 128; y++) {
+    if (!Tiles.isSolid(tileAt(x, y)) && Tiles.isSolid(tileAt(x, y + 1))) return y;
+  }
+  return null;
+}
+
+// ─────────────────────────────────────────────
+// Tests
+// ─────────────────────────────────────────────
+
+function runTests() {
+  console.log('\n🧪 AETHARIA Terrain Generator Tests\n');
+  console.log('═══════════════════════════════════════\n');
+
+  // ── TEST 1: Picking a generator ──
+  console.log('⚙️ Test 1: World generator settings');
+  configureGenerator({});
+  const overworld = JSON.stringify(generateChunk(0, 0).tiles);
+  configureGenerator({ generator: 'overworld' });
+  assert(JSON.stringify(generateChunk(0, 0).tiles) === overworld, 'Worlds without "generator" get the overworld');
+  assert(throws(() => configureGenerator({ generator: 'moon' })), 'Unknown generators rejected');
+  assert(!throws(() => validateGenerator(undefined)), '"generator" is optional');
+  assert(throws(() => validateGenerator(42)) && throws(() => validateGenerator('')), 'Generator names must be strings');
+
+  const skylands = readWorld('skylands.json');
+  const caverns = readWorld('caverns.json');
+  assert(skylands.generator === 'islands' && !throws(() => configureGenerator(skylands)), 'Skylands floats');
+  assert(caverns.generator === 'caves' && !throws(() => configureGenerator(caverns)), 'Caverns is underground');
+  console.log('');
+
+  // ── TEST 2: Floating islands ──
+  console.log('🏝️ Test 2: Floating islands');
+  configureGenerator({ generator: 'islands' });
+  const islands = sampleColumns(-8, 7, -4, 1);
+  const land = allTiles(islands).filter((tile) => tile !== T.AIR);
+  const share = land.length / allTiles(islands).length;
+  assert(share > 0.05 && share < 0.4, `Land is scattered over the sky (${(share * 100).toFixed(1)}%)`);
+  assert([...islands.values()].some((column) => column.tiles.every((tile) => tile === T.AIR)), 'Open void between islands');
+
+  let topsMatch = true;
+  for (const [x, column] of islands) {
+    column.tiles.forEach((tile, i) => {
+      if (i === 0 || tile === T.AIR || column.tiles[i - 1] !== T.AIR) return;
+      if (tile !== BIOMES[biomeAt(x)].surface && tile !== T.SNOW) topsMatch = false;
+    });
+  }
+  assert(topsMatch, 'Island tops are their biome\'s surface');
+  assert(land.some((tile) => ORES.includes(tile)), 'Ore in the island rock');
+
+  const floor = voidBelow();
+  assert(floor !== null, 'Below the islands is the void');
+  const deep = [generateChunk(0, Math.ceil(floor / SIZE)), generateChunk(5, Math.ceil(floor / SIZE) + 10), generateChunk(0, -10)];
+  assert(deep.every((chunk) => chunk.tiles.every((row) => row.every((tile) => tile === T.AIR))), 'Nothing far above or below them');
+
+  const spawnY = spawnSurface(0);
+  assert(spawnY !== null && spawnY < floor, `An island to spawn on (standing at y ${spawnY})`);
+  assert(spawnSurface(0) === spawnY, 'The same spot every time');
+  configureGenerator({ generator: 'islands', spawnX: 500, spawnY: -40 });
+  const moved = spawnSurface(500);
+  assert(moved !== null && Math.abs(moved + 40) < 16, `The spawn island follows spawnX / spawnY (y ${moved})`);
+  console.log('');
+
+  // ── TEST 3: Cave world ──
+  console.log('🦇 Test 3: Cave world');
+  configureGenerator({ generator: 'caves' });
+  const caves = sampleColumns(-4, 3, -2, 2);
+  const tiles = allTiles(caves);
+  const open = tiles.filter((tile) => tile === T.AIR).length / tiles.length;
+  assert(open > 0.2 && open < 0.55, `Mostly rock, with room to move (${(open * 100).toFixed(1)}% open)`);
+  assert([...caves.values()].every((column) => column.tiles.slice(0, 2 * SIZE).some(Tiles.isSolid)),
+    'Rock overhead everywhere around the spawn');
+  assert(tiles.some((tile) => ORES.includes(tile)), 'Ore in the rock');
+
+  assert(spawnSurface(0) === 0, 'Players start on the floor of the spawn hall');
+  assert(tileAt(0, -4) === T.AIR && tileAt(-10, -2) === T.AIR && tileAt(10, -2) === T.AIR, 'The hall is open');
+  assert(tileAt(-12, 0) === T.TORCH && tileAt(12, 0) === T.TORCH, 'The hall is lit');
+
+  configureStructures({}, loadTemplates(path.join(__dirname, '../worlds/structures')));
+  const found = [];
+  for (let cx = -64; cx < 64; cx++) {
+    for (let cy = -6; cy < 6; cy++) found.push(...structuresIn(cx, cy));
+  }
+  assert(found.some((p) => p.template.name === 'dungeon'), 'Dungeons in the rock');
+  assert(found.every((p) => p.template.type === 'underground'), 'No ruins or villages (there\'s no surface to stand on)');
+  console.log('');
+
+  // ── TEST 4: Flat world ──
+  console.log('🟩 Test 4: Flat world');
+  configureGenerator({ generator: 'flat' });
+  const flat = sampleColumns(-4, 3, -1, 2);
+  const first = flat.values().next().value;
+  const ground = (y) => first.tiles[y - first.top];
+  assert([...flat.values()].every((column) => JSON.stringify(column.tiles) === JSON.stringify(first.tiles)), 'Every column is the same');
+  assert(ground(-1) === T.AIR && ground(0) === T.GRASS && ground(3) === T.DIRT && ground(4) === T.STONE,
+    'Without "layers": grass on 3 dirt on stone');
+  assert(first.tiles.slice(-first.top + 4).every((tile) => tile === T.STONE) && voidBelow() === null,
+    '… the stone going on forever');
+  assert(!allTiles(flat).some((tile) => ORES.includes(tile)), 'No ores or caves');
+  assert(structuresIn(0, 0).length === 0 && structuresIn(2, 1).length === 0, 'No structures');
+  assert(spawnSurface(0) === -1 && spawnSurface(12345) === -1, 'Players stand on the grass, wherever they spawn');
+
+  const showcase = readWorld('showcase.json');
+  assert(!throws(() => validateLayers(showcase.layers)), 'The showcase world\'s layers are valid');
+  configureGenerator(showcase);
+  const layered = [...Array(40).keys()].map((y) => tileAt(7, y));
+  let expected = [];
+  for (const layer of showcase.layers) expected.push(...Array(layer.thickness).fill(Tiles.getByName(layer.tile).id));
+  expected = expected.concat(Array(40).fill(T.AIR)).slice(0, 40);
+  assert(JSON.stringify(layered) === JSON.stringify(expected), 'Custom layers, top first');
+  assert(voidBelow() !== null && voidBelow() > expected.lastIndexOf(T.STONE), 'A bottom layer, then the void');
+  const seed = WORLD.SEED;
+  WORLD.SEED = 777;
+  const reseeded = JSON.stringify(generateChunk(3, 0).tiles);
+  WORLD.SEED = seed;
+  assert(JSON.stringify(generateChunk(3, 0).tiles) === reseeded, 'The seed makes no difference');
+
+  assert(!throws(() => validateLayers(undefined)), '"layers" is optional');
+  assert(!throws(() => validateLayers([{ tile: 'sand', thickness: 2 }, { tile: 'water' }])), 'Any tile will do');
+  assert(throws(() => validateLayers([])), 'No layers rejected');
+  assert(throws(() => validateLayers([{ tile: 'unobtainium', thickness: 1 }])), 'Unknown tiles rejected');
+  assert(throws(() => validateLayers([{ tile: 'dirt' }, { tile: 'stone' }])), 'Only the last layer may be endless');
+  assert(throws(() => validateLayers([{ tile: 'dirt', thickness: 0 }])), 'Layers at least a tile thick');
+  console.log('');
+
+  // ── TEST 5: Void world ──
+  console.log('🕳️ Test 5: Void world');
+  configureGenerator({ generator: 'void', spawnX: 40, spawnY: -10 });
+  const empty = allTiles(sampleColumns(-4, 3, -2, 2));
+  const platform = empty.filter((tile) => tile !== T.AIR);
+  assert(platform.length === 7 && platform.every((tile) => tile === T.STONE), 'Nothing but a small platform');
+  assert(spawnSurface(40) === -10, 'The platform is under the spawn point');
+  assert(tileAt(40, -9) === T.STONE && tileAt(36, -9) === T.AIR, '… and no bigger');
+  assert(voidBelow() !== null && voidBelow() > -9, 'Falling off it is falling into the void');
+  console.log('');
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
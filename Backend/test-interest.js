@@ -0,0 +1,244 @@
+// Backend/test-interest.js
+// Tests for area-of-interest tracking (World/interestManager.js):
+// who sees whom as players move between chunks, who hears about
+// events in a chunk, and that zone borders make no difference.
+// Then against a running backend: a chunk edited while a player
+// was away is resent when it comes back into their view.
+//
+//   node test-interest.js
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const net = require('net');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aetharia-interest-'));
+
+const { updateInterest, removeFromInterest, getSubscribersAt, getVisiblePlayers } = require('./Src/World/interestManager');
+const { getZoneForPosition } = require('./Src/World/zoneManager');
+const { WORLD, SERVER, MSG } = require('./Src/Utils/constants');
+
+const SIZE = WORLD.CHUNK_SIZE;
+const RADIUS = SERVER.INTEREST_RADIUS;
+const children = [];
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+// Move a player to the middle of chunk cx, cy
+function moveTo(playerId, cx, cy) {
+  return updateInterest(playerId, cx * SIZE + SIZE / 2, cy * SIZE + SIZE / 2);
+}
+
+function sameSet(list, expected) {
+  return list.length === expected.length && expected.every((id) => list.includes(id));
+}
+
+function chunkKeys(chunks) {
+  return chunks.map(({ chunkX, chunkY }) => `${chunkX},${chunkY}`);
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer();
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function stopBackend(child) {
+  return new Promise((resolve) => {
+    if (child.exitCode !== null || child.signalCode !== null) return resolve();
+    child.once('exit', () => resolve());
+    child.kill();
+  });
+}
+
+// Boot Src/main.js on the flat showcase world and wait until it answers
+async function startBackend() {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, 'Src/main.js')], {
+    cwd: __dirname,
+    stdio: 'ignore',
+    env: {
+      ...process.env,
+      PORT: String(port),
+      WORLD_CONFIG: path.join(__dirname, '../worlds/showcase.json'),
+      DATABASE_PATH: path.join(tmpDir, 'test.db'),
+    },
+  });
+  children.push(child);
+
+  const deadline = Date.now() + 15000;
+  while (Date.now() < deadline && child.exitCode === null) {
+    try {
+      if ((await fetch(`http://127.0.0.1:${port}/stats`)).ok) return { child, port };
+    } catch (e) {
+      await wait(200);
+    }
+  }
+  throw new Error('The backend didn\'t start');
+}
+
+// A JSON client, identified as an agent (no account needed),
+// keeping every message it gets
+function connect(port, name) {
+  return new Promise((resolve, reject) => {
+    const client = { ws: new WebSocket(`ws://127.0.0.1:${port}`), received: [], x: 0, y: 0 };
+    client.ws.on('open', () => client.ws.send(JSON.stringify({ type: MSG.IDENTIFY, isAI: true, name })));
+    client.ws.on('message', (raw) => {
+      const msg = JSON.parse(raw);
+      client.received.push(msg);
+      if (msg.type === MSG.WELCOME) {
+        client.x = msg.x;
+        client.y = msg.y;
+        resolve(client);
+      }
+    });
+    client.ws.on('error', reject);
+  });
+}
+
+// Walk with plain moves, a little under PLAYER.MAX_SPEED
+async function walkTo(client, x) {
+  while (client.x !== x) {
+    const dx = x - client.x;
+    client.x = Math.abs(dx) <= 0.7 ? x : client.x + Math.sign(dx) * 0.7;
+    client.ws.send(JSON.stringify({ type: MSG.MOVE, x: client.x }));
+    await wait(100);
+  }
+  await wait(200);
+}
+
+// The last copy of chunk cx, cy a client was sent
+function lastChunk(client, cx, cy) {
+  const sent = client.received.filter((msg) => msg.type === MSG.CHUNK_DATA && msg.chunk.x === cx && msg.chunk.y === cy);
+  return sent.length > 0 ? sent[sent.length - 1].chunk : null;
+}
+
+// ─────────────────────────────────────────────
+// Tests
+// ─────────────────────────────────────────────
+
+async function runTests() {
+  console.log('\n🧪 AETHARIA Area of Interest Tests\n');
+  console.log('═══════════════════════════════════════\n');
+
+  // ── TEST 1: Joining ──
+  console.log('👀 Test 1: Seeing each other');
+  const first = moveTo('alice', 0, 0);
+  assert(first && first.newWatchers.length === 0 && first.newlyVisible.length === 0, 'The first player sees nobody');
+  assert(first.newChunks.length === (2 * RADIUS + 1) ** 2, 'Their whole window is new to them');
+  const second = moveTo('bob', RADIUS, 0);
+  assert(sameSet(second.newWatchers, ['alice']) && sameSet(second.newlyVisible, ['alice']),
+    `A player ${RADIUS} chunk(s) away sees and is seen`);
+  const third = moveTo('carol', RADIUS + 1, 0);
+  assert(sameSet(third.newlyVisible, ['bob']) && sameSet(third.newWatchers, ['bob']), 'Sight is limited to the window around you');
+  assert(sameSet(getVisiblePlayers('bob'), ['alice', 'carol']) && sameSet(getVisiblePlayers('alice'), ['bob']),
+    'Everyone sees the players in their window');
+  assert(moveTo('alice', 0, 0) === null && updateInterest('alice', 1, 1) === null, 'Moving within a chunk changes nothing');
+  console.log('');
+
+  // ── TEST 2: Events ──
+  console.log('📡 Test 2: Who hears about a chunk');
+  assert(sameSet(getSubscribersAt(0, 0), ['alice', 'bob']), 'Events reach everyone watching the chunk');
+  assert(sameSet(getSubscribersAt((RADIUS + 1) * SIZE, 0), ['bob', 'carol']), '… and nobody else');
+  assert(getSubscribersAt(100 * SIZE, 0).length === 0, 'Events far from everyone reach nobody');
+  console.log('');
+
+  // ── TEST 3: Moving away ──
+  console.log('🚶 Test 3: Walking out of sight');
+  const away = moveTo('alice', -RADIUS - 1, 0);
+  assert(sameSet(away.lostWatchers, ['bob']) && sameSet(away.noLongerVisible, ['bob']), 'Leaving the window loses sight both ways');
+  assert(away.newWatchers.length === 0 && away.newlyVisible.length === 0, 'Nobody new to see');
+  assert(chunkKeys(away.newChunks).every((key) => Number(key.split(',')[0]) < -RADIUS),
+    'Only the chunks ahead of them are new');
+  assert(!getSubscribersAt(RADIUS * SIZE, 0).includes('alice'), 'Events in the old window no longer reach alice');
+  const back = moveTo('alice', 0, 0);
+  assert(sameSet(back.newWatchers, ['bob']) && sameSet(back.newlyVisible, ['bob']), 'Coming back, they see each other again');
+  assert(chunkKeys(back.newChunks).includes(`${RADIUS},0`), '… and the chunks they left are new again');
+  console.log('');
+
+  // ── TEST 4: Zone borders ──
+  console.log('🧭 Test 4: Across a zone border');
+  let borderX = 0;
+  while (getZoneForPosition(borderX, 0) === getZoneForPosition(0, 0)) borderX++;
+  removeFromInterest('alice');
+  removeFromInterest('bob');
+  removeFromInterest('carol');
+  updateInterest('west', borderX - 1, 0);
+  const east = updateInterest('east', borderX, 0);
+  assert(getZoneForPosition(borderX - 1, 0) !== getZoneForPosition(borderX, 0), 'Two players a tile apart, in different zones');
+  assert(sameSet(east.newlyVisible, ['west']) && sameSet(getVisiblePlayers('west'), ['east']), '… still see each other');
+  assert(sameSet(getSubscribersAt(borderX, 0), ['west', 'east']), '… and each other\'s block edits');
+  console.log('');
+
+  // ── TEST 5: Leaving ──
+  console.log('🚪 Test 5: Disconnecting');
+  assert(sameSet(removeFromInterest('east'), ['west']), 'The players who could see them are reported');
+  assert(getVisiblePlayers('west').length === 0 && !getSubscribersAt(borderX, 0).includes('east'), 'Gone from every registry');
+  assert(removeFromInterest('east').length === 0, 'Removing twice is harmless');
+  console.log('');
+
+  // ── TEST 6: Coming back to an edited chunk ──
+  console.log('🧱 Test 6: Edits made while away');
+  const { port } = await startBackend();
+  const walker = await connect(port, 'walker');
+  const miner = await connect(port, 'miner');
+  const groundY = Math.round(miner.y) + 1;
+  const edited = { x: 5, y: groundY, cx: 0, cy: Math.floor(groundY / SIZE) };
+
+  // Two chunks west of spawn, the spawn chunk is out of view
+  await walkTo(walker, -RADIUS * SIZE - 1);
+  miner.ws.send(JSON.stringify({ type: MSG.REMOVE_BLOCK, x: edited.x, y: edited.y }));
+  await wait(300);
+  const update = (msg) => msg.type === MSG.BLOCK_UPDATE && msg.x === edited.x && msg.y === edited.y;
+  assert(miner.received.some(update), 'The miner sees their edit');
+  assert(!walker.received.some(update), 'The walker, out of view, isn\'t told');
+
+  // One chunk back, the spawn chunk is in view again
+  await walkTo(walker, -RADIUS * SIZE + 0.5);
+  const chunk = lastChunk(walker, edited.cx, edited.cy);
+  assert(chunk !== null, 'Walking back, the chunk is resent');
+  assert(chunk && chunk.tiles[edited.y - edited.cy * SIZE][edited.x] === WORLD.TILES.AIR, '… with the edit in it');
+
+  walker.ws.close();
+  miner.ws.close();
+  await Promise.all(children.map(stopBackend));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('');
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(async (e) => {
+  console.error(e);
+  await Promise.all(children.map(stopBackend));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  process.exit(1);
+});
@@ -0,0 +1,141 @@
+// Backend/test-lighting.js
+// Tests for tile lighting (Shared/Utils/lighting.js), which the
+// frontend runs per chunk for its darkness mask.
+//
+// Builds small scenes from a tile map — open sky over stone with
+// a cave — and checks sunlight, torchlight, and that relighting
+// after an edit sees the change.
+//
+//   node test-lighting.js
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aetharia-lighting-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'test.db');
+
+const Lighting = require('./Src/Utils/lighting');
+const Physics = require('./Src/Utils/physics');
+const { WORLD } = require('./Src/Utils/constants');
+const { placeBlock, getTile } = require('./Src/World/worldState');
+
+const { AIR, STONE, WATER, LEAVES, TORCH } = WORLD.TILES;
+const SIZE = WORLD.CHUNK_SIZE;
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Scene helpers
+// ─────────────────────────────────────────────
+
+// Sky above y=0, stone below, plus edits
+function scene() {
+  const edits = new Map();
+  return {
+    set: (x, y, tile) => edits.set(`${x},${y}`, tile),
+    getTile: (x, y) => {
+      const key = `${x},${y}`;
+      if (edits.has(key)) return edits.get(key);
+      return y < 0 ? AIR : STONE;
+    },
+  };
+}
+
+// Light one chunk-sized area at (x0, y0); open sky above
+function light(world, x0, y0) {
+  const levels = Lighting.computeLight(world.getTile, x0, y0, SIZE, SIZE, () => true);
+  return (x, y) => levels[(y - y0) * SIZE + (x - x0)];
+}
+
+// ─────────────────────────────────────────────
+// Tests
+// ─────────────────────────────────────────────
+
+function runTests() {
+  console.log('\n🧪 AETHARIA Lighting Tests\n');
+  console.log('═══════════════════════════════════════\n');
+
+  // ── TEST 1: Sunlight ──
+  console.log('☀️ Test 1: Sunlight');
+  const open = scene();
+  const day = light(open, 0, -16);
+  assert(day(5, -1) === Lighting.MAX_LIGHT, 'Open sky is fully lit');
+  assert(day(5, 0) < Lighting.MAX_LIGHT && day(5, 0) > 0, 'The ground surface is lit, a little dimmer');
+  assert(day(5, 10) === 0, 'Deep underground is dark');
+  let fading = true;
+  for (let y = 0; y < 5; y++) if (day(5, y + 1) > day(5, y)) fading = false;
+  assert(fading, 'Light fades with depth');
+
+  const covered = scene();
+  for (let x = -20; x <= 40; x++) covered.set(x, -10, STONE);
+  assert(light(covered, 0, -16)(5, -5) < Lighting.MAX_LIGHT, 'A roof blocks the sun');
+  assert(light(covered, 0, -16)(5, -12) === Lighting.MAX_LIGHT, 'Above the roof is still sunny');
+
+  const blockedSky = Lighting.computeLight(open.getTile, 0, -16, SIZE, SIZE, () => false);
+  assert(blockedSky[0] === 0, 'No sun where skyAt says something is overhead');
+  console.log('');
+
+  // ── TEST 2: Torches ──
+  console.log('🔥 Test 2: Torchlight in a cave');
+  const cave = scene();
+  for (let x = 0; x < 40; x++) {
+    for (let y = 20; y <= 22; y++) cave.set(x, y, AIR);
+  }
+  assert(light(cave, 0, 16)(10, 21) === 0, 'An unlit cave is pitch black');
+
+  cave.set(10, 21, TORCH);
+  const torchlit = light(cave, 0, 16);
+  assert(torchlit(10, 21) === Lighting.emission(TORCH), 'A torch shines at its own level');
+  assert(torchlit(12, 21) === torchlit(10, 21) - 2 && torchlit(8, 21) === torchlit(10, 21) - 2,
+    'Light falls off one level per tile of air');
+  assert(torchlit(10, 23) < torchlit(10, 22) - 2, 'Rock soaks up light faster than air');
+  assert(torchlit(30, 21) === 0, 'Torchlight runs out');
+
+  // Torch just over the chunk border, lighting this chunk
+  const border = scene();
+  for (let x = 20; x < 40; x++) border.set(x, 21, AIR);
+  border.set(SIZE + 1, 21, TORCH);
+  assert(light(border, 0, 16)(SIZE - 1, 21) > 0, 'A torch in the next chunk lights across the border');
+
+  const pond = scene();
+  for (let x = 0; x < 10; x++) pond.set(x, 0, WATER);
+  pond.set(20, -1, LEAVES);
+  const pondLight = light(pond, 0, -16);
+  assert(pondLight(5, 0) > light(open, 0, -16)(5, 0), 'Water lets more light through than ground');
+  assert(pondLight(20, -1) < Lighting.MAX_LIGHT, 'Leaves cast shade');
+  console.log('');
+
+  // ── TEST 3: Relighting after edits ──
+  console.log('🧱 Test 3: Edits');
+  const shaft = scene();
+  assert(light(shaft, 0, 0)(5, 8) === 0, 'Before digging, the rock at depth 8 is dark');
+  for (let y = 0; y <= 8; y++) shaft.set(5, y, AIR);
+  assert(light(shaft, 0, 0)(5, 8) === Lighting.MAX_LIGHT, 'Digging a shaft lets sunlight down it');
+  shaft.set(5, 0, STONE);
+  assert(light(shaft, 0, 0)(5, 8) < Lighting.MAX_LIGHT, 'Capping it shuts the sun out again');
+
+  assert(placeBlock(0, -500, TORCH) && getTile(0, -500) === TORCH, 'The server accepts torches');
+  assert(!Physics.solidity(() => TORCH)(0, 0), 'Torches can be walked through');
+  console.log('');
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,188 @@
+// Backend/test-persistence.js
+// Tests for block modifications persisted to SQLite
+// (World/worldState.js, Database/db.js): edits written through
+// per world, read back into a fresh store, and a restarted
+// backend putting its portals back on top of what was loaded.
+//
+//   node test-persistence.js
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const net = require('net');
+const { spawn } = require('child_process');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aetharia-persist-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'test.db');
+
+const { WORLD } = require('./Src/Utils/constants');
+const db = require('./Src/Database/db');
+
+const { AIR, STONE, WOOD, PORTAL } = WORLD.TILES;
+const WORLD_ID = 'origin';
+const children = [];
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// A fresh copy of the modification store, as a restarted backend
+// would have: nothing in memory until loadModifications()
+function freshWorldState() {
+  delete require.cache[require.resolve('./Src/World/worldState')];
+  return require('./Src/World/worldState');
+}
+
+// Persisted rows for a world as a "x,y" → tile map
+function storedTiles(worldId) {
+  return new Map(db.getBlockModifications(worldId).map((row) => [`${row.x},${row.y}`, row.tile]));
+}
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer();
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function stopBackend(child) {
+  return new Promise((resolve) => {
+    if (child.exitCode !== null || child.signalCode !== null) return resolve();
+    child.once('exit', () => resolve());
+    child.kill();
+  });
+}
+
+// Boot Src/main.js for the origin world on the test database,
+// wait until it answers (portals are placed by then), stop it
+async function runBackend() {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, 'Src/main.js')], {
+    cwd: __dirname,
+    stdio: 'ignore',
+    env: {
+      ...process.env,
+      PORT: String(port),
+      WORLD_CONFIG: path.join(__dirname, '../worlds', `${WORLD_ID}.json`),
+      DATABASE_PATH: process.env.DATABASE_PATH,
+    },
+  });
+  children.push(child);
+
+  let up = false;
+  const deadline = Date.now() + 15000;
+  while (!up && Date.now() < deadline && child.exitCode === null) {
+    try {
+      up = (await fetch(`http://127.0.0.1:${port}/stats`)).ok;
+    } catch (e) {
+      await wait(200);
+    }
+  }
+  await stopBackend(child);
+  return up;
+}
+
+// ─────────────────────────────────────────────
+// Tests
+// ─────────────────────────────────────────────
+
+async function runTests() {
+  console.log('\n🧪 AETHARIA Persistence Tests\n');
+  console.log('═══════════════════════════════════════\n');
+
+  // ── TEST 1: Writing through ──
+  console.log('💾 Test 1: Edits are written through');
+  let worldState = freshWorldState();
+  worldState.placeBlock(3, -40, WOOD);
+  assert(storedTiles(WORLD_ID).size === 0, 'Nothing persisted before loadModifications()');
+
+  assert(worldState.loadModifications(WORLD_ID) === 0, 'A new world loads no modifications');
+  worldState.placeBlock(5, -40, STONE);
+  worldState.removeBlock(6, 40);
+  worldState.placeBlock(7, -40, STONE);
+  worldState.placeBlock(7, -40, AIR);
+  worldState.placeBlocks([{ x: -9, y: -41, tile: WOOD }, { x: -9, y: -42, tile: WOOD }]);
+
+  let stored = storedTiles(WORLD_ID);
+  assert(stored.get('5,-40') === STONE && stored.get('6,40') === AIR, 'Placed and removed blocks stored');
+  assert(stored.get('-9,-41') === WOOD && stored.get('-9,-42') === WOOD, 'Simulated batches stored');
+  assert(stored.get('7,-40') === AIR && stored.size === 5, 'Editing a tile again keeps one row, with the last tile');
+  assert(storedTiles('caverns').size === 0, 'Other worlds untouched');
+  console.log('');
+
+  // ── TEST 2: Reloading ──
+  console.log('🔄 Test 2: Reloading from the database');
+  worldState = freshWorldState();
+  assert(worldState.getModificationCount() === 0, 'A fresh store starts empty');
+  assert(worldState.loadModifications(WORLD_ID) === 5, 'All five rows load');
+  assert(worldState.getTile(5, -40) === STONE && worldState.getTile(6, 40) === AIR && worldState.getTile(7, -40) === AIR,
+    'Edits survive the reload');
+  const chunk = worldState.getModifiedChunk(Math.floor(-9 / WORLD.CHUNK_SIZE), Math.floor(-41 / WORLD.CHUNK_SIZE));
+  const local = (x) => x - chunk.x * WORLD.CHUNK_SIZE;
+  assert(chunk.tiles[-41 - chunk.y * WORLD.CHUNK_SIZE][local(-9)] === WOOD, '… and show up in served chunks');
+  assert(worldState.getTile(3, -40) !== WOOD, 'Edits made before loading are gone');
+  console.log('');
+
+  // ── TEST 3: Restarting with portals ──
+  console.log('🌀 Test 3: Portals go back on top');
+  const portal = JSON.parse(fs.readFileSync(path.join(__dirname, '../worlds', `${WORLD_ID}.json`), 'utf8')).portals[0];
+  assert(await runBackend(), 'The backend boots on the database');
+  stored = storedTiles(WORLD_ID);
+  const portalRows = [...stored].filter(([key, tile]) => tile === PORTAL && key.startsWith(`${portal.x},`));
+  const baseY = Math.max(...portalRows.map(([key]) => Number(key.split(',')[1])));
+  assert(portalRows.length === 3, `Its portal at x ${portal.x} is persisted (y ${baseY - 2} … ${baseY})`);
+  assert(stored.get('5,-40') === STONE, 'Earlier edits still there');
+  if (portalRows.length !== 3) throw new Error('No portal to break, the restart checks can\'t run');
+
+  // Someone breaks the portal and walls up its entrance
+  worldState = freshWorldState();
+  worldState.loadModifications(WORLD_ID);
+  worldState.placeBlock(portal.x, baseY - 1, AIR);
+  worldState.placeBlock(portal.x + 1, baseY, STONE);
+  worldState.placeBlock(11, -40, STONE);
+
+  assert(await runBackend(), 'The backend boots again');
+  worldState = freshWorldState();
+  worldState.loadModifications(WORLD_ID);
+  assert([0, 1, 2].every((dy) => worldState.getTile(portal.x, baseY - dy) === PORTAL), 'The portal is whole again');
+  assert(worldState.getTile(portal.x + 1, baseY) === AIR && worldState.getTile(portal.x - 1, baseY) === AIR,
+    '… and its entrance clear');
+  assert(worldState.getTile(11, -40) === STONE && worldState.getTile(5, -40) === STONE,
+    'Edits away from the portal kept');
+  console.log('');
+
+  db.db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(async (e) => {
+  console.error(e);
+  await Promise.all(children.map(stopBackend));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  process.exit(1);
+});
@@ -0,0 +1,463 @@
+// Backend/test-physics.js
+// Unit tests for the shared player physics (Shared/Utils/physics.js)
+// and the server's movement anti-cheat (Player/antiCheat.js) and
+// fall damage (Player/health.js).
+//
+// The server, the browser's movement prediction and the AI agents
+// all step players with the same function; these tests check that
+// identical inputs give identical trajectories, which is what
+// makes reconciliation invisible.
+//
+//   node test-physics.js
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+// The server binding reads world tiles through worldState, which
+// opens the database — keep it out of Backend/data
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aetharia-physics-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'test.db');
+
+const Physics = require('./Src/Utils/physics');
+const serverPhysics = require('./Src/Player/physics');
+const { getTile, placeBlock } = require('./Src/World/worldState');
+const antiCheat = require('./Src/Player/antiCheat');
+const health = require('./Src/Player/health');
+const handleMessage = require('./Src/Handlers/handleMessage');
+const { createPlayer } = require('./Src/Player/player');
+const { db, savePlayerState, getPlayer } = require('./Src/Database/db');
+const { PLAYER, ANTI_CHEAT, SERVER } = require('./Src/Utils/constants');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+function sameBody(a, b) {
+  return a.x === b.x && a.y === b.y && a.velocityY === b.velocityY && a.onGround === b.onGround;
+}
+
+// ─────────────────────────────────────────────
+// Test worlds
+// ─────────────────────────────────────────────
+
+const GROUND_Y = 10;
+
+// Flat ground from y = 10 down, a 1-tile step at x = 8..9, a wall
+// (3 tall) at x = 20, and a ceiling over x = -10..-5 at y = 6
+function testWorld(tileX, tileY) {
+  if (tileY >= GROUND_Y) return 2;
+  if (tileY === GROUND_Y - 1 && tileX >= 8 && tileX <= 9) return 2;
+  if (tileX === 20 && tileY >= GROUND_Y - 3) return 2;
+  if (tileY === 6 && tileX >= -10 && tileX <= -5) return 2;
+  return 0;
+}
+const isSolid = Physics.solidity(testWorld);
+
+// Same ground with a pool 10 tiles deep over x = 30..40
+function poolWorld(tileX, tileY) {
+  if (tileX >= 30 && tileX <= 40) {
+    if (tileY >= GROUND_Y + 10) return 2;
+    if (tileY >= GROUND_Y - 5) return 4;
+    return 0;
+  }
+  return testWorld(tileX, tileY);
+}
+const poolSolid = Physics.solidity(poolWorld);
+const isWater = Physics.wetness(poolWorld);
+
+// Walk right for a while, jump a few times, walk back
+function scriptedInputs(body, solid) {
+  const inputs = [];
+  const sim = { ...body };
+  for (let i = 0; i < 120; i++) {
+    const dir = i < 70 ? 1 : -1;
+    const input = { dx: Physics.walkDx(dir), jump: i % 25 === 0 };
+    Physics.step(sim, input, solid);
+    inputs.push(input);
+  }
+  return inputs;
+}
+
+function trajectory(body, inputs, solid, gravity, water) {
+  const sim = { ...body };
+  return inputs.map((input) => ({ ...Physics.step(sim, input, solid, gravity, water) }));
+}
+
+// Feed sequenced inputs (in batches of MAX_INPUT_BATCH) or plain
+// moves to handleMessage for a fresh player on generated terrain
+function runMoves(inputs, moves = []) {
+  const ws = { readyState: 1, closed: false, send() {}, close() { this.closed = true; } };
+  let corrections = 0;
+  const context = {
+    broadcastToArea() {},
+    refreshInterest() {},
+    handoffPlayer() {},
+    sendPositionCorrection() { corrections++; },
+  };
+
+  const worldSolid = Physics.solidity(getTile);
+  let y = 0;
+  while (!worldSolid(0, y + 1) && y < 60) y++;
+  const id = `mover-${Math.random().toString(36).slice(2, 8)}`;
+  const player = { ...createPlayer(id, { x: 0, y }), onGround: true };
+  const players = { [id]: player };
+  const startX = player.x;
+
+  // Back-to-back messages, minus the message rate limit
+  const move = (data) => {
+    player.lastMessageAt = 0;
+    handleMessage({ type: 'move', ...data }, id, players, ws, null, context);
+  };
+
+  if (inputs) {
+    const sequenced = inputs.map((input, i) => ({ seq: i + 1, ...input }));
+    for (let i = 0; i < sequenced.length; i += PLAYER.MAX_INPUT_BATCH) {
+      move({ inputs: sequenced.slice(i, i + PLAYER.MAX_INPUT_BATCH) });
+    }
+  }
+  for (const data of moves) {
+    if (!ws.closed) move(data);
+  }
+
+  return { player, startX, ws, get corrections() { return corrections; } };
+}
+
+// Level the hills around x = 0, where runMoves starts its players,
+// so plain moves there are only limited by the anti-cheat
+function clearRunway(x0, x1) {
+  const worldSolid = Physics.solidity(getTile);
+  let floor = 1;
+  while (!worldSolid(0, floor) && floor < 61) floor++;
+  for (let x = x0; x <= x1; x++) {
+    for (let y = floor - 40; y < floor; y++) placeBlock(x, y, 0);
+    placeBlock(x, floor, 2);
+  }
+}
+
+// ─────────────────────────────────────────────
+// Tests
+// ─────────────────────────────────────────────
+
+// Drop a player onto the real world tiles and run the physics
+// loop's health step each tick until they land
+function drop(x, fromY) {
+  const player = createPlayer('faller', { x, y: fromY });
+  let death = null;
+  for (let i = 0; i < 200 && !player.onGround && !death; i++) {
+    serverPhysics.stepVertical(player);
+    death = health.stepHealth(player);
+  }
+  return { player, death };
+}
+
+function runTests() {
+  console.log('\n🧪 AETHARIA Physics Tests\n');
+  console.log('═══════════════════════════════════════\n');
+
+  // ── TEST 1: Basics ──
+  console.log('🧱 Test 1: Gravity and collision');
+  const faller = Physics.createBody(0, 0);
+  for (let i = 0; i < 40; i++) Physics.step(faller, {}, isSolid);
+  assert(faller.onGround && faller.y === GROUND_Y - 1, 'Falls and lands on the ground');
+  assert(faller.velocityY === 0, 'Landing stops vertical velocity');
+
+  const resting = { ...faller };
+  Physics.step(resting, {}, isSolid);
+  assert(sameBody(resting, faller), 'Standing still on the ground is stable');
+
+  let apex = faller.y;
+  const jumper = { ...faller };
+  Physics.step(jumper, { jump: true }, isSolid);
+  for (let i = 0; i < 40 && !jumper.onGround; i++) {
+    apex = Math.min(apex, jumper.y);
+    Physics.step(jumper, {}, isSolid);
+  }
+  const height = faller.y - apex;
+  assert(height > 2.5 && height < 3.5, `Jump reaches ~3 tiles (${height.toFixed(2)})`);
+  assert(jumper.onGround && jumper.y === faller.y, 'Jump lands back on the ground');
+
+  const bonker = { ...Physics.createBody(-8, GROUND_Y - 1), onGround: true };
+  Physics.step(bonker, { jump: true }, isSolid);
+  for (let i = 0; i < 10; i++) Physics.step(bonker, {}, isSolid);
+  assert(bonker.y >= 7, 'Ceiling stops the jump');
+
+  const walker = { ...Physics.createBody(18, GROUND_Y - 1), onGround: true };
+  for (let i = 0; i < 20; i++) Physics.step(walker, { dx: Physics.walkDx(1) }, isSolid);
+  assert(walker.x < 20 && walker.x + 0.9 > 19.99, 'Wall stops horizontal movement flush');
+
+  const stuck = Physics.createBody(0, GROUND_Y + 0.5);
+  Physics.step(stuck, {}, isSolid);
+  assert(!isSolid(stuck.x + 0.5, stuck.y + 0.5), 'Body inside a tile is pushed out');
+
+  const floaty = Physics.createBody(0, 0);
+  const heavy = Physics.createBody(0, 0);
+  for (let i = 0; i < 5; i++) {
+    Physics.step(floaty, {}, isSolid, 15);
+    Physics.step(heavy, {}, isSolid, 30);
+  }
+  assert(floaty.y < heavy.y, 'World gravity override falls slower');
+  console.log('');
+
+  // ── TEST 2: Determinism ──
+  console.log('🔁 Test 2: Identical inputs, identical trajectories');
+  const start = Physics.createBody(0, 0);
+  const inputs = scriptedInputs(start, isSolid);
+  const runA = trajectory(start, inputs, isSolid);
+  const runB = trajectory(start, inputs, isSolid);
+  assert(runA.every((body, i) => sameBody(body, runB[i])), `${inputs.length} steps match exactly`);
+  assert(inputs.some((input) => input.jump) && runA.some((body) => body.velocityY < 0), 'Trajectory includes jumps');
+  assert(sameBody(start, Physics.createBody(0, 0)), 'Starting body is left untouched');
+  console.log('');
+
+  // ── TEST 3: Reconciliation ──
+  console.log('🛰️ Test 3: Replaying unacknowledged inputs');
+  const predicted = runA[runA.length - 1];
+  let allMatch = true;
+  for (let ack = 0; ack < inputs.length; ack += 7) {
+    const serverState = ack === 0 ? start : runA[ack - 1];
+    const replayed = Physics.replay(serverState, inputs.slice(ack), isSolid);
+    if (!sameBody(replayed, predicted)) allMatch = false;
+  }
+  assert(allMatch, 'Server state + replay lands exactly on the prediction, for any ack');
+
+  const corrected = Physics.replay({ ...runA[99], x: runA[99].x - 1 }, inputs.slice(100), isSolid);
+  assert(Math.abs(corrected.x - (predicted.x - 1)) < 1e-9, 'Replay walks on from the corrected position');
+
+  const rewalled = Physics.replay({ ...runA[59], x: runA[59].x - 1 }, inputs.slice(60), isSolid);
+  assert(rewalled.x === predicted.x, 'Replay after a correction collides the same way');
+  console.log('');
+
+  // ── TEST 4: Server binding ──
+  console.log('🖥️ Test 4: Server physics matches the shared step');
+  const worldSolid = Physics.solidity(getTile);
+  let spawnY = 0;
+  while (!worldSolid(0, spawnY + 1) && spawnY < 60) spawnY++;
+  const player = { ...Physics.createBody(0, spawnY - 5) };
+  const worldInputs = scriptedInputs(player, worldSolid);
+  const expected = trajectory(player, worldInputs, worldSolid);
+  let serverMatches = true;
+  worldInputs.forEach((input, i) => {
+    serverPhysics.stepInput(player, input);
+    if (!sameBody(player, expected[i])) serverMatches = false;
+  });
+  assert(serverMatches, 'stepInput follows the same trajectory on generated terrain');
+
+  const idle = { ...expected[expected.length - 1] };
+  const idleExpected = Physics.step({ ...idle }, {}, worldSolid);
+  serverPhysics.stepVertical(idle);
+  assert(sameBody(idle, idleExpected), 'stepVertical is a step with no input');
+  console.log('');
+
+  // ── TEST 5: Agent planning ──
+  console.log('🤖 Test 5: Planned walks');
+  const agent = { ...Physics.createBody(5, GROUND_Y - 1), onGround: true };
+  const plan = Physics.planWalk(agent, 12, isSolid, 40);
+  assert(plan.inputs.some((input) => input.jump), 'Plan jumps the 1-tile step');
+  assert(Math.abs(plan.body.x - 12) < 0.5, `Plan reaches the target (x=${plan.body.x.toFixed(2)})`);
+  assert(sameBody(plan.body, Physics.replay(agent, plan.inputs, isSolid)), 'Server replaying the plan ends where the agent expects');
+  assert(agent.x === 5, 'Planning leaves the agent\'s body untouched');
+  console.log('');
+
+  // ── TEST 6: Swimming ──
+  console.log('🌊 Test 6: Water');
+  const diver = Physics.createBody(35, 0);
+  let maxSink = 0;
+  let wasInWater = false;
+  for (let i = 0; i < 150; i++) {
+    Physics.step(diver, {}, poolSolid, Physics.GRAVITY, isWater);
+    if (wasInWater) maxSink = Math.max(maxSink, diver.velocityY);
+    wasInWater = Physics.inWater(diver, isWater);
+  }
+  assert(wasInWater && maxSink <= Physics.MAX_SINK_SPEED, `Sinking is capped in water (${maxSink.toFixed(2)} tiles/s)`);
+  assert(diver.onGround && diver.y === GROUND_Y + 9, 'Sinks to the bottom of the pool');
+
+  const swimmer = { ...diver };
+  for (let i = 0; i < 5; i++) Physics.step(swimmer, { jump: true }, poolSolid, Physics.GRAVITY, isWater);
+  assert(swimmer.y < diver.y - 1 && swimmer.velocityY < 0, 'Jump swims up from the bottom');
+
+  const landWalker = { ...Physics.createBody(5, GROUND_Y - 1), onGround: true };
+  const waterWalker = { ...diver };
+  Physics.step(landWalker, { dx: Physics.walkDx(1) }, poolSolid, Physics.GRAVITY, isWater);
+  Physics.step(waterWalker, { dx: Physics.walkDx(1) }, poolSolid, Physics.GRAVITY, isWater);
+  assert(waterWalker.x - diver.x < landWalker.x - 5, 'Walking is slower in water');
+
+  const wetInputs = Array.from({ length: 80 }, (_, i) => ({ dx: Physics.walkDx(i < 40 ? 1 : -1), jump: i % 6 < 3 }));
+  const wetStart = { ...Physics.createBody(28, GROUND_Y - 1), onGround: true };
+  const wetRun = trajectory(wetStart, wetInputs, poolSolid, Physics.GRAVITY, isWater);
+  const wetReplay = Physics.replay(wetRun[29], wetInputs.slice(30), poolSolid, Physics.GRAVITY, isWater);
+  assert(wetRun.some((body) => Physics.inWater(body, isWater)) && sameBody(wetReplay, wetRun[79]),
+    'Swimming replays exactly from any ack');
+
+  const pearlDiver = { ...Physics.createBody(39, GROUND_Y + 9), onGround: true };
+  const surfacing = Physics.planWalk(pearlDiver, 45, poolSolid, 100, Physics.GRAVITY, isWater);
+  assert(surfacing.body.x > 41 && !Physics.isSubmerged(surfacing.body, isWater), 'Planned walks swim up and out of the pool');
+
+  // Breath runs against the real world tiles: a column of water in the sky
+  for (let y = -60; y <= -55; y++) placeBlock(1000, y, 4);
+  const breather = { ...createPlayer('breather', { x: 1000, y: -58 }) };
+  let ticks = 0;
+  while (!serverPhysics.stepBreath(breather) && ticks < 1000) ticks++;
+  const seconds = (ticks + 1) * Physics.TICK_RATE / 1000;
+  assert(Math.abs(seconds - PLAYER.MAX_BREATH) < 0.001, `Drowns after ${seconds.toFixed(2)}s underwater`);
+  breather.y = -70;
+  serverPhysics.stepBreath(breather);
+  assert(breather.breath > 0 && breather.breath < PLAYER.MAX_BREATH, 'Breath refills above water');
+  for (let i = 0; i < 200; i++) serverPhysics.stepBreath(breather);
+  assert(breather.breath === PLAYER.MAX_BREATH, 'Up to MAX_BREATH');
+  console.log('');
+
+  // ── TEST 7: Health ──
+  console.log('❤️ Test 7: Fall damage');
+  assert(health.fallDamage(-Physics.JUMP_VELOCITY) === 0, 'Landing a jump is free');
+  assert(health.fallDamage(Physics.MAX_FALL_SPEED) >= PLAYER.MAX_HEALTH, 'Landing at full fall speed is fatal');
+
+  // A stone ledge in the sky, and the breath test's water column
+  // with a floor under it
+  for (let x = 1100; x <= 1102; x++) placeBlock(x, -60, 2);
+  placeBlock(1000, -54, 2);
+
+  const hop = drop(1101, -64);
+  assert(hop.player.onGround && hop.player.health === PLAYER.MAX_HEALTH, 'A three-tile drop does no damage');
+  const tumble = drop(1101, -68);
+  assert(tumble.player.health < PLAYER.MAX_HEALTH && !tumble.death,
+    `A seven-tile drop hurts (${tumble.player.health}/${PLAYER.MAX_HEALTH})`);
+  const plunge = drop(1101, -120);
+  assert(plunge.death === 'fell' && plunge.player.health === 0, 'Falling from the sky kills');
+  const dive = drop(1000, -120);
+  assert(dive.player.onGround && dive.player.health === PLAYER.MAX_HEALTH, 'Water breaks the fall');
+
+  const hurt = tumble.player.health;
+  health.stepHealth(tumble.player);
+  assert(tumble.player.health > hurt, 'Health regenerates');
+
+  db.prepare("INSERT INTO players (username, password_hash) VALUES ('hurt', 'x')").run();
+  savePlayerState('hurt', 0, 0, 'zone_central', [], 100, 7.5);
+  assert(createPlayer('hurt', { health: getPlayer('hurt').health }).health === 7.5, 'Health is saved and restored');
+  assert(createPlayer('fresh', { health: 0 }).health === PLAYER.MAX_HEALTH, 'Nobody logs in dead');
+  console.log('');
+
+  // ── TEST 8: Swept collision ──
+  console.log('🧱 Test 8: No tunnelling');
+  const dasher = { ...Physics.createBody(10, GROUND_Y - 1), onGround: true };
+  const dashX = Physics.sweepX(dasher, 30, isSolid);
+  assert(dashX < 20 && dashX + 0.9 > 19.99, 'A 30-tile move stops at the wall instead of passing it');
+  assert(Physics.sweepX({ ...dasher, x: 25 }, -30, isSolid) === 21, 'Same going left, flush with the wall\'s far side');
+  assert(Physics.sweepX({ ...dasher, y: 0 }, 30, isSolid) === 40, 'Jumping over the wall height passes it');
+  const ledge = (tileX, tileY) => Math.floor(tileY) === 0;
+  const skydiver = { ...Physics.createBody(0, -101.1), velocityY: Physics.MAX_FALL_SPEED };
+  for (let i = 0; i < 100 && skydiver.velocityY === Physics.MAX_FALL_SPEED; i++) Physics.step(skydiver, {}, ledge);
+  assert(skydiver.onGround && skydiver.y === -1, 'Falling at full speed lands on a one-tile ledge, not in it');
+  console.log('');
+
+  // ── TEST 9: Anti-cheat ──
+  console.log('🚨 Test 9: Movement anti-cheat');
+  assert(antiCheat.isValidStepDx(Physics.walkDx(-1)), 'Walking speed is a valid step');
+  assert(!antiCheat.isValidStepDx(PLAYER.MAX_SPEED) && !antiCheat.isValidStepDx(NaN), 'Oversized and non-finite steps are not');
+
+  const now = Date.now();
+  const budgeted = createPlayer('budget');
+  let burst = 0;
+  while (antiCheat.takeInputStep(budgeted, now)) burst++;
+  assert(burst === ANTI_CHEAT.INPUT_BURST, `A fresh client can burst ${burst} steps`);
+  assert(antiCheat.takeInputStep(budgeted, now + Physics.TICK_RATE), 'One more step per tick of real time');
+  assert(!antiCheat.takeInputStep(budgeted, now + Physics.TICK_RATE), 'But no more than that');
+
+  const stepDx = PLAYER.MAX_SPEED * Physics.TICK_RATE / 1000;
+  const mover = createPlayer('mover');
+  const allowed = antiCheat.allowedMoveDistance(mover, now);
+  assert(allowed === ANTI_CHEAT.INPUT_BURST * stepDx + ANTI_CHEAT.MOVE_TOLERANCE, `A fresh client's plain move may cover its burst (${allowed} tiles)`);
+  antiCheat.spendMoveDistance(mover, allowed);
+  assert(antiCheat.allowedMoveDistance(mover, now) === 0, 'The tolerance isn\'t granted again per message');
+  const later = antiCheat.allowedMoveDistance(mover, now + 500);
+  assert(Math.abs(later - PLAYER.MAX_SPEED * 0.5) < 1e-9, `After that, MAX_SPEED × elapsed (${later.toFixed(2)} tiles after 500ms)`);
+
+  const mixer = createPlayer('mixer');
+  antiCheat.spendMoveDistance(mixer, antiCheat.allowedMoveDistance(mixer, now));
+  assert(!antiCheat.takeInputStep(mixer, now), 'Plain moves and inputs spend the same budget');
+  while (antiCheat.takeInputStep(mixer, now + 1000)) { /* drain */ }
+  assert(antiCheat.allowedMoveDistance(mixer, now + 1000) < stepDx + ANTI_CHEAT.MOVE_TOLERANCE, '… both ways round');
+
+  const cheater = createPlayer('cheater', { name: 'cheater' });
+  const verdicts = [];
+  while (verdicts[verdicts.length - 1] !== 'kick' && verdicts.length < 100) verdicts.push(antiCheat.flag(cheater, 'WALL'));
+  assert(verdicts[0] === 'ok' && verdicts.includes('correct') && verdicts.length < 20, `Repeat offences escalate to a kick (${verdicts.length} flags)`);
+  const logged = db.prepare('SELECT event FROM admin_log WHERE player = ?').all('cheater').map((row) => row.event);
+  assert(logged.length === 2 && logged[0] === 'WALL' && logged[1] === 'kick', 'Logged once on crossing LOG_AT, and on the kick');
+
+  const forgiven = createPlayer('forgiven');
+  antiCheat.flag(forgiven, 'SPEED');
+  forgiven.suspicionAt -= 60000;
+  assert(antiCheat.flag(forgiven, 'WALL') === 'ok', 'Suspicion decays over time');
+  console.log('');
+
+  // ── TEST 10: Move handler ──
+  console.log('🖥️ Test 10: Server rejects speed hacks');
+  const hacked = runMoves(Array.from({ length: 5 }, () => ({ dx: 2, jump: false })));
+  assert(hacked.player.x === hacked.startX, 'Oversized dx is not applied');
+  assert(hacked.player.lastInputSeq === 5, 'Rejected steps are still acked (the correction drops them)');
+  assert(hacked.corrections > 0, 'Client is sent a position correction');
+
+  const flooded = runMoves(Array.from({ length: ANTI_CHEAT.INPUT_BURST * 2 }, () => ({ dx: Physics.walkDx(1), jump: false })));
+  assert(flooded.player.lastInputSeq === ANTI_CHEAT.INPUT_BURST, 'Inputs beyond real time are left unacked');
+  assert(flooded.player.suspicion > 0, 'Input flood adds suspicion');
+
+  const honest = runMoves(Array.from({ length: 10 }, () => ({ dx: Physics.walkDx(1), jump: false })));
+  assert(honest.player.suspicion === 0 && honest.player.x > honest.startX, 'Honest walking moves with no suspicion');
+
+  clearRunway(-2, 60);
+  const mixed = runMoves(Array.from({ length: ANTI_CHEAT.INPUT_BURST }, () => ({ dx: 0, jump: false })), [{ x: 20 }, { x: 40 }]);
+  assert(mixed.player.x - mixed.startX <= ANTI_CHEAT.MOVE_TOLERANCE + 0.5,
+    `Plain moves after a burst of inputs get no fresh allowance (${(mixed.player.x - mixed.startX).toFixed(2)} tiles)`);
+
+  const teleporter = runMoves(null, [{ x: 500 }, { x: 1000 }, { x: 1500 }, { x: 2000 }, { x: 2500 }, { x: 3000 }, { x: 3500 }, { x: 4000 }, { x: 4500 }]);
+  assert(teleporter.player.x < teleporter.startX + 20, 'Plain moves are clamped to MAX_SPEED');
+  assert(teleporter.ws.closed, 'Persistent teleporting gets the player kicked');
+  console.log('');
+
+  // ── TEST 11: Server time ──
+  console.log('⏱️ Test 11: Predicting clients fall on server time');
+  // Ticks of the physics loop, with one input (dx 0) sent through
+  // handleMove every `every` ticks; and a body stepped every tick
+  const fallFor = (ticks, every) => {
+    const id = `faller-${every}`;
+    const player = { ...createPlayer(id, { x: 3000, y: -300 }), onGround: false };
+    const reference = { ...player };
+    const ws = { readyState: 1, send() {}, close() {} };
+    const context = { broadcastToArea() {}, refreshInterest() {}, handoffPlayer() {}, sendPositionCorrection() {} };
+    let seq = 0;
+    for (let tick = 0; tick < ticks; tick++) {
+      if (tick % every === 0) {
+        player.lastMessageAt = 0;
+        handleMessage({ type: 'move', inputs: [{ seq: ++seq, dx: 0 }] }, id, { [id]: player }, ws, null, context);
+      }
+      serverPhysics.stepServerTick(player, Date.now());
+      serverPhysics.stepVertical(reference);
+    }
+    return { fallen: player.y + 300, expected: reference.y + 300 };
+  };
+  const keepingUp = fallFor(ANTI_CHEAT.INPUT_BURST, 1);
+  assert(keepingUp.fallen === keepingUp.expected, 'A client sending every input is stepped by them alone');
+  const slow = fallFor(40, SERVER.INPUT_IDLE_TIMEOUT / Physics.TICK_RATE);
+  assert(slow.fallen > slow.expected * 0.8,
+    `One input per INPUT_IDLE_TIMEOUT doesn't slow the fall (${slow.fallen.toFixed(1)} of ${slow.expected.toFixed(1)} tiles)`);
+  console.log('');
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,175 @@
+// Backend/test-protocol.js
+// Tests for the binary protobuf transport (Network/protocol.js,
+// Shared/Utils/protoCodec.js, Shared/Proto/world.proto): every
+// message type in MSG has an envelope field, and comes back from
+// a protobuf frame exactly as it went in.
+//
+//   node test-protocol.js
+
+const path = require('path');
+const protobuf = require('protobufjs');
+const { MSG, WORLD } = require('./Src/Utils/constants');
+const { SUBPROTOCOL, isBinary, encodeFor, preparePacket, parse } = require('./Src/Network/protocol');
+const { encodeChunk, decodeChunk } = require('./Src/Utils/chunkCodec');
+const { generateChunk } = require('./Src/World/terrainGen');
+
+const protoRoot = protobuf.loadSync(path.join(__dirname, '../Shared/Proto/world.proto'));
+const Envelope = protoRoot.lookupType('aetharia.Envelope');
+
+// Stand-in sockets, one per transport
+const protoWs = { protocol: SUBPROTOCOL };
+const jsonWs = { protocol: '' };
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (e) {
+    return true;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+// Send a message over the proto transport and read it back
+function roundTrip(message) {
+  return parse(Buffer.from(encodeFor(protoWs, message)), true);
+}
+
+// Deep equality, ignoring key order
+function same(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => same(v, b[i]));
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => same(a[key], b[key]));
+  }
+  return a === b;
+}
+
+// A value for a scalar field that survives the wire exactly and
+// isn't the proto3 default (so it's really sent)
+function sampleScalar(field) {
+  switch (field.type) {
+    case 'string': return `${field.name}-value`;
+    case 'bool': return true;
+    case 'bytes': return 'AQIDBA==';
+    case 'float':
+    case 'double': return -12.5;
+    case 'sint32':
+    case 'int32': return -7;
+    case 'int64': return 1700000000123;
+    default: return 7;
+  }
+}
+
+function sampleValue(field) {
+  field.resolve();
+  return field.resolvedType ? sampleMessage(field.resolvedType) : sampleScalar(field);
+}
+
+// A message of this type with every field filled in
+function sampleMessage(type) {
+  const message = {};
+  for (const field of type.fieldsArray) {
+    const value = sampleValue(field);
+    if (field.map) message[field.name] = { first: value, second: value };
+    else if (field.repeated) message[field.name] = [value, value];
+    else message[field.name] = value;
+  }
+  return message;
+}
+
+// ─────────────────────────────────────────────
+// Tests
+// ─────────────────────────────────────────────
+
+function runTests() {
+  console.log('\n🧪 AETHARIA Protobuf Protocol Tests\n');
+  console.log('═══════════════════════════════════════\n');
+
+  // ── TEST 1: Coverage ──
+  console.log('📋 Test 1: Every message type has an envelope field');
+  const envelopeTypes = Envelope.oneofs.payload.oneof;
+  const msgTypes = Object.values(MSG);
+  const missing = msgTypes.filter((type) => !envelopeTypes.includes(type));
+  const extra = envelopeTypes.filter((type) => !msgTypes.includes(type));
+  assert(missing.length === 0, `All ${msgTypes.length} MSG types are in the envelope${missing.length ? ` (missing ${missing.join(', ')})` : ''}`);
+  assert(extra.length === 0, `No envelope fields without a MSG type${extra.length ? ` (${extra.join(', ')})` : ''}`);
+  console.log('');
+
+  // ── TEST 2: Round trips ──
+  console.log('🔁 Test 2: Every message type round-trips');
+  for (const type of msgTypes.filter((t) => envelopeTypes.includes(t))) {
+    const message = { type, ...sampleMessage(Envelope.fields[type].resolve().resolvedType) };
+    let back = null;
+    try {
+      back = roundTrip(message);
+    } catch (e) {
+      back = null;
+    }
+    assert(same(back, message), type);
+  }
+
+  const empty = roundTrip({ type: MSG.ZONE_BLOCK_EDIT_RESULT, editId: 4, ok: false, replaced: 0 });
+  assert(empty.ok === false && empty.replaced === 0, 'Zeros and false come back rather than going missing');
+  console.log('');
+
+  // ── TEST 3: Real messages ──
+  console.log('🌍 Test 3: Messages as the server sends them');
+  const chunk = encodeChunk(generateChunk(0, 0));
+  const welcome = roundTrip({
+    type: MSG.WELCOME,
+    id: 'p1',
+    x: 10.25,
+    y: -3.75,
+    credits: 0,
+    inventory: [{ name: 'stone', tile: WORLD.TILES.STONE, quantity: 3 }],
+    chunks: { '0,0': chunk },
+  });
+  assert(welcome.type === MSG.WELCOME && welcome.x === 10.25 && welcome.y === -3.75, 'Fractional positions exact');
+  assert(same(decodeChunk(welcome.chunks['0,0']).tiles, generateChunk(0, 0).tiles), 'RLE chunks decode to the same tiles');
+  assert(welcome.credits === 0 && welcome.inventory[0].quantity === 3, 'Numbers and lists intact');
+
+  const move = roundTrip({ type: MSG.MOVE, x: 1, y: 2, inputs: [{ seq: 1, dx: 1 }, { seq: 2, dx: -1, jump: true }] });
+  assert(move.inputs.length === 2 && move.inputs[1].jump === true && move.inputs[1].dx === -1, 'Sequenced inputs intact');
+  console.log('');
+
+  // ── TEST 4: Picking the transport ──
+  console.log('🔀 Test 4: Per-connection transport');
+  const moved = { type: MSG.PLAYER_MOVED, id: 'p1', x: 1.5, y: 2 };
+  assert(isBinary(protoWs) && !isBinary(jsonWs), 'The subprotocol picks protobuf');
+  assert(encodeFor(protoWs, moved) instanceof Uint8Array, 'Protobuf connections get binary frames');
+  assert(same(JSON.parse(encodeFor(jsonWs, moved)), moved), 'Everyone else gets JSON');
+  assert(same(parse(encodeFor(jsonWs, moved), false), moved), 'Text frames parse as JSON');
+
+  const packet = preparePacket(moved);
+  assert(packet.for(protoWs) === packet.for({ protocol: SUBPROTOCOL }) && packet.for(jsonWs) === packet.for({}),
+    'Broadcasts encode each format once');
+  assert(throws(() => encodeFor(protoWs, { type: 'teleport', x: 1 })), 'Unknown message types refused');
+  assert(throws(() => parse(Buffer.from([]), true)), 'Empty envelopes refused');
+  console.log('');
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
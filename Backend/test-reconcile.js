@@ -0,0 +1,159 @@
+// Backend/test-reconcile.js
+// Tests for client prediction against the authoritative server:
+// the browser's MovementPredictor (Shared/Utils/prediction.js)
+// sending sequenced inputs to handleMove, and reconciling with
+// the acks the physics loop sends back (positionCorrection).
+//
+// Client and server run in lockstep on a simulated clock, one
+// frame per physics tick, with corrections arriving a few ticks
+// late the way they would over a network.
+//
+//   node test-reconcile.js
+
+process.env.DATABASE_PATH = ':memory:';
+
+const Physics = require('./Src/Utils/physics');
+const { MovementPredictor, MAX_INPUT_BATCH } = require('../Shared/Utils/prediction');
+const { stepServerTick, positionCorrection } = require('./Src/Player/physics');
+const { configureGenerator } = require('./Src/World/terrainGen');
+const { getTile, placeBlock } = require('./Src/World/worldState');
+const handleMessage = require('./Src/Handlers/handleMessage');
+const { createPlayer } = require('./Src/Player/player');
+const { WORLD, MSG, PLAYER } = require('./Src/Utils/constants');
+
+const STEP = Physics.TICK_RATE;
+const LATENCY_TICKS = 3;
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+// Simulated time: handleMessage and anti-cheat read Date.now()
+let clock = Date.now();
+Date.now = () => clock;
+
+/**
+ * Play `frames` ticks of a client holding controls(frame), and
+ * the server stepping it. `lose(frame)` drops that frame's move
+ * message; `clientSolid` is the client's view of the world.
+ *
+ * @returns {object} { predictor, player, jumps, maxSnap, stale }
+ */
+function play({ frames, controls, lose = () => false, clientSolid }) {
+  const id = `client-${clock}`;
+  const player = createPlayer(id, { x: 0, y: -1 });
+  player.onGround = true;
+  const ws = { readyState: 1, send() {}, close() {} };
+
+  // main.js sendPositionCorrection, arriving LATENCY_TICKS later
+  const inFlight = [];
+  let frame = 0;
+  const sendPositionCorrection = (socket, p) => inFlight.push({ at: frame + LATENCY_TICKS, msg: positionCorrection(p) });
+  const context = { broadcastToArea() {}, refreshInterest() {}, handoffPlayer() {}, sendPositionCorrection };
+
+  const predictor = new MovementPredictor(clientSolid || Physics.solidity(getTile), Physics.wetness(getTile));
+  predictor.reset(player.x, player.y);
+
+  let maxSnap = 0;
+  let stale = 0;
+  let jumps = 0;
+
+  for (; frame < frames + 4 * LATENCY_TICKS; frame++) {
+    clock += STEP;
+
+    // Client: predict, then (re)send everything unacked
+    const held = frame < frames ? controls(frame) : { dir: 0, jump: false };
+    if (held.jump) jumps++;
+    predictor.advance(STEP, held);
+    const unacked = predictor.getUnacked();
+    if (unacked.length > 0 && !lose(frame)) {
+      handleMessage({ type: MSG.MOVE, inputs: unacked }, id, { [id]: player }, ws, null, context);
+    }
+
+    // Server: the physics loop's tick, acking new inputs
+    stepServerTick(player, clock);
+    if (player.lastInputSeq !== player.lastAckedSeq) {
+      player.lastAckedSeq = player.lastInputSeq;
+      sendPositionCorrection(ws, player);
+    }
+
+    // Client: corrections arriving now
+    while (inFlight.length > 0 && inFlight[0].at <= frame) {
+      const { msg } = inFlight.shift();
+      const before = { ...predictor.state };
+      predictor.reconcile(msg);
+      maxSnap = Math.max(maxSnap, Math.abs(predictor.state.x - before.x), Math.abs(predictor.state.y - before.y));
+      if (predictor.pending.some((input) => input.seq <= msg.ack)) stale++;
+    }
+  }
+
+  return { predictor, player, jumps, maxSnap, stale };
+}
+
+// Walk right, jumping now and then
+const walkAndJump = (frame) => ({ dir: 1, jump: frame % 25 === 10 });
+
+// ─────────────────────────────────────────────
+// Tests
+// ─────────────────────────────────────────────
+
+function runTests() {
+  console.log('\n🧪 AETHARIA Reconciliation Tests\n');
+  console.log('═══════════════════════════════════════\n');
+
+  configureGenerator({ generator: 'flat' });
+  assert(MAX_INPUT_BATCH === PLAYER.MAX_INPUT_BATCH, `Clients resend no more inputs than the server applies (${MAX_INPUT_BATCH})`);
+  console.log('');
+
+  // ── TEST 1: Agreeing ──
+  console.log('🤝 Test 1: Client and server agree');
+  const run = play({ frames: 120, controls: walkAndJump });
+  assert(run.jumps > 0 && run.player.x > 20, `The client walked and jumped (x ${run.player.x.toFixed(2)})`);
+  assert(run.maxSnap === 0, 'Every correction replays onto the prediction exactly');
+  assert(run.stale === 0, 'Acked inputs are dropped');
+  assert(run.player.lastInputSeq === run.predictor.seq, `The server applied every input (seq ${run.predictor.seq})`);
+  assert(run.predictor.pending.length === 0, 'Nothing left unacked once the client stops');
+  assert(run.predictor.state.x === run.player.x && run.predictor.state.y === run.player.y, 'Both end in the same place');
+  console.log('');
+
+  // ── TEST 2: Lost messages ──
+  console.log('📉 Test 2: Lost move messages');
+  const lossy = play({ frames: 120, controls: walkAndJump, lose: (frame) => frame % 4 === 1 || frame % 9 === 0 });
+  assert(lossy.player.lastInputSeq === lossy.predictor.seq, 'Resent inputs reach the server');
+  assert(lossy.maxSnap === 0, '… in order, so the prediction still holds');
+  assert(lossy.predictor.state.x === run.player.x, 'Same place as without losses');
+  console.log('');
+
+  // ── TEST 3: Disagreeing ──
+  console.log('🧱 Test 3: The server knows better');
+  const wallX = 12;
+  for (let y = -5; y < 0; y++) placeBlock(wallX, y, WORLD.TILES.STONE);
+  const solid = Physics.solidity(getTile);
+  const blind = (x, y) => Math.floor(x) !== wallX && solid(x, y);
+  const walled = play({ frames: 80, controls: () => ({ dir: 1, jump: false }), clientSolid: blind });
+  assert(walled.player.x < wallX, `The server stops the player at a wall (x ${walled.player.x.toFixed(2)})`);
+  assert(walled.maxSnap > 0, 'The client, which hadn\'t seen it, is corrected');
+  assert(walled.predictor.state.x === walled.player.x && walled.predictor.pending.length === 0,
+    '… and ends where the server says');
+  console.log('');
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
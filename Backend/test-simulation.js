@@ -0,0 +1,222 @@
+// Backend/test-simulation.js
+// Tests for the water / falling sand simulation (World/tileSim.js).
+//
+// Builds small scenes in the empty sky of a flat world (the
+// terrain generator's "flat" mode, the same whatever the seed),
+// ticks the simulation by hand and checks where things settle,
+// that water is conserved, and that the caps hold.
+//
+//   node test-simulation.js
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aetharia-sim-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'test.db');
+
+const { WORLD, SIMULATION } = require('./Src/Utils/constants');
+const { configureGenerator } = require('./Src/World/terrainGen');
+const { getTile, placeBlock, loadModifications } = require('./Src/World/worldState');
+const { activateAt, stepSimulation, startSimulation, getSimulationStats } = require('./Src/World/tileSim');
+const db = require('./Src/Database/db');
+
+const { AIR, STONE, WATER, SAND } = WORLD.TILES;
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Scene helpers
+// ─────────────────────────────────────────────
+
+// An edit, as a player would make it
+function edit(x, y, tile) {
+  placeBlock(x, y, tile);
+  activateAt(x, y);
+}
+
+// Stone floor at y from x0 to x1, with walls `height` tall at both ends
+function basin(x0, x1, y, height) {
+  for (let x = x0; x <= x1; x++) placeBlock(x, y, STONE);
+  for (let h = 1; h <= height; h++) {
+    placeBlock(x0, y - h, STONE);
+    placeBlock(x1, y - h, STONE);
+  }
+}
+
+// Tick until nothing is active (or give up)
+function settle(maxTicks = 500) {
+  let ticks = 0;
+  while ((getSimulationStats().activeChunks > 0 || getSimulationStats().waitingChunks > 0) && ticks < maxTicks) {
+    stepSimulation();
+    ticks++;
+  }
+  return ticks;
+}
+
+function count(x0, x1, y0, y1, tile) {
+  let n = 0;
+  for (let x = x0; x <= x1; x++) {
+    for (let y = y0; y <= y1; y++) {
+      if (getTile(x, y) === tile) n++;
+    }
+  }
+  return n;
+}
+
+// Every water tile rests on something
+function noHangingWater(x0, x1, y0, y1) {
+  for (let x = x0; x <= x1; x++) {
+    for (let y = y0; y <= y1; y++) {
+      if (getTile(x, y) === WATER && getTile(x, y + 1) === AIR) return false;
+    }
+  }
+  return true;
+}
+
+// ─────────────────────────────────────────────
+// Tests
+// ─────────────────────────────────────────────
+
+function runTests() {
+  console.log('\n🧪 AETHARIA Tile Simulation Tests\n');
+  console.log('═══════════════════════════════════════\n');
+
+  configureGenerator({ generator: 'flat' });
+  loadModifications('simtest');
+
+  // The test drives ticks itself; being synchronous, the timer
+  // startSimulation sets up never gets a turn before exit
+  const broadcasts = [];
+  startSimulation({
+    broadcastToArea: (x, y, message) => broadcasts.push(message),
+    replicate: () => {},
+    owns: () => true,
+  });
+
+  // ── TEST 1: Falling sand ──
+  console.log('⏳ Test 1: Sand falls');
+  const FLOOR = -190;
+  basin(5000, 5010, FLOOR, 0);
+  edit(5005, -200, SAND);
+  settle();
+  assert(getTile(5005, FLOOR - 1) === SAND, 'Sand lands on the floor');
+  assert(getTile(5005, -200) === AIR, 'Its old spot is air');
+
+  const saved = db.getBlockModifications('simtest');
+  assert(saved.some((row) => row.x === 5005 && row.y === FLOOR - 1 && row.tile === SAND),
+    'Result is persisted to the modification store');
+
+  placeBlock(5002, FLOOR - 1, STONE);
+  placeBlock(5004, FLOOR - 1, STONE);
+  placeBlock(5002, FLOOR - 2, STONE);
+  placeBlock(5004, FLOOR - 2, STONE);
+  edit(5003, FLOOR - 1, WATER);
+  edit(5003, FLOOR - 5, SAND);
+  settle();
+  assert(getTile(5003, FLOOR - 1) === SAND && getTile(5003, FLOOR - 2) === WATER,
+    'Sand sinks through water, which ends up on top');
+  console.log('');
+
+  // ── TEST 2: Flowing water ──
+  console.log('🌊 Test 2: Water flows');
+  basin(5020, 5030, FLOOR, 6);
+  for (let y = FLOOR - 5; y <= FLOOR - 1; y++) edit(5021, y, WATER);
+  const ticks = settle();
+  assert(count(5021, 5029, FLOOR - 10, FLOOR - 1, WATER) === 5, 'Water is conserved');
+  assert(count(5021, 5029, FLOOR - 1, FLOOR - 1, WATER) === 5, `A water wall slumps into a puddle (${ticks} ticks)`);
+  assert(noHangingWater(5020, 5030, FLOOR - 10, FLOOR - 1), 'No water left hanging in the air');
+
+  // Fill the basin two deep, then knock out a wall
+  for (let x = 5021; x <= 5029; x++) {
+    edit(x, FLOOR - 1, WATER);
+    edit(x, FLOOR - 2, WATER);
+  }
+  settle();
+  assert(count(5021, 5029, FLOOR - 2, FLOOR - 1, WATER) === 18, 'A full basin stays put');
+  assert(getSimulationStats().activeChunks === 0, 'Settled chunks go idle');
+
+  for (let h = 1; h <= 6; h++) edit(5030, FLOOR - h, AIR);
+  settle();
+  assert(count(5021, 5029, FLOOR - 2, FLOOR - 2, WATER) === 0 && count(5021, 5029, FLOOR - 1, FLOOR - 1, WATER) < 9,
+    'Breaking the wall drains the basin');
+  assert(count(5030, 5040, FLOOR - 10, -30, WATER) === 0, 'The spill falls out of the sky');
+  assert(noHangingWater(5020, 5040, FLOOR - 10, -30), 'Nothing left hanging on the way down');
+
+  // One tile on a three-wide ledge, a drop either side
+  for (let x = 5101; x <= 5103; x++) placeBlock(x, FLOOR, STONE);
+  edit(5102, FLOOR - 1, WATER);
+  for (let i = 0; i < 10; i++) stepSimulation();
+  assert(count(5101, 5103, FLOOR - 1, FLOOR - 1, WATER) === 0, 'Water on a ledge picks a side and goes over it');
+  const ledgeTicks = settle();
+  assert(ledgeTicks < 500 && count(5095, 5110, FLOOR, -1, WATER) === 1, `… and comes to rest below (${ledgeTicks} ticks)`);
+  console.log('');
+
+  // ── TEST 3: Batched updates ──
+  console.log('📦 Test 3: Batched blockUpdates');
+  assert(broadcasts.length > 0 && broadcasts.every((m) => m.type === 'blockUpdate' && m.changes.length > 0),
+    `Simulation results are broadcast as blockUpdate batches (${broadcasts.length})`);
+  const chunkOf = (c) => `${Math.floor(c.x / WORLD.CHUNK_SIZE)},${Math.floor(c.y / WORLD.CHUNK_SIZE)}`;
+  assert(broadcasts.every((m) => m.changes.every((c) => chunkOf(c) === chunkOf(m))),
+    'Each batch stays within one chunk');
+  assert(broadcasts.every((m) => m.x === m.changes[0].x && m.y === m.changes[0].y && m.tile === m.changes[0].tile),
+    'x/y/tile repeat the first change');
+  console.log('');
+
+  // ── TEST 4: Limits ──
+  console.log('🧯 Test 4: Bounded work');
+  const far = Array.from({ length: SIMULATION.MAX_ACTIVE_CHUNKS * 2 }, (_, i) => 100000 + i * WORLD.CHUNK_SIZE * 3);
+  for (const x of far) edit(x, -20, SAND);
+  assert(getSimulationStats().activeChunks <= SIMULATION.MAX_ACTIVE_CHUNKS, 'Active chunks are capped');
+  assert(getSimulationStats().waitingChunks > 0, 'Chunks over the cap wait');
+  settle();
+  assert(far.every((x) => getTile(x, -1) === SAND && getTile(x, -20) === AIR), '… and get their turn once others settle');
+
+  const { MAX_ACTIVE_CHUNKS, MAX_WAITING_CHUNKS } = SIMULATION;
+  const flood = Array.from({ length: MAX_ACTIVE_CHUNKS + MAX_WAITING_CHUNKS + 4 },
+    (_, i) => 200000 + (i * 3) * WORLD.CHUNK_SIZE + WORLD.CHUNK_SIZE / 2);
+  // Sand lands on a shelf in its own chunk, so nothing else wakes
+  for (const x of flood) {
+    placeBlock(x, -10, STONE);
+    edit(x, -20, SAND);
+  }
+  assert(getSimulationStats().waitingChunks === MAX_WAITING_CHUNKS, `The queue is capped at ${MAX_WAITING_CHUNKS} chunks`);
+  settle();
+  const dropped = flood.slice(MAX_ACTIVE_CHUNKS, MAX_ACTIVE_CHUNKS + 4);
+  const kept = [...flood.slice(0, MAX_ACTIVE_CHUNKS), ...flood.slice(MAX_ACTIVE_CHUNKS + 4)];
+  assert(dropped.every((x) => getTile(x, -20) === SAND) && kept.every((x) => getTile(x, -11) === SAND),
+    'The oldest waiting chunks are dropped, the rest run');
+  for (const x of dropped) activateAt(x, -20);
+  settle();
+  assert(dropped.every((x) => getTile(x, -11) === SAND), '… and wake again with the next edit');
+
+  for (let x = 6000; x < 6040; x++) {
+    for (let y = -300; y < -290; y++) placeBlock(x, y, SAND);
+    activateAt(x, -300);
+  }
+  let maxChanges = 0;
+  for (let i = 0; i < 20; i++) maxChanges = Math.max(maxChanges, stepSimulation().length);
+  assert(maxChanges > 0 && maxChanges <= SIMULATION.MAX_CHANGES_PER_TICK,
+    `At most MAX_CHANGES_PER_TICK tiles change per tick (${maxChanges})`);
+  console.log('');
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,187 @@
+// Backend/test-structures.js
+// Tests for generated structures: templates loaded from data files
+// (World/structures.js, worlds/structures/*.json) and placed by the
+// terrain generator (World/terrainGen.js) — ruins on the surface,
+// dungeons underground, villages — the same from every chunk they
+// overlap, plus per-world chances and templates of your own.
+//
+//   node test-structures.js
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+const { loadTemplates, parseTemplate, MAX_SIZE } = require('./Src/World/structures');
+const { generateChunk, configureStructures, structuresIn, surfaceHeight, biomeAt } = require('./Src/World/terrainGen');
+const { validateStructures } = require('../Shared/worldConfig');
+const { WORLD } = require('./Src/Utils/constants');
+
+const T = WORLD.TILES;
+const SIZE = WORLD.CHUNK_SIZE;
+const BUILT_IN = path.join(__dirname, '../worlds/structures');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (e) {
+    return true;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+// Every structure overlapping chunks -128 … 127 (32 regions),
+// from the sky down to 256 tiles underground
+function scan() {
+  const found = new Map();
+  for (let cx = -128; cx < 128; cx++) {
+    for (let cy = -3; cy < 8; cy++) {
+      for (const placed of structuresIn(cx, cy)) found.set(`${placed.template.name}@${placed.x},${placed.y}`, placed);
+    }
+  }
+  return [...found.values()];
+}
+
+// Tile at a world position, from whichever chunk holds it
+function tileAt(x, y) {
+  const chunk = generateChunk(Math.floor(x / SIZE), Math.floor(y / SIZE));
+  return chunk.tiles[y - chunk.y * SIZE][x - chunk.x * SIZE];
+}
+
+function drawn({ template, x, y }) {
+  return template.cells.every((cell) => tileAt(x + cell.dx, y + cell.dy) === cell.tile);
+}
+
+function crossesBorder({ template, x }) {
+  return Math.floor(x / SIZE) !== Math.floor((x + template.width - 1) / SIZE);
+}
+
+// A structures folder holding the given templates
+function templateDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aetharia-structures-'));
+  for (const [name, template] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(template));
+  }
+  return dir;
+}
+
+// ─────────────────────────────────────────────
+// Tests
+// ─────────────────────────────────────────────
+
+function runTests() {
+  console.log('\n🧪 AETHARIA Structure Tests\n');
+  console.log('═══════════════════════════════════════\n');
+
+  // ── TEST 1: Templates ──
+  console.log('📐 Test 1: Templates from data files');
+  const templates = loadTemplates(BUILT_IN);
+  assert(['ruin', 'dungeon', 'village', 'hut', 'well'].every((name) => templates.has(name)), 'The built-in templates load');
+  const well = templates.get('well');
+  assert(well.width === 5 && well.height === 6 && well.ground === 3, 'Size and ground row come from the rows');
+  assert(well.cells.some((cell) => cell.tile === T.WATER) && well.cells.length === 30, 'Legend characters turn into tiles');
+  assert(!templates.get('hut').cells.some((cell) => cell.dy === 0 && cell.dx < 2), 'Spaces leave the terrain alone');
+  assert(loadTemplates(path.join(os.tmpdir(), 'aetharia-no-such-dir')).size === 0, 'No structures folder, no structures');
+
+  const box = { type: 'surface', legend: { '#': 'stone' }, rows: ['##', '##'] };
+  assert(!throws(() => parseTemplate('box', box)), 'A minimal template is fine');
+  assert(throws(() => parseTemplate('box', { ...box, type: 'castle' })), 'Unknown types rejected');
+  assert(throws(() => parseTemplate('box', { ...box, legend: { '#': 'unobtainium' } })), 'Unknown tiles rejected');
+  assert(throws(() => parseTemplate('box', { ...box, rows: ['#x'] })), 'Characters missing from the legend rejected');
+  assert(throws(() => parseTemplate('box', { ...box, rows: ['#'.repeat(MAX_SIZE + 1)] })), 'Oversized templates rejected');
+  assert(throws(() => parseTemplate('box', { ...box, chance: 2 })), 'Chances over 1 rejected');
+  const badVillage = templateDir({ box, town: { type: 'village', parts: ['box', 'castle'] } });
+  assert(throws(() => loadTemplates(badVillage)), 'Villages made of unknown parts rejected');
+  fs.rmSync(badVillage, { recursive: true, force: true });
+  console.log('');
+
+  // ── TEST 2: Placement ──
+  console.log('🏛️ Test 2: Placement');
+  configureStructures({}, templates);
+  const placed = scan();
+  const named = (name) => placed.filter((p) => p.template.name === name);
+  assert(named('ruin').length > 0, `Ruins on the surface (${named('ruin').length})`);
+  assert(named('dungeon').length > 0, `Dungeons underground (${named('dungeon').length})`);
+  assert(named('hut').length > 0 && named('well').length > 0, `Villages of huts and wells (${named('hut').length} huts)`);
+  assert(JSON.stringify(scan()) === JSON.stringify(placed), 'The same structures, the same places, every time');
+
+  assert(placed.every(drawn), 'Every structure is drawn tile for tile');
+  assert(placed.some(crossesBorder), 'Structures cross chunk borders and stay whole');
+
+  const standing = placed.filter((p) => p.template.type === 'surface').every(({ template, x, y }) => {
+    let lowest = -Infinity;
+    for (let i = 0; i < template.width; i++) lowest = Math.max(lowest, surfaceHeight(x + i));
+    return y + template.ground === lowest && lowest <= -2;
+  });
+  assert(standing, 'Surface structures stand on dry ground');
+  const buried = named('dungeon').every(({ template, x, y }) => {
+    for (let i = 0; i < template.width; i++) if (y - surfaceHeight(x + i) < template.minDepth) return false;
+    return true;
+  });
+  assert(buried, 'Dungeons stay below their minimum depth');
+  console.log('');
+
+  // ── TEST 3: Per-world chances ──
+  console.log('🌍 Test 3: World structure chances');
+  configureStructures({ structures: { village: 0, ruin: 0 } }, templates);
+  const noVillages = scan();
+  assert(noVillages.length > 0 && noVillages.every((p) => p.template.name === 'dungeon'), 'A chance of 0 turns a structure off');
+  const caverns = JSON.parse(fs.readFileSync(path.join(__dirname, '../worlds/caverns.json'), 'utf8'));
+  assert(!throws(() => validateStructures(caverns.structures)), 'Caverns\' structure chances are valid');
+  configureStructures(caverns, templates);
+  assert(scan().filter((p) => p.template.name === 'dungeon').length > named('dungeon').length, 'Caverns has more dungeons');
+
+  assert(throws(() => configureStructures({ structures: { castle: 1 } }, templates)), 'Unknown structures rejected');
+  assert(!throws(() => validateStructures(undefined)), 'Worlds without "structures" use the templates\' chances');
+  assert(throws(() => validateStructures({ ruin: 1.5 })), 'Chances over 1 rejected');
+  assert(throws(() => validateStructures(['ruin'])), 'A list instead of chances rejected');
+  console.log('');
+
+  // ── TEST 4: Templates of your own ──
+  console.log('🗿 Test 4: Custom templates');
+  const dir = templateDir({
+    obelisk: {
+      type: 'surface',
+      chance: 1,
+      biomes: ['desert'],
+      legend: { '*': 'crystal', '#': 'stone' },
+      rows: ['*', '#', '#', '#'],
+    },
+  });
+  const custom = loadTemplates(dir);
+  fs.rmSync(dir, { recursive: true, force: true });
+  configureStructures({}, custom);
+  const obelisks = scan();
+  assert(obelisks.length > 0 && obelisks.every(drawn), `Dropping in a file adds a structure (${obelisks.length} obelisks)`);
+  assert(obelisks.every(({ x }) => biomeAt(x) === 'desert'), 'It keeps to its biomes');
+  assert(obelisks.every(({ x, y }) => tileAt(x, y) === T.CRYSTAL && tileAt(x, y - 1) !== T.CRYSTAL), 'It is drawn as its rows say');
+  const jungle = templateDir({ tower: { type: 'surface', biomes: ['jungle'], legend: { '#': 'stone' }, rows: ['#'] } });
+  assert(throws(() => configureStructures({}, loadTemplates(jungle))), 'Unknown biomes rejected');
+  fs.rmSync(jungle, { recursive: true, force: true });
+  configureStructures({}, new Map());
+  assert(scan().length === 0, 'Without templates, no structures');
+  console.log('');
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
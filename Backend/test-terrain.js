@@ -0,0 +1,237 @@
+// Backend/test-terrain.js
+// Tests for terrain generation (World/terrainGen.js): ore veins
+// in their depth bands, veins crossing chunk borders, biomes,
+// caves, and per-world ore and biome tables from worlds/*.json.
+// Same-seed determinism has its own suite (test-determinism.js).
+//
+//   node test-terrain.js
+
+const path = require('path');
+const fs = require('fs');
+
+const {
+  generateChunk, configureOres, configureBiomes, biomeAt, surfaceHeight, BIOMES, DEFAULT_ORES,
+} = require('./Src/World/terrainGen');
+const { validateOres, validateBiomes } = require('../Shared/worldConfig');
+const Tiles = require('./Src/Utils/tiles');
+const { WORLD } = require('./Src/Utils/constants');
+
+const T = WORLD.TILES;
+const SIZE = WORLD.CHUNK_SIZE;
+const ORES = [T.COAL, T.IRON, T.GOLD, T.CRYSTAL];
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (e) {
+    return true;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+// Every tile of a block of chunks under the spawn area:
+// [{ x, y, tile, depth }], depth counted from the ground surface
+function sampleUnderground() {
+  const tiles = [];
+  for (let cx = -3; cx < 3; cx++) {
+    const column = [];
+    for (let cy = -2; cy < 5; cy++) {
+      generateChunk(cx, cy).tiles.forEach((row, ly) => row.forEach((tile, lx) => {
+        column.push({ x: cx * SIZE + lx, y: cy * SIZE + ly, tile });
+      }));
+    }
+    // Top to bottom, so each x meets its surface first
+    column.sort((a, b) => a.y - b.y);
+
+    const surface = new Map();
+    for (const entry of column) {
+      const ground = Tiles.isSolid(entry.tile) && entry.tile !== T.WOOD && entry.tile !== T.LEAVES;
+      if (ground && !surface.has(entry.x)) surface.set(entry.x, entry.y);
+      entry.depth = surface.has(entry.x) ? entry.y - surface.get(entry.x) : -1;
+    }
+    tiles.push(...column);
+  }
+  return tiles;
+}
+
+// The tile at the ground surface of a column
+function topTile(worldX) {
+  const y = surfaceHeight(worldX);
+  const chunk = generateChunk(Math.floor(worldX / SIZE), Math.floor(y / SIZE));
+  return chunk.tiles[y - chunk.y * SIZE][worldX - chunk.x * SIZE];
+}
+
+// Biome of every 64th column over a long stretch of the world
+function sampleBiomes() {
+  const columns = [];
+  for (let x = -16384; x < 16384; x += 64) columns.push({ x, biome: biomeAt(x) });
+  return columns;
+}
+
+function countOres(tiles) {
+  const counts = new Map(ORES.map((id) => [id, 0]));
+  for (const { tile } of tiles) if (counts.has(tile)) counts.set(tile, counts.get(tile) + 1);
+  return counts;
+}
+
+// ─────────────────────────────────────────────
+// Tests
+// ─────────────────────────────────────────────
+
+function runTests() {
+  console.log('\n🧪 AETHARIA Terrain Tests\n');
+  console.log('═══════════════════════════════════════\n');
+
+  // ── TEST 1: Ores ──
+  console.log('⛏️ Test 1: Ore veins');
+  configureOres({});
+  const tiles = sampleUnderground();
+  const counts = countOres(tiles);
+  assert(ORES.every((id) => counts.get(id) > 0), 'Coal, iron, gold and crystal all generate');
+  assert(!tiles.some(({ tile, depth }) => depth > 10 && (tile === T.WATER || tile === T.SAND)),
+    'No water or sand posing as ore underground');
+
+  const inBand = DEFAULT_ORES.every((ore) => {
+    const id = Tiles.getByName(ore.tile).id;
+    const max = ore.maxDepth === undefined ? Infinity : ore.maxDepth;
+    // A vein wanders at most size - 1 tiles from where it started
+    return tiles.every(({ tile, depth }) => tile !== id ||
+      (depth >= ore.minDepth - ore.size && depth <= max + ore.size));
+  });
+  assert(inBand, 'Each ore stays in its depth band');
+  assert(counts.get(T.COAL) > counts.get(T.CRYSTAL), 'Deep ores are rarer than shallow ones');
+
+  const oreTile = tiles.find(({ tile }) => tile === T.GOLD);
+  assert(oreTile && Tiles.get(oreTile.tile).drop === 'gold' && Tiles.isPlaceable(T.GOLD), 'Mining gold gives gold');
+  console.log('');
+
+  // ── TEST 2: Determinism across chunks ──
+  console.log('🧩 Test 2: Veins across chunk borders');
+  const first = JSON.stringify(generateChunk(1, 2));
+  generateChunk(2, 2);
+  generateChunk(0, 2);
+  assert(JSON.stringify(generateChunk(1, 2)) === first, 'A chunk is the same whenever it is generated');
+
+  // Ore on one side of a border with the same ore right across it
+  let crossings = 0;
+  for (let cx = -3; cx < 3; cx++) {
+    for (let cy = 0; cy < 4; cy++) {
+      const left = generateChunk(cx, cy).tiles;
+      const right = generateChunk(cx + 1, cy).tiles;
+      for (let ly = 0; ly < SIZE; ly++) {
+        const tile = left[ly][SIZE - 1];
+        if (ORES.includes(tile) && right[ly][0] === tile) crossings++;
+      }
+    }
+  }
+  assert(crossings > 0, 'Veins run on over chunk borders');
+  console.log('');
+
+  // ── TEST 3: Per-world ore tables ──
+  console.log('🌍 Test 3: World ore tables');
+  const caverns = JSON.parse(fs.readFileSync(path.join(__dirname, '../worlds/caverns.json'), 'utf8'));
+  assert(!throws(() => validateOres(caverns.ores)), 'Caverns\' ore table is valid');
+  configureOres(caverns);
+  const rich = countOres(sampleUnderground());
+  const total = (map) => [...map.values()].reduce((a, b) => a + b, 0);
+  assert(total(rich) > total(counts) * 2, 'Caverns is rich in minerals');
+
+  configureOres({ ores: [{ tile: 'gold', minDepth: 0, veins: 4, size: 6 }] });
+  const goldOnly = countOres(sampleUnderground());
+  assert(goldOnly.get(T.GOLD) > 0 && goldOnly.get(T.COAL) === 0, 'A world gets only the ores it lists');
+  configureOres({});
+
+  assert(!throws(() => validateOres(undefined)), 'Worlds without "ores" use the defaults');
+  assert(throws(() => validateOres([{ tile: 'unobtainium', minDepth: 0, veins: 1, size: 4 }])), 'Unknown ore tiles rejected');
+  assert(throws(() => validateOres([{ tile: 'water', minDepth: 0, veins: 1, size: 4 }])), 'Non-solid ore tiles rejected');
+  assert(throws(() => validateOres([{ tile: 'iron', minDepth: 20, maxDepth: 10, veins: 1, size: 4 }])), 'Inverted depth band rejected');
+  assert(throws(() => validateOres([{ tile: 'iron', minDepth: 0, veins: 1, size: 100 }])), 'Veins longer than a chunk rejected');
+  console.log('');
+
+  // ── TEST 4: Biomes ──
+  console.log('🏜️ Test 4: Biomes');
+  configureBiomes({});
+  const columns = sampleBiomes();
+  const seen = new Set(columns.map((c) => c.biome));
+  assert(Object.keys(BIOMES).every((name) => seen.has(name)), 'Every biome turns up somewhere');
+
+  const sameAs = (x) => columns.find((c) => c.biome === x);
+  assert(columns.filter((c) => c.biome === 'desert').every((c) => topTile(c.x) === T.SAND), 'Deserts are sand on top');
+  assert(columns.filter((c) => c.biome === 'tundra').every((c) => [T.SNOW, T.SAND].includes(topTile(c.x))),
+    'Tundra is snow on top (sand on its beaches)');
+  const average = (name) => {
+    const heights = columns.filter((c) => c.biome === name).map((c) => surfaceHeight(c.x));
+    return heights.reduce((a, b) => a + b, 0) / heights.length;
+  };
+  assert(sameAs('mountains') && average('mountains') < average('forest') - 8, 'Mountains stand well above forests');
+
+  let steepest = 0;
+  for (let x = -4096; x < 4096; x++) steepest = Math.max(steepest, Math.abs(surfaceHeight(x + 1) - surfaceHeight(x)));
+  assert(steepest <= 3, 'The land eases from one biome into the next, no cliffs');
+
+  configureBiomes({ biomes: { tundra: 1 } });
+  assert(sampleBiomes().every((c) => c.biome === 'tundra'), 'A world gets only the biomes it lists');
+  const skylands = JSON.parse(fs.readFileSync(path.join(__dirname, '../worlds/skylands.json'), 'utf8'));
+  assert(!throws(() => validateBiomes(skylands.biomes)), 'Skylands\' biome weights are valid');
+  configureBiomes(skylands);
+  const sky = sampleBiomes();
+  const mountains = sky.filter((c) => c.biome === 'mountains').length;
+  assert(mountains > sky.length / 2 && sky.every((c) => ['mountains', 'tundra'].includes(c.biome)),
+    'Skylands is mostly mountains');
+  configureBiomes({});
+
+  assert(throws(() => configureBiomes({ biomes: { jungle: 1 } })), 'Unknown biomes rejected');
+  assert(!throws(() => validateBiomes(undefined)), 'Worlds without "biomes" get all of them');
+  assert(throws(() => validateBiomes({ desert: -1 })), 'Negative weights rejected');
+  assert(throws(() => validateBiomes({ desert: 0 })), 'A table with nothing to pick rejected');
+  console.log('');
+
+  // ── TEST 5: Caves ──
+  console.log('🕳️ Test 5: Caves');
+  const underground = sampleUnderground();
+  const isAir = new Set(underground.filter(({ tile }) => tile === T.AIR).map(({ x, y }) => `${x},${y}`));
+  const caves = underground.filter(({ tile, depth }) => tile === T.AIR && depth > 8);
+  const share = caves.filter(({ depth }) => depth > 20).length / underground.filter(({ depth }) => depth > 20).length;
+  assert(share > 0.05 && share < 0.3, `Caves take up some of the rock (${Math.round(share * 100)}%)`);
+  assert(!underground.some(({ tile, depth }) => tile === T.AIR && depth > 0 && depth <= 8), 'Caves stay clear of the surface');
+
+  // Part of a passage: open on at least two sides
+  const open = ({ x, y }) => [[1, 0], [-1, 0], [0, 1], [0, -1]]
+    .filter(([dx, dy]) => isAir.has(`${x + dx},${y + dy}`)).length >= 2;
+  assert(caves.filter(open).length / caves.length > 0.95, 'Caves are passages, not single-tile holes');
+
+  let openBorders = 0;
+  for (let cx = -3; cx < 2; cx++) {
+    for (let cy = 1; cy < 5; cy++) {
+      const left = generateChunk(cx, cy).tiles;
+      const right = generateChunk(cx + 1, cy).tiles;
+      for (let ly = 0; ly < SIZE; ly++) if (left[ly][SIZE - 1] === T.AIR && right[ly][0] === T.AIR) openBorders++;
+    }
+  }
+  assert(openBorders > 0, 'Caves run on over chunk borders');
+  console.log('');
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
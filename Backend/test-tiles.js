@@ -0,0 +1,129 @@
+// Backend/test-tiles.js
+// Tests for the tile registry (Shared/Utils/tiles.js): its
+// entries, the server validating edits against it, and the copy
+// clients load from welcome driving physics and lighting.
+//
+//   node test-tiles.js
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aetharia-tiles-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'test.db');
+
+const Tiles = require('./Src/Utils/tiles');
+const Physics = require('./Src/Utils/physics');
+const Lighting = require('./Src/Utils/lighting');
+const { WORLD } = require('./Src/Utils/constants');
+const { placeBlock, getTile } = require('./Src/World/worldState');
+const handleMessage = require('./Src/Handlers/handleMessage');
+const { createPlayer } = require('./Src/Player/player');
+const { SUBPROTOCOL, encodeFor, parse } = require('./Src/Network/protocol');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+// Send one message as a player standing at (x, y); returns what
+// the server sent back to them
+function sendAs(player, message) {
+  const replies = [];
+  const ws = { readyState: 1, send(data) { replies.push(JSON.parse(data)); } };
+  const context = { broadcastToArea() {}, refreshInterest() {} };
+  player.lastMessageAt = 0;
+  handleMessage(message, player.id, { [player.id]: player }, ws, null, context);
+  return replies;
+}
+
+function playerAt(x, y, isAI = false) {
+  const id = `tiles-${Math.random().toString(36).slice(2, 8)}`;
+  return { ...createPlayer(id, { x, y }), isAI, inventory: [] };
+}
+
+// ─────────────────────────────────────────────
+// Tests
+// ─────────────────────────────────────────────
+
+function runTests() {
+  console.log('\n🧪 AETHARIA Tile Registry Tests\n');
+  console.log('═══════════════════════════════════════\n');
+
+  // ── TEST 1: Entries ──
+  console.log('📒 Test 1: Registry entries');
+  const defs = Tiles.list();
+  assert(new Set(defs.map((def) => def.id)).size === defs.length, 'Tile ids are unique');
+  assert(new Set(defs.map((def) => def.name)).size === defs.length, 'Tile names are unique');
+  assert(defs.every((def) => WORLD.TILES[def.key] === def.id), 'WORLD.TILES comes from the registry');
+  assert(defs.every((def) => !def.drop || Tiles.getByName(def.drop)), 'Every drop is a known item');
+  assert(defs.every((def) => !def.placeable || def.color), 'Every placeable tile can be drawn');
+  assert(Tiles.isSolid(WORLD.TILES.STONE) && !Tiles.isSolid(WORLD.TILES.TORCH), 'Stone is solid, torches are not');
+  assert(Tiles.isLiquid(WORLD.TILES.WATER) && !Tiles.isPlaceable(WORLD.TILES.WATER), 'Water is a liquid nobody places');
+  assert(Tiles.get(99) === null && !Tiles.isSolid(99), 'Unknown ids have no entry');
+  console.log('');
+
+  // ── TEST 2: Server validation ──
+  console.log('🛡️ Test 2: Edits are checked against the registry');
+  assert(!placeBlock(0, -400, 99), 'worldState rejects an unknown tile');
+  assert(placeBlock(0, -400, WORLD.TILES.WOOD) && getTile(0, -400) === WORLD.TILES.WOOD, 'worldState accepts a known tile');
+
+  const agent = playerAt(0, -420, true);
+  let replies = sendAs(agent, { type: 'placeBlock', x: 0, y: -421, tile: WORLD.TILES.PORTAL });
+  assert(replies.some((m) => m.type === 'error') && getTile(0, -421) === WORLD.TILES.AIR, 'Portals can\'t be placed');
+  replies = sendAs(agent, { type: 'placeBlock', x: 0, y: -421, tile: 42 });
+  assert(replies.some((m) => m.type === 'error'), 'Unknown tiles can\'t be placed');
+  replies = sendAs(agent, { type: 'placeBlock', x: 0, y: -421, tile: WORLD.TILES.STONE });
+  assert(!replies.some((m) => m.type === 'error') && getTile(0, -421) === WORLD.TILES.STONE, 'Stone can');
+
+  const miner = playerAt(0, -420);
+  sendAs(miner, { type: 'removeBlock', x: 0, y: -421 });
+  const stone = miner.inventory.find((item) => item.tile === WORLD.TILES.STONE);
+  assert(stone && stone.name === 'stone' && stone.quantity === 1, 'Mining gives the tile\'s drop');
+
+  placeBlock(0, -421, WORLD.TILES.WATER);
+  sendAs(miner, { type: 'removeBlock', x: 0, y: -421 });
+  assert(miner.inventory.length === 1, 'Tiles without a drop give nothing');
+  console.log('');
+
+  // ── TEST 3: Clients load the server's registry ──
+  console.log('📡 Test 3: Registry in welcome');
+  const welcome = parse(encodeFor({ protocol: SUBPROTOCOL }, {
+    type: 'welcome', id: 'p1', x: 0, y: 0, tiles: Tiles.list(),
+  }), true);
+  assert(welcome.tiles.length === defs.length, 'welcome carries every tile over protobuf');
+
+  Tiles.load(welcome.tiles);
+  const same = Tiles.list().every((def, i) => JSON.stringify(def) === JSON.stringify(defs[i]));
+  assert(same, 'Loading it gives back the same registry');
+
+  const glowstone = { id: 50, key: 'GLOWSTONE', name: 'glowstone', solid: true, hardness: 2, color: '#FFF59D', light: 8, drop: 'glowstone', placeable: true };
+  Tiles.load([...Tiles.TILE_DEFS, glowstone]);
+  assert(WORLD.TILES.GLOWSTONE === 50 && Tiles.isPlaceable(50), 'A new tile is one entry');
+  assert(Physics.solidity(() => 50)(0, 0), 'Physics sees it as solid');
+  assert(Lighting.emission(50) === 8, 'Lighting sees it glow');
+  Tiles.load(Tiles.TILE_DEFS);
+  assert(WORLD.TILES.GLOWSTONE === undefined && !Tiles.isValid(50), 'Reloading drops it again');
+  console.log('');
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
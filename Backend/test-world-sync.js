@@ -0,0 +1,187 @@
+// Backend/test-world-sync.js
+// Tests for world sync (Network/worldSync.js) the way it runs:
+// two backends on localhost, origin and caverns, each subscribed
+// to the other. Checks they see each other, that a peer going
+// down shows as disconnected, and who may subscribe.
+//
+//   node test-world-sync.js
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const net = require('net');
+const { spawn } = require('child_process');
+
+const WebSocket = require('ws');
+const jwt = require('jsonwebtoken');
+const { MSG } = require('./Src/Utils/constants');
+const { SUBPROTOCOL, send, parse } = require('./Src/Network/protocol');
+
+const SYNC_SECRET = 'test-sync-secret';
+const PORTAL_SECRET = 'test-portal-secret';
+const SYNC_AUDIENCE = 'aetharia-world-sync';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aetharia-sync-'));
+const children = [];
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer();
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Start a backend for worlds/<world>.json, synced with `peers`
+function startBackend(world, port, peers) {
+  const child = spawn(process.execPath, [path.join(__dirname, 'Src/main.js')], {
+    cwd: __dirname,
+    stdio: 'ignore',
+    env: {
+      ...process.env,
+      PORT: String(port),
+      WORLD_CONFIG: path.join(__dirname, '../worlds', `${world}.json`),
+      DATABASE_PATH: path.join(tmpDir, `${world}.db`),
+      SYNC_SECRET,
+      PORTAL_SECRET,
+      SYNC_PEERS: JSON.stringify(peers),
+      AETHARIA_SYNC_INTERVAL: '200',
+    },
+  });
+  children.push(child);
+  return child;
+}
+
+function stopBackend(child) {
+  return new Promise((resolve) => {
+    if (child.exitCode !== null || child.signalCode !== null) return resolve();
+    child.once('exit', () => resolve());
+    child.kill();
+  });
+}
+
+async function getJson(port, route) {
+  try {
+    const res = await fetch(`http://127.0.0.1:${port}${route}`);
+    return await res.json();
+  } catch (e) {
+    return null;
+  }
+}
+
+// Poll until check(result of route) holds, or give up
+async function waitFor(port, route, check, timeout = 15000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const result = await getJson(port, route);
+    if (result && check(result)) return result;
+    await wait(200);
+  }
+  return null;
+}
+
+// Subscribe to a backend and report whether a worldUpdate came back
+function trySubscribe(port, subscribe) {
+  return new Promise((resolve) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/sync`, SUBPROTOCOL);
+    let updated = false;
+    ws.on('open', () => send(ws, { type: MSG.SYNC_SUBSCRIBE, ...subscribe }));
+    ws.on('message', (raw, isBinary) => {
+      if (parse(raw, isBinary).type === MSG.WORLD_UPDATE) updated = true;
+    });
+    ws.on('error', () => {});
+    setTimeout(() => {
+      ws.close();
+      resolve(updated);
+    }, 500);
+  });
+}
+
+function syncToken(worldId, secret = SYNC_SECRET, options = { audience: SYNC_AUDIENCE }) {
+  return jwt.sign({ worldId }, secret, { ...options, expiresIn: '60s' });
+}
+
+// ─────────────────────────────────────────────
+// Tests
+// ─────────────────────────────────────────────
+
+async function runTests() {
+  console.log('\n🧪 AETHARIA World Sync Tests\n');
+  console.log('═══════════════════════════════════════\n');
+
+  const originPort = await freePort();
+  const cavernsPort = await freePort();
+  startBackend('origin', originPort, { caverns: `ws://127.0.0.1:${cavernsPort}/sync` });
+  const caverns = startBackend('caverns', cavernsPort, { origin: `ws://127.0.0.1:${originPort}/sync` });
+
+  // ── TEST 1: Two backends ──
+  console.log('🔗 Test 1: Two worlds see each other');
+  const originStats = await waitFor(originPort, '/stats', (s) => s.network.caverns && s.network.caverns.connected);
+  const cavernsStats = await waitFor(cavernsPort, '/stats', (s) => s.network.origin && s.network.origin.connected);
+  assert(originStats !== null, 'Origin hears from caverns');
+  assert(cavernsStats !== null, 'Caverns hears from origin');
+  assert(originStats && originStats.network.caverns.name === 'Caverns', '… under its own name');
+
+  const online = await getJson(originPort, '/online');
+  assert(online && online.worlds.map((w) => w.worldId).sort().join() === 'caverns,origin', '/online lists both worlds');
+  console.log('');
+
+  // ── TEST 2: Who may subscribe ──
+  console.log('🔐 Test 2: Who may subscribe');
+  assert(await trySubscribe(originPort, { worldId: 'skylands', token: syncToken('skylands') }),
+    'A world with a sync token gets updates');
+  assert(!await trySubscribe(originPort, { worldId: 'skylands', token: syncToken('skylands', PORTAL_SECRET) }),
+    'Tokens signed with the portal secret rejected');
+  assert(!await trySubscribe(originPort, { worldId: 'skylands', token: syncToken('skylands', SYNC_SECRET, {}) }),
+    'Tokens that aren\'t sync tokens rejected');
+  assert(!await trySubscribe(originPort, { worldId: 'skylands', token: syncToken('caverns') }),
+    'A token for one world doesn\'t subscribe another');
+  console.log('');
+
+  // ── TEST 3: A peer going down ──
+  console.log('🔌 Test 3: A peer going down');
+  await stopBackend(caverns);
+  const down = await waitFor(originPort, '/stats', (s) => s.network.caverns && !s.network.caverns.connected);
+  assert(down !== null, 'Origin shows caverns disconnected');
+  const after = await getJson(originPort, '/online');
+  assert(after && after.worlds.map((w) => w.worldId).join() === 'origin', '… and drops it from /online');
+  console.log('');
+
+  await Promise.all(children.map(stopBackend));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(async (e) => {
+  console.error(e);
+  await Promise.all(children.map(stopBackend));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  process.exit(1);
+});
@@ -0,0 +1,136 @@
+// Backend/test-zone-layouts.js
+// Tests for per-world zone layouts ("zones" in worlds/*.json):
+// validation at load (Shared/worldConfig.js), and the zone
+// manager placing positions in fixed rectangles, the default
+// zone, or an unbounded grid with zones created on demand.
+//
+//   node test-zone-layouts.js
+
+const path = require('path');
+const fs = require('fs');
+
+const { validateZones } = require('../Shared/worldConfig');
+const {
+  configureZones, getZoneForPosition, isKnownZone, getDefaultZone,
+  assignPlayerToZone, removePlayerFromZone, checkZoneTransfer, getZoneIds, getZonePlayers,
+} = require('./Src/World/zoneManager');
+const { WORLD, ZONES } = require('./Src/Utils/constants');
+
+const SIZE = WORLD.CHUNK_SIZE;
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (e) {
+    return true;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────
+
+function readWorld(file) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, '../worlds', file), 'utf8'));
+}
+
+// Zone of the first tile of chunk cx, cy
+function zoneOfChunk(cx, cy) {
+  return getZoneForPosition(cx * SIZE, cy * SIZE);
+}
+
+// ─────────────────────────────────────────────
+// Tests
+// ─────────────────────────────────────────────
+
+function runTests() {
+  console.log('\n🧪 AETHARIA Zone Layout Tests\n');
+  console.log('═══════════════════════════════════════\n');
+
+  // ── TEST 1: Validation ──
+  console.log('📐 Test 1: Validating "zones"');
+  const spawnHall = { minX: -4, maxX: 3, minY: -4, maxY: 3 };
+  assert(!throws(() => validateZones(undefined)), '"zones" is optional');
+  assert(!throws(() => validateZones({ definitions: { zone_spawn: spawnHall }, default: 'zone_spawn' })), 'Fixed rectangles');
+  assert(!throws(() => validateZones({ grid: { width: 8, height: 8 } })), 'A grid');
+  assert(!throws(() => validateZones({ maxPlayers: 40, mergeBelow: 20 })), 'Load thresholds on their own');
+  assert(['caverns.json', 'skylands.json', 'origin.json'].every((file) => !throws(() => validateZones(readWorld(file).zones))),
+    'The bundled worlds are valid');
+
+  assert(throws(() => validateZones('grid')), 'Not an object rejected');
+  assert(throws(() => validateZones({ grid: { width: 8, height: 8 }, definitions: { zone_spawn: spawnHall } })),
+    'Grid and definitions together rejected');
+  assert(throws(() => validateZones({ grid: { width: 0, height: 8 } })) && throws(() => validateZones({ grid: { width: 1.5, height: 8 } })),
+    'Grid sizes must be positive integers');
+  assert(throws(() => validateZones({ definitions: {} })), 'Empty definitions rejected');
+  assert(throws(() => validateZones({ definitions: { zone_a: { ...spawnHall, minX: 'left' } } })), 'Bounds must be integers');
+  assert(throws(() => validateZones({ definitions: { zone_a: { ...spawnHall, minX: 9 } } })), 'Min bounds can\'t pass max');
+  assert(throws(() => validateZones({ definitions: { 'zone:a': spawnHall } })), '":" is kept for split sub-zones');
+  assert(throws(() => validateZones({ definitions: { zone_a: spawnHall }, default: 'zone_b' })), 'The default must be defined');
+  assert(throws(() => validateZones({ maxPlayers: 10, mergeBelow: 10 })), 'mergeBelow must be below maxPlayers');
+  console.log('');
+
+  // ── TEST 2: Built-in layout ──
+  console.log('🗺️ Test 2: Worlds without a layout');
+  configureZones(undefined);
+  assert(getZoneIds().sort().join() === Object.keys(ZONES.DEFINITIONS).sort().join(), 'The five zones from constants.js');
+  assert(getZoneForPosition(0, 0) === 'zone_central' && getDefaultZone() === ZONES.DEFAULT, 'Central at the origin');
+  assert(getZoneForPosition(1e6, 1e6) === ZONES.DEFAULT, 'Far away falls back to the default zone');
+  console.log('');
+
+  // ── TEST 3: Fixed rectangles ──
+  console.log('🟦 Test 3: Fixed rectangles');
+  configureZones({
+    definitions: { zone_spawn: spawnHall, zone_mine: { minX: -4, maxX: 3, minY: 4, maxY: 20 } },
+    default: 'zone_spawn',
+  });
+  assert(getZoneIds().sort().join() === 'zone_mine,zone_spawn', 'Only the world\'s own zones');
+  assert(zoneOfChunk(3, 3) === 'zone_spawn' && zoneOfChunk(3, 4) === 'zone_mine', 'Positions land in their rectangle');
+  assert(zoneOfChunk(4, 0) === 'zone_spawn' && zoneOfChunk(-50, 50) === 'zone_spawn',
+    'Outside every rectangle is the default zone');
+  assert(isKnownZone('zone_mine') && !isKnownZone('zone_central'), 'Zones from other layouts are unknown');
+
+  configureZones({ definitions: { zone_a: spawnHall, zone_b: { minX: 4, maxX: 9, minY: -4, maxY: 3 } } });
+  assert(getDefaultZone() === 'zone_a', 'Without "default", the first zone listed');
+  console.log('');
+
+  // ── TEST 4: Grid ──
+  console.log('🔲 Test 4: Unbounded grid');
+  configureZones({ grid: { width: 8, height: 4 } });
+  assert(getZoneIds().length === 0 && getDefaultZone() === null, 'No zones until someone is in one');
+  assert(zoneOfChunk(0, 0) === 'zone_0_0' && zoneOfChunk(7, 3) === 'zone_0_0', '8×4 chunks share a zone');
+  assert(zoneOfChunk(8, 0) === 'zone_1_0' && zoneOfChunk(0, 4) === 'zone_0_1', 'The next zone starts past them');
+  assert(zoneOfChunk(-1, -1) === 'zone_-1_-1', 'Negative coordinates get their own zones');
+  assert(zoneOfChunk(8000, -4000) === 'zone_1000_-1000', '… as far out as anyone goes');
+  assert(isKnownZone('zone_12_-3') && !isKnownZone('zone_central') && !isKnownZone('zone_1'), 'Grid zone ids recognised');
+
+  const far = assignPlayerToZone('explorer', 8000 * SIZE, 0);
+  assert(far === 'zone_1000_0' && getZoneIds().includes(far), 'A zone is created when a player arrives');
+  const next = checkZoneTransfer('explorer', far, 8008 * SIZE, 0);
+  assert(next === 'zone_1001_0' && getZonePlayers(next).includes('explorer'), 'Crossing into the next one moves them');
+  assert(!getZoneIds().includes(far), 'The zone they left is dropped once empty');
+  removePlayerFromZone('explorer', next);
+  assert(getZoneIds().length === 0, '… and so is the last one');
+  console.log('');
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,203 @@
+// Backend/test-zone-split.js
+// Simulation test for automatic zone splitting/merging.
+//
+// Starts its own server (temp database, low zone thresholds),
+// spawns bot players into zone_central until it overloads, and
+// checks the zone splits, bots get zoneChanged, and the halves
+// merge back once the bots leave.
+//
+//   node test-zone-split.js
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const http = require('http');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+const Physics = require('./Src/Utils/physics');
+const { PLAYER } = require('./Src/Utils/constants');
+
+const PORT = 8181;
+const URL = `ws://localhost:${PORT}`;
+const BOT_COUNT = 6;
+const MAX_PLAYERS = 4;
+const MERGE_BELOW = 2;
+const REBALANCE_MS = 300;
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`  ✅ ${testName}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${testName}`);
+    failed++;
+  }
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ─────────────────────────────────────────────
+// Server
+// ─────────────────────────────────────────────
+
+function startServer() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aetharia-zones-'));
+  const configPath = path.join(dir, 'world.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    id: 'zonetest',
+    name: 'Zone Test',
+    seed: 12345,
+    spawnX: 0,
+    spawnY: 0,
+    portals: [],
+    zones: { maxPlayers: MAX_PLAYERS, mergeBelow: MERGE_BELOW },
+  }));
+
+  const server = spawn(process.execPath, [path.join(__dirname, 'Src', 'main.js')], {
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      WORLD_CONFIG: configPath,
+      DATABASE_PATH: path.join(dir, 'test.db'),
+      AETHARIA_ZONE_REBALANCE: String(REBALANCE_MS),
+    },
+    stdio: 'ignore',
+  });
+  server.tmpDir = dir;
+  return server;
+}
+
+function getStats() {
+  return new Promise((resolve, reject) => {
+    http.get(`http://localhost:${PORT}/stats`, (res) => {
+      let body = '';
+      res.on('data', (d) => { body += d; });
+      res.on('end', () => resolve(JSON.parse(body)));
+    }).on('error', reject);
+  });
+}
+
+async function waitForServer() {
+  for (let i = 0; i < 50; i++) {
+    try {
+      return await getStats();
+    } catch (e) {
+      await sleep(100);
+    }
+  }
+  throw new Error('Server did not start');
+}
+
+// ─────────────────────────────────────────────
+// Bots
+// ─────────────────────────────────────────────
+
+function spawnBot(name) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(URL);
+    const bot = { ws, name, zone: null, zoneChanges: [] };
+
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'identify', isAI: true, name })));
+    ws.on('message', (raw) => {
+      const msg = JSON.parse(raw);
+      if (msg.type === 'welcome') {
+        bot.id = msg.id;
+        bot.zone = msg.zone;
+        resolve(bot);
+      }
+      if (msg.type === 'zoneChanged') {
+        bot.zone = msg.zone;
+        bot.zoneChanges.push(msg.zone);
+      }
+    });
+    ws.on('error', reject);
+    setTimeout(() => reject(new Error(`${name} timed out`)), 5000);
+  });
+}
+
+// Walk a bot west from spawn (x = 0) at walking speed, jumping
+// over whatever is in the way. Batches stay within the server's
+// input budget (see Player/antiCheat.js).
+async function walkWest(bot, steps) {
+  const dx = -Physics.walkDx(1);
+  for (let seq = 1; seq <= steps; seq += PLAYER.MAX_INPUT_BATCH) {
+    const inputs = [];
+    for (let i = seq; i < seq + PLAYER.MAX_INPUT_BATCH && i <= steps; i++) {
+      inputs.push({ seq: i, dx, jump: true });
+    }
+    bot.ws.send(JSON.stringify({ type: 'move', inputs }));
+    await sleep(Physics.TICK_RATE * inputs.length);
+  }
+}
+
+// ─────────────────────────────────────────────
+// Simulation
+// ─────────────────────────────────────────────
+
+async function runTests() {
+  console.log('\n🧪 AETHARIA Zone Split Simulation\n');
+  console.log('═══════════════════════════════════════\n');
+
+  const server = startServer();
+  try {
+    await waitForServer();
+
+    // ── TEST 1: Load a zone past its threshold ──
+    // zone_central spans chunks -4..3, so a split puts its midline
+    // at tile x = 0. The first half of the bots walk west of it
+    // (while the zone is still under the threshold); the rest stay
+    // at spawn on the east side.
+    console.log(`🤖 Test 1: ${BOT_COUNT} bots join zone_central (maxPlayers=${MAX_PLAYERS})`);
+    const half = BOT_COUNT / 2;
+    const bots = [];
+    for (let i = 0; i < BOT_COUNT; i++) {
+      const bot = await spawnBot(`Bot${i}`);
+      if (i < half) await walkWest(bot, 30);
+      bots.push(bot);
+    }
+    // The last joiners may already land in a half if a rebalance ran
+    assert(bots.every((b) => b.zone.split(':')[0] === 'zone_central'), 'All bots spawned in zone_central');
+    console.log('');
+
+    // ── TEST 2: Split ──
+    console.log('🪓 Test 2: Overloaded zone splits');
+    await sleep(REBALANCE_MS * 3);
+    const split = await getStats();
+    assert(split.zones.zone_central === undefined, 'zone_central no longer holds players directly');
+    assert(split.zones['zone_central:0'] === half, `zone_central:0 (west) has ${half} bots`);
+    assert(split.zones['zone_central:1'] === half, `zone_central:1 (east) has ${half} bots`);
+    assert(Object.keys(split.zones).every((id) => id.split(':').length <= 2),
+      'Halves under the threshold are not split further');
+    assert(bots.every((b, i) => b.zone === (i < half ? 'zone_central:0' : 'zone_central:1')),
+      'Every bot was sent zoneChanged for its side of the split');
+    console.log('');
+
+    // ── TEST 3: Merge ──
+    console.log('🧵 Test 3: Quiet sub-zones merge back');
+    for (const bot of bots.slice(1)) bot.ws.close();
+    await sleep(REBALANCE_MS * 3);
+    const merged = await getStats();
+    assert(merged.zones.zone_central === 1, 'zone_central restored with the remaining bot');
+    assert(merged.zones['zone_central:0'] === undefined && merged.zones['zone_central:1'] === undefined,
+      'Sub-zones removed');
+    assert(bots[0].zone === 'zone_central', 'Remaining bot was moved back to zone_central');
+    bots[0].ws.close();
+    console.log('');
+  } finally {
+    server.kill();
+    fs.rmSync(server.tmpDir, { recursive: true, force: true });
+  }
+
+  // ── RESULTS ──
+  console.log('═══════════════════════════════════════');
+  console.log(`\n🏁 Results: ${passed} passed, ${failed} failed, ${passed + failed} total\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch((err) => {
+  console.error('💥 Simulation crashed:', err.message);
+  process.exit(1);
+});
@@ -4,10 +4,13 @@
 // ================================
 // Phaser 3 game client for the Aetharia metaverse.
 // Connects to the backend via WebSocket and renders:
-//   - Procedural terrain from server-sent chunks
-//   - Local player with keyboard movement
+//   - Procedural terrain from server-sent chunks, lit by sunlight
+//     and torches (dark underground)
+//   - Local player with keyboard movement (predicted, reconciled
+//     against the server's positionCorrection)
 //   - Other players in the same zone (with names and colors)
 //   - Chat overlay
+//   - Day/night sky from the server's world clock
 //   - Profile picker (name + color) on connect
 
 // ─────────────────────────────────────────────
@@ -17,30 +20,80 @@ const params = new URLSearchParams(window.location.search);
 const WS_HOST = params.get('server') || window.location.hostname + ':8080';
 const WS_URL = `ws://${WS_HOST}`;
 
+// Opt in to the binary protobuf transport with ?protocol=proto.
+// protobufjs is only fetched then, at the version the backend
+// runs (Backend/package.json). Falls back to JSON if it or the
+// schema can't be loaded.
+const USE_PROTO = params.get('protocol') === 'proto';
+const PROTO_SCHEMA_URL = '/Shared/Proto/world.proto';
+const PROTOBUF_JS_URL = 'https://cdn.jsdelivr.net/npm/protobufjs@7.6.6/dist/protobuf.min.js';
+
+// The shared scripts index.html loads from /Shared are required:
+// say so plainly instead of failing on the first one we touch
+if (!window.AethariaTiles || !window.AethariaPhysics || !window.AethariaPrediction || !window.AethariaLighting || !window.AethariaDayCycle) {
+  throw new Error('Shared scripts missing: copy ../Shared into Public/Shared (see README, Local Development)');
+}
+
 const SEND_RATE = 50;
 const TILE_SIZE = 32;
 const CHUNK_SIZE = 32;
-const PLAYER_SPEED = 200;
-const GRAVITY = 600;
-const JUMP_VELOCITY = -280;
-const MAX_FALL_SPEED = 500;
-const SOLID_TILES = [1, 2, 3, 5, 6, 7];
-const WORLD_TILES = { AIR: 0, DIRT: 1, STONE: 2, GRASS: 3, WATER: 4, SAND: 5, WOOD: 6, LEAVES: 7 };
-
-const TILE_COLORS = {
-  0: null,         // AIR
-  1: 0x8B6914,     // DIRT
-  2: 0x808080,     // STONE
-  3: 0x4CAF50,     // GRASS
-  4: 0x2196F3,     // WATER
-  5: 0xFFEB3B,     // SAND
-  6: 0x5D4037,     // WOOD
-  7: 0x2E7D32,     // LEAVES
-  8: 0x9C27B0,     // PORTAL
-};
+// Movement physics (tile units) shared with the server and agents
+// (Shared/Utils/physics.js)
+const Physics = window.AethariaPhysics;
+
+// Client-side prediction and reconciliation for the local player
+// (Shared/Utils/prediction.js)
+const { MovementPredictor } = window.AethariaPrediction;
+
+// Tile registry (Shared/Utils/tiles.js) — names, colors, solidity.
+// Replaced by the server's copy in welcome; WORLD_TILES is the
+// registry's own id map, so it follows along.
+const Tiles = window.AethariaTiles;
+const WORLD_TILES = Tiles.TILES;
+
+// Render color of a tile for Phaser, null if it isn't drawn
+function tileColor(tile) {
+  const def = Tiles.get(tile);
+  return def && def.color ? parseInt(def.color.slice(1), 16) : null;
+}
+
+// Tiles the player can dig out (hardness 0: air, liquids, portals)
+function isMineable(tile) {
+  const def = Tiles.get(tile);
+  return !!def && def.hardness > 0;
+}
+
+// Tile lighting shared with the backend tests (Shared/Utils/lighting.js)
+const Lighting = window.AethariaLighting;
+
+// Darkest the shade gets over an unlit tile
+const MAX_SHADE = 0.92;
+
+// Chunks relit per frame — block updates mark a few at a time
+const RELIGHT_PER_FRAME = 2;
+
+// Terrain surface sits around chunk row 0 (mountains reach up into
+// row -2); chunks above it that aren't loaded count as open sky,
+// ones below as solid ground
+const SKY_CHUNK_ROW = 0;
+
+// Worlds whose terrain generator (welcome worldConfig.generator)
+// puts the sky somewhere else: islands and void worlds are open air
+// all the way down, and caves worlds are rock far above the spawn
+const SKY_CHUNK_ROWS = { islands: Infinity, void: Infinity, caves: -Infinity };
 
 const SKY_COLOR = '#87CEEB';
 
+// Day/night helpers shared with the server and agents
+// (Shared/Utils/dayCycle.js)
+const DayCycle = window.AethariaDayCycle;
+
+// Compact RLE chunk encoding (Shared/Utils/chunkCodec.js). Only
+// requested from the server when the codec script actually loaded,
+// otherwise we stay on plain JSON tiles.
+const CHUNK_CODEC = window.AethariaChunkCodec || null;
+const CHUNK_ENCODING = CHUNK_CODEC ? CHUNK_CODEC.ENCODINGS.RLE : 'json';
+
 const COLOR_PRESETS = [
   { name: 'Red',     hex: '#FF5722' },
   { name: 'Blue',    hex: '#2196F3' },
@@ -58,6 +111,17 @@ const COLOR_PRESETS = [
 // Network Manager
 // ─────────────────────────────────────────────
 
+// Add a <script> to the page; resolves once it has run
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Failed to load ${src}`));
+    document.head.appendChild(script);
+  });
+}
+
 class NetworkManager {
   constructor(url) {
     this.url = url;
@@ -68,10 +132,39 @@ class NetworkManager {
     this.reconnectDelay = 1000;
     this.maxReconnectDelay = 30000;
     this.intentionalClose = false;
+    this.protoCodec = null;
+    this.protoLoading = null;
+  }
+
+  loadProtocol() {
+    if (!USE_PROTO || !window.AethariaProtoCodec) {
+      return Promise.resolve(null);
+    }
+    if (!this.protoLoading) {
+      this.protoLoading = loadScript(PROTOBUF_JS_URL)
+        .then(() => protobuf.load(PROTO_SCHEMA_URL))
+        .then((root) => {
+          this.protoCodec = AethariaProtoCodec.createProtoCodec(root);
+          console.log('📦 Using protobuf transport');
+          return this.protoCodec;
+        })
+        .catch((err) => {
+          console.warn('⚠️ protobufjs or the schema failed to load, using JSON:', err);
+          return null;
+        });
+    }
+    return this.protoLoading;
   }
 
   connect() {
-    this.ws = new WebSocket(this.url);
+    this.loadProtocol().then(() => this.open());
+  }
+
+  open() {
+    this.ws = this.protoCodec
+      ? new WebSocket(this.url, AethariaProtoCodec.SUBPROTOCOL)
+      : new WebSocket(this.url);
+    this.ws.binaryType = 'arraybuffer';
 
     this.ws.onopen = () => {
       console.log('🔌 Connected to server');
@@ -81,7 +174,9 @@ class NetworkManager {
 
     this.ws.onmessage = (event) => {
       try {
-        const msg = JSON.parse(event.data);
+        const msg = event.data instanceof ArrayBuffer
+          ? this.protoCodec.decode(new Uint8Array(event.data))
+          : JSON.parse(event.data);
         const handler = this.handlers[msg.type];
         if (handler) handler(msg);
       } catch (e) {
@@ -113,7 +208,7 @@ class NetworkManager {
     const now = Date.now();
     if (!force && now - this.lastSendTime < SEND_RATE) return;
     this.lastSendTime = now;
-    this.ws.send(JSON.stringify(data));
+    this.ws.send(this.protoCodec ? this.protoCodec.encode(data) : JSON.stringify(data));
   }
 }
 
@@ -121,10 +216,31 @@ class NetworkManager {
 // Chunk Renderer
 // ─────────────────────────────────────────────
 
+// Torches are a stick and a flame; everything else fills its tile
+function drawTile(graphics, tile, px, py, color) {
+  if (tile === WORLD_TILES.TORCH) {
+    graphics.fillStyle(tileColor(WORLD_TILES.WOOD), 1);
+    graphics.fillRect(px + TILE_SIZE * 0.42, py + TILE_SIZE * 0.4, TILE_SIZE * 0.16, TILE_SIZE * 0.6);
+    graphics.fillStyle(color, 1);
+    graphics.fillRect(px + TILE_SIZE * 0.34, py + TILE_SIZE * 0.12, TILE_SIZE * 0.32, TILE_SIZE * 0.3);
+    return;
+  }
+  graphics.fillStyle(color, 1);
+  graphics.fillRect(px, py, TILE_SIZE, TILE_SIZE);
+}
+
 class ChunkRenderer {
   constructor(scene) {
     this.scene = scene;
     this.chunks = {};
+    // Chunks whose light needs recomputing ("chunkX,chunkY")
+    this.dirtyLight = new Set();
+    this.skyChunkRow = SKY_CHUNK_ROW;
+  }
+
+  // Where the sky starts for a world's terrain generator
+  setGenerator(generator) {
+    this.skyChunkRow = generator in SKY_CHUNK_ROWS ? SKY_CHUNK_ROWS[generator] : SKY_CHUNK_ROW;
   }
 
   addChunks(chunksObj) {
@@ -134,8 +250,15 @@ class ChunkRenderer {
   }
 
   addChunk(chunk) {
+    if (chunk.encoding && CHUNK_CODEC) chunk = CHUNK_CODEC.decodeChunk(chunk);
+    if (!chunk.tiles) return;
+
+    // The server resends chunks as they come back into view, so a
+    // fresh copy replaces whatever we had
     const key = `${chunk.x},${chunk.y}`;
-    if (this.chunks[key]) return;
+    const old = this.chunks[key];
+    if (old && old.graphics) old.graphics.destroy();
+    if (old && old.shade) old.shade.destroy();
 
     const graphics = this.scene.add.graphics();
     graphics.setDepth(0);
@@ -145,37 +268,100 @@ class ChunkRenderer {
     for (let ly = 0; ly < chunk.tiles.length; ly++) {
       for (let lx = 0; lx < chunk.tiles[ly].length; lx++) {
         const tile = chunk.tiles[ly][lx];
-        const color = TILE_COLORS[tile];
-        if (color === null || color === undefined) continue;
-
-        graphics.fillStyle(color, 1);
-        graphics.fillRect(
-          startX + lx * TILE_SIZE,
-          startY + ly * TILE_SIZE,
-          TILE_SIZE,
-          TILE_SIZE
-        );
+        const color = tileColor(tile);
+        if (color === null) continue;
+        drawTile(graphics, tile, startX + lx * TILE_SIZE, startY + ly * TILE_SIZE, color);
       }
     }
 
-    this.chunks[key] = { graphics, data: chunk };
-  }
+    // Darkness mask, drawn by relight()
+    const shade = this.scene.add.graphics();
+    shade.setDepth(1);
 
-  getMissingChunks(pixelX, pixelY) {
-    const chunkX = Math.floor(pixelX / (CHUNK_SIZE * TILE_SIZE));
-    const chunkY = Math.floor(pixelY / (CHUNK_SIZE * TILE_SIZE));
-    const missing = [];
+    this.chunks[key] = { graphics, shade, data: chunk };
 
+    // This chunk, and neighbours whose apron or sky it changes
     for (let dx = -1; dx <= 1; dx++) {
-      for (let dy = -1; dy <= 1; dy++) {
-        const key = `${chunkX + dx},${chunkY + dy}`;
-        if (!this.chunks[key]) {
-          missing.push({ chunkX: chunkX + dx, chunkY: chunkY + dy });
-          this.chunks[key] = 'loading';
-        }
+      for (let dy = -1; dy <= 2; dy++) {
+        this.markDirty(chunk.x + dx, chunk.y + dy);
+      }
+    }
+  }
+
+  // ── Lighting ──
+
+  markDirty(chunkX, chunkY) {
+    const entry = this.chunks[`${chunkX},${chunkY}`];
+    if (entry && entry.shade) this.dirtyLight.add(`${chunkX},${chunkY}`);
+  }
+
+  // A block change can reach MAX_LIGHT tiles around it, and
+  // every chunk below it when it opens or closes a sky column
+  markDirtyAround(worldX, worldY) {
+    const reach = Lighting.MAX_LIGHT;
+    const minX = Math.floor((worldX - reach) / CHUNK_SIZE);
+    const maxX = Math.floor((worldX + reach) / CHUNK_SIZE);
+    const minY = Math.floor((worldY - reach) / CHUNK_SIZE);
+    for (const key of Object.keys(this.chunks)) {
+      const [cx, cy] = key.split(',').map(Number);
+      if (cx >= minX && cx <= maxX && cy >= minY) this.markDirty(cx, cy);
+    }
+  }
+
+  // Nothing above this tile blocks the sky, as far as we know
+  skyAt(worldX, worldY) {
+    for (let y = worldY - 1; ; y--) {
+      const chunkY = Math.floor(y / CHUNK_SIZE);
+      const entry = this.chunks[`${Math.floor(worldX / CHUNK_SIZE)},${chunkY}`];
+      if (!entry || !entry.data) return chunkY < this.skyChunkRow;
+      if (!Lighting.isClear(this.getTileAt(worldX, y))) return false;
+    }
+  }
+
+  // Unloaded tiles read as air (getTileAt), except below the
+  // surface row, where they're treated as ground so the edge of
+  // the loaded area doesn't leak light into caves
+  getLightTile(worldX, worldY) {
+    const key = `${Math.floor(worldX / CHUNK_SIZE)},${Math.floor(worldY / CHUNK_SIZE)}`;
+    const entry = this.chunks[key];
+    if (!entry || !entry.data) {
+      return Math.floor(worldY / CHUNK_SIZE) < this.skyChunkRow ? WORLD_TILES.AIR : WORLD_TILES.STONE;
+    }
+    return this.getTileAt(worldX, worldY);
+  }
+
+  relight(key) {
+    const entry = this.chunks[key];
+    if (!entry || !entry.shade) return;
+    const [chunkX, chunkY] = key.split(',').map(Number);
+    const startX = chunkX * CHUNK_SIZE;
+    const startY = chunkY * CHUNK_SIZE;
+
+    const light = Lighting.computeLight(
+      (x, y) => this.getLightTile(x, y),
+      startX, startY, CHUNK_SIZE, CHUNK_SIZE,
+      (x, y) => this.skyAt(x, y)
+    );
+
+    entry.shade.clear();
+    for (let ly = 0; ly < CHUNK_SIZE; ly++) {
+      for (let lx = 0; lx < CHUNK_SIZE; lx++) {
+        const level = light[ly * CHUNK_SIZE + lx];
+        if (level >= Lighting.MAX_LIGHT) continue;
+        entry.shade.fillStyle(0x000000, MAX_SHADE * (1 - level / Lighting.MAX_LIGHT));
+        entry.shade.fillRect((startX + lx) * TILE_SIZE, (startY + ly) * TILE_SIZE, TILE_SIZE, TILE_SIZE);
       }
     }
-    return missing;
+  }
+
+  // Called every frame; spreads relighting over frames
+  updateLighting() {
+    let budget = RELIGHT_PER_FRAME;
+    for (const key of this.dirtyLight) {
+      if (budget-- <= 0) break;
+      this.dirtyLight.delete(key);
+      this.relight(key);
+    }
   }
 
   updateBlock(worldX, worldY, tile) {
@@ -190,25 +376,29 @@ class ChunkRenderer {
     const px = chunkX * CHUNK_SIZE * TILE_SIZE + localX * TILE_SIZE;
     const py = chunkY * CHUNK_SIZE * TILE_SIZE + localY * TILE_SIZE;
 
-    const color = TILE_COLORS[tile];
-    if (color === null || color === undefined) {
+    const color = tileColor(tile);
+    if (color === null || tile === WORLD_TILES.TORCH) {
       chunkEntry.graphics.fillStyle(0x87CEEB, 1);
-    } else {
-      chunkEntry.graphics.fillStyle(color, 1);
+      chunkEntry.graphics.fillRect(px, py, TILE_SIZE, TILE_SIZE);
+    }
+    if (color !== null) {
+      drawTile(chunkEntry.graphics, tile, px, py, color);
     }
-    chunkEntry.graphics.fillRect(px, py, TILE_SIZE, TILE_SIZE);
 
     if (chunkEntry.data && chunkEntry.data.tiles) {
       chunkEntry.data.tiles[localY][localX] = tile;
     }
+    this.markDirtyAround(worldX, worldY);
   }
 
   clearAll() {
     for (const key of Object.keys(this.chunks)) {
       const entry = this.chunks[key];
       if (entry && entry.graphics) entry.graphics.destroy();
+      if (entry && entry.shade) entry.shade.destroy();
     }
     this.chunks = {};
+    this.dirtyLight.clear();
   }
 
   getTileAt(worldTileX, worldTileY) {
@@ -414,6 +604,53 @@ class ChatManager {
   }
 }
 
+// ─────────────────────────────────────────────
+// Sky (day/night)
+// ─────────────────────────────────────────────
+// Runs the world clock locally from the last welcome/timeSync and
+// paints the sky color plus a darkness overlay over the world
+// (under the HUD). Plain daylight until the server tells the time.
+
+class SkyRenderer {
+  constructor(scene) {
+    this.camera = scene.cameras.main;
+    this.overlay = scene.add.rectangle(0, 0, scene.scale.width, scene.scale.height, 0x000000, 0);
+    this.overlay.setOrigin(0, 0);
+    this.overlay.setScrollFactor(0);
+    this.overlay.setDepth(50);
+    this.clock = null;
+    this.sky = null;
+  }
+
+  sync(time, dayLength) {
+    this.clock = { time, dayLength, at: performance.now() };
+  }
+
+  getTimeOfDay() {
+    if (!this.clock) return null;
+    const { time, dayLength, at } = this.clock;
+    return DayCycle.advance(time, performance.now() - at, dayLength);
+  }
+
+  update() {
+    const time = this.getTimeOfDay();
+    const sky = time === null ? SKY_COLOR : DayCycle.skyColor(time);
+    if (sky !== this.sky) {
+      this.sky = sky;
+      this.camera.setBackgroundColor(sky);
+    }
+    this.overlay.setAlpha(time === null ? 0 : DayCycle.darkness(time));
+  }
+}
+
+// "14:05" from a time of day
+function formatClock(time) {
+  const minutes = Math.floor(time * 24 * 60);
+  const hh = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mm = String(minutes % 60).padStart(2, '0');
+  return `${hh}:${mm}`;
+}
+
 // ─────────────────────────────────────────────
 // HUD
 // ─────────────────────────────────────────────
@@ -441,6 +678,21 @@ class HUD {
       `Zone: ${data.zone || '...'}`,
       `Players: ${data.playerCount}`,
     ];
+    if (data.timeOfDay !== null) {
+      lines.push(`${DayCycle.isNight(data.timeOfDay) ? '🌙' : '☀️'} ${formatClock(data.timeOfDay)}`);
+    }
+    // Health in half-hearts: ♥ full, ❥ half, ♡ empty
+    if (data.maxHealth > 0) {
+      const halves = Math.ceil(data.health);
+      const full = Math.floor(halves / 2);
+      const half = halves % 2;
+      lines.push(`❤️ ${'♥'.repeat(full)}${'❥'.repeat(half)}${'♡'.repeat(Math.ceil(data.maxHealth / 2) - full - half)}`);
+    }
+    // Breath only shows while it's being used up (or refilling)
+    if (data.breath < data.maxBreath) {
+      const left = Math.ceil(data.breath);
+      lines.push(`🫧 ${'●'.repeat(left)}${'○'.repeat(Math.ceil(data.maxBreath) - left)}`);
+    }
     this.text.setText(lines.join('\n'));
   }
 }
@@ -449,12 +701,11 @@ class HUD {
 // Block Names
 // ─────────────────────────────────────────────
 
-const BLOCK_NAMES = {
-  1: 'Dirt', 2: 'Stone', 3: 'Grass', 4: 'Water', 5: 'Sand', 6: 'Wood', 7: 'Leaves',
-};
-
-const BLOCK_COLORS_HEX = {
-  1: '#8B6914', 2: '#808080', 3: '#228B22', 4: '#4169E1', 5: '#FFD700', 6: '#8B4513', 7: '#006400',
+// "You …" / "<name> …" in death messages
+const DEATH_TEXT = {
+  drowned: 'drowned',
+  fell: 'fell from a high place',
+  void: 'fell into the void',
 };
 
 // ─────────────────────────────────────────────
@@ -564,7 +815,8 @@ class Hotbar {
       slot.bg.setStrokeStyle(2, i === this.selectedIndex ? 0x00ffff : 0x444444);
 
       if (item && item.quantity > 0) {
-        const colorHex = BLOCK_COLORS_HEX[item.tile] || '#ffffff';
+        const def = Tiles.get(item.tile);
+        const colorHex = (def && def.color) || '#ffffff';
         const colorInt = parseInt(colorHex.replace('#', '0x'), 16);
         slot.swatch.setFillStyle(colorInt, 1);
         slot.qty.setText(item.quantity.toString());
@@ -642,7 +894,7 @@ class BlockInteraction {
       this.highlight.setVisible(true);
 
       const tile = this.chunkRenderer.getTileAt(tileX, tileY);
-      if (SOLID_TILES.includes(tile)) {
+      if (Tiles.isSolid(tile)) {
         this.highlight.setFillStyle(0xff0000, 0.2);
       } else {
         this.highlight.setFillStyle(0x00ff00, 0.2);
@@ -662,13 +914,13 @@ class BlockInteraction {
     const currentTile = this.chunkRenderer.getTileAt(tileX, tileY);
 
     if (pointer.rightButtonDown() || pointer.event.shiftKey) {
-      if (SOLID_TILES.includes(currentTile)) {
+      if (isMineable(currentTile)) {
         this.network.send({ type: 'removeBlock', x: tileX, y: tileY });
         this.flashTile(tileX, tileY, 0xffffff);
       }
     } else {
       const item = this.hotbar.getSelectedItem();
-      if (item && item.quantity > 0 && !SOLID_TILES.includes(currentTile)) {
+      if (item && item.quantity > 0 && !Tiles.isSolid(currentTile)) {
         this.network.send({ type: 'placeBlock', x: tileX, y: tileY, tile: item.tile });
         this.flashTile(tileX, tileY, 0x00ffff);
       }
@@ -934,9 +1186,9 @@ class AuthScreen {
     this.btn.textContent = this.mode === 'login' ? 'LOGGING IN...' : 'CREATING...';
 
     if (this.mode === 'login') {
-      this.network.send({ type: 'login', username, password }, true);
+      this.network.send({ type: 'login', username, password, chunkEncoding: CHUNK_ENCODING }, true);
     } else {
-      this.network.send({ type: 'register', username, password, color: this.selectedColor }, true);
+      this.network.send({ type: 'register', username, password, color: this.selectedColor, chunkEncoding: CHUNK_ENCODING }, true);
     }
   }
 
@@ -959,7 +1211,14 @@ class BlockUpdateHandler {
     this.chunkRenderer = chunkRenderer;
   }
 
+  // Simulated water/sand arrives batched per chunk
   handle(msg) {
+    if (msg.changes && msg.changes.length > 0) {
+      for (const change of msg.changes) {
+        this.chunkRenderer.updateBlock(change.x, change.y, change.tile);
+      }
+      return;
+    }
     this.chunkRenderer.updateBlock(msg.x, msg.y, msg.tile);
   }
 }
@@ -977,13 +1236,14 @@ class AethariaScene extends Phaser.Scene {
     this.playerSprite = null;
     this.playerLabel = null;
     this.zone = null;
-    this.lastSentX = 0;
-    this.lastSentY = 0;
+    this.movement = null;
     this.worldConfig = null;
     this.profileReady = false;
     this.playerCredits = 0;
-    this.velocityY = 0;
-    this.onGround = false;
+    this.health = 0;
+    this.maxHealth = 0;
+    this.breath = 0;
+    this.maxBreath = 0;
   }
 
   preload() {}
@@ -994,9 +1254,14 @@ class AethariaScene extends Phaser.Scene {
     this.playerManager = new PlayerManager(this);
     this.chat = new ChatManager();
     this.hud = new HUD(this);
+    this.sky = new SkyRenderer(this);
     this.blockHandler = new BlockUpdateHandler(this.chunkRenderer);
+    this.movement = new MovementPredictor(
+      Physics.solidity((tX, tY) => this.chunkRenderer.getTileAt(tX, tY)),
+      Physics.wetness((tX, tY) => this.chunkRenderer.getTileAt(tX, tY))
+    );
 
-    this.cameras.main.setBackgroundColor(SKY_COLOR);
+    this.sky.update();
 
     this.cursors = this.input.keyboard.createCursorKeys();
     this.wasd = {
@@ -1072,7 +1337,7 @@ class AethariaScene extends Phaser.Scene {
         this.portalToken = null;
         // Re-register scene welcome handler so portal welcome is handled correctly
         this.registerWelcomeHandler();
-        this.network.send({ type: 'portalArrive', token }, true);
+        this.network.send({ type: 'portalArrive', token, chunkEncoding: CHUNK_ENCODING }, true);
         return;
       }
 
@@ -1105,6 +1370,12 @@ class AethariaScene extends Phaser.Scene {
       this.playerManager.removePlayer(msg.id);
       this.chat.addMessage('', `${displayName} left`, true);
     });
+    // ── Players Out Of View (walked out of our area of interest) ──
+    this.network.on('playersOutOfView', (msg) => {
+      for (const id of msg.ids) {
+        this.playerManager.removePlayer(id);
+      }
+    });
     // ── Player Moved ──
     this.network.on('playerMoved', (msg) => {
       this.playerManager.updatePlayer(msg.id, msg.x, msg.y);
@@ -1128,25 +1399,31 @@ class AethariaScene extends Phaser.Scene {
     // ── Position Correction ──
     this.network.on('positionCorrection', (msg) => {
       if (!this.playerSprite) return;
-      const serverPixelX = msg.x * TILE_SIZE + TILE_SIZE / 2;
-      const serverPixelY = msg.y * TILE_SIZE + TILE_SIZE / 2;
-      this.playerSprite.x = serverPixelX;
-      this.playerSprite.y = serverPixelY;
-      this.onGround = msg.onGround;
-      if (msg.onGround) this.velocityY = 0;
-
-      this.lastSentX = msg.x;
-      this.lastSentY = msg.y;
-
-      const missing = this.chunkRenderer.getMissingChunks(serverPixelX, serverPixelY);
-      for (const chunk of missing) {
-        this.network.send({ type: 'requestChunk', chunkX: chunk.chunkX, chunkY: chunk.chunkY }, true);
+      this.movement.reconcile(msg);
+    });
+    // ── Player Status (health, breath, deaths) ──
+    this.network.on('playerStatus', (msg) => {
+      this.health = msg.health;
+      this.maxHealth = msg.maxHealth;
+      this.breath = msg.breath;
+      this.maxBreath = msg.maxBreath;
+      if (msg.death) {
+        this.chat.addMessage('', `You ${DEATH_TEXT[msg.death] || 'died'} — back to spawn`, true);
       }
     });
+    // ── Player Died (someone else in our zone) ──
+    this.network.on('playerDied', (msg) => {
+      const displayName = msg.name || msg.id.substring(0, 6);
+      this.chat.addMessage('', `${displayName} ${DEATH_TEXT[msg.cause] || 'died'}`, true);
+    });
+    // ── Time Sync (world clock) ──
+    this.network.on('timeSync', (msg) => {
+      this.sky.sync(msg.time, msg.dayLength);
+    });
     // ── Zone Changed ──
     this.network.on('zoneChanged', (msg) => {
+      // Nearby players stay visible across zone borders
       this.zone = msg.zone;
-      this.playerManager.clear();
       this.chat.addMessage('', `Entered ${msg.zone}`, true);
     });
     // ── Error ──
@@ -1157,6 +1434,10 @@ class AethariaScene extends Phaser.Scene {
     this.network.on('portalTransfer', (msg) => {
       this.handlePortalTransfer(msg);
     });
+    // ── Zone Handoff (another server node owns the zone we walked into) ──
+    this.network.on('zoneHandoff', (msg) => {
+      this.handleZoneHandoff(msg);
+    });
     // ── Interact Result ──
     this.network.on('interactResult', (msg) => {
       this.chat.addMessage('', msg.message, true);
@@ -1178,6 +1459,13 @@ class AethariaScene extends Phaser.Scene {
     this.playerId = msg.id;
     this.zone = msg.zone;
     this.worldConfig = msg.worldConfig;
+    if (msg.tiles && msg.tiles.length > 0) {
+      Tiles.load(msg.tiles);
+    }
+    if (msg.worldConfig && msg.worldConfig.dayLength) {
+      this.sky.sync(msg.time, msg.worldConfig.dayLength);
+    }
+    this.chunkRenderer.setGenerator(msg.worldConfig && msg.worldConfig.generator);
 
     if (msg.chunks) {
       this.chunkRenderer.addChunks(msg.chunks);
@@ -1191,10 +1479,10 @@ class AethariaScene extends Phaser.Scene {
     let spawnTileY = Math.round(msg.y);
 
     const spawnTile = this.chunkRenderer.getTileAt(spawnTileX, spawnTileY);
-    if (SOLID_TILES.includes(spawnTile)) {
+    if (Tiles.isSolid(spawnTile)) {
       for (let y = spawnTileY; y > spawnTileY - 50; y--) {
         const tile = this.chunkRenderer.getTileAt(spawnTileX, y);
-        if (!SOLID_TILES.includes(tile)) {
+        if (!Tiles.isSolid(tile)) {
           spawnTileY = y;
           break;
         }
@@ -1202,7 +1490,7 @@ class AethariaScene extends Phaser.Scene {
     } else {
       for (let y = spawnTileY; y < spawnTileY + 50; y++) {
         const tile = this.chunkRenderer.getTileAt(spawnTileX, y);
-        if (SOLID_TILES.includes(tile)) {
+        if (Tiles.isSolid(tile)) {
           spawnTileY = y - 1;
           break;
         }
@@ -1233,13 +1521,14 @@ class AethariaScene extends Phaser.Scene {
     this.playerLabel.setOrigin(0.5, 1);
     this.playerLabel.setDepth(21);
 
-    this.lastSentX = spawnTileX;
-    this.lastSentY = spawnTileY;
+    // Fresh connection, fresh input sequence
+    this.movement.reset(spawnTileX, spawnTileY);
+    this.health = this.maxHealth = 0;
+    this.breath = this.maxBreath = 0;
+    this.movement.gravity = (msg.worldConfig && msg.worldConfig.gravity) || Physics.GRAVITY;
 
     this.cameras.main.startFollow(this.playerSprite, true, 0.1, 0.1);
 
-    this.velocityY = 0;
-    this.onGround = false;
     this.profileReady = true;
 
     if (this.hotbar && msg.inventory) {
@@ -1266,7 +1555,7 @@ class AethariaScene extends Phaser.Scene {
     for (let dx = -1; dx <= 1; dx++) {
       for (let dy = -1; dy <= 1; dy++) {
         const tile = this.chunkRenderer.getTileAt(tileX + dx, tileY + dy);
-        if (tile === 8) { nearPortal = true; break; }
+        if (tile === WORLD_TILES.PORTAL) { nearPortal = true; break; }
       }
       if (nearPortal) break;
     }
@@ -1320,6 +1609,24 @@ class AethariaScene extends Phaser.Scene {
     this._portalFade = fade;
   }
 
+  // Same world, different server node: reconnect quietly and let
+  // portalArrive restore us at the same position. Chunks stay loaded.
+  handleZoneHandoff(msg) {
+    console.log(`🧩 Zone handoff to node ${msg.node} (${msg.zone})`);
+    if (this.playerSprite) { this.playerSprite.destroy(); this.playerSprite = null; }
+    if (this.playerLabel) { this.playerLabel.destroy(); this.playerLabel = null; }
+    this.playerManager.clear();
+    this.playerId = null;
+
+    this.network.intentionalClose = true;
+    if (this.network.ws) this.network.ws.close();
+
+    this.network.url = msg.targetUrl;
+    this.portalToken = msg.token;
+    this.network.reconnectDelay = 1000;
+    this.network.connect();
+  }
+
   logout() {
     this.profileReady = false;
     if (this.blockInteraction) this.blockInteraction.disable();
@@ -1341,6 +1648,8 @@ class AethariaScene extends Phaser.Scene {
   }
 
   update(time, delta) {
+    this.sky.update();
+    this.chunkRenderer.updateLighting();
     if (!this.playerSprite || !this.playerId || !this.profileReady) return;
 
     if (this.chat.isActive()) {
@@ -1348,92 +1657,25 @@ class AethariaScene extends Phaser.Scene {
       return;
     }
 
-    const isSolid = (tX, tY) => {
-      const tile = this.chunkRenderer.getTileAt(Math.floor(tX), Math.floor(tY));
-      return SOLID_TILES.includes(tile);
-    };
-
-    const curTileX = (this.playerSprite.x - TILE_SIZE / 2) / TILE_SIZE;
-    const curTileY = (this.playerSprite.y - TILE_SIZE / 2) / TILE_SIZE;
-    if (isSolid(curTileX + 0.5, curTileY + 0.5)) {
-      this.playerSprite.y -= TILE_SIZE;
-      this.velocityY = 0;
-      return;
-    }
-
-    let vx = 0;
-    if (this.cursors.left.isDown || this.wasd.left.isDown) vx = -PLAYER_SPEED;
-    if (this.cursors.right.isDown || this.wasd.right.isDown) vx = PLAYER_SPEED;
+    let dir = 0;
+    if (this.cursors.left.isDown || this.wasd.left.isDown) dir = -1;
+    if (this.cursors.right.isDown || this.wasd.right.isDown) dir = 1;
+    const jump = this.cursors.up.isDown || this.wasd.up.isDown || this.spaceBar.isDown;
 
-    const dx = vx * (delta / 1000);
-    let newX = this.playerSprite.x + dx;
+    this.movement.advance(delta, { dir, jump });
 
-    const playerTileY = (this.playerSprite.y - TILE_SIZE / 2) / TILE_SIZE;
-    const checkX = (newX - TILE_SIZE / 2) / TILE_SIZE + (vx > 0 ? 0.9 : 0);
-    if (vx !== 0 && (isSolid(checkX, playerTileY + 0.1) || isSolid(checkX, playerTileY + 0.9))) {
-      newX = this.playerSprite.x;
-    }
-    this.playerSprite.x = newX;
-
-    const jumpPressed = this.cursors.up.isDown || this.wasd.up.isDown || this.spaceBar.isDown;
-    if (jumpPressed && this.onGround) {
-      this.velocityY = JUMP_VELOCITY;
-      this.onGround = false;
-    }
-
-    this.velocityY += GRAVITY * (delta / 1000);
-    if (this.velocityY > MAX_FALL_SPEED) this.velocityY = MAX_FALL_SPEED;
-
-    const dy = this.velocityY * (delta / 1000);
-    let newY = this.playerSprite.y + dy;
-
-    const newTileX = (this.playerSprite.x - TILE_SIZE / 2) / TILE_SIZE;
-    const leftEdge = newTileX + 0.1;
-    const rightEdge = newTileX + 0.9;
-
-    if (this.velocityY > 0) {
-      const feetCheckY = (newY - TILE_SIZE / 2) / TILE_SIZE + 1.0;
-      if (isSolid(leftEdge, feetCheckY) || isSolid(rightEdge, feetCheckY)) {
-        const landTileY = Math.floor(feetCheckY);
-        newY = landTileY * TILE_SIZE - TILE_SIZE / 2;
-        this.velocityY = 0;
-        this.onGround = true;
-      } else {
-        this.onGround = false;
-      }
-    } else if (this.velocityY < 0) {
-      const headCheckY = (newY - TILE_SIZE / 2) / TILE_SIZE;
-      if (isSolid(leftEdge, headCheckY) || isSolid(rightEdge, headCheckY)) {
-        const bonkTileY = Math.floor(headCheckY) + 1;
-        newY = bonkTileY * TILE_SIZE + TILE_SIZE / 2;
-        this.velocityY = 0;
-      }
-    }
-    this.playerSprite.y = newY;
+    const { x: tileX, y: tileY } = this.movement.getRenderPosition();
+    this.playerSprite.x = tileX * TILE_SIZE + TILE_SIZE / 2;
+    this.playerSprite.y = tileY * TILE_SIZE + TILE_SIZE / 2;
 
     if (this.playerLabel) {
       this.playerLabel.setPosition(this.playerSprite.x, this.playerSprite.y - TILE_SIZE / 2 - 2);
     }
 
-    const tileX = (this.playerSprite.x - TILE_SIZE / 2) / TILE_SIZE;
-    const tileY = (this.playerSprite.y - TILE_SIZE / 2) / TILE_SIZE;
-
-    if (tileX !== this.lastSentX || tileY !== this.lastSentY) {
-      this.network.send({ type: 'move', x: tileX, y: tileY });
-      this.lastSentX = tileX;
-      this.lastSentY = tileY;
-    }
-
-    const missing = this.chunkRenderer.getMissingChunks(
-      this.playerSprite.x,
-      this.playerSprite.y
-    );
-    for (const chunk of missing) {
-      this.network.send({
-        type: 'requestChunk',
-        chunkX: chunk.chunkX,
-        chunkY: chunk.chunkY,
-      }, true);
+    // Resent every SEND_RATE until the server acks them
+    const unacked = this.movement.getUnacked();
+    if (unacked.length > 0) {
+      this.network.send({ type: 'move', inputs: unacked });
     }
 
     try { this.checkPortalProximity(tileX, tileY); } catch(e) {}
@@ -1455,6 +1697,11 @@ class AethariaScene extends Phaser.Scene {
       credits: this.playerCredits || 0,
       playerCount: Object.keys(this.playerManager.players).length + 1,
       connected: this.network.connected,
+      timeOfDay: this.sky.getTimeOfDay(),
+      health: this.health,
+      maxHealth: this.maxHealth,
+      breath: this.breath,
+      maxBreath: this.maxBreath,
     });
   }
 }
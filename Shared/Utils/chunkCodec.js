@@ -0,0 +1,158 @@
+// Shared/Utils/chunkCodec.js
+//
+// AETHARIA — Chunk Wire Codec
+// ================================
+// Compact encoding for chunk tiles on the wire. Instead of a
+// nested JSON array of 1024 integers, a chunk is flattened
+// row-major into bytes, run-length encoded, and base64'd:
+//
+//   { x, y, encoding: 'rle', size: 32, data: '<base64>' }
+//
+// RLE payload is a sequence of [runLength, tileType] byte pairs,
+// runLength 1-255. Terrain is dominated by long horizontal runs
+// of sky and stone, so a typical chunk shrinks from ~2-3KB of
+// JSON to a few dozen bytes.
+//
+// Clients opt in by sending chunkEncoding: 'rle' with their
+// identify/login/register/portalArrive message. Clients that
+// don't ask keep receiving the plain { x, y, tiles[][] } form.
+//
+// Written as UMD so the same file works in Node (require) and
+// in the browser (window.AethariaChunkCodec).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AethariaChunkCodec = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const ENCODINGS = {
+    JSON: 'json',
+    RLE: 'rle',
+  };
+
+  // ─────────────────────────────────────────────
+  // Base64 (Node Buffer or browser btoa/atob)
+  // ─────────────────────────────────────────────
+
+  function bytesToBase64(bytes) {
+    if (typeof Buffer !== 'undefined') {
+      return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length).toString('base64');
+    }
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+  }
+
+  function base64ToBytes(str) {
+    if (typeof Buffer !== 'undefined') {
+      return new Uint8Array(Buffer.from(str, 'base64'));
+    }
+    const binary = atob(str);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  // ─────────────────────────────────────────────
+  // Run-Length Encoding
+  // ─────────────────────────────────────────────
+
+  /**
+   * Run-length encode a flat tile array.
+   *
+   * @param {ArrayLike<number>} tiles - Flat row-major tile IDs (0-255)
+   * @returns {Uint8Array} [runLength, tile] byte pairs
+   */
+  function rleEncode(tiles) {
+    const out = [];
+    let i = 0;
+    while (i < tiles.length) {
+      const tile = tiles[i];
+      let run = 1;
+      while (i + run < tiles.length && tiles[i + run] === tile && run < 255) run++;
+      out.push(run, tile);
+      i += run;
+    }
+    return Uint8Array.from(out);
+  }
+
+  /**
+   * Expand [runLength, tile] byte pairs back into a flat tile array.
+   *
+   * @param {Uint8Array} bytes - RLE payload
+   * @param {number} length - Expected number of tiles
+   * @returns {Uint8Array} Flat row-major tile IDs
+   */
+  function rleDecode(bytes, length) {
+    const tiles = new Uint8Array(length);
+    let pos = 0;
+    for (let i = 0; i + 1 < bytes.length && pos < length; i += 2) {
+      const run = bytes[i];
+      const tile = bytes[i + 1];
+      tiles.fill(tile, pos, Math.min(pos + run, length));
+      pos += run;
+    }
+    return tiles;
+  }
+
+  // ─────────────────────────────────────────────
+  // Chunk Encode / Decode
+  // ─────────────────────────────────────────────
+
+  /**
+   * Encode a chunk for the wire. Returns the chunk untouched for
+   * the JSON encoding (or an unknown one), so callers can pass a
+   * connection's negotiated encoding straight through.
+   *
+   * @param {object} chunk - { x, y, tiles[][] }
+   * @param {string} [encoding='rle'] - One of ENCODINGS
+   * @returns {object} Wire-ready chunk
+   */
+  function encodeChunk(chunk, encoding = ENCODINGS.RLE) {
+    if (encoding !== ENCODINGS.RLE) return chunk;
+
+    const size = chunk.tiles.length;
+    const flat = new Uint8Array(size * size);
+    for (let y = 0; y < size; y++) {
+      flat.set(chunk.tiles[y], y * size);
+    }
+
+    return {
+      x: chunk.x,
+      y: chunk.y,
+      encoding: ENCODINGS.RLE,
+      size,
+      data: bytesToBase64(rleEncode(flat)),
+    };
+  }
+
+  /**
+   * Decode a wire chunk back into { x, y, tiles[][] }.
+   * Plain JSON chunks are returned as-is.
+   *
+   * @param {object} chunk - Wire chunk (encoded or plain)
+   * @returns {object} { x, y, tiles[][] }
+   */
+  function decodeChunk(chunk) {
+    if (!chunk || chunk.encoding !== ENCODINGS.RLE) return chunk;
+
+    const size = chunk.size;
+    const flat = rleDecode(base64ToBytes(chunk.data), size * size);
+    const tiles = [];
+    for (let y = 0; y < size; y++) {
+      tiles.push(Array.from(flat.subarray(y * size, (y + 1) * size)));
+    }
+
+    return { x: chunk.x, y: chunk.y, tiles };
+  }
+
+  return {
+    ENCODINGS,
+    rleEncode,
+    rleDecode,
+    encodeChunk,
+    decodeChunk,
+  };
+});
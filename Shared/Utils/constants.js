@@ -9,6 +9,8 @@
 // Any value that might differ per deployment can be
 // overridden via environment variables where noted.
 
+const Tiles = require('./tiles');
+
 // ─────────────────────────────────────────────
 // World Configuration
 // ─────────────────────────────────────────────
@@ -32,20 +34,15 @@ const WORLD = {
   // independently but must produce identical results.
   SEED: parseInt(process.env.AETHARIA_WORLD_SEED, 10) || 12345,
 
-  // Tile types used by the terrain generator.
-  // These are integers stored in the chunk arrays.
-  // The frontend maps these to sprites/colors.
-  TILES: {
-    AIR: 0,         // Empty space — sky, caves
-    DIRT: 1,        // Standard ground
-    STONE: 2,       // Deep underground
-    GRASS: 3,       // Surface layer (top of dirt)
-    WATER: 4,       // Lakes, oceans
-    SAND: 5,        // Beaches, deserts
-    WOOD: 6,        // Trees
-    LEAVES: 7,      // Tree canopy
-    PORTAL: 8,      // Inter-world portal
-  },
+  // How many generated chunks the server keeps in its LRU cache.
+  // Each chunk is roughly 10KB in memory, so 256 chunks ≈ 2.5MB.
+  // Worlds can override this with "chunkCacheSize" in their config.
+  CHUNK_CACHE_SIZE: parseInt(process.env.AETHARIA_CHUNK_CACHE, 10) || 256,
+
+  // Tile ids by name (AIR: 0, DIRT: 1, ...). These are the
+  // integers stored in the chunk arrays; everything else about a
+  // tile lives in the registry (Shared/Utils/tiles.js).
+  TILES: Tiles.TILES,
 };
 
 // ─────────────────────────────────────────────
@@ -85,16 +82,81 @@ const PLAYER = {
   SPAWN_Y: 0,
 
   // Movement speed (tiles per second).
-  // The server validates that players don't move faster than this.
-  MAX_SPEED: 200,
+  // The server validates that players don't move faster than this:
+  // per physics step for sequenced inputs, per elapsed time for
+  // plain position moves. Walking is 6.25 (Shared/Utils/physics.js),
+  // the rest is headroom.
+  MAX_SPEED: 8,
 
   // Maximum distance (in tiles) a player can move in a single
   // update message. Anything beyond this is rejected as cheating
   // or a glitch. Calculated from MAX_SPEED and expected update rate.
   MAX_MOVE_DELTA: 20,
 
+  // Most sequenced inputs (one physics step each) the server
+  // applies from a single move message. Clients resend whatever
+  // hasn't been acknowledged, so extras arrive with the next one.
+  MAX_INPUT_BATCH: 10,
+
   // Maximum inventory size.
   MAX_INVENTORY: 36,
+
+  // Breath (seconds) — drains while the player's head is in
+  // water, refills BREATH_RECOVERY times as fast above it. At
+  // zero the player drowns.
+  MAX_BREATH: 10,
+  BREATH_RECOVERY: 3,
+
+  // Health, in half-hearts (20 = ten hearts on the HUD).
+  // Landing faster than SAFE_FALL_SPEED (tiles/s — a jump lands
+  // at 14, a four-tile drop at 15.5) costs FALL_DAMAGE per tile/s
+  // over it, so a landing at full fall speed (25) is fatal.
+  // Health regenerates HEALTH_REGEN per second.
+  MAX_HEALTH: 20,
+  SAFE_FALL_SPEED: 16,
+  FALL_DAMAGE: 2.5,
+  HEALTH_REGEN: 0.25,
+};
+
+// ─────────────────────────────────────────────
+// Anti-Cheat
+// ─────────────────────────────────────────────
+// Movement violations add to a per-player suspicion score that
+// decays over time. Honest clients hit the odd violation (lag
+// bursts, a block placed in their path) and drift back to zero;
+// a speed hack keeps climbing through the thresholds.
+
+const ANTI_CHEAT = {
+  // Points added per violation
+  POINTS: {
+    SPEED: 3,        // moved further than MAX_SPEED allows
+    WALL: 2,         // tried to move through a solid column
+    INPUT_FLOOD: 1,  // sent more inputs than time has passed
+    BAD_INPUT: 2,    // malformed input
+  },
+
+  // Points forgiven per second
+  DECAY_PER_SECOND: 1,
+
+  // At or above: snap the client back to the server's position
+  CORRECT_AT: 3,
+
+  // At or above: write an admin_log entry (once per episode)
+  LOG_AT: 10,
+
+  // At or above: disconnect the player
+  KICK_AT: 25,
+
+  // Physics steps of movement a client can bank (refilled in real
+  // time, spent by sequenced inputs and plain moves alike), so a
+  // burst after a lag spike is fine but a client running its clock
+  // fast is not.
+  INPUT_BURST: 20,
+
+  // How far (tiles) plain position moves may overdraw that budget.
+  // Later time pays it back, so it's slack for jitter once, not
+  // extra distance per message.
+  MOVE_TOLERANCE: 1,
 };
 
 // ─────────────────────────────────────────────
@@ -107,13 +169,61 @@ const SERVER = {
   // the next heartbeat are terminated.
   HEARTBEAT_INTERVAL: parseInt(process.env.AETHARIA_HEARTBEAT, 10) || 30000,
 
-  // Maximum players per zone before the server should warn
-  // or start load balancing. Not enforced yet, but planned.
+  // Maximum players per zone before the zone is split in half.
+  // Halves merge back when their combined count drops below
+  // half of this. Both can be overridden per world
+  // ("zones": { "maxPlayers", "mergeBelow" } in worlds/*.json).
   MAX_PLAYERS_PER_ZONE: 100,
 
+  // How often (in ms) zone load is checked for splits/merges.
+  ZONE_REBALANCE_INTERVAL: parseInt(process.env.AETHARIA_ZONE_REBALANCE, 10) || 5000,
+
   // Rate limit: minimum milliseconds between messages from
   // a single client. Messages arriving faster are dropped.
   MIN_MESSAGE_INTERVAL: 50,
+
+  // A client that has sent no sequenced input for this long is
+  // stepped by the physics loop again (standing still, or an
+  // old client that only sends positions).
+  INPUT_IDLE_TIMEOUT: 250,
+
+  // Area of interest: players subscribe to the chunks within
+  // this many chunks of their own (1 = 3x3 window, the same
+  // window the frontend keeps loaded). Movement and block events
+  // reach the subscribers of the chunk they happen in.
+  INTEREST_RADIUS: 1,
+
+  // How often (in ms) the world clock is sent to every client.
+  // Clients run the clock themselves in between; this only keeps
+  // them from drifting.
+  TIME_SYNC_INTERVAL: parseInt(process.env.AETHARIA_TIME_SYNC, 10) || 10000,
+};
+
+// ─────────────────────────────────────────────
+// Tile Simulation
+// ─────────────────────────────────────────────
+// Water flows and sand falls (Backend/Src/World/tileSim.js), but
+// only in chunks near a recent edit, and with hard caps so a
+// collapsing lake can't eat a Raspberry Pi's CPU.
+
+const SIMULATION = {
+  // How often (in ms) active chunks are stepped.
+  TICK_RATE: parseInt(process.env.AETHARIA_SIM_TICK, 10) || 200,
+
+  // Most chunks simulated at once. Edits beyond this wait until
+  // something settles.
+  MAX_ACTIVE_CHUNKS: 16,
+
+  // Most chunks queued behind them (4x MAX_ACTIVE_CHUNKS). Past
+  // this the oldest waiting chunk is dropped; it wakes again with
+  // the next edit nearby.
+  MAX_WAITING_CHUNKS: 64,
+
+  // Most tiles changed per tick; the rest carry over.
+  MAX_CHANGES_PER_TICK: 256,
+
+  // Quiet ticks before a chunk stops being simulated.
+  IDLE_TICKS: 3,
 };
 
 // ─────────────────────────────────────────────
@@ -122,6 +232,8 @@ const SERVER = {
 // Centralized list of all message types so both backend
 // and frontend reference the same strings.
 // Prevents typo bugs like 'playerMoved' vs 'player_moved'.
+// Every type here has a matching Envelope field in
+// Shared/Proto/world.proto for the binary transport.
 
 const MSG = {
   // Server → Client
@@ -134,6 +246,14 @@ const MSG = {
   CHAT_MESSAGE: 'chatMessage',
   BLOCK_UPDATE: 'blockUpdate',   // A block was placed or removed
   ERROR: 'error',
+  POSITION_CORRECTION: 'positionCorrection', // Server-authoritative position
+  ZONE_CHANGED: 'zoneChanged',   // Player crossed into another zone
+  PROFILE_UPDATE: 'profileUpdate', // A player changed name/color
+  INTERACT_RESULT: 'interactResult',
+  PLAYERS_OUT_OF_VIEW: 'playersOutOfView', // Players left your area of interest
+  PLAYER_STATUS: 'playerStatus', // Your health and breath (and how you died, if you did)
+  PLAYER_DIED: 'playerDied',     // Someone in your zone died
+  TIME_SYNC: 'timeSync',         // World time of day (Shared/Utils/dayCycle.js)
 
   // Client → Server
   MOVE: 'move',
@@ -143,11 +263,14 @@ const MSG = {
   PLACE_BLOCK: 'placeBlock',     // Place a block in the world
   REMOVE_BLOCK: 'removeBlock',   // Remove (mine) a block from the world
   SET_PROFILE: 'setProfile',     // Set player name and color
+  IDENTIFY: 'identify',         // AI agent identifies itself (bypasses auth)
   INVENTORY_UPDATE: 'inventoryUpdate', // Server sends updated inventory
 
   // Portal
   PORTAL_TRANSFER: 'portalTransfer',   // Server tells client to transfer
   PORTAL_ARRIVE: 'portalArrive',       // Client arrives via portal with JWT
+  PORTAL_INTERACT: 'portalInteract',   // Client asks to use a nearby portal
+  ZONE_HANDOFF: 'zoneHandoff',         // Reconnect to the node owning your new zone
 
   // Auth
   AUTH_REQUIRED: 'authRequired', // Server asks client to log in
@@ -155,6 +278,15 @@ const MSG = {
   LOGIN: 'login',               // Client logs in
   AUTH_ERROR: 'authError',      // Auth failed
   AUTH_SUCCESS: 'authSuccess',  // Auth succeeded (followed by welcome)
+
+  // Server ↔ Server (world sync channel)
+  SYNC_SUBSCRIBE: 'syncSubscribe', // Peer world subscribes to our presence
+  WORLD_UPDATE: 'worldUpdate',     // Presence + zone summary snapshot
+
+  // Server ↔ Server (zone cluster links)
+  ZONE_HELLO: 'zoneHello',          // Node authenticates its link
+  ZONE_BLOCK_EDIT: 'zoneBlockEdit', // Block edit forwarded to the zone's owner
+  ZONE_BLOCK_EDIT_RESULT: 'zoneBlockEditResult', // Owner applied (or refused) a forwarded edit
 };
 
 // ─────────────────────────────────────────────
@@ -165,6 +297,8 @@ module.exports = {
   WORLD,
   ZONES,
   PLAYER,
+  ANTI_CHEAT,
   SERVER,
+  SIMULATION,
   MSG,
 };
@@ -0,0 +1,119 @@
+// Shared/Utils/dayCycle.js
+//
+// AETHARIA — Day/Night Cycle
+// ================================
+// Time of day is a fraction of a day in [0, 1):
+//
+//   0     midnight
+//   0.25  sunrise
+//   0.5   noon
+//   0.75  sunset
+//
+// The backend derives it from the wall clock and the world's day
+// length (worlds/*.json "dayLength", in seconds), so every node of
+// a world agrees without talking to each other. Clients get it in
+// welcome and timeSync, advance it locally in between, and use the
+// helpers here for the sky color, darkness and "is it night?".
+//
+// Written as UMD so the same file works in Node (require) and
+// in the browser (window.AethariaDayCycle).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AethariaDayCycle = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DEFAULT_DAY_LENGTH = 1200;  // seconds — a 20 minute day
+
+  const DAY_SKY = [0x87, 0xCE, 0xEB];
+  const DUSK_SKY = [0xF4, 0x8C, 0x5C];
+  const NIGHT_SKY = [0x0B, 0x10, 0x30];
+
+  // How dark the world gets at midnight (overlay alpha)
+  const MAX_DARKNESS = 0.6;
+
+  // Sun height (sin) over which dawn and dusk fade
+  const TWILIGHT = 0.3;
+
+  /**
+   * @param {number} nowMs - Wall clock (Date.now())
+   * @param {number} [dayLength=DEFAULT_DAY_LENGTH] - Seconds per day
+   * @returns {number} Time of day in [0, 1)
+   */
+  function timeOfDay(nowMs, dayLength = DEFAULT_DAY_LENGTH) {
+    return ((nowMs / 1000) % dayLength) / dayLength;
+  }
+
+  /**
+   * Move a time of day forward by some real time.
+   *
+   * @param {number} time - Time of day in [0, 1)
+   * @param {number} elapsedMs
+   * @param {number} [dayLength=DEFAULT_DAY_LENGTH]
+   * @returns {number}
+   */
+  function advance(time, elapsedMs, dayLength = DEFAULT_DAY_LENGTH) {
+    return (time + elapsedMs / 1000 / dayLength) % 1;
+  }
+
+  // 1 at noon, -1 at midnight
+  function sunHeight(time) {
+    return Math.sin(2 * Math.PI * (time - 0.25));
+  }
+
+  /**
+   * @param {number} time
+   * @returns {number} 0 (night) … 1 (day), fading through twilight
+   */
+  function daylight(time) {
+    const t = (sunHeight(time) + TWILIGHT) / (2 * TWILIGHT);
+    return Math.min(1, Math.max(0, t));
+  }
+
+  /**
+   * @param {number} time
+   * @returns {boolean} true once the sun is below the horizon
+   */
+  function isNight(time) {
+    return sunHeight(time) < 0;
+  }
+
+  function mix(a, b, t) {
+    return a.map((channel, i) => Math.round(channel + (b[i] - channel) * t));
+  }
+
+  /**
+   * Sky color: night → dusk orange → day as daylight rises.
+   *
+   * @param {number} time
+   * @returns {string} '#rrggbb'
+   */
+  function skyColor(time) {
+    const light = daylight(time);
+    const rgb = light < 0.5
+      ? mix(NIGHT_SKY, DUSK_SKY, light * 2)
+      : mix(DUSK_SKY, DAY_SKY, (light - 0.5) * 2);
+    return '#' + rgb.map((channel) => channel.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * @param {number} time
+   * @returns {number} Alpha of the darkness overlay, 0 … MAX_DARKNESS
+   */
+  function darkness(time) {
+    return (1 - daylight(time)) * MAX_DARKNESS;
+  }
+
+  return {
+    DEFAULT_DAY_LENGTH,
+    MAX_DARKNESS,
+    timeOfDay,
+    advance,
+    daylight,
+    isNight,
+    skyColor,
+    darkness,
+  };
+});
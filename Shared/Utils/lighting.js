@@ -0,0 +1,142 @@
+// Shared/Utils/lighting.js
+//
+// AETHARIA — Tile Lighting
+// ================================
+// Light levels 0 (black) to MAX_LIGHT (full daylight) per tile:
+//
+//   - Sunlight falls straight down every sky column at full
+//     strength until it reaches a tile it can't pass (anything
+//     solid or liquid)
+//   - Emitting tiles (torches, portals — "light" in the tile
+//     registry) shine at their own level
+//   - From there light spreads to the four neighbours, losing
+//     a level or more for the tile it enters — a little in air,
+//     more in liquids and translucent tiles (leaves), a lot in
+//     solid ground — so the surface fades into darkness a few
+//     tiles down and caves stay black unless something lights them
+//
+// Light is computed a chunk at a time, over the chunk plus a
+// MAX_LIGHT apron around it, so a torch next door still reaches
+// across the border. The frontend uses it for the darkness mask
+// over its chunks and re-runs it for the chunks a blockUpdate
+// can affect.
+//
+// Written as UMD so the same file works in Node (require) and
+// in the browser (window.AethariaLighting, after tiles.js).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./tiles'));
+  } else {
+    root.AethariaLighting = factory(root.AethariaTiles);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Tiles) {
+  const MAX_LIGHT = 15;
+
+  // Light lost entering a tile
+  const CLEAR_COST = 1;    // air, torches
+  const DIM_COST = 2;      // liquids, translucent tiles
+  const SOLID_COST = 4;    // solid ground
+
+  // Sunlight passes these untouched. Unknown tiles count as solid.
+  function isClear(tile) {
+    const def = Tiles.get(tile);
+    return !!def && !def.solid && !def.liquid;
+  }
+
+  function costOf(tile) {
+    const def = Tiles.get(tile);
+    if (!def) return SOLID_COST;
+    if (def.liquid || def.translucent) return DIM_COST;
+    return def.solid ? SOLID_COST : CLEAR_COST;
+  }
+
+  // Light a tile gives off
+  function emission(tile) {
+    const def = Tiles.get(tile);
+    return def ? Math.min(def.light, MAX_LIGHT) : 0;
+  }
+
+  /**
+   * Light levels for a rectangle of tiles.
+   *
+   * @param {Function} getTile - (tileX, tileY) → tile id
+   * @param {number} x0 - Left tile of the area
+   * @param {number} y0 - Top tile of the area
+   * @param {number} width
+   * @param {number} height
+   * @param {Function} skyAt - (tileX, tileY) → true if nothing above
+   *   that tile blocks the sky (asked for the top row of the apron)
+   * @returns {Uint8Array} Levels, row-major: [localY * width + localX]
+   */
+  function computeLight(getTile, x0, y0, width, height, skyAt) {
+    const left = x0 - MAX_LIGHT;
+    const top = y0 - MAX_LIGHT;
+    const w = width + MAX_LIGHT * 2;
+    const h = height + MAX_LIGHT * 2;
+
+    const tiles = new Uint8Array(w * h);
+    for (let r = 0; r < h; r++) {
+      for (let c = 0; c < w; c++) tiles[r * w + c] = getTile(left + c, top + r);
+    }
+
+    const light = new Uint8Array(w * h);
+    const queue = [];
+
+    // Sunlight down each open column
+    for (let c = 0; c < w; c++) {
+      if (!skyAt(left + c, top)) continue;
+      for (let r = 0; r < h && isClear(tiles[r * w + c]); r++) {
+        light[r * w + c] = MAX_LIGHT;
+        queue.push(r * w + c);
+      }
+    }
+
+    // Light sources
+    for (let i = 0; i < tiles.length; i++) {
+      const level = emission(tiles[i]);
+      if (level && level > light[i]) {
+        light[i] = level;
+        queue.push(i);
+      }
+    }
+
+    // Spread. A cell can be queued again when a brighter path
+    // reaches it; it just spreads again from the new level.
+    for (let head = 0; head < queue.length; head++) {
+      const i = queue[head];
+      const c = i % w;
+      const level = light[i];
+      if (level <= 1) continue;
+      const neighbours = [
+        c > 0 ? i - 1 : -1,
+        c < w - 1 ? i + 1 : -1,
+        i - w,
+        i + w,
+      ];
+      for (const n of neighbours) {
+        if (n < 0 || n >= light.length) continue;
+        const next = level - costOf(tiles[n]);
+        if (next > light[n]) {
+          light[n] = next;
+          queue.push(n);
+        }
+      }
+    }
+
+    const result = new Uint8Array(width * height);
+    for (let r = 0; r < height; r++) {
+      for (let c = 0; c < width; c++) {
+        result[r * width + c] = light[(r + MAX_LIGHT) * w + c + MAX_LIGHT];
+      }
+    }
+    return result;
+  }
+
+  return {
+    MAX_LIGHT,
+    emission,
+    isClear,
+    computeLight,
+  };
+});
@@ -0,0 +1,282 @@
+// Shared/Utils/physics.js
+//
+// AETHARIA — Player Physics
+// ================================
+// The one movement simulation everybody runs, in tile units:
+//
+//   - Backend: the physics loop steps idle players, and handleMove
+//     steps predicting clients once per sequenced input
+//     (Backend/Src/Player/physics.js binds it to world tiles)
+//   - Frontend: MovementPredictor (Shared/Utils/prediction.js)
+//     predicts the local player and replays unacknowledged inputs
+//     after a positionCorrection
+//   - AI agents: plan walks (and when to jump) before moving
+//
+// A "body" is { x, y, velocityY, onGround }. step() advances it by
+// one fixed TICK_RATE step for an input { dx, jump }. It's a pure
+// function of (body, input, isSolid, gravity, isWater), so identical
+// inputs give identical trajectories on every side — that's what
+// makes server reconciliation invisible when nothing diverged.
+//
+// In water (body centre in a liquid tile) buoyancy cancels most of
+// gravity, sinking is capped, walking slows down and jump swims up.
+//
+// Inputs carry a horizontal delta rather than a position: after a
+// correction, replaying them from the server's state walks (and
+// collides) from where the server says we are, instead of dragging
+// the player back to where the client thought it was.
+//
+// Which tiles are solid or water comes from the tile registry
+// (Shared/Utils/tiles.js).
+//
+// Written as UMD so the same file works in Node (require) and
+// in the browser (window.AethariaPhysics, after tiles.js).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./tiles'));
+  } else {
+    root.AethariaPhysics = factory(root.AethariaTiles);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Tiles) {
+  const TICK_RATE = 50;          // ms per step — one client input per step
+  const GRAVITY = 30;            // tiles/s² (worlds may override)
+  const MAX_FALL_SPEED = 25;     // tiles/s
+  const JUMP_VELOCITY = -14;     // tiles/s
+  const MOVE_SPEED = 6.25;       // tiles/s walking
+
+  // Swimming
+  const WATER_GRAVITY = 0.25;    // fraction of gravity left after buoyancy
+  const MAX_SINK_SPEED = 3;      // tiles/s
+  const SWIM_VELOCITY = -7;      // tiles/s, jump underwater
+  const SWIM_SPEED = 0.6;        // fraction of walking speed
+
+  const DT = TICK_RATE / 1000;
+
+  // Keeps a body stopped by a wall on its right out of the wall's column
+  const WALL_GAP = 0.001;
+
+  /**
+   * Build an isSolid(tileX, tileY) check from a tile lookup.
+   * Coordinates are floored, so it takes fractional positions.
+   *
+   * @param {Function} getTile - (tileX, tileY) → tile id
+   * @returns {Function}
+   */
+  function solidity(getTile) {
+    return (tileX, tileY) => Tiles.isSolid(getTile(Math.floor(tileX), Math.floor(tileY)));
+  }
+
+  /**
+   * Build an isWater(tileX, tileY) check, like solidity().
+   *
+   * @param {Function} getTile - (tileX, tileY) → tile id
+   * @returns {Function}
+   */
+  function wetness(getTile) {
+    return (tileX, tileY) => Tiles.isLiquid(getTile(Math.floor(tileX), Math.floor(tileY)));
+  }
+
+  // Worlds without water (tests, old callers)
+  const DRY = () => false;
+
+  // Body centre in water: swimming physics apply
+  function inWater(body, isWater = DRY) {
+    return isWater(body.x + 0.5, body.y + 0.5);
+  }
+
+  // Head in water: can't breathe
+  function isSubmerged(body, isWater = DRY) {
+    return isWater(body.x + 0.5, body.y + 0.2);
+  }
+
+  function createBody(x, y) {
+    return { x, y, velocityY: 0, onGround: false };
+  }
+
+  // How far one step of walking goes in a direction (-1, 0, 1)
+  function walkDx(dir) {
+    return dir * MOVE_SPEED * DT;
+  }
+
+  /**
+   * Swept horizontal collision: move a body dx tiles, checking
+   * every tile column its leading edge enters at head and feet
+   * height, and stop flush against the first solid one.
+   *
+   * @param {object} body
+   * @param {number} dx
+   * @param {Function} isSolid
+   * @returns {number} New x
+   */
+  function sweepX(body, dx, isSolid) {
+    if (dx === 0) return body.x;
+    const dir = Math.sign(dx);
+    const lead = dir > 0 ? 0.9 : 0;  // leading edge: x + 0.9 going right, x going left
+
+    let col = Math.floor(body.x + lead);
+    const endCol = Math.floor(body.x + dx + lead);
+    while (col !== endCol) {
+      col += dir;
+      if (isSolid(col, body.y + 0.1) || isSolid(col, body.y + 0.9)) {
+        return dir > 0 ? col - lead - WALL_GAP : col + 1;
+      }
+    }
+    return body.x + dx;
+  }
+
+  // First solid row the feet touch falling from fromFeetY to
+  // toFeetY, or null
+  function landingRow(fromFeetY, toFeetY, leftEdge, rightEdge, isSolid) {
+    for (let row = Math.floor(fromFeetY); row <= Math.floor(toFeetY); row++) {
+      if (isSolid(leftEdge, row) || isSolid(rightEdge, row)) return row;
+    }
+    return null;
+  }
+
+  /**
+   * Advance a body by one step: walk the input's dx (swept), jump
+   * if standing on something (or swim up if in water), then
+   * gravity, landing, head bonks, walking off ledges, and pushing
+   * out of a tile that was placed on top of it.
+   *
+   * @param {object} body - Mutated: x, y, velocityY, onGround
+   * @param {object} input - { dx?: number, jump?: boolean }
+   * @param {Function} isSolid - (tileX, tileY) → boolean
+   * @param {number} [gravity=GRAVITY]
+   * @param {Function} [isWater] - (tileX, tileY) → boolean; no water if omitted
+   * @returns {object} body
+   */
+  function step(body, input, isSolid, gravity = GRAVITY, isWater = DRY) {
+    const swimming = inWater(body, isWater);
+
+    if (input.dx) body.x = sweepX(body, swimming ? input.dx * SWIM_SPEED : input.dx, isSolid);
+
+    if (input.jump && swimming) {
+      body.velocityY = SWIM_VELOCITY;
+      body.onGround = false;
+    } else if (input.jump && body.onGround) {
+      body.velocityY = JUMP_VELOCITY;
+      body.onGround = false;
+    }
+
+    if (swimming) {
+      body.velocityY += gravity * WATER_GRAVITY * DT;
+      if (body.velocityY > MAX_SINK_SPEED) body.velocityY = MAX_SINK_SPEED;
+    } else {
+      body.velocityY += gravity * DT;
+      if (body.velocityY > MAX_FALL_SPEED) body.velocityY = MAX_FALL_SPEED;
+    }
+
+    let newY = body.y + body.velocityY * DT;
+    const leftEdge = body.x + 0.1;
+    const rightEdge = body.x + 0.9;
+
+    if (body.velocityY > 0) {
+      // Swept like sweepX: at full fall speed the feet cross more
+      // than a tile per step, so check every row they pass through
+      const floorRow = landingRow(body.y + 1.0, newY + 1.0, leftEdge, rightEdge, isSolid);
+      if (floorRow !== null) {
+        newY = floorRow - 1;
+        body.velocityY = 0;
+        body.onGround = true;
+      } else {
+        body.onGround = false;
+      }
+    } else if (body.velocityY < 0) {
+      if (isSolid(leftEdge, newY) || isSolid(rightEdge, newY)) {
+        newY = Math.floor(newY) + 1;
+        body.velocityY = 0;
+      }
+    }
+
+    if (body.onGround && body.velocityY === 0) {
+      const belowFeetY = newY + 1.0;
+      if (!isSolid(leftEdge, belowFeetY) && !isSolid(rightEdge, belowFeetY)) {
+        body.onGround = false;
+      }
+    }
+
+    if (isSolid(body.x + 0.5, newY + 0.5)) {
+      for (let checkY = newY; checkY > newY - 10; checkY--) {
+        if (!isSolid(body.x + 0.5, checkY + 0.5)) {
+          newY = checkY;
+          body.velocityY = 0;
+          body.onGround = false;
+          break;
+        }
+      }
+    }
+
+    body.y = newY;
+    return body;
+  }
+
+  /**
+   * Run a list of inputs from a starting body (which is left
+   * untouched) — reconciliation replays unacknowledged inputs
+   * on top of the server's state this way.
+   *
+   * @returns {object} Resulting body
+   */
+  function replay(body, inputs, isSolid, gravity = GRAVITY, isWater = DRY) {
+    const result = { ...body };
+    for (const input of inputs) {
+      step(result, input, isSolid, gravity, isWater);
+    }
+    return result;
+  }
+
+  /**
+   * Plan up to `steps` steps of walking toward targetX, jumping
+   * whenever a wall blocks the way while on the ground (or in
+   * water), and swimming up whenever the head is underwater.
+   *
+   * @param {object} body - Starting body (left untouched)
+   * @param {number} targetX
+   * @param {Function} isSolid
+   * @param {number} steps
+   * @param {number} [gravity=GRAVITY]
+   * @param {Function} [isWater]
+   * @returns {object} { inputs: [{ dx, jump }], body } — body after the plan
+   */
+  function planWalk(body, targetX, isSolid, steps, gravity = GRAVITY, isWater = DRY) {
+    const result = { ...body };
+    const inputs = [];
+
+    for (let i = 0; i < steps; i++) {
+      const remaining = targetX - result.x;
+      const dir = Math.abs(remaining) < MOVE_SPEED * DT ? 0 : Math.sign(remaining);
+      if (dir === 0 && result.onGround && !isSubmerged(result, isWater)) break;
+
+      const dx = walkDx(dir);
+      const blocked = dir !== 0 && sweepX(result, dx, isSolid) === result.x;
+      const jump = (blocked && (result.onGround || inWater(result, isWater))) || isSubmerged(result, isWater);
+      const input = { dx, jump };
+      step(result, input, isSolid, gravity, isWater);
+      inputs.push(input);
+    }
+
+    return { inputs, body: result };
+  }
+
+  return {
+    TICK_RATE,
+    GRAVITY,
+    MAX_FALL_SPEED,
+    JUMP_VELOCITY,
+    MOVE_SPEED,
+    SWIM_VELOCITY,
+    MAX_SINK_SPEED,
+    solidity,
+    wetness,
+    inWater,
+    isSubmerged,
+    createBody,
+    walkDx,
+    sweepX,
+    step,
+    replay,
+    planWalk,
+  };
+});
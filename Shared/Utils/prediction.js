@@ -0,0 +1,106 @@
+// Shared/Utils/prediction.js
+//
+// AETHARIA — Movement Prediction
+// ================================
+// The server owns the player's position, but waiting a round trip
+// for every step feels awful. So the client runs the same shared
+// Physics.step as the server, applies each input
+// immediately, and sends it with a sequence number. Every
+// positionCorrection acks the last input the server has applied;
+// we rewind to that state and replay the inputs it hasn't seen
+// yet. When both sides agree the replay lands exactly where we
+// already were, so corrections only show when something really
+// diverged (a block changed under us, a rejected move).
+//
+// Used by the browser for the local player; the backend tests run
+// it against the real move handler.
+//
+// Written as UMD so the same file works in Node (require) and
+// in the browser (window.AethariaPrediction, after physics.js).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./physics'));
+  } else {
+    root.AethariaPrediction = factory(root.AethariaPhysics);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Physics) {
+  const PHYSICS_STEP = Physics.TICK_RATE;
+  const MAX_INPUT_BATCH = 10;   // PLAYER.MAX_INPUT_BATCH on the server
+
+  class MovementPredictor {
+    constructor(isSolid, isWater) {
+      this.isSolid = isSolid;
+      this.isWater = isWater;
+      this.gravity = Physics.GRAVITY;
+      this.reset(0, 0);
+    }
+
+    reset(x, y) {
+      this.state = Physics.createBody(x, y);
+      this.previous = { ...this.state };
+      this.pending = [];
+      this.seq = 0;
+      this.accumulator = 0;
+    }
+
+    /**
+     * Run as many fixed steps as the frame time covers.
+     *
+     * @param {number} deltaMs - Frame time
+     * @param {object} controls - { dir: -1|0|1, jump: boolean }
+     */
+    advance(deltaMs, controls) {
+      // Don't try to catch up after the tab was in the background
+      this.accumulator += Math.min(deltaMs, PHYSICS_STEP * MAX_INPUT_BATCH);
+
+      while (this.accumulator >= PHYSICS_STEP) {
+        this.accumulator -= PHYSICS_STEP;
+        this.previous = { ...this.state };
+
+        const input = { dx: Physics.walkDx(controls.dir), jump: controls.jump };
+        Physics.step(this.state, input, this.isSolid, this.gravity, this.isWater);
+
+        // Standing still on solid ground: nothing for the server to do
+        const idle = controls.dir === 0 && !controls.jump
+          && this.previous.onGround && this.state.onGround
+          && this.state.x === this.previous.x && this.state.y === this.previous.y;
+        if (!idle) {
+          this.pending.push({ seq: ++this.seq, ...input });
+        }
+      }
+    }
+
+    /**
+     * Adopt the server's state and replay unacknowledged inputs.
+     *
+     * @param {object} msg - positionCorrection { x, y, velocityY, onGround, ack }
+     */
+    reconcile(msg) {
+      const ack = msg.ack || 0;
+      this.pending = this.pending.filter((input) => input.seq > ack);
+
+      const server = { x: msg.x, y: msg.y, velocityY: msg.velocityY || 0, onGround: msg.onGround };
+      this.state = Physics.replay(server, this.pending, this.isSolid, this.gravity, this.isWater);
+    }
+
+    // Unacknowledged inputs, oldest first (resent until acked)
+    getUnacked() {
+      return this.pending.slice(0, MAX_INPUT_BATCH);
+    }
+
+    // Position between the last two steps, for smooth rendering
+    getRenderPosition() {
+      const t = this.accumulator / PHYSICS_STEP;
+      return {
+        x: this.previous.x + (this.state.x - this.previous.x) * t,
+        y: this.previous.y + (this.state.y - this.previous.y) * t,
+      };
+    }
+  }
+
+  return {
+    MAX_INPUT_BATCH,
+    MovementPredictor,
+  };
+});
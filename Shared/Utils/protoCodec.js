@@ -0,0 +1,79 @@
+// Shared/Utils/protoCodec.js
+//
+// AETHARIA — Protobuf Message Codec
+// ================================
+// Converts between the JSON message objects every service already
+// uses ({ type: 'playerMoved', id, x, y }) and binary Envelope
+// frames defined in Shared/Proto/world.proto.
+//
+// This file doesn't load protobufjs itself — callers pass in a
+// protobufjs Root built from world.proto. That keeps it usable
+// from the backend, the agents (which each have their own
+// node_modules) and the browser (protobufjs from a CDN script).
+//
+// Written as UMD so the same file works in Node (require) and
+// in the browser (window.AethariaProtoCodec).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AethariaProtoCodec = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // WebSocket subprotocol a client offers to opt in to binary frames
+  const SUBPROTOCOL = 'aetharia.proto.v1';
+
+  const TO_OBJECT_OPTIONS = {
+    longs: Number,   // int64 timestamps as plain numbers
+    bytes: String,   // chunk data as base64, same as the JSON form
+    defaults: true,  // proto3 drops zeros/false — JSON handlers expect them
+    oneofs: true,    // sets envelope.payload to the message type
+  };
+
+  /**
+   * Build an encoder/decoder from a protobufjs Root.
+   *
+   * @param {object} protoRoot - protobufjs Root loaded from world.proto
+   * @returns {object} { encode(message) → Uint8Array, decode(bytes) → message }
+   */
+  function createProtoCodec(protoRoot) {
+    const Envelope = protoRoot.lookupType('aetharia.Envelope');
+    const payloadTypes = new Set(Envelope.oneofs.payload.oneof);
+
+    /**
+     * Encode a JSON-style message into an Envelope frame.
+     * Throws if the message type has no protobuf definition.
+     *
+     * @param {object} message - { type, ...fields }
+     * @returns {Uint8Array}
+     */
+    function encode(message) {
+      const { type, ...fields } = message;
+      if (!payloadTypes.has(type)) {
+        throw new Error(`No protobuf definition for message type: ${type}`);
+      }
+      return Envelope.encode(Envelope.fromObject({ [type]: fields })).finish();
+    }
+
+    /**
+     * Decode an Envelope frame back into a JSON-style message.
+     *
+     * @param {Uint8Array} bytes
+     * @returns {object} { type, ...fields }
+     */
+    function decode(bytes) {
+      const envelope = Envelope.toObject(Envelope.decode(bytes), TO_OBJECT_OPTIONS);
+      const type = envelope.payload;
+      if (!type) throw new Error('Empty protobuf envelope');
+      return { type, ...envelope[type] };
+    }
+
+    return { encode, decode };
+  }
+
+  return {
+    SUBPROTOCOL,
+    createProtoCodec,
+  };
+});
@@ -0,0 +1,151 @@
+// Shared/Utils/tiles.js
+//
+// AETHARIA — Tile Registry
+// ================================
+// Every tile type, in one place. Each entry describes a tile:
+//
+//   id          Integer stored in chunk arrays and sent on the wire
+//   key         Constant name (WORLD.TILES.DIRT etc. come from here)
+//   name        Display name, also the inventory item name
+//   solid       Blocks movement (physics)
+//   liquid      Swum in (physics), flows (tile simulation)
+//   falls       Falls when nothing holds it up (tile simulation)
+//   translucent Solid but lets light through like water (lighting)
+//   hardness    How hard it is to mine, relative to dirt (1)
+//   color       Render color, '#rrggbb' (null: not drawn)
+//   light       Light it gives off, 0 … MAX_LIGHT (lighting)
+//   drop        Item name mining it gives (null: nothing)
+//   placeable   Players and agents may place it
+//
+// Adding a tile is one entry here. The backend validates edits
+// against the registry and ships it to clients in welcome, so
+// browsers and agents pick new tiles up via load() even before
+// their own copy of this file is updated.
+//
+// Written as UMD so the same file works in Node (require) and
+// in the browser (window.AethariaTiles).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AethariaTiles = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const TILE_DEFS = [
+    { id: 0, key: 'AIR', name: 'air', color: null },
+    { id: 1, key: 'DIRT', name: 'dirt', solid: true, hardness: 1, color: '#8B6914', drop: 'dirt', placeable: true },
+    { id: 2, key: 'STONE', name: 'stone', solid: true, hardness: 3, color: '#808080', drop: 'stone', placeable: true },
+    { id: 3, key: 'GRASS', name: 'grass', solid: true, hardness: 1, color: '#4CAF50', drop: 'grass', placeable: true },
+    { id: 4, key: 'WATER', name: 'water', liquid: true, color: '#2196F3' },
+    { id: 5, key: 'SAND', name: 'sand', solid: true, falls: true, hardness: 1, color: '#FFEB3B', drop: 'sand', placeable: true },
+    { id: 6, key: 'WOOD', name: 'wood', solid: true, hardness: 2, color: '#5D4037', drop: 'wood', placeable: true },
+    { id: 7, key: 'LEAVES', name: 'leaves', solid: true, translucent: true, hardness: 0.5, color: '#2E7D32', drop: 'leaves', placeable: true },
+    { id: 8, key: 'PORTAL', name: 'portal', color: '#9C27B0', light: 10 },
+    { id: 9, key: 'TORCH', name: 'torch', hardness: 0.1, color: '#FFB300', light: 14, drop: 'torch', placeable: true },
+    { id: 10, key: 'COAL', name: 'coal', solid: true, hardness: 3, color: '#2B2B2B', drop: 'coal', placeable: true },
+    { id: 11, key: 'IRON', name: 'iron', solid: true, hardness: 4, color: '#C98D6B', drop: 'iron', placeable: true },
+    { id: 12, key: 'GOLD', name: 'gold', solid: true, hardness: 5, color: '#E6B422', drop: 'gold', placeable: true },
+    { id: 13, key: 'CRYSTAL', name: 'crystal', solid: true, hardness: 6, color: '#4DD0E1', light: 6, drop: 'crystal', placeable: true },
+    { id: 14, key: 'SNOW', name: 'snow', solid: true, hardness: 0.5, color: '#F2F6FA', drop: 'snow', placeable: true },
+    { id: 15, key: 'ICE', name: 'ice', solid: true, translucent: true, hardness: 1, color: '#A5D8F3', drop: 'ice', placeable: true },
+    { id: 16, key: 'MUD', name: 'mud', solid: true, hardness: 0.8, color: '#5B4636', drop: 'mud', placeable: true },
+  ];
+
+  const DEFAULTS = {
+    solid: false,
+    liquid: false,
+    falls: false,
+    translucent: false,
+    hardness: 0,
+    color: null,
+    light: 0,
+    drop: null,
+    placeable: false,
+  };
+
+  // Lookups, rebuilt by load()
+  const byId = new Map();
+  const byName = new Map();
+  const TILES = {};
+
+  /**
+   * Replace the registry, e.g. with the list a server sent in
+   * welcome. Missing flags take their defaults; empty strings
+   * (protobuf's "unset") count as null.
+   *
+   * @param {object[]} defs - Tile entries, as in TILE_DEFS
+   */
+  function load(defs) {
+    byId.clear();
+    byName.clear();
+    for (const key of Object.keys(TILES)) delete TILES[key];
+
+    for (const entry of defs) {
+      const def = { ...DEFAULTS, ...entry };
+      if (def.color === '') def.color = null;
+      if (def.drop === '') def.drop = null;
+      Object.freeze(def);
+      byId.set(def.id, def);
+      byName.set(def.name, def);
+      TILES[def.key] = def.id;
+    }
+  }
+
+  /**
+   * @param {number} id
+   * @returns {object|null} The tile's entry, null if unknown
+   */
+  function get(id) {
+    return byId.get(id) || null;
+  }
+
+  /**
+   * @param {string} name - Tile or item name ('dirt')
+   * @returns {object|null}
+   */
+  function getByName(name) {
+    return byName.get(name) || null;
+  }
+
+  /**
+   * @returns {object[]} Every entry, by id — what welcome sends
+   */
+  function list() {
+    return [...byId.values()].sort((a, b) => a.id - b.id);
+  }
+
+  function isValid(id) {
+    return byId.has(id);
+  }
+
+  function isSolid(id) {
+    const def = byId.get(id);
+    return !!def && def.solid;
+  }
+
+  function isLiquid(id) {
+    const def = byId.get(id);
+    return !!def && def.liquid;
+  }
+
+  function isPlaceable(id) {
+    const def = byId.get(id);
+    return !!def && def.placeable;
+  }
+
+  load(TILE_DEFS);
+
+  return {
+    TILE_DEFS,
+    TILES,
+    load,
+    get,
+    getByName,
+    list,
+    isValid,
+    isSolid,
+    isLiquid,
+    isPlaceable,
+  };
+});
@@ -3,6 +3,238 @@
 
 const fs = require('fs');
 const path = require('path');
+const Tiles = require('./Utils/tiles');
+
+// ─────────────────────────────────────────────
+// Zone Layout Validation
+// ─────────────────────────────────────────────
+// A world may declare its own zones. Either fixed rectangles
+// in chunk coords:
+//
+//   "zones": {
+//     "definitions": { "zone_spawn": { "minX": -4, "maxX": 3, "minY": -4, "maxY": 3 } },
+//     "default": "zone_spawn"
+//   }
+//
+// or a procedural grid that tiles the whole (unbounded) world,
+// here 8x8 chunks per zone:
+//
+//   "zones": { "grid": { "width": 8, "height": 8 } }
+//
+// Worlds without a layout use ZONES from Shared/Utils/constants.js.
+//
+// Either form (or "zones" on its own) can also set the load
+// thresholds for automatic zone splitting/merging:
+//
+//   "zones": { "maxPlayers": 40, "mergeBelow": 20 }
+
+function validateZones(zones) {
+  if (zones === undefined) return;
+  if (!zones || typeof zones !== 'object') {
+    throw new Error('"zones" must be an object');
+  }
+
+  if (zones.maxPlayers !== undefined && (!Number.isInteger(zones.maxPlayers) || zones.maxPlayers < 1)) {
+    throw new Error('"zones.maxPlayers" must be a positive integer');
+  }
+  if (zones.mergeBelow !== undefined) {
+    if (!Number.isInteger(zones.mergeBelow) || zones.mergeBelow < 0) {
+      throw new Error('"zones.mergeBelow" must be a non-negative integer');
+    }
+    if (zones.maxPlayers !== undefined && zones.mergeBelow >= zones.maxPlayers) {
+      throw new Error('"zones.mergeBelow" must be below "zones.maxPlayers"');
+    }
+  }
+
+  if (zones.grid !== undefined) {
+    if (zones.definitions !== undefined) {
+      throw new Error('"zones" cannot have both "grid" and "definitions"');
+    }
+    const { width, height } = zones.grid;
+    if (!Number.isInteger(width) || width < 1 || !Number.isInteger(height) || height < 1) {
+      throw new Error('"zones.grid" needs positive integer "width" and "height" (in chunks)');
+    }
+    return;
+  }
+
+  const definitions = zones.definitions;
+  if (definitions === undefined) return;
+  if (!definitions || typeof definitions !== 'object' || Object.keys(definitions).length === 0) {
+    throw new Error('"zones.definitions" must be a non-empty object');
+  }
+
+  for (const [zoneId, bounds] of Object.entries(definitions)) {
+    if (zoneId.includes(':')) {
+      throw new Error(`zone "${zoneId}": ":" is reserved for split sub-zones`);
+    }
+    for (const key of ['minX', 'maxX', 'minY', 'maxY']) {
+      if (!Number.isInteger(bounds[key])) {
+        throw new Error(`zone "${zoneId}": "${key}" must be an integer (chunk coords)`);
+      }
+    }
+    if (bounds.minX > bounds.maxX || bounds.minY > bounds.maxY) {
+      throw new Error(`zone "${zoneId}": min bounds must not exceed max bounds`);
+    }
+  }
+
+  if (zones.default !== undefined && !definitions[zones.default]) {
+    throw new Error(`"zones.default" names unknown zone "${zones.default}"`);
+  }
+}
+
+// ─────────────────────────────────────────────
+// Day Length
+// ─────────────────────────────────────────────
+// "dayLength": seconds per day/night cycle (default 1200, see
+// Shared/Utils/dayCycle.js).
+
+function validateDayLength(dayLength) {
+  if (dayLength === undefined) return;
+  if (typeof dayLength !== 'number' || !isFinite(dayLength) || dayLength <= 0) {
+    throw new Error('"dayLength" must be a positive number of seconds');
+  }
+}
+
+// ─────────────────────────────────────────────
+// Ore Table
+// ─────────────────────────────────────────────
+// "ores": the ore veins terrain generation puts in the stone
+// (Backend/Src/World/terrainGen.js). Depths are tiles below the
+// surface; "veins" is the average per chunk; "maxDepth" is
+// optional.
+//
+//   "ores": [
+//     { "tile": "iron", "minDepth": 16, "maxDepth": 160, "veins": 2, "size": 6 }
+//   ]
+
+const MAX_VEIN_SIZE = 32;   // WORLD.CHUNK_SIZE — veins reach one chunk over at most
+
+function validateOres(ores) {
+  if (ores === undefined) return;
+  if (!Array.isArray(ores)) {
+    throw new Error('"ores" must be an array');
+  }
+
+  ores.forEach((ore, i) => {
+    const where = `ores[${i}]`;
+    if (!ore || typeof ore !== 'object') {
+      throw new Error(`${where} must be an object`);
+    }
+    const def = Tiles.getByName(ore.tile);
+    if (!def || !def.solid) {
+      throw new Error(`${where}: "tile" must name a solid tile`);
+    }
+    if (!Number.isInteger(ore.minDepth) || ore.minDepth < 0) {
+      throw new Error(`${where}: "minDepth" must be a non-negative integer`);
+    }
+    if (ore.maxDepth !== undefined && (!Number.isInteger(ore.maxDepth) || ore.maxDepth < ore.minDepth)) {
+      throw new Error(`${where}: "maxDepth" must be an integer no less than "minDepth"`);
+    }
+    if (typeof ore.veins !== 'number' || !isFinite(ore.veins) || ore.veins < 0) {
+      throw new Error(`${where}: "veins" must be a non-negative number (per chunk)`);
+    }
+    if (!Number.isInteger(ore.size) || ore.size < 1 || ore.size > MAX_VEIN_SIZE) {
+      throw new Error(`${where}: "size" must be an integer from 1 to ${MAX_VEIN_SIZE}`);
+    }
+  });
+}
+
+// ─────────────────────────────────────────────
+// Biome Weights
+// ─────────────────────────────────────────────
+// "biomes": how often each biome comes up (terrainGen.js BIOMES:
+// forest, desert, tundra, swamp, mountains), relative to each
+// other. Biomes left out never generate; without "biomes" every
+// biome is equally likely. Names are checked when terrainGen
+// picks the table up at startup.
+//
+//   "biomes": { "mountains": 3, "tundra": 1 }
+
+function validateBiomes(biomes) {
+  if (biomes === undefined) return;
+  if (!biomes || typeof biomes !== 'object' || Array.isArray(biomes)) {
+    throw new Error('"biomes" must be an object of biome name → weight');
+  }
+  for (const [name, weight] of Object.entries(biomes)) {
+    if (typeof weight !== 'number' || !isFinite(weight) || weight < 0) {
+      throw new Error(`biomes.${name} must be a non-negative number`);
+    }
+  }
+  if (!Object.values(biomes).some((weight) => weight > 0)) {
+    throw new Error('"biomes" needs at least one biome with a positive weight');
+  }
+}
+
+// ─────────────────────────────────────────────
+// Structure Chances
+// ─────────────────────────────────────────────
+// "structures": chance per region for structure templates
+// (worlds/structures/*.json, see Backend/Src/World/structures.js),
+// overriding the template's own; 0 turns one off. Names are
+// checked when terrainGen picks the table up at startup.
+//
+//   "structures": { "dungeon": 0.8, "village": 0 }
+
+function validateStructures(structures) {
+  if (structures === undefined) return;
+  if (!structures || typeof structures !== 'object' || Array.isArray(structures)) {
+    throw new Error('"structures" must be an object of structure name → chance');
+  }
+  for (const [name, chance] of Object.entries(structures)) {
+    if (typeof chance !== 'number' || !(chance >= 0 && chance <= 1)) {
+      throw new Error(`structures.${name} must be a number from 0 to 1`);
+    }
+  }
+}
+
+// ─────────────────────────────────────────────
+// Terrain Generator
+// ─────────────────────────────────────────────
+// "generator": how the world's terrain is shaped (terrainGen.js
+// GENERATORS: overworld, islands, caves, flat, void); without it,
+// the overworld. The name is checked when terrainGen picks it up
+// at startup.
+//
+//   "generator": "islands"
+
+function validateGenerator(generator) {
+  if (generator === undefined) return;
+  if (typeof generator !== 'string' || generator === '') {
+    throw new Error('"generator" must be a generator name');
+  }
+}
+
+// ─────────────────────────────────────────────
+// Flat World Layers
+// ─────────────────────────────────────────────
+// "layers": the stack of tiles in every column of a flat world
+// ("generator": "flat"), top first, each "thickness" tiles thick.
+// The last layer may leave out "thickness" to go on down forever.
+// Without "layers", grass on 3 dirt on endless stone.
+//
+//   "layers": [{ "tile": "grass", "thickness": 1 }, { "tile": "stone", "thickness": 20 }]
+
+function validateLayers(layers) {
+  if (layers === undefined) return;
+  if (!Array.isArray(layers) || layers.length === 0) {
+    throw new Error('"layers" must be a non-empty array');
+  }
+
+  layers.forEach((layer, i) => {
+    const where = `layers[${i}]`;
+    if (!layer || typeof layer !== 'object') {
+      throw new Error(`${where} must be an object`);
+    }
+    if (!Tiles.getByName(layer.tile)) {
+      throw new Error(`${where}: "tile" must name a tile`);
+    }
+    const last = i === layers.length - 1;
+    if (last && layer.thickness === undefined) return;
+    if (!Number.isInteger(layer.thickness) || layer.thickness < 1) {
+      throw new Error(`${where}: "thickness" must be a positive integer${last ? '' : ' (only the last layer may leave it out)'}`);
+    }
+  });
+}
 
 function loadWorldConfig() {
   const configPath = process.env.WORLD_CONFIG;
@@ -24,6 +256,13 @@ function loadWorldConfig() {
   try {
     const raw = fs.readFileSync(configPath, 'utf8');
     const config = JSON.parse(raw);
+    validateZones(config.zones);
+    validateDayLength(config.dayLength);
+    validateOres(config.ores);
+    validateBiomes(config.biomes);
+    validateStructures(config.structures);
+    validateGenerator(config.generator);
+    validateLayers(config.layers);
     console.log(`🌍 Loaded world config: ${config.name} (${config.id})`);
     return config;
   } catch (err) {
@@ -32,4 +271,13 @@ function loadWorldConfig() {
   }
 }
 
-module.exports = { loadWorldConfig };
+module.exports = {
+  loadWorldConfig,
+  validateZones,
+  validateDayLength,
+  validateOres,
+  validateBiomes,
+  validateStructures,
+  validateGenerator,
+  validateLayers,
+};